@@ -0,0 +1,278 @@
+// ============================================
+// FlowTier Accounts v1.0
+// Companies as records of their own. Leads are
+// the contacts of an account (lead.account_id)
+// and are linked to it by their website or email
+// domain; the account holds the company fields
+// its contacts share.
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { storage } = require('./storage');
+const { ValidationError, fieldError, normalizeUrl } = require('./lead-validation');
+const { normalizeDomain, emailDomain } = require('./duplicate-scan');
+
+// Company fields an account shares with its contacts (account field -> lead field)
+const COMPANY_FIELDS = {
+  name: 'company_name',
+  industry: 'industry',
+  company_size: 'company_size',
+  address: 'address',
+  revenue_estimate: 'revenue_estimate'
+};
+const TIMELINE_KINDS = ['note', 'outreach', 'activity'];
+const MAX_TEXT = 500;
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Every lead write looks its domain up, so all accounts are kept in
+// memory. Returned accounts are shared and must not be modified.
+let cache = null; // { byId: Map(id -> account), byDomain: Map(owner|domain -> account) }
+
+function domainKey(ownerId, domain) {
+  return `${ownerId || ''}|${domain}`;
+}
+
+function accountCache() {
+  if (!cache) {
+    cache = { byId: new Map(), byDomain: new Map() };
+    storage.list('accounts').forEach(cacheAccount);
+  }
+  return cache;
+}
+
+function cacheAccount(account) {
+  const { byId, byDomain } = accountCache();
+  const previous = byId.get(account.id);
+  if (previous && previous.domain) byDomain.delete(domainKey(previous.owner_id, previous.domain));
+  byId.set(account.id, account);
+  if (account.domain) byDomain.set(domainKey(account.owner_id, account.domain), account);
+}
+
+// Call after account records change outside this module (restores)
+function clearAccountCache() {
+  cache = null;
+}
+
+// Drop the cache when account files are edited outside the server.
+// Returns an unwatch function.
+function watchAccounts() {
+  return storage.watch('accounts', clearAccountCache);
+}
+
+function getAccount(id) {
+  const account = id ? accountCache().byId.get(id) : null;
+  return account ? structuredClone(account) : null;
+}
+
+// Accounts of one workspace (a client_id, or null for the admin pool);
+// every account when ownerId is undefined
+function listAccounts(ownerId) {
+  return Array.from(accountCache().byId.values())
+    .filter(a => ownerId === undefined || a.owner_id === (ownerId || null))
+    .map(a => structuredClone(a));
+}
+
+function findAccountByDomain(domain, ownerId) {
+  const account = domain ? accountCache().byDomain.get(domainKey(ownerId, domain)) : null;
+  return account ? structuredClone(account) : null;
+}
+
+function storeAccount(account) {
+  storage.put('accounts', account.id, account, { force: true });
+  cacheAccount(account);
+  return account;
+}
+
+function deleteAccount(id) {
+  const account = accountCache().byId.get(id);
+  if (!account) return false;
+  storage.remove('accounts', id);
+  accountCache().byId.delete(id);
+  if (account.domain) accountCache().byDomain.delete(domainKey(account.owner_id, account.domain));
+  return true;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// "https://www.Acme.com/about" or "acme.com" -> "acme.com". Free-mail and
+// social domains are shared by unrelated companies and are refused.
+function normalizeAccountDomain(value) {
+  const url = normalizeUrl(value === null || value === undefined ? '' : String(value));
+  if (url.error) return { error: { code: 'invalid_domain', message: `"${value}" is not a valid domain` } };
+  if (!url.value) return { value: '' };
+  const domain = normalizeDomain(url.value);
+  if (!domain) return { error: { code: 'shared_domain', message: `"${value}" is shared by unrelated companies and cannot identify an account` } };
+  return { value: domain };
+}
+
+// Create (no `existing`) or update an account; fields left out of an
+// update keep their value. An account stays in the workspace it was
+// created in. Throws ValidationError.
+function saveAccount(data, existing) {
+  const errors = [];
+  const pick = (field, fallback) => (data[field] !== undefined ? data[field] : (existing ? existing[field] : fallback));
+  const ownerId = existing ? existing.owner_id : (data.owner_id || null);
+
+  const values = {};
+  Object.keys(COMPANY_FIELDS).forEach(field => {
+    const value = pick(field, '');
+    if (value !== null && typeof value !== 'string' && typeof value !== 'number') {
+      errors.push(fieldError(field, value, 'invalid_text', `${field} must be text`));
+      return;
+    }
+    values[field] = String(value === null ? '' : value).trim().slice(0, MAX_TEXT);
+  });
+
+  let domain = existing ? existing.domain : '';
+  let domainError = null;
+  if (data.domain !== undefined) {
+    const result = normalizeAccountDomain(data.domain);
+    if (result.error) domainError = fieldError('domain', data.domain, result.error.code, result.error.message);
+    else domain = result.value;
+  }
+  if (domainError) errors.push(domainError);
+  if (!values.name) values.name = domain;
+  if (!values.name && !domainError) errors.push(fieldError('name', data.name, 'name_required', 'name or domain is required'));
+
+  const taken = findAccountByDomain(domain, ownerId);
+  if (taken && (!existing || taken.id !== existing.id)) {
+    errors.push(fieldError('domain', data.domain, 'duplicate_domain', `${domain} already belongs to the account "${taken.name}"`));
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  const now = new Date().toISOString();
+  return storeAccount({
+    ...(existing || { id: uuidv4(), created_at: now }),
+    ...values,
+    domain,
+    owner_id: ownerId,
+    updated_at: now
+  });
+}
+
+// The stored account_id for `ref` on a lead of workspace `ownerId`.
+// Returns { value } (null unlinks) or { error } with a field error.
+function resolveAccount(ref, ownerId, field = 'account_id') {
+  if (ref === undefined || ref === null || ref === '') return { value: null };
+  const account = typeof ref === 'string' ? accountCache().byId.get(ref) : null;
+  if (!account || account.owner_id !== (ownerId || null)) {
+    return { error: fieldError(field, ref, 'unknown_account', `"${ref}" is not an account of the lead's workspace`) };
+  }
+  return { value: account.id };
+}
+
+// ============================================
+// LINKING
+// ============================================
+
+// Domains a lead can be linked by: its website first, then its email domains
+function leadDomains(lead) {
+  const emails = (lead.emails || []).flat(Infinity).filter(e => typeof e === 'string');
+  const domains = [normalizeDomain(lead.website)].concat(emails.map(emailDomain)).filter(Boolean);
+  return Array.from(new Set(domains));
+}
+
+// Link `lead` (in place) to the account of its domain when it has none,
+// creating the account from the lead's company fields if needed. This
+// runs for new leads and when a lead's domains or workspace change, so a
+// contact unlinked by hand stays unlinked. A link to a deleted account or
+// one of another workspace is dropped first. Returns the newly linked
+// account, or null.
+function linkAccount(lead, before) {
+  const ownerId = lead.owner_id || null;
+  const current = lead.account_id ? accountCache().byId.get(lead.account_id) : null;
+  if (current && current.owner_id === ownerId) return null;
+  const dropped = !!lead.account_id;
+  lead.account_id = null;
+
+  const domains = leadDomains(lead);
+  if (domains.length === 0) return null;
+  const changed = !before || dropped || (before.owner_id || null) !== ownerId ||
+    domains.join(' ') !== leadDomains(before).join(' ');
+  if (!changed) return null;
+
+  let account = domains.map(d => accountCache().byDomain.get(domainKey(ownerId, d))).find(Boolean);
+  const now = new Date().toISOString();
+  if (!account) {
+    account = { id: uuidv4(), created_at: now };
+    Object.keys(COMPANY_FIELDS).forEach(field => { account[field] = ''; });
+    Object.assign(account, { domain: domains[0], owner_id: ownerId });
+  }
+  // Blank company fields are filled from each contact that joins
+  const filled = { ...account };
+  Object.entries(COMPANY_FIELDS).forEach(([field, leadField]) => {
+    if (!filled[field] && typeof lead[leadField] === 'string' && lead[leadField].trim()) filled[field] = lead[leadField].trim();
+  });
+  if (!filled.name) filled.name = filled.domain;
+  if (!accountCache().byId.has(account.id) || Object.keys(COMPANY_FIELDS).some(f => filled[f] !== account[f])) {
+    account = storeAccount({ ...filled, updated_at: now });
+  }
+  lead.account_id = account.id;
+  return structuredClone(account);
+}
+
+// The company fields of `lead` with its account's values taking over
+// wherever the account has one (for stats and the GHL mapping)
+function companyFields(lead, account) {
+  const out = { website: lead.website || '' };
+  Object.values(COMPANY_FIELDS).forEach(leadField => { out[leadField] = lead[leadField] || ''; });
+  if (!account) return out;
+  Object.entries(COMPANY_FIELDS).forEach(([field, leadField]) => {
+    if (account[field]) out[leadField] = account[field];
+  });
+  if (account.domain && normalizeDomain(out.website) !== account.domain) out.website = `https://${account.domain}`;
+  return out;
+}
+
+// ============================================
+// TIMELINE
+// ============================================
+
+// Notes, outreach and (when asked for) activity of every contact, each
+// entry tagged with its contact. `kinds` is a subset of TIMELINE_KINDS.
+// Entries are unsorted; `key` is unique across the account.
+function accountTimeline(contacts, kinds) {
+  const items = [];
+  contacts.forEach(lead => {
+    const contact = { lead_id: lead.id, contact_name: lead.contact_name || '', company_name: lead.company_name || '' };
+    if (kinds.includes('note')) {
+      (lead.notes || []).forEach(n => items.push({ kind: 'note', key: `${lead.id}:note:${n.id}`, timestamp: n.created_at, ...contact, note: n }));
+    }
+    if (kinds.includes('outreach')) {
+      (lead.outreach || []).forEach((o, i) => {
+        const { _id, id, template_name, ...entry } = o;
+        items.push({ kind: 'outreach', key: `${lead.id}:outreach:${_id || id || i}`, timestamp: o.timestamp, ...contact, outreach: entry });
+      });
+    }
+    if (kinds.includes('activity')) {
+      (lead.activity || []).forEach((a, i) => items.push({ kind: 'activity', key: `${lead.id}:activity:${i}`, timestamp: a.timestamp, ...contact, activity: a }));
+    }
+  });
+  return items;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  COMPANY_FIELDS,
+  TIMELINE_KINDS,
+  clearAccountCache,
+  watchAccounts,
+  getAccount,
+  listAccounts,
+  findAccountByDomain,
+  saveAccount,
+  deleteAccount,
+  resolveAccount,
+  leadDomains,
+  linkAccount,
+  companyFields,
+  accountTimeline
+};
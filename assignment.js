@@ -0,0 +1,231 @@
+// ============================================
+// FlowTier Assignment Rules v1.0
+// Hands new leads to team members. Rules belong
+// to a workspace and run in order: the first
+// enabled rule whose conditions match the lead
+// (industry, source, territory...) picks one of
+// its members, round-robin or by weight.
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { storage } = require('./storage');
+const { ValidationError, fieldError } = require('./lead-validation');
+const { QueryError, compileFilter, filterLeads } = require('./lead-query');
+const { getAllCampaigns } = require('./campaign-engine');
+const { listMembers, findMember } = require('./team');
+
+const STRATEGIES = ['round_robin', 'weighted'];
+const MAX_WEIGHT = 100;
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Rules are looked up for every new lead, so they are kept in memory.
+// Returned rules are shared and must not be modified.
+let cache = null;
+
+function ruleList() {
+  if (!cache) {
+    cache = storage.list('assignment_rules')
+      .sort((a, b) => (a.position - b.position) || a.name.localeCompare(b.name));
+  }
+  return cache;
+}
+
+// Call after rule records change outside this module (restores)
+function clearAssignmentCache() {
+  cache = null;
+}
+
+// Drop the cache when rule files are edited outside the server.
+// Returns an unwatch function.
+function watchAssignmentRules() {
+  return storage.watch('assignment_rules', clearAssignmentCache);
+}
+
+// Rules in evaluation order; `workspace` (a client_id, or null for the
+// admin workspace) keeps one workspace's rules
+function listAssignmentRules(workspace) {
+  const rules = ruleList();
+  return workspace === undefined ? rules : rules.filter(r => r.workspace === (workspace || null));
+}
+
+function getAssignmentRule(id) {
+  return ruleList().find(r => r.id === id) || null;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// members: [{ user_id, weight }] or plain user IDs / usernames. Weights
+// only matter to weighted rules and default to 1.
+function validateMembers(input, workspace, errors) {
+  if (!Array.isArray(input) || input.length === 0) {
+    errors.push(fieldError('members', input, 'members_required', 'A rule needs at least one member'));
+    return [];
+  }
+  const seen = new Set();
+  const out = [];
+  input.forEach((entry, i) => {
+    const where = `members[${i}]`;
+    const ref = entry && typeof entry === 'object' ? entry.user_id : entry;
+    const member = typeof ref === 'string' ? findMember(ref, workspace) : null;
+    if (!member) {
+      errors.push(fieldError(`${where}.user_id`, ref, 'unknown_member', `${where}: "${ref}" is not a team member of this workspace`));
+      return;
+    }
+    const weight = entry && typeof entry === 'object' && entry.weight !== undefined ? Number(entry.weight) : 1;
+    if (!Number.isInteger(weight) || weight < 1 || weight > MAX_WEIGHT) {
+      errors.push(fieldError(`${where}.weight`, entry.weight, 'invalid_weight', `${where}: weight must be a whole number from 1 to ${MAX_WEIGHT}`));
+      return;
+    }
+    if (seen.has(member.user_id)) {
+      errors.push(fieldError(`${where}.user_id`, ref, 'duplicate_member', `${where}: ${member.display_name} is listed twice`));
+      return;
+    }
+    seen.add(member.user_id);
+    out.push({ user_id: member.user_id, weight });
+  });
+  return out;
+}
+
+// Create (no `existing`) or update a rule; fields left out of an update
+// keep their value. Round-robin carries on where it was after an edit.
+// Throws ValidationError.
+function saveAssignmentRule(data, existing) {
+  const errors = [];
+  const pick = (field, fallback) => (data[field] !== undefined ? data[field] : (existing ? existing[field] : fallback));
+
+  const name = String(pick('name', '') || '').trim();
+  if (!name) errors.push(fieldError('name', data.name, 'name_required', 'name is required'));
+
+  const workspace = existing ? existing.workspace : (data.workspace || null);
+
+  const strategy = pick('strategy', 'round_robin');
+  if (!STRATEGIES.includes(strategy)) {
+    errors.push(fieldError('strategy', strategy, 'invalid_strategy', `strategy must be one of ${STRATEGIES.join(', ')}`));
+  }
+
+  const conditions = pick('conditions', null) || null;
+  try {
+    compileFilter(conditions);
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(fieldError('conditions', conditions, 'invalid_conditions', err.message.replace(/^filter/, 'conditions')));
+  }
+
+  const members = validateMembers(pick('members', []), workspace, errors);
+
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  // Weighted totals only make sense for the members they were built on
+  const state = { ...((existing && existing.state) || {}) };
+  if (data.members !== undefined || data.strategy !== undefined) delete state.totals;
+
+  const now = new Date().toISOString();
+  const rule = {
+    ...(existing || { id: uuidv4(), created_at: now }),
+    name,
+    enabled: pick('enabled', true) !== false,
+    workspace,
+    strategy,
+    conditions,
+    members,
+    position: Number(pick('position', 0)) || 0,
+    state,
+    updated_at: now
+  };
+  storage.put('assignment_rules', rule.id, rule, { force: true });
+  clearAssignmentCache();
+  return rule;
+}
+
+function deleteAssignmentRule(id) {
+  if (!getAssignmentRule(id)) return false;
+  storage.remove('assignment_rules', id);
+  clearAssignmentCache();
+  return true;
+}
+
+// A deleted team member leaves every rule. Returns the rules changed.
+function removeMemberFromRules(userId) {
+  const changed = ruleList().filter(r => r.members.some(m => m.user_id === userId));
+  changed.forEach(rule => {
+    const members = rule.members.filter(m => m.user_id !== userId);
+    storage.put('assignment_rules', rule.id, { ...rule, members, updated_at: new Date().toISOString() }, { force: true });
+  });
+  if (changed.length > 0) clearAssignmentCache();
+  return changed.length;
+}
+
+// ============================================
+// ROTATION
+// ============================================
+
+// Next member of `rule` among the `eligible` user IDs, or null. The
+// rotation state is saved with the rule so it carries across restarts.
+// Round-robin takes the member after the last one picked. Weighted uses
+// smooth weighted round-robin: every pick adds each member's weight to
+// their running total, the highest total wins and pays back the sum of
+// the weights, so a 2:1 split goes A, B, A rather than A, A, B.
+function nextMember(rule, eligible) {
+  const candidates = rule.members.filter(m => eligible.has(m.user_id));
+  if (candidates.length === 0) return null;
+
+  const state = { ...(rule.state || {}) };
+  let picked;
+  if (rule.strategy === 'weighted') {
+    const totals = { ...(state.totals || {}) };
+    const sum = candidates.reduce((n, m) => n + m.weight, 0);
+    candidates.forEach(m => { totals[m.user_id] = (totals[m.user_id] || 0) + m.weight; });
+    picked = candidates.reduce((best, m) => (totals[m.user_id] > totals[best.user_id] ? m : best));
+    totals[picked.user_id] -= sum;
+    state.totals = totals;
+  } else {
+    const last = rule.members.findIndex(m => m.user_id === state.last_user_id);
+    picked = candidates.find(m => rule.members.indexOf(m) > last) || candidates[0];
+  }
+  state.last_user_id = picked.user_id;
+  state.assigned = (state.assigned || 0) + 1;
+
+  const updated = { ...rule, state };
+  storage.put('assignment_rules', rule.id, updated, { force: true });
+  cache[cache.indexOf(rule)] = updated;
+  return picked.user_id;
+}
+
+// Assign `lead` (in place) by the first enabled rule of its workspace that
+// matches and has an active member. Returns { rule: { id, name }, user_id }
+// or null when no rule applies; the lead is left as it was then.
+function assignLead(lead) {
+  const workspace = lead.owner_id || null;
+  const rules = listAssignmentRules(workspace).filter(r => r.enabled);
+  if (rules.length === 0) return null;
+
+  const eligible = new Set(listMembers(workspace).map(m => m.user_id));
+  for (const rule of rules) {
+    if (rule.conditions && filterLeads([lead], rule.conditions, getAllCampaigns).length === 0) continue;
+    const userId = nextMember(rule, eligible);
+    if (!userId) continue;
+    lead.assigned_to = userId;
+    return { rule: { id: rule.id, name: rule.name }, user_id: userId };
+  }
+  return null;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  STRATEGIES,
+  clearAssignmentCache,
+  watchAssignmentRules,
+  listAssignmentRules,
+  getAssignmentRule,
+  saveAssignmentRule,
+  deleteAssignmentRule,
+  removeMemberFromRules,
+  assignLead
+};
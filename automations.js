@@ -0,0 +1,526 @@
+// ============================================
+// FlowTier Automations v1.0
+// Admin-defined workflow rules: a trigger (lead
+// created, stage changed, tag added, note added,
+// outreach, calendar event, field changed),
+// conditions on lead fields and a list of actions.
+// Every execution is logged on the lead.
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { storage, updateRecord } = require('./storage');
+const { ValidationError, fieldError } = require('./lead-validation');
+const { QueryError, compileFilter, filterLeads } = require('./lead-query');
+const { TRACKED_FIELDS, diffLead } = require('./revisions');
+const { readCampaign, getAllCampaigns, enrollLead, unenrollLead } = require('./campaign-engine');
+const { findMember, memberName } = require('./team');
+const {
+  TransitionError, DEFAULT_PIPELINE_ID, listPipelines, getPipeline, findStage, stageLabel,
+  placeLead, checkTransition
+} = require('./pipelines');
+
+// Trigger types and the optional parameters that narrow them
+// (field_changed needs `field`)
+const TRIGGERS = {
+  lead_created: [],
+  stage_changed: ['from', 'to'],
+  tag_added: ['tag'],
+  note_added: ['note_type'],
+  outreach_sent: ['channel'],
+  outreach_received: ['channel'],
+  calendar_event_added: [],
+  field_changed: ['field']
+};
+
+const ACTION_TYPES = [
+  'set_stage', 'add_tag', 'remove_tag', 'assign', 'enroll_campaign', 'remove_from_campaign',
+  'set_human_mode', 'create_followup', 'webhook'
+];
+
+// Actions can set off further triggers (set_stage -> stage_changed);
+// chains stop after this many steps and each rule runs once per event
+const MAX_CHAIN_DEPTH = 5;
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Rules are looked up on every lead event, so they are kept in memory.
+// Returned rules are shared and must not be modified.
+let cache = null;
+
+function ruleList() {
+  if (!cache) {
+    cache = storage.list('automations')
+      .sort((a, b) => (a.position - b.position) || a.name.localeCompare(b.name));
+  }
+  return cache;
+}
+
+// Call after automation records change outside this module (restores)
+function clearAutomationCache() {
+  cache = null;
+}
+
+// Drop the cache when rule files are edited outside the server.
+// Returns an unwatch function.
+function watchAutomations() {
+  return storage.watch('automations', clearAutomationCache);
+}
+
+// Rules in execution order
+function listAutomations() {
+  return ruleList();
+}
+
+function getAutomation(id) {
+  return ruleList().find(r => r.id === id) || null;
+}
+
+function isChangeableField(field) {
+  return TRACKED_FIELDS.includes(field) || /^custom_fields\.[a-z][a-z0-9_]{0,39}$/.test(field);
+}
+
+function validateTrigger(input, errors) {
+  const trigger = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  if (!TRIGGERS[trigger.type]) {
+    errors.push(fieldError('trigger.type', trigger.type, 'invalid_trigger', `trigger.type must be one of ${Object.keys(TRIGGERS).join(', ')}`));
+    return { type: trigger.type };
+  }
+  const out = { type: trigger.type };
+  TRIGGERS[trigger.type].forEach(param => {
+    if (trigger[param] !== undefined && trigger[param] !== null && trigger[param] !== '') out[param] = String(trigger[param]).trim();
+  });
+  if (out.type === 'field_changed' && !isChangeableField(out.field || '')) {
+    errors.push(fieldError('trigger.field', trigger.field, 'invalid_field', `trigger.field must be one of ${TRACKED_FIELDS.join(', ')} or custom_fields.<key>`));
+  }
+  return out;
+}
+
+function validateAction(input, index, errors) {
+  const where = `actions[${index}]`;
+  const action = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const fail = (field, value, code, message) => errors.push(fieldError(`${where}.${field}`, value, code, `${where}: ${message}`));
+  const text = value => (value === undefined || value === null ? '' : String(value).trim());
+
+  switch (action.type) {
+    case 'set_stage': {
+      const stage = text(action.stage);
+      const pipelineId = text(action.pipeline_id);
+      if (pipelineId) {
+        const pipeline = getPipeline(pipelineId);
+        if (!pipeline) fail('pipeline_id', pipelineId, 'unknown_pipeline', `pipeline "${pipelineId}" does not exist`);
+        else if (!findStage(pipeline, stage)) fail('stage', stage, 'unknown_stage', `"${stage}" is not a stage of the ${pipeline.name} pipeline`);
+      } else if (!listPipelines().some(p => findStage(p, stage))) {
+        fail('stage', stage, 'unknown_stage', `"${stage}" is not a stage of any pipeline`);
+      }
+      return pipelineId ? { type: action.type, stage, pipeline_id: pipelineId } : { type: action.type, stage };
+    }
+    case 'add_tag':
+    case 'remove_tag': {
+      const tag = text(action.tag);
+      if (!tag) fail('tag', action.tag, 'tag_required', 'tag is required');
+      return { type: action.type, tag };
+    }
+    case 'assign': {
+      // Rules span workspaces: the member is checked against each lead's team when it runs
+      const ref = text(action.assigned_to);
+      const member = ref ? findMember(ref) : null;
+      if (ref && !member) fail('assigned_to', action.assigned_to, 'unknown_member', `"${ref}" is not a team member`);
+      return { type: action.type, assigned_to: member ? member.user_id : null };
+    }
+    case 'enroll_campaign':
+    case 'remove_from_campaign': {
+      const campaignId = text(action.campaign_id);
+      if (!readCampaign(campaignId)) fail('campaign_id', action.campaign_id, 'unknown_campaign', `campaign "${campaignId}" does not exist`);
+      return { type: action.type, campaign_id: campaignId };
+    }
+    case 'set_human_mode':
+      if (typeof action.value !== 'boolean') fail('value', action.value, 'invalid_boolean', 'value must be true or false');
+      return { type: action.type, value: action.value === true };
+    case 'create_followup': {
+      const days = Number(action.in_days);
+      if (action.in_days === undefined || action.in_days === '' || !Number.isFinite(days) || days < 0) {
+        fail('in_days', action.in_days, 'invalid_number', 'in_days must be a number of days, 0 or more');
+      }
+      return { type: action.type, in_days: days };
+    }
+    case 'webhook': {
+      const url = text(action.url);
+      if (url) {
+        let parsed = null;
+        try { parsed = new URL(url); } catch (e) { /* reported below */ }
+        if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+          fail('url', action.url, 'invalid_url', 'url must be an http or https URL');
+        }
+      }
+      return { type: action.type, url, event: text(action.event) || 'automation' };
+    }
+    default:
+      fail('type', action.type, 'invalid_action', `type must be one of ${ACTION_TYPES.join(', ')}`);
+      return { type: action.type };
+  }
+}
+
+// Create (no `existing`) or update a rule. Throws ValidationError.
+function saveAutomation(data, existing) {
+  const errors = [];
+  const pick = (field, fallback) => (data[field] !== undefined ? data[field] : (existing ? existing[field] : fallback));
+
+  const name = String(pick('name', '') || '').trim();
+  if (!name) errors.push(fieldError('name', data.name, 'name_required', 'name is required'));
+
+  const trigger = validateTrigger(pick('trigger', null), errors);
+
+  const conditions = pick('conditions', null) || null;
+  try {
+    compileFilter(conditions);
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    errors.push(fieldError('conditions', conditions, 'invalid_conditions', err.message.replace(/^filter/, 'conditions')));
+  }
+
+  const rawActions = pick('actions', []);
+  if (!Array.isArray(rawActions) || rawActions.length === 0) {
+    errors.push(fieldError('actions', rawActions, 'actions_required', 'A rule needs at least one action'));
+  }
+  const actions = Array.isArray(rawActions) ? rawActions.map((a, i) => validateAction(a, i, errors)) : [];
+
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  const now = new Date().toISOString();
+  const rule = {
+    ...(existing || { id: uuidv4(), created_at: now }),
+    name,
+    enabled: pick('enabled', true) !== false,
+    trigger,
+    conditions,
+    actions,
+    position: Number(pick('position', 0)) || 0,
+    updated_at: now
+  };
+  storage.put('automations', rule.id, rule, { force: true });
+  clearAutomationCache();
+  return rule;
+}
+
+function deleteAutomation(id) {
+  if (!getAutomation(id)) return false;
+  storage.remove('automations', id);
+  clearAutomationCache();
+  return true;
+}
+
+// ============================================
+// DEFAULT RULES
+// ============================================
+
+// Stage moves that used to be built in: stages listed the triggers that
+// moved a lead forward into them (enter_on). The default pipeline had
+// these unless it was edited.
+const LEGACY_ENTER_ON = {
+  contacted: ['outreach_sent'],
+  qualified: ['reply_received'],
+  call_booked: ['calendar_event_added']
+};
+// Where a built-in move was narrower than "from any earlier open stage":
+// a reply only ever moved Contacted leads on
+const LEGACY_FROM = {
+  qualified: ['contacted']
+};
+const LEGACY_TRIGGERS = {
+  outreach_sent: { type: 'outreach_sent', label: 'Outreach sent' },
+  reply_received: { type: 'outreach_received', label: 'Reply received' },
+  calendar_event_added: { type: 'calendar_event_added', label: 'Call booked' }
+};
+
+// On first boot, turn the old per-stage enter_on triggers into rules:
+// the lead moves into the stage when it sits in an earlier open stage
+// of the same pipeline (the built-in moves of the default pipeline keep
+// their original from-stages)
+function ensureDefaultAutomations() {
+  if (storage.get('config', 'automations')) return;
+  let position = 0;
+  listPipelines().forEach(pipeline => {
+    pipeline.stages.forEach((stage, index) => {
+      const legacy = stage.enter_on === undefined && pipeline.id === DEFAULT_PIPELINE_ID;
+      const enterOn = legacy ? LEGACY_ENTER_ON[stage.id] || [] : stage.enter_on || [];
+      let earlier = pipeline.stages.slice(0, index).filter(s => s.outcome === 'open').map(s => s.id);
+      if (legacy && LEGACY_FROM[stage.id]) earlier = earlier.filter(id => LEGACY_FROM[stage.id].includes(id));
+      if (earlier.length === 0) return;
+      enterOn.filter(t => LEGACY_TRIGGERS[t]).forEach(t => {
+        saveAutomation({
+          name: `${pipeline.name}: ${LEGACY_TRIGGERS[t].label} → ${stage.label}`,
+          trigger: { type: LEGACY_TRIGGERS[t].type },
+          conditions: {
+            and: [
+              { field: 'pipeline_id', op: 'eq', value: pipeline.id },
+              { field: 'stage', op: 'in', value: earlier }
+            ]
+          },
+          actions: [{ type: 'set_stage', stage: stage.id, pipeline_id: pipeline.id }],
+          position: position++
+        });
+      });
+    });
+  });
+  storage.put('config', 'automations', { seeded_at: new Date().toISOString() }, { force: true });
+}
+
+// ============================================
+// LEAD EVENTS
+// ============================================
+
+// Copy of the fields whose changes raise events; take one before
+// changing a lead and pass it to changeEvents afterwards
+function snapshotLead(lead) {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => { snapshot[field] = lead[field] === undefined ? undefined : structuredClone(lead[field]); });
+  return snapshot;
+}
+
+// stage_changed, tag_added and field_changed events between a snapshot
+// and the lead's present state
+function changeEvents(before, lead) {
+  const events = [];
+  if (before.stage !== lead.stage || before.pipeline_id !== lead.pipeline_id) {
+    events.push({ type: 'stage_changed', from: before.stage, to: lead.stage, pipeline_id: lead.pipeline_id });
+  }
+  const oldTags = new Set((before.tags || []).map(t => t.toLowerCase()));
+  (lead.tags || []).filter(t => !oldTags.has(t.toLowerCase())).forEach(tag => events.push({ type: 'tag_added', tag }));
+  diffLead(before, lead).forEach(change => {
+    if (change.field !== 'custom_fields') {
+      events.push({ type: 'field_changed', field: change.field });
+      return;
+    }
+    const oldValues = change.old || {};
+    const newValues = change.new || {};
+    new Set([...Object.keys(oldValues), ...Object.keys(newValues)]).forEach(key => {
+      if (JSON.stringify(oldValues[key]) !== JSON.stringify(newValues[key])) {
+        events.push({ type: 'field_changed', field: `custom_fields.${key}` });
+      }
+    });
+  });
+  return events;
+}
+
+// Trigger parameters must equal the event's (tags and channels ignore case)
+function triggerMatches(trigger, event) {
+  if (trigger.type !== event.type) return false;
+  return TRIGGERS[trigger.type].every(param => {
+    if (trigger[param] === undefined) return true;
+    return String(event[param] || '').toLowerCase() === trigger[param].toLowerCase();
+  });
+}
+
+function describeEvent(event) {
+  switch (event.type) {
+    case 'stage_changed': return `stage changed to ${event.to}`;
+    case 'tag_added': return `tag "${event.tag}" added`;
+    case 'note_added': return `${event.note_type || 'note'} added`;
+    case 'field_changed': return `${event.field} changed`;
+    default: return event.type.replace(/_/g, ' ');
+  }
+}
+
+// ============================================
+// ENGINE
+// ============================================
+
+// Actions with effects outside the lead (campaigns, webhooks) wait until
+// the lead is saved: the caller's write may still be refused (409,
+// validation). They are kept per lead object, so a lead that is never
+// saved takes them with it.
+const deferred = new WeakMap();
+
+function deferAction(lead, label, effect) {
+  if (!deferred.has(lead)) deferred.set(lead, []);
+  deferred.get(lead).push({ label, effect });
+}
+
+// Run what the rules left for after the save; writeLead calls this once
+// the lead is stored
+function runDeferredActions(lead) {
+  const actions = deferred.get(lead);
+  if (!actions) return;
+  deferred.delete(lead);
+  actions.forEach(({ label, effect }) => {
+    try {
+      effect();
+    } catch (err) {
+      console.error(`[Automation] ${label} failed:`, err.message);
+    }
+  });
+}
+
+class AutomationEngine {
+  // webhookSender(eventType, payload, url) posts to `url`, or to the
+  // global webhook URL when it is empty
+  constructor(webhookSender) {
+    this.sendWebhook = webhookSender;
+  }
+
+  // Run the enabled rules matching `events` against a lead that is about
+  // to be saved; actions change the lead in place and the caller writes
+  // it. Campaign and webhook actions run once it is written (see
+  // runDeferredActions). Returns the activity entries of the rules that ran.
+  run(lead, events) {
+    const queue = events.map(event => ({ event, depth: 0 }));
+    const ran = new Set();
+    const log = [];
+    while (queue.length > 0) {
+      const { event, depth } = queue.shift();
+      ruleList().forEach(rule => {
+        if (!rule.enabled || ran.has(rule.id) || !triggerMatches(rule.trigger, event)) return;
+        if (rule.conditions && filterLeads([lead], rule.conditions, getAllCampaigns).length === 0) return;
+        ran.add(rule.id);
+
+        const before = snapshotLead(lead);
+        const results = rule.actions.map(action => {
+          try {
+            return this.apply(action, lead, rule);
+          } catch (err) {
+            console.error(`[Automation] ${rule.name} (${action.type}) failed:`, err.message);
+            return { action: action.type, status: 'failed', message: err.message };
+          }
+        });
+        const entry = {
+          type: 'automation',
+          message: `Automation "${rule.name}" (${describeEvent(event)}): ${results.map(r => r.message).join('; ')}`,
+          rule_id: rule.id,
+          trigger: event.type,
+          results,
+          timestamp: new Date().toISOString()
+        };
+        lead.activity.push(entry);
+        log.push(entry);
+
+        if (depth < MAX_CHAIN_DEPTH) {
+          changeEvents(before, lead).forEach(next => queue.push({ event: next, depth: depth + 1 }));
+        }
+      });
+    }
+    return log;
+  }
+
+  // Returns { action, status: 'done' | 'skipped' | 'failed', message }
+  apply(action, lead, rule) {
+    const done = message => ({ action: action.type, status: 'done', message });
+    const skipped = message => ({ action: action.type, status: 'skipped', message });
+    const now = new Date().toISOString();
+
+    switch (action.type) {
+      case 'set_stage': {
+        const placed = placeLead({ stage: action.stage, pipeline_id: action.pipeline_id }, lead, lead.owner_id);
+        if (placed.errors.length > 0) return skipped(`stage not set: ${placed.errors[0].message}`);
+        if (placed.stage === lead.stage && placed.pipeline.id === lead.pipeline_id) {
+          return skipped(`already in ${stageLabel(placed.pipeline, lead.stage)}`);
+        }
+        const from = { stage: lead.stage, pipeline_id: lead.pipeline_id };
+        lead.pipeline_id = placed.pipeline.id;
+        lead.stage = placed.stage;
+        try {
+          checkTransition(lead, from.stage, { pipelineChanged: from.pipeline_id !== lead.pipeline_id });
+        } catch (err) {
+          if (!(err instanceof TransitionError)) throw err;
+          Object.assign(lead, from);
+          return skipped(`stage not set: ${err.message}`);
+        }
+        lead.activity.push({
+          type: 'stage_change',
+          message: `Stage auto-changed from ${stageLabel(placed.pipeline, from.stage)} to ${stageLabel(placed.pipeline, lead.stage)} (${rule.name})`,
+          from: from.stage,
+          to: lead.stage,
+          timestamp: now
+        });
+        return done(`stage set to ${stageLabel(placed.pipeline, lead.stage)}`);
+      }
+      case 'add_tag':
+        if ((lead.tags || []).some(t => t.toLowerCase() === action.tag.toLowerCase())) return skipped(`already tagged "${action.tag}"`);
+        lead.tags = [...(lead.tags || []), action.tag];
+        return done(`tag "${action.tag}" added`);
+      case 'remove_tag': {
+        const tags = (lead.tags || []).filter(t => t.toLowerCase() !== action.tag.toLowerCase());
+        if (tags.length === (lead.tags || []).length) return skipped(`not tagged "${action.tag}"`);
+        lead.tags = tags;
+        return done(`tag "${action.tag}" removed`);
+      }
+      case 'assign': {
+        if (!action.assigned_to) {
+          lead.assigned_to = null;
+          return done('unassigned');
+        }
+        const member = findMember(action.assigned_to, lead.owner_id);
+        if (!member || !member.active) return skipped(`${memberName(action.assigned_to)} is not an active member of the lead's team`);
+        lead.assigned_to = member.user_id;
+        return done(`assigned to ${member.display_name}`);
+      }
+      case 'enroll_campaign': {
+        // Decided on a copy now, applied after the save
+        const campaign = readCampaign(action.campaign_id);
+        if (!campaign) return skipped(`campaign ${action.campaign_id} no longer exists`);
+        if (!enrollLead(structuredClone(campaign), lead)) return skipped(`not enrolled in "${campaign.name}" (already in it, no email, or blacklisted)`);
+        deferAction(lead, `${rule.name} (${action.type})`, () => updateRecord('campaigns', action.campaign_id, c => { enrollLead(c, lead); }));
+        return done(`enrolled in campaign "${campaign.name}"`);
+      }
+      case 'remove_from_campaign': {
+        const campaign = readCampaign(action.campaign_id);
+        if (!campaign) return skipped(`campaign ${action.campaign_id} no longer exists`);
+        if (!unenrollLead(structuredClone(campaign), lead.id)) return skipped(`not in campaign "${campaign.name}"`);
+        deferAction(lead, `${rule.name} (${action.type})`, () => updateRecord('campaigns', action.campaign_id, c => { unenrollLead(c, lead.id); }));
+        return done(`removed from campaign "${campaign.name}"`);
+      }
+      case 'set_human_mode':
+        lead.human_mode = action.value;
+        return done(`human mode ${action.value ? 'on' : 'off'}`);
+      case 'create_followup': {
+        // An earlier follow-up that is still ahead is kept
+        const due = new Date(Date.now() + action.in_days * 86400000).toISOString();
+        if (lead.next_followup && lead.next_followup > now && lead.next_followup < due) {
+          return skipped(`follow-up already due ${lead.next_followup.slice(0, 10)}`);
+        }
+        lead.next_followup = due;
+        return done(`follow-up set for ${due.slice(0, 10)}`);
+      }
+      case 'webhook':
+        deferAction(lead, `${rule.name} (${action.type})`, () => Promise.resolve(this.sendWebhook(action.event, {
+          rule: { id: rule.id, name: rule.name },
+          lead: {
+            id: lead.id,
+            company_name: lead.company_name,
+            contact_name: lead.contact_name,
+            emails: lead.emails,
+            phones: lead.phones,
+            pipeline_id: lead.pipeline_id,
+            stage: lead.stage,
+            tags: lead.tags,
+            assigned_to: lead.assigned_to,
+            deal_value: lead.deal_value,
+            owner_id: lead.owner_id
+          }
+        }, action.url)).catch(err => console.error(`[Automation] ${rule.name} webhook failed:`, err.message)));
+        return done(`webhook "${action.event}" sent`);
+      default:
+        return skipped(`unknown action ${action.type}`);
+    }
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  TRIGGERS,
+  ACTION_TYPES,
+  clearAutomationCache,
+  watchAutomations,
+  listAutomations,
+  getAutomation,
+  saveAutomation,
+  deleteAutomation,
+  ensureDefaultAutomations,
+  snapshotLead,
+  changeEvents,
+  runDeferredActions,
+  AutomationEngine
+};
@@ -0,0 +1,237 @@
+// ============================================
+// FlowTier Backups v1.0
+// Point-in-time snapshots of every storage
+// collection plus uploaded files, written as
+// gzipped JSON archives in backups/.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { storage, COLLECTIONS } = require('./storage');
+
+const BACKUPS_DIR = process.env.BACKUPS_DIR || path.join(__dirname, 'backups');
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const SNAPSHOT_FORMAT = 'flowtier-snapshot';
+const SCHEDULE_DEFAULTS = { enabled: false, interval_hours: 24, retention: 7 };
+
+if (!fs.existsSync(BACKUPS_DIR)) fs.mkdirSync(BACKUPS_DIR, { recursive: true });
+
+function archivePath(id) {
+  return path.join(BACKUPS_DIR, `${id}.json.gz`);
+}
+
+function manifestPath(id) {
+  return path.join(BACKUPS_DIR, `${id}.manifest.json`);
+}
+
+function isValidSnapshotId(id) {
+  return /^snap-[0-9TZ-]+-[a-z0-9_-]+$/i.test(id || '');
+}
+
+function listUploadFiles() {
+  if (!fs.existsSync(UPLOADS_DIR)) return [];
+  return fs.readdirSync(UPLOADS_DIR, { withFileTypes: true }).filter(d => d.isFile()).map(d => d.name);
+}
+
+// ============================================
+// SNAPSHOTS
+// ============================================
+
+// Capture every collection and upload in one synchronous pass, so no
+// request can write between the first and last record read.
+function createSnapshot(options = {}) {
+  const createdAt = new Date();
+  const reason = options.reason || 'manual';
+  const id = `snap-${createdAt.toISOString().replace(/[:.]/g, '-')}-${reason}`;
+
+  const collections = {};
+  const counts = {};
+  COLLECTIONS.forEach(collection => {
+    const records = {};
+    storage.keys(collection).forEach(key => {
+      const record = storage.get(collection, key);
+      if (record !== null) records[key] = record;
+    });
+    collections[collection] = records;
+    counts[collection] = Object.keys(records).length;
+  });
+
+  const uploads = {};
+  listUploadFiles().forEach(name => {
+    uploads[name] = fs.readFileSync(path.join(UPLOADS_DIR, name)).toString('base64');
+  });
+  counts.uploads = Object.keys(uploads).length;
+
+  const manifest = {
+    format: SNAPSHOT_FORMAT,
+    format_version: 1,
+    id,
+    reason,
+    label: options.label || '',
+    created_at: createdAt.toISOString(),
+    created_by: options.createdBy || null,
+    storage_adapter: storage.name,
+    counts
+  };
+
+  const archive = zlib.gzipSync(JSON.stringify({ manifest, collections, uploads }));
+  fs.writeFileSync(archivePath(id), archive);
+  manifest.size_bytes = archive.length;
+  fs.writeFileSync(manifestPath(id), JSON.stringify(manifest, null, 2), 'utf8');
+
+  console.log(`[Backup] Snapshot ${id} written (${Math.round(archive.length / 1024)} KB)`);
+  return manifest;
+}
+
+function listSnapshots() {
+  return fs.readdirSync(BACKUPS_DIR)
+    .filter(f => f.endsWith('.manifest.json'))
+    .map(f => {
+      try { return JSON.parse(fs.readFileSync(path.join(BACKUPS_DIR, f), 'utf8')); }
+      catch (e) { return null; }
+    })
+    .filter(m => m && fs.existsSync(archivePath(m.id)))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+function getSnapshot(id) {
+  if (!isValidSnapshotId(id) || !fs.existsSync(manifestPath(id))) return null;
+  return listSnapshots().find(m => m.id === id) || null;
+}
+
+function deleteSnapshot(id) {
+  if (!isValidSnapshotId(id)) return false;
+  let removed = false;
+  [archivePath(id), manifestPath(id)].forEach(p => {
+    if (fs.existsSync(p)) { fs.unlinkSync(p); removed = true; }
+  });
+  return removed;
+}
+
+function readArchive(id) {
+  if (!isValidSnapshotId(id) || !fs.existsSync(archivePath(id))) return null;
+  const bundle = JSON.parse(zlib.gunzipSync(fs.readFileSync(archivePath(id))).toString('utf8'));
+  if (!bundle.manifest || bundle.manifest.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`${id} is not a ${SNAPSHOT_FORMAT} archive`);
+  }
+  return bundle;
+}
+
+// Replace the current state with a snapshot. A safety snapshot of the
+// current state is taken first so a restore can itself be undone.
+function restoreSnapshot(id, options = {}) {
+  const bundle = readArchive(id);
+  if (!bundle) return null;
+
+  const safety = options.skipSafetySnapshot ? null : createSnapshot({ reason: 'pre-restore', createdBy: options.restoredBy });
+  const report = { snapshot_id: id, safety_snapshot_id: safety ? safety.id : null, collections: {}, uploads: {} };
+
+  COLLECTIONS.forEach(collection => {
+    const records = bundle.collections[collection] || {};
+    let removed = 0;
+    storage.keys(collection).forEach(key => {
+      if (!(key in records)) { storage.remove(collection, key); removed++; }
+    });
+    Object.entries(records).forEach(([key, record]) => storage.put(collection, key, record, { force: true }));
+    report.collections[collection] = { restored: Object.keys(records).length, removed };
+  });
+
+  if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+  const uploads = bundle.uploads || {};
+  let uploadsRemoved = 0;
+  listUploadFiles().forEach(name => {
+    if (!(name in uploads)) { fs.unlinkSync(path.join(UPLOADS_DIR, name)); uploadsRemoved++; }
+  });
+  Object.entries(uploads).forEach(([name, data]) => {
+    fs.writeFileSync(path.join(UPLOADS_DIR, path.basename(name)), Buffer.from(data, 'base64'));
+  });
+  report.uploads = { restored: Object.keys(uploads).length, removed: uploadsRemoved };
+
+  console.log(`[Backup] Restored snapshot ${id}`);
+  return report;
+}
+
+// ============================================
+// SCHEDULED SNAPSHOTS
+// ============================================
+function getBackupSchedule() {
+  return Object.assign({}, SCHEDULE_DEFAULTS, storage.get('config', 'backup_schedule') || {});
+}
+
+function setBackupSchedule(settings) {
+  const current = getBackupSchedule();
+  const next = {
+    enabled: settings.enabled !== undefined ? settings.enabled === true : current.enabled,
+    interval_hours: Math.max(1, Number(settings.interval_hours) || current.interval_hours),
+    retention: Math.max(1, parseInt(settings.retention, 10) || current.retention),
+    updated_at: new Date().toISOString()
+  };
+  storage.put('config', 'backup_schedule', next);
+  return next;
+}
+
+// Keep only the newest `retention` scheduled snapshots. Manual and
+// pre-restore snapshots are never pruned automatically.
+function pruneScheduledSnapshots(retention) {
+  const scheduled = listSnapshots().filter(m => m.reason === 'scheduled');
+  const stale = scheduled.slice(retention);
+  stale.forEach(m => deleteSnapshot(m.id));
+  return stale.map(m => m.id);
+}
+
+class BackupScheduler {
+  constructor() {
+    this.timer = null;
+  }
+
+  // Due when the newest scheduled snapshot is older than the interval.
+  // Based on snapshots on disk, so restarts neither skip nor repeat a run.
+  isDue(schedule) {
+    const last = listSnapshots().find(m => m.reason === 'scheduled');
+    if (!last) return true;
+    return Date.now() - new Date(last.created_at).getTime() >= schedule.interval_hours * 3600000;
+  }
+
+  tick() {
+    const schedule = getBackupSchedule();
+    if (!schedule.enabled || !this.isDue(schedule)) return null;
+    try {
+      const manifest = createSnapshot({ reason: 'scheduled' });
+      const pruned = pruneScheduledSnapshots(schedule.retention);
+      if (pruned.length > 0) console.log(`[Backup] Pruned ${pruned.length} old scheduled snapshot(s)`);
+      return manifest;
+    } catch (err) {
+      console.error('[Backup] Scheduled snapshot failed:', err.message);
+      return null;
+    }
+  }
+
+  start(checkEveryMs = 60 * 1000) {
+    this.stop();
+    this.tick();
+    this.timer = setInterval(() => this.tick(), checkEveryMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  BACKUPS_DIR,
+  archivePath,
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  deleteSnapshot,
+  restoreSnapshot,
+  getBackupSchedule,
+  setBackupSchedule,
+  pruneScheduledSnapshots,
+  BackupScheduler
+};
@@ -5,44 +5,33 @@
 // webhook integration for Make.com
 // ============================================
 
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-
-const CAMPAIGNS_DIR = path.join(__dirname, 'data', 'campaigns');
-const BLACKLIST_FILE = path.join(__dirname, 'config', 'blacklist.json');
-
-// Ensure directories
-if (!fs.existsSync(CAMPAIGNS_DIR)) fs.mkdirSync(CAMPAIGNS_DIR, { recursive: true });
+const { storage, withLock, updateRecord } = require('./storage');
+const { upgradeRecord, CURRENT_CAMPAIGN_SCHEMA } = require('./migrations');
+const { isInTrash } = require('./trash');
+const { listFieldDefinitions, formatCustomValue } = require('./custom-fields');
 
 // ============================================
 // DATA ACCESS
 // ============================================
 function readCampaign(id) {
-  const file = path.join(CAMPAIGNS_DIR, `${id}.json`);
-  if (!fs.existsSync(file)) return null;
-  return JSON.parse(fs.readFileSync(file, 'utf8'));
+  const campaign = storage.get('campaigns', id);
+  if (campaign) upgradeRecord('campaigns', campaign);
+  return campaign;
 }
 
 function writeCampaign(campaign) {
-  const file = path.join(CAMPAIGNS_DIR, `${campaign.id}.json`);
-  fs.writeFileSync(file, JSON.stringify(campaign, null, 2));
+  storage.put('campaigns', campaign.id, campaign);
 }
 
 function deleteCampaignFile(id) {
-  const file = path.join(CAMPAIGNS_DIR, `${id}.json`);
-  if (fs.existsSync(file)) fs.unlinkSync(file);
+  storage.remove('campaigns', id);
 }
 
 function getAllCampaigns() {
-  if (!fs.existsSync(CAMPAIGNS_DIR)) return [];
-  return fs.readdirSync(CAMPAIGNS_DIR)
-    .filter(f => f.endsWith('.json'))
-    .map(f => {
-      try { return JSON.parse(fs.readFileSync(path.join(CAMPAIGNS_DIR, f), 'utf8')); }
-      catch { return null; }
-    })
-    .filter(Boolean)
+  return storage.list('campaigns')
+    .map(c => { upgradeRecord('campaigns', c); return c; })
     .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
 }
 
@@ -50,13 +39,11 @@ function getAllCampaigns() {
 // BLACKLIST
 // ============================================
 function getBlacklist() {
-  if (!fs.existsSync(BLACKLIST_FILE)) return [];
-  try { return JSON.parse(fs.readFileSync(BLACKLIST_FILE, 'utf8')); }
-  catch { return []; }
+  return storage.get('config', 'blacklist') || [];
 }
 
 function saveBlacklist(list) {
-  fs.writeFileSync(BLACKLIST_FILE, JSON.stringify(list, null, 2));
+  storage.put('config', 'blacklist', list);
 }
 
 function isBlacklisted(email) {
@@ -80,12 +67,43 @@ function removeFromBlacklist(email) {
   return list;
 }
 
+// ============================================
+// SUPPRESSION (erased data subjects)
+// ============================================
+
+// Only a SHA-256 of the normalized email is kept, so an erased person can
+// be kept out of campaigns without storing who they were.
+function suppressionHash(email) {
+  return crypto.createHash('sha256').update(String(email || '').trim().toLowerCase()).digest('hex');
+}
+
+function getSuppressionList() {
+  return storage.get('config', 'suppression') || [];
+}
+
+function isSuppressed(email) {
+  if (!email) return false;
+  const hash = suppressionHash(email);
+  return getSuppressionList().some(s => s.hash === hash);
+}
+
+function addSuppression(email, reason) {
+  const list = getSuppressionList();
+  const hash = suppressionHash(email);
+  if (!list.some(s => s.hash === hash)) {
+    list.push({ hash, reason: reason || '', added_at: new Date().toISOString() });
+    storage.put('config', 'suppression', list);
+  }
+  return hash;
+}
+
 // ============================================
 // CAMPAIGN DATA MODEL
 // ============================================
 function createCampaignObject(data) {
   return {
     id: data.id || uuidv4(),
+    schema_version: CURRENT_CAMPAIGN_SCHEMA,
     name: data.name || 'Untitled Campaign',
     description: data.description || '',
     status: data.status || 'draft', // draft, active, paused, completed
@@ -137,6 +155,42 @@ function createCampaignObject(data) {
   };
 }
 
+// Add a lead to a campaign's recipients at its primary email. Returns
+// the new entry, or null when the lead is already in the campaign, has
+// no email, or its email is blacklisted or suppressed.
+function enrollLead(campaign, lead) {
+  const primaryEmail = lead.emails[0];
+  if (campaign.leads.some(l => l.lead_id === lead.id) || !primaryEmail) return null;
+  if (isBlacklisted(primaryEmail) || isSuppressed(primaryEmail)) return null;
+
+  const entry = {
+    lead_id: lead.id,
+    email: primaryEmail,
+    contact_name: lead.contact_name || '',
+    company_name: lead.company_name || '',
+    status: 'pending', // pending, sent, waiting, completed, replied, bounced, opted_out, blacklisted, suppressed, error
+    current_step: 1,
+    last_sent_at: null,
+    sent_count: 0,
+    last_step_sent: 0,
+    paused: false,
+    added_at: new Date().toISOString()
+  };
+  campaign.leads.push(entry);
+  campaign.stats.total_leads = campaign.leads.length;
+  campaign.updated_at = entry.added_at;
+  return entry;
+}
+
+// Returns whether the lead was in the campaign
+function unenrollLead(campaign, leadId) {
+  const count = campaign.leads.length;
+  campaign.leads = campaign.leads.filter(l => l.lead_id !== leadId);
+  campaign.stats.total_leads = campaign.leads.length;
+  campaign.updated_at = new Date().toISOString();
+  return campaign.leads.length !== count;
+}
+
 // ============================================
 // SCHEDULING ENGINE
 // ============================================
@@ -202,6 +256,7 @@ class CampaignScheduler {
   findNextLead(campaign) {
     const blacklist = getBlacklist();
     const blacklistSet = new Set(blacklist.map(b => b.email.toLowerCase()));
+    const suppressedSet = new Set(getSuppressionList().map(s => s.hash));
 
     for (const entry of campaign.leads) {
       // Skip if already completed all steps, paused, bounced, replied, or opted out
@@ -216,10 +271,17 @@ class CampaignScheduler {
         continue;
       }
 
-      // Skip leads in human mode (manual follow-up)
+      // Skip erased data subjects
+      if (entry.email && suppressedSet.has(suppressionHash(entry.email))) {
+        entry.status = 'suppressed';
+        continue;
+      }
+
+      // Skip leads in human mode (manual follow-up) or sitting in the trash
       if (entry.lead_id && this.readLead) {
         try {
           const ld = this.readLead(entry.lead_id);
+          if (!ld && isInTrash('lead', entry.lead_id)) continue;
           if (ld && ld.human_mode === true) {
             console.log(`[Campaign] Skipping ${entry.email} — lead is in Human Mode`);
             continue;
@@ -273,12 +335,16 @@ class CampaignScheduler {
       '{{address}}': leadData.address || '',
       '{{phone}}': (leadData.phones || [])[0] || ''
     };
+    // Registry custom fields: {{custom.<key>}}
+    listFieldDefinitions(leadData.owner_id || null).forEach(def => {
+      mergeFields[`{{custom.${def.key}}}`] = formatCustomValue((leadData.custom_fields || {})[def.key]);
+    });
 
     let renderedSubject = step.subject_template || '';
     let renderedBody = step.body_template || '';
     for (const [key, val] of Object.entries(mergeFields)) {
-      renderedSubject = renderedSubject.replace(new RegExp(key.replace(/[{}]/g, '\\$&'), 'g'), val);
-      renderedBody = renderedBody.replace(new RegExp(key.replace(/[{}]/g, '\\$&'), 'g'), val);
+      renderedSubject = renderedSubject.split(key).join(val);
+      renderedBody = renderedBody.split(key).join(val);
     }
 
     const payload = {
@@ -401,8 +467,13 @@ class CampaignScheduler {
     }
   }
 
-  // Process one tick of a campaign
-  async processTick(campaignId) {
+  // Process one tick of a campaign. Ticks for the same campaign are
+  // serialized so an interval tick never overlaps a restart tick.
+  processTick(campaignId) {
+    return withLock('campaigns', campaignId, () => this.runTick(campaignId));
+  }
+
+  async runTick(campaignId) {
     const campaign = readCampaign(campaignId);
     if (!campaign || campaign.status !== 'active') {
       console.log(`[Campaign] Tick skipped for ${campaignId}: ${!campaign ? 'campaign not found' : `status is "${campaign.status}" (not active)`}`);
@@ -430,7 +501,7 @@ class CampaignScheduler {
     if (!next) {
       // Check if all leads are done
       const allDone = campaign.leads.every(l => 
-        ['completed', 'bounced', 'replied', 'opted_out', 'blacklisted'].includes(l.status)
+        ['completed', 'bounced', 'replied', 'opted_out', 'blacklisted', 'suppressed'].includes(l.status)
       );
       if (allDone && campaign.leads.length > 0) {
         campaign.status = 'completed';
@@ -455,6 +526,10 @@ class CampaignScheduler {
       return;
     }
 
+    // Persist bookkeeping from findNextLead (blacklisted/completed entries,
+    // daily counter reset) before the webhook await
+    writeCampaign(campaign);
+
     // Fire webhook
     console.log(`[Campaign] ${campaign.name}: Sending step ${step.step_number} to ${leadData.company_name} (${entry.email})`);
     const result = await this.fireEmailWebhook(campaign, entry, step, leadData);
@@ -465,67 +540,72 @@ class CampaignScheduler {
       const responseData = result.data || {};
       const webhookStatus = (responseData.status || 'sent').toLowerCase();
 
+      // The campaign and lead may have changed while the webhook was in flight
+      // (replies, bounces, edits), so results are applied to fresh copies.
+
       // If Make.com explicitly says it failed, don't mark as sent
       if (webhookStatus === 'failed' || webhookStatus === 'error') {
         console.error(`[Campaign] ${campaign.name}: Make.com reported failure for ${entry.email}:`, responseData.error || 'Unknown error');
-        entry.error = responseData.error || 'Send failed (reported by Make.com)';
-        writeCampaign(campaign);
+        updateRecord('campaigns', campaignId, c => {
+          const current = c.leads.find(l => l.lead_id === entry.lead_id);
+          if (current) current.error = responseData.error || 'Send failed (reported by Make.com)';
+        });
         return;
       }
 
-      // Update campaign lead entry
-      entry.last_sent_at = new Date().toISOString();
-      entry.sent_count = (entry.sent_count || 0) + 1;
-      entry.status = 'sent';
-      entry.last_step_sent = step.step_number;
-
-      // Move to next step or mark completed
-      const nextStep = campaign.steps.find(s => s.step_number === step.step_number + 1 && s.active);
-      if (nextStep) {
-        entry.current_step = nextStep.step_number;
-        entry.status = 'waiting'; // waiting for delay before next step
-      } else {
-        entry.status = 'completed'; // all steps done
-      }
-
-      // Use actual email content from Make.com response if available
-      // This captures the AI-personalized version that was actually sent
-      const actualSubject = responseData.subject_sent || responseData.subject || step.subject_template || `Campaign: ${campaign.name} - Step ${step.step_number}`;
-      const actualBody = responseData.email_sent || responseData.body || responseData.email_body || step.body_template || '';
-      const fromEmail = responseData.from_email || responseData.sender || '';
-
-      // Update campaign stats
-      campaign.stats.emails_sent++;
-      campaign.stats.sends_today++;
-      campaign.updated_at = new Date().toISOString();
+      updateRecord('campaigns', campaignId, c => {
+        const current = c.leads.find(l => l.lead_id === entry.lead_id);
+        if (current) {
+          // Update campaign lead entry
+          current.last_sent_at = new Date().toISOString();
+          current.sent_count = (current.sent_count || 0) + 1;
+          current.last_step_sent = step.step_number;
+
+          // Move to next step or mark completed. A reply, bounce or opt-out
+          // logged mid-send keeps its status so the lead stays stopped.
+          const stopped = ['replied', 'bounced', 'opted_out'].includes(current.status);
+          const nextStep = c.steps.find(s => s.step_number === step.step_number + 1 && s.active);
+          if (nextStep) {
+            current.current_step = nextStep.step_number;
+            if (!stopped) current.status = 'waiting'; // waiting for delay before next step
+          } else if (!stopped) {
+            current.status = 'completed'; // all steps done
+          }
+        }
 
-      writeCampaign(campaign);
+        // Update campaign stats
+        this.checkDailyLimit(c);
+        c.stats.emails_sent++;
+        c.stats.sends_today++;
+        c.updated_at = new Date().toISOString();
+      });
 
       // Log outreach ONLY if webhook response contains actual email content
       if (responseData.email_sent || responseData.subject_sent) {
-        if (!leadData.outreach) leadData.outreach = [];
-        leadData.outreach.unshift({
-          _id: uuidv4(),
-          direction: 'sent',
-          channel: 'email',
-          subject: responseData.subject_sent || '',
-          body: responseData.email_sent || '',
-          from_email: responseData.from_email || '',
-          to_email: entry.email,
-          timestamp: new Date().toISOString()
-        });
-
-        if (!leadData.activity) leadData.activity = [];
-        leadData.activity.push({
-          type: 'outreach',
-          message: `Campaign "${campaign.name}" - Step ${step.step_number} email sent`,
-          campaign_id: campaign.id,
-          timestamp: new Date().toISOString()
-        });
-
-        leadData.last_contacted = new Date().toISOString();
-        leadData.updated_at = new Date().toISOString();
-        this.writeLead(leadData);
+        const lead = this.readLead(entry.lead_id);
+        if (lead) {
+          lead.outreach.unshift({
+            _id: uuidv4(),
+            direction: 'sent',
+            channel: 'email',
+            subject: responseData.subject_sent || '',
+            body: responseData.email_sent || '',
+            from_email: responseData.from_email || '',
+            to_email: entry.email,
+            timestamp: new Date().toISOString()
+          });
+
+          lead.activity.push({
+            type: 'outreach',
+            message: `Campaign "${campaign.name}" - Step ${step.step_number} email sent`,
+            campaign_id: campaign.id,
+            timestamp: new Date().toISOString()
+          });
+
+          lead.last_contacted = new Date().toISOString();
+          lead.updated_at = new Date().toISOString();
+          this.writeLead(lead, { source: 'campaign_send' });
+        }
       }
 
       console.log(`[Campaign] ${campaign.name}: Step ${step.step_number} confirmed sent to ${entry.email}${responseData.subject_sent ? ' (AI-personalized)' : ''}`);
@@ -602,10 +682,16 @@ module.exports = {
   deleteCampaignFile,
   getAllCampaigns,
   createCampaignObject,
+  enrollLead,
+  unenrollLead,
   getBlacklist,
   saveBlacklist,
   isBlacklisted,
   addToBlacklist,
   removeFromBlacklist,
+  suppressionHash,
+  getSuppressionList,
+  isSuppressed,
+  addSuppression,
   CampaignScheduler
 };
@@ -0,0 +1,100 @@
+// ============================================
+// FlowTier Lead Manager CLI
+// One-shot maintenance commands that run
+// outside the web server.
+//
+//   node cli.js migrate-storage --from file --to sqlite [--dry-run]
+//   node cli.js migrate-schema [--dry-run]
+//   node cli.js backup create [--label "before import"]
+//   node cli.js backup list
+//   node cli.js backup restore <snapshot-id>
+// ============================================
+
+const { storage, createAdapter, migrateStorage } = require('./storage');
+const { runMigrations } = require('./migrations');
+const { setAdminUsername, ensureUserIds } = require('./team');
+const { createSnapshot, listSnapshots, restoreSnapshot } = require('./backup');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith('--')) {
+      const key = a.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) { args[key] = true; }
+      else { args[key] = next; i++; }
+    } else {
+      args._.push(a);
+    }
+  }
+  return args;
+}
+
+const commands = {
+  'migrate-storage': (args) => {
+    const fromName = args.from || 'file';
+    const toName = args.to || 'sqlite';
+    if (fromName === toName) throw new Error('--from and --to must name different adapters');
+    const from = createAdapter(fromName);
+    const to = createAdapter(toName);
+    try {
+      const report = migrateStorage(from, to, { dryRun: !!args['dry-run'] });
+      console.log(`[Storage] ${args['dry-run'] ? 'Dry run' : 'Migrated'} ${fromName} -> ${toName}:`);
+      Object.entries(report).forEach(([collection, count]) => console.log(`  ${collection}: ${count}`));
+    } finally {
+      from.close();
+      to.close();
+    }
+  },
+
+  'migrate-schema': (args) => {
+    // Assignees resolve to team members, the admin login among them
+    if (process.env.ADMIN_USER) setAdminUsername(process.env.ADMIN_USER);
+    if (!args['dry-run']) ensureUserIds();
+    const report = runMigrations(storage, { dryRun: !!args['dry-run'] });
+    console.log(`[Migrations] ${report.dry_run ? 'Dry run' : 'Applied'}:`);
+    Object.entries(report.collections).forEach(([collection, r]) => {
+      const versions = Object.entries(r.by_version).map(([v, n]) => `v${v}: ${n}`).join(', ') || 'nothing pending';
+      console.log(`  ${collection}: ${r.migrated}/${r.scanned} ${report.dry_run ? 'need upgrade' : 'upgraded'} to v${r.current_version} (${versions})`);
+      r.errors.forEach(e => console.log(`    ! ${e.id}: ${e.error}`));
+    });
+  },
+
+  // Restore while the server is stopped; it rebuilds its index on boot
+  backup: (args) => {
+    const action = args._[1] || 'list';
+    if (action === 'create') {
+      const m = createSnapshot({ label: typeof args.label === 'string' ? args.label : '', createdBy: 'cli' });
+      console.log(`[Backup] Created ${m.id}: ${JSON.stringify(m.counts)}`);
+    } else if (action === 'list') {
+      const snapshots = listSnapshots();
+      if (snapshots.length === 0) console.log('[Backup] No snapshots yet');
+      snapshots.forEach(m => console.log(`  ${m.id}  ${m.created_at}  ${Math.round((m.size_bytes || 0) / 1024)} KB  ${m.label || ''}`));
+    } else if (action === 'restore') {
+      const id = args._[2];
+      if (!id) throw new Error('Usage: node cli.js backup restore <snapshot-id>');
+      const report = restoreSnapshot(id, { restoredBy: 'cli' });
+      if (!report) throw new Error(`Snapshot ${id} not found`);
+      console.log(`[Backup] Restored ${id} (safety snapshot: ${report.safety_snapshot_id})`);
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      throw new Error(`Unknown backup action "${action}" (expected create, list or restore)`);
+    }
+  }
+};
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const name = args._[0];
+  if (!name || !commands[name]) {
+    console.log(`Usage: node cli.js <command> [options]\n\nCommands:\n  ${Object.keys(commands).join('\n  ')}`);
+    process.exit(name ? 1 : 0);
+  }
+  Promise.resolve().then(() => commands[name](args)).catch(err => {
+    console.error(`[CLI] ${name} failed:`, err.message);
+    process.exit(1);
+  });
+}
+
+main();
@@ -0,0 +1,203 @@
+// ============================================
+// FlowTier Custom Fields v1.0
+// Admin-managed registry of typed custom field
+// definitions (label, type, options, required,
+// client scope). Lead writes are validated
+// against it; import, export and campaign merge
+// fields discover custom fields from it.
+// ============================================
+
+const { storage } = require('./storage');
+const { ValidationError, fieldError, normalizeUrl } = require('./lead-validation');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'multi_select', 'boolean', 'url'];
+const OPTION_TYPES = ['select', 'multi_select'];
+const KEY_RE = /^[a-z][a-z0-9_]{0,39}$/;
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Definitions in display order. With `ownerId` given, only those that
+// apply to a lead of that owner: global ones plus that client's own.
+function listFieldDefinitions(ownerId) {
+  return storage.list('custom_fields')
+    .filter(def => ownerId === undefined || !def.client_id || def.client_id === ownerId)
+    .sort((a, b) => (a.position - b.position) || a.label.localeCompare(b.label));
+}
+
+function getFieldDefinition(key) {
+  return storage.get('custom_fields', key);
+}
+
+// Create (no `existing`) or update a definition. The key cannot change.
+// Throws ValidationError.
+function saveFieldDefinition(data, existing) {
+  const errors = [];
+  const pick = (field, fallback) => (data[field] !== undefined ? data[field] : (existing ? existing[field] : fallback));
+
+  const key = existing ? existing.key : String(data.key || '').trim();
+  if (!existing) {
+    if (!KEY_RE.test(key)) {
+      errors.push(fieldError('key', data.key, 'invalid_key', 'key must be lowercase letters, digits or _, start with a letter, at most 40 characters'));
+    } else if (getFieldDefinition(key)) {
+      errors.push(fieldError('key', key, 'duplicate_key', `Custom field "${key}" already exists`));
+    }
+  }
+
+  const label = String(pick('label', '') || '').trim() || key;
+  const type = pick('type', 'text');
+  if (!FIELD_TYPES.includes(type)) {
+    errors.push(fieldError('type', type, 'invalid_type', `type must be one of ${FIELD_TYPES.join(', ')}`));
+  }
+
+  let options = pick('options', []);
+  if (OPTION_TYPES.includes(type)) {
+    options = Array.isArray(options) ? Array.from(new Set(options.map(o => String(o).trim()).filter(Boolean))) : [];
+    if (options.length === 0) errors.push(fieldError('options', data.options, 'options_required', `${type} fields need at least one option`));
+  } else {
+    options = [];
+  }
+
+  const clientId = pick('client_id', null) || null;
+  if (clientId && !storage.list('users').some(u => u.client_id === clientId)) {
+    errors.push(fieldError('client_id', clientId, 'unknown_client', `Client "${clientId}" does not exist`));
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  const now = new Date().toISOString();
+  const def = {
+    ...(existing || { key, created_at: now }),
+    label,
+    type,
+    options,
+    required: pick('required', false) === true,
+    client_id: clientId,
+    position: Number(pick('position', 0)) || 0,
+    description: String(pick('description', '') || ''),
+    updated_at: now
+  };
+  storage.put('custom_fields', key, def, { force: true });
+  return def;
+}
+
+// Values already stored on leads are kept; the key just stops being validated
+function deleteFieldDefinition(key) {
+  if (!getFieldDefinition(key)) return false;
+  storage.remove('custom_fields', key);
+  return true;
+}
+
+// ============================================
+// VALUES
+// ============================================
+function isBlank(v) {
+  return v === undefined || v === null || (typeof v === 'string' && v.trim() === '') || (Array.isArray(v) && v.length === 0);
+}
+
+function matchOption(def, value) {
+  const wanted = String(value).trim().toLowerCase();
+  return def.options.find(o => o.toLowerCase() === wanted);
+}
+
+// Coerce one value to the definition's type: { value } or { error }
+function coerceValue(def, value) {
+  const fail = message => ({ error: { code: `invalid_${def.type}`, message: `${def.label}: ${message}` } });
+  switch (def.type) {
+    case 'number': {
+      const n = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+      return Number.isFinite(n) ? { value: n } : fail(`"${value}" is not a number`);
+    }
+    case 'date': {
+      const d = new Date(value);
+      return typeof value !== 'boolean' && !Number.isNaN(d.getTime())
+        ? { value: d.toISOString().slice(0, 10) }
+        : fail(`"${value}" is not a date`);
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      const s = String(value).trim().toLowerCase();
+      if (['true', 'yes', 'y', '1'].includes(s)) return { value: true };
+      if (['false', 'no', 'n', '0'].includes(s)) return { value: false };
+      return fail(`"${value}" is not true or false`);
+    }
+    case 'select': {
+      const option = matchOption(def, value);
+      return option ? { value: option } : fail(`"${value}" is not one of ${def.options.join(', ')}`);
+    }
+    case 'multi_select': {
+      const list = (Array.isArray(value) ? value : String(value).split(/[,;]/)).map(v => String(v).trim()).filter(Boolean);
+      const unknown = list.filter(v => !matchOption(def, v));
+      if (unknown.length > 0) return fail(`${unknown.map(v => `"${v}"`).join(', ')} not in ${def.options.join(', ')}`);
+      return { value: Array.from(new Set(list.map(v => matchOption(def, v)))) };
+    }
+    case 'url': {
+      const result = normalizeUrl(typeof value === 'string' ? value : String(value));
+      return result.error ? fail(`"${value}" is not a valid URL`) : { value: result.value };
+    }
+    default:
+      return typeof value === 'object' ? fail('expected text') : { value: String(value) };
+  }
+}
+
+// Validate custom_fields for a lead owned by `ownerId`. Keys with a
+// definition are coerced to its type and blank values are dropped; keys
+// without one are stored as given. options.checkRequired also reports
+// required fields that end up blank. Returns { values, errors }.
+function normalizeCustomFields(input, ownerId, options = {}) {
+  const values = {};
+  const errors = [];
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { values, errors: [fieldError('custom_fields', input, 'invalid_object', 'custom_fields must be an object')] };
+  }
+
+  const all = new Map(listFieldDefinitions().map(def => [def.key, def]));
+  const applicable = listFieldDefinitions(ownerId || null);
+  const inScope = new Set(applicable.map(def => def.key));
+
+  Object.entries(input || {}).forEach(([key, value]) => {
+    const def = all.get(key);
+    if (!def) {
+      if (!isBlank(value)) values[key] = value;
+      return;
+    }
+    if (!inScope.has(key)) {
+      errors.push(fieldError(`custom_fields.${key}`, value, 'out_of_scope', `${def.label} does not apply to this client's leads`));
+      return;
+    }
+    if (isBlank(value)) return;
+    const result = coerceValue(def, value);
+    if (result.error) errors.push(fieldError(`custom_fields.${key}`, value, result.error.code, result.error.message));
+    else values[key] = result.value;
+  });
+
+  if (options.checkRequired) {
+    applicable.forEach(def => {
+      if (def.required && isBlank(values[def.key]) && !errors.some(e => e.field === `custom_fields.${def.key}`)) {
+        errors.push(fieldError(`custom_fields.${def.key}`, null, 'required', `${def.label} is required`));
+      }
+    });
+  }
+  return { values, errors };
+}
+
+// Display form of a stored value (CSV cells, email merge fields)
+function formatCustomValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  return String(value);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  FIELD_TYPES,
+  listFieldDefinitions,
+  getFieldDefinition,
+  saveFieldDefinition,
+  deleteFieldDefinition,
+  normalizeCustomFields,
+  formatCustomValue
+};
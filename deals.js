@@ -0,0 +1,487 @@
+// ============================================
+// FlowTier Deals v1.0
+// Opportunities as records of their own. A lead
+// or an account can have many deals, each with an
+// amount and currency, product/service line items,
+// its own pipeline stage, a win probability and an
+// expected close date. A lead's deal_value and
+// proposal_url are derived from its deals.
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { storage } = require('./storage');
+const { ValidationError, fieldError, normalizeUrl } = require('./lead-validation');
+const { getPipeline, findStage, placeLead, stageProbability, normalizeStageReasons } = require('./pipelines');
+
+const DEAL_STATUSES = ['open', 'won', 'lost'];
+const CURRENCY_RE = /^[A-Z]{3}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_CURRENCY = 'USD';
+const MAX_LINE_ITEMS = 100;
+const MAX_NAME = 200;
+
+// ============================================
+// SETTINGS
+// ============================================
+
+// The base currency: lead deal_value and the headline stats only add
+// up deals in it
+function getDealSettings() {
+  const config = storage.get('config', 'deal_settings');
+  return { currency: (config && config.currency) || DEFAULT_CURRENCY };
+}
+
+// Throws ValidationError
+function setDealSettings(data) {
+  const currency = String(data.currency === undefined ? getDealSettings().currency : data.currency).trim().toUpperCase();
+  if (!CURRENCY_RE.test(currency)) {
+    throw new ValidationError([fieldError('currency', data.currency, 'invalid_currency', 'currency must be a 3-letter ISO code such as USD')]);
+  }
+  storage.put('config', 'deal_settings', { currency, updated_at: new Date().toISOString() }, { force: true });
+  return { currency };
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Every lead write looks up the lead's deals, so all deals are kept in
+// memory. Returned deals are shared and must not be modified.
+let cache = null; // id -> deal
+
+function dealMap() {
+  if (!cache) cache = new Map(storage.list('deals').map(d => [d.id, d]));
+  return cache;
+}
+
+// Call after deal records change outside this module (restores)
+function clearDealCache() {
+  cache = null;
+}
+
+// Drop the cache when deal files are edited outside the server.
+// Returns an unwatch function.
+function watchDeals() {
+  return storage.watch('deals', clearDealCache);
+}
+
+function getDeal(id) {
+  const deal = dealMap().get(id);
+  return deal ? structuredClone(deal) : null;
+}
+
+function storeDeal(deal) {
+  storage.put('deals', deal.id, deal, { force: true });
+  dealMap().set(deal.id, deal);
+  return deal;
+}
+
+function deleteDeal(id) {
+  if (!dealMap().has(id)) return false;
+  storage.remove('deals', id);
+  dealMap().delete(id);
+  return true;
+}
+
+// Oldest first
+function compareDeals(a, b) {
+  return a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id);
+}
+
+function dealsForLead(leadId) {
+  return Array.from(dealMap().values()).filter(d => d.lead_id === leadId).sort(compareDeals);
+}
+
+// filter: { lead_id, account_id, status, pipeline_id, stage, currency,
+// close_from, close_to } (close dates are YYYY-MM-DD and inclusive).
+// `include(deal)` narrows the list further (access checks).
+function listDeals(filter = {}, include = () => true) {
+  return Array.from(dealMap().values())
+    .filter(d => (filter.lead_id === undefined || d.lead_id === filter.lead_id)
+      && (filter.account_id === undefined || d.account_id === filter.account_id)
+      && (filter.status === undefined || d.status === filter.status)
+      && (filter.pipeline_id === undefined || d.pipeline_id === filter.pipeline_id)
+      && (filter.stage === undefined || d.stage === filter.stage)
+      && (filter.currency === undefined || d.currency === filter.currency)
+      && (filter.close_from === undefined || (d.expected_close_date && d.expected_close_date >= filter.close_from))
+      && (filter.close_to === undefined || (d.expected_close_date && d.expected_close_date <= filter.close_to))
+      && include(d))
+    .sort(compareDeals);
+}
+
+// Deal counts per stage of a pipeline, for the stage in-use checks
+function dealStageCounts(pipelineId) {
+  const counts = {};
+  dealMap().forEach(d => {
+    if (d.pipeline_id === pipelineId) counts[d.stage] = (counts[d.stage] || 0) + 1;
+  });
+  return counts;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function money(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isDate(value) {
+  return DATE_RE.test(value) && !isNaN(new Date(value + 'T00:00:00Z'));
+}
+
+// line_items: [{ name, quantity (default 1), unit_price }]; each item's
+// amount is quantity x unit_price
+function validateLineItems(input, errors) {
+  if (input === null || input === undefined) return [];
+  if (!Array.isArray(input) || input.length > MAX_LINE_ITEMS) {
+    errors.push(fieldError('line_items', input, 'invalid_line_items', `line_items must be an array of at most ${MAX_LINE_ITEMS} items`));
+    return [];
+  }
+  const items = [];
+  input.forEach((raw, i) => {
+    const where = `line_items[${i}]`;
+    const item = raw && typeof raw === 'object' ? raw : {};
+    const name = String(item.name || '').trim().slice(0, MAX_NAME);
+    const quantity = item.quantity === undefined || item.quantity === null || item.quantity === '' ? 1 : Number(item.quantity);
+    const unitPrice = Number(item.unit_price);
+    if (!name) errors.push(fieldError(`${where}.name`, item.name, 'name_required', `${where}: name is required`));
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      errors.push(fieldError(`${where}.quantity`, item.quantity, 'invalid_quantity', `${where}: quantity must be a number above 0`));
+    }
+    if (item.unit_price === undefined || item.unit_price === null || item.unit_price === '' || !Number.isFinite(unitPrice) || unitPrice < 0) {
+      errors.push(fieldError(`${where}.unit_price`, item.unit_price, 'invalid_amount', `${where}: unit_price must be a number of 0 or more`));
+    }
+    items.push({ name, quantity, unit_price: money(unitPrice), amount: money(quantity * unitPrice) });
+  });
+  return items;
+}
+
+// Build a deal's editable fields from `data` over `existing` (or the
+// defaults of a new deal). `ownerId` is the deal's workspace, for
+// pipeline access. Line items, when there are any, set the amount.
+// Throws ValidationError.
+function normalizeDeal(data, existing, ownerId, defaults = {}) {
+  const base = existing || {
+    name: defaults.name || '', amount: 0, currency: getDealSettings().currency, line_items: [],
+    pipeline_id: defaults.pipeline_id || null, stage: defaults.stage || null, probability_override: null,
+    expected_close_date: null, proposal_url: '', lost_reason: '', won_reason: ''
+  };
+  const pick = field => (data[field] !== undefined ? data[field] : base[field]);
+  const errors = [];
+
+  const lineItems = data.line_items !== undefined ? validateLineItems(data.line_items, errors) : base.line_items;
+  let amount = pick('amount');
+  if (lineItems.length > 0) {
+    const total = money(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    if (data.amount !== undefined && data.amount !== null && Number(data.amount) !== total) {
+      errors.push(fieldError('amount', data.amount, 'amount_mismatch', `amount must match the line items (${total}); leave it out to use their total`));
+    }
+    amount = total;
+  } else {
+    amount = amount === null || amount === '' ? 0 : Number(amount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      errors.push(fieldError('amount', data.amount, 'invalid_amount', 'amount must be a number of 0 or more'));
+    }
+  }
+
+  const currency = String(pick('currency') || '').trim().toUpperCase();
+  if (!CURRENCY_RE.test(currency)) {
+    errors.push(fieldError('currency', data.currency, 'invalid_currency', 'currency must be a 3-letter ISO code such as USD'));
+  }
+
+  const placement = { pipeline_id: data.pipeline_id, stage: data.stage };
+  const placed = placeLead(placement, { pipeline_id: base.pipeline_id, stage: base.stage }, ownerId);
+  errors.push(...placed.errors);
+
+  let override = pick('probability_override');
+  if (data.probability !== undefined) {
+    override = data.probability === null || data.probability === '' ? null : Number(data.probability);
+    if (override !== null && !(Number.isFinite(override) && override >= 0 && override <= 100)) {
+      errors.push(fieldError('probability', data.probability, 'invalid_probability', 'probability must be a number from 0 to 100, or null to follow the stage'));
+    }
+  }
+
+  let closeDate = pick('expected_close_date') || null;
+  if (closeDate && !isDate(closeDate)) {
+    const parsed = new Date(closeDate);
+    if (isNaN(parsed)) errors.push(fieldError('expected_close_date', closeDate, 'invalid_date', `"${closeDate}" is not a valid date (use YYYY-MM-DD)`));
+    else closeDate = parsed.toISOString().slice(0, 10);
+  }
+
+  let proposalUrl = pick('proposal_url') || '';
+  const url = normalizeUrl(String(proposalUrl));
+  if (url.error) errors.push(fieldError('proposal_url', proposalUrl, url.error.code, url.error.message));
+  else proposalUrl = url.value;
+
+  const reasons = { lost_reason: pick('lost_reason') || '', won_reason: pick('won_reason') || '' };
+  errors.push(...normalizeStageReasons(reasons));
+
+  const name = String(pick('name') || '').trim().slice(0, MAX_NAME) || (lineItems[0] ? lineItems[0].name : '');
+  if (!name) errors.push(fieldError('name', data.name, 'name_required', 'name is required'));
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return {
+    name,
+    amount: money(amount),
+    currency,
+    line_items: lineItems,
+    pipeline_id: placed.pipeline.id,
+    stage: placed.stage,
+    probability_override: override,
+    expected_close_date: closeDate,
+    proposal_url: proposalUrl,
+    lost_reason: reasons.lost_reason,
+    won_reason: reasons.won_reason
+  };
+}
+
+// Status and probability follow the stage, and the won/lost stamps the
+// status: set when a deal closes, cleared when it is reopened
+function settleDeal(deal, previous, now) {
+  const pipeline = getPipeline(deal.pipeline_id);
+  const stage = pipeline ? findStage(pipeline, deal.stage) : null;
+  deal.status = stage ? stage.outcome : 'open';
+  if (deal.status !== 'open') deal.probability = deal.status === 'won' ? 100 : 0;
+  else deal.probability = deal.probability_override !== null ? deal.probability_override : (pipeline ? stageProbability(pipeline, deal.stage) : 0);
+  ['won', 'lost'].forEach(status => {
+    const field = `${status}_at`;
+    if (deal.status !== status) deal[field] = null;
+    else if (!previous || previous.status !== status) deal[field] = now;
+  });
+  return deal;
+}
+
+// ============================================
+// WRITES
+// ============================================
+
+// New deal on `target`: { lead } (the deal joins the lead's account too)
+// or { account }. `actor` is the user_id creating it (null for the
+// system). Pipeline and stage default to the lead's. Throws ValidationError.
+function createDeal(target, data, actor, options = {}) {
+  const { lead, account } = target;
+  const ownerId = (lead || account).owner_id || null;
+  const now = new Date().toISOString();
+  const defaults = lead
+    ? { name: lead.company_name || lead.contact_name || 'Deal', pipeline_id: lead.pipeline_id, stage: lead.stage }
+    : { name: account.name };
+  const deal = {
+    id: uuidv4(),
+    lead_id: lead ? lead.id : null,
+    account_id: lead ? (lead.account_id || null) : account.id,
+    owner_id: ownerId,
+    ...normalizeDeal(data, null, ownerId, defaults),
+    follows_lead: !!(lead && options.followsLead),
+    status: 'open',
+    probability: 0,
+    won_at: null,
+    lost_at: null,
+    created_by: actor || null,
+    created_at: now,
+    updated_at: now
+  };
+  return storeDeal(settleDeal(deal, null, now));
+}
+
+// Apply `data` to a deal. Moving it to another pipeline or stage stops it
+// following its lead's stage. Returns { deal, previous } or null when the
+// deal does not exist. Throws ValidationError.
+function updateDeal(id, data) {
+  const previous = getDeal(id);
+  if (!previous) return null;
+  const now = new Date().toISOString();
+  const deal = { ...previous, ...normalizeDeal(data, previous, previous.owner_id), updated_at: now };
+  if (data.pipeline_id !== undefined || data.stage !== undefined) deal.follows_lead = false;
+  return { deal: storeDeal(settleDeal(deal, previous, now)), previous };
+}
+
+// Move the deals of merged-away leads onto the surviving lead. They keep
+// their stage rather than following the surviving lead's.
+function reassignLeadDeals(fromIds, lead) {
+  const from = new Set(fromIds);
+  let moved = 0;
+  Array.from(dealMap().values()).filter(d => from.has(d.lead_id)).forEach(d => {
+    storeDeal({ ...d, lead_id: lead.id, account_id: lead.account_id || null, owner_id: lead.owner_id || null, follows_lead: false });
+    moved++;
+  });
+  return moved;
+}
+
+function deleteLeadDeals(leadId) {
+  dealsForLead(leadId).forEach(d => deleteDeal(d.id));
+}
+
+// A deleted account takes its own deals with it; its contacts' deals
+// stay with the contacts. Returns how many deals were deleted.
+function releaseAccountDeals(accountId) {
+  let deleted = 0;
+  Array.from(dealMap().values()).filter(d => d.account_id === accountId).forEach(d => {
+    if (d.lead_id) {
+      storeDeal({ ...d, account_id: null });
+    } else {
+      deleteDeal(d.id);
+      deleted++;
+    }
+  });
+  return deleted;
+}
+
+// ============================================
+// LEAD FIELDS
+// ============================================
+
+// Deals that count towards a lead's deal_value: open and won ones in the
+// base currency
+function countsTowardValue(deal, currency) {
+  return deal.status !== 'lost' && deal.currency === currency;
+}
+
+// The deal a lead's proposal_url comes from: the newest open deal with a
+// proposal, else the newest won one
+function proposalDeal(deals) {
+  const withUrl = deals.filter(d => d.proposal_url).reverse();
+  return withUrl.find(d => d.status === 'open') || withUrl.find(d => d.status === 'won') || null;
+}
+
+// A deal_value written to `lead` can only go to one plain deal (see
+// syncLeadDeals). Returns a field error when `value` would change a value
+// made up of several deals, or of one with line items or in another
+// currency, else null.
+function dealValueError(lead, value) {
+  const counted = dealsForLead(lead.id).filter(d => d.status !== 'lost');
+  const only = counted.length === 1 ? counted[0] : null;
+  if (counted.length === 0 || (only && only.currency === getDealSettings().currency && only.line_items.length === 0)) return null;
+  if (money(Number(value) || 0) === (lead.deal_value || 0)) return null;
+  return fieldError('deal_value', value, 'derived_from_deals',
+    `deal_value is the total of this lead's deals; edit the deals instead`);
+}
+
+// Keep a lead and its deals in step once the lead is stored, the way
+// next_followup follows tasks. A deal_value written to the lead itself
+// goes to its only open or won deal when that one is in the base
+// currency without line items, or becomes a new deal when it has none
+// (routes refuse other edits up front, see dealValueError);
+// a new proposal_url goes to the deal the old one came from, else to the
+// newest open deal, else to a new deal. Deals created this way follow the
+// lead's pipeline stage (and won/lost reason) until they are moved on
+// their own. All deals take over a changed owner_id and account_id.
+// deal_value and proposal_url are then reset from the deals.
+function syncLeadDeals(lead, previous, actor) {
+  const currency = getDealSettings().currency;
+  const now = new Date().toISOString();
+  let deals = dealsForLead(lead.id);
+  const save = (deal, changes) => {
+    if (Object.keys(changes).every(k => deal[k] === changes[k])) return deal;
+    const updated = settleDeal({ ...deal, ...changes, updated_at: now }, deal, now);
+    deals = deals.map(d => (d.id === deal.id ? storeDeal(updated) : d));
+    return updated;
+  };
+  const create = data => {
+    const deal = createDeal({ lead }, { ...data, currency }, actor, { followsLead: true });
+    deals.push(deal);
+    return deal;
+  };
+
+  const value = Number(lead.deal_value) || 0;
+  if (value !== ((previous && previous.deal_value) || 0) && value >= 0) {
+    const counted = deals.filter(d => d.status !== 'lost');
+    const only = counted.length === 1 ? counted[0] : null;
+    if (only && only.currency === currency && only.line_items.length === 0) save(only, { amount: value });
+    else if (counted.length === 0 && value > 0) create({ amount: value });
+  }
+
+  const proposalUrl = lead.proposal_url || '';
+  const url = proposalUrl !== ((previous && previous.proposal_url) || '') ? normalizeUrl(proposalUrl) : null;
+  // Invalid links are left as they were; lead payloads are validated
+  // before they get here
+  if (url && !url.error) {
+    const open = deals.filter(d => d.status === 'open');
+    const target = proposalDeal(deals) || open[open.length - 1];
+    if (target) save(target, { proposal_url: url.value });
+    else if (url.value) create({ proposal_url: url.value });
+  }
+
+  const ownerId = lead.owner_id || null;
+  const accountId = lead.account_id || null;
+  deals.forEach(d => {
+    const changes = {};
+    if (d.owner_id !== ownerId) changes.owner_id = ownerId;
+    if (d.account_id !== accountId) changes.account_id = accountId;
+    if (d.follows_lead && (d.pipeline_id !== lead.pipeline_id || d.stage !== lead.stage)) {
+      Object.assign(changes, { pipeline_id: lead.pipeline_id, stage: lead.stage });
+    }
+    if (d.follows_lead && (d.lost_reason !== (lead.lost_reason || '') || d.won_reason !== (lead.won_reason || ''))) {
+      Object.assign(changes, { lost_reason: lead.lost_reason || '', won_reason: lead.won_reason || '' });
+    }
+    if (Object.keys(changes).length > 0) save(d, changes);
+  });
+
+  lead.deal_value = money(deals.filter(d => countsTowardValue(d, currency)).reduce((sum, d) => sum + d.amount, 0));
+  const proposal = proposalDeal(deals);
+  lead.proposal_url = proposal ? proposal.proposal_url : '';
+}
+
+// Once per install: leads that had a deal_value or proposal_url before
+// deals existed get them as a deal at the lead's stage, closed when the
+// lead entered a won or lost stage. The config doc 'deals' marks it done.
+function ensureLeadDeals(forEachLead) {
+  if (storage.get('config', 'deals')) return 0;
+  const withDeals = new Set(Array.from(dealMap().values(), d => d.lead_id));
+  const currency = getDealSettings().currency;
+  let created = 0;
+  forEachLead(lead => {
+    if (withDeals.has(lead.id) || !((Number(lead.deal_value) || 0) > 0 || lead.proposal_url)) return;
+    const data = {
+      amount: Math.max(Number(lead.deal_value) || 0, 0),
+      currency,
+      proposal_url: normalizeUrl(String(lead.proposal_url || '')).value || '',
+      lost_reason: lead.lost_reason || '',
+      won_reason: lead.won_reason || ''
+    };
+    let deal;
+    try {
+      deal = createDeal({ lead }, data, null, { followsLead: true });
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      // A reason that is no longer on the managed lists
+      deal = createDeal({ lead }, { ...data, lost_reason: '', won_reason: '' }, null, { followsLead: true });
+    }
+    const entered = (lead.activity || []).filter(a => a.type === 'stage_change' && a.to === lead.stage).pop();
+    const closedAt = entered ? entered.timestamp : lead.updated_at;
+    storeDeal({
+      ...deal,
+      created_at: lead.created_at || deal.created_at,
+      won_at: deal.won_at ? closedAt : null,
+      lost_at: deal.lost_at ? closedAt : null
+    });
+    created++;
+  });
+  storage.put('config', 'deals', { leads_converted_at: new Date().toISOString(), converted: created }, { force: true });
+  if (created > 0) console.log(`[Deals] Converted ${created} lead deal value(s) into deals`);
+  return created;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  DEAL_STATUSES,
+  getDealSettings,
+  setDealSettings,
+  clearDealCache,
+  watchDeals,
+  getDeal,
+  listDeals,
+  dealsForLead,
+  dealStageCounts,
+  createDeal,
+  updateDeal,
+  deleteDeal,
+  reassignLeadDeals,
+  deleteLeadDeals,
+  releaseAccountDeals,
+  dealValueError,
+  syncLeadDeals,
+  ensureLeadDeals
+};
@@ -0,0 +1,423 @@
+// ============================================
+// FlowTier Duplicate Scan v1.0
+// Whole-database duplicate detection: normalized
+// company names, website/email domains, fuzzy
+// contact names. Groups matching leads into
+// clusters for review and merge.
+// ============================================
+
+const crypto = require('crypto');
+const { storage } = require('./storage');
+const { normalizeEmail, phoneKey } = require('./lead-index');
+
+// Pairs below this confidence (0-100) are not reported
+const MIN_CONFIDENCE = 50;
+const SIMILARITY_THRESHOLD = 0.85;
+// Blocks bigger than this (e.g. a very common first word) are too
+// unspecific to compare pairwise and are skipped
+const MAX_BLOCK_SIZE = 200;
+const SCAN_INTERVAL_HOURS = 6;
+const YIELD_EVERY = 1000;
+
+// Trailing legal-form words ignored when comparing company names
+const LEGAL_SUFFIXES = new Set([
+  'llc', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited',
+  'plc', 'gmbh', 'lp', 'llp', 'pllc', 'pc', 'pa', 'sa', 'srl', 'bv', 'ag'
+]);
+
+// Domains shared by unrelated businesses never count as a match
+const SHARED_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'aol.com', 'icloud.com', 'me.com', 'mac.com', 'protonmail.com', 'proton.me', 'gmx.com', 'mail.com',
+  'ymail.com', 'comcast.net', 'att.net', 'verizon.net', 'sbcglobal.net',
+  'facebook.com', 'linkedin.com', 'instagram.com', 'twitter.com', 'x.com', 'yelp.com', 'google.com'
+]);
+
+// Signal weights: the chance that the signal alone means a duplicate
+const WEIGHTS = {
+  email: 0.95,
+  phone: 0.85,
+  website: 0.8,
+  company: 0.7,
+  email_domain: 0.6,
+  company_similar: 0.5,
+  contact: 0.45,
+  company_contained: 0.35,
+  contact_similar: 0.3
+};
+
+// What each signal means. Stored scan results keep only the signal kinds,
+// not the emails or names that matched: they sit in config outside the
+// leads, where a privacy erasure would not reach them.
+const SIGNAL_REASONS = {
+  email: 'Same email address',
+  phone: 'Same phone number',
+  website: 'Same website domain',
+  company: 'Same company name after normalization',
+  email_domain: 'Email domain matches the other lead\'s website or email domain',
+  company_similar: 'Similar company names',
+  contact: 'Same contact name',
+  company_contained: 'One company name contains the other',
+  contact_similar: 'Similar contact names'
+};
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+// "The Acme Plumbing, L.L.C." -> "acme plumbing"
+function normalizeCompanyName(name) {
+  const words = String(name || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .split(/\s+/)
+    .filter(Boolean);
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) words.pop();
+  if (words.length > 1 && words[0] === 'the') words.shift();
+  return words.join(' ');
+}
+
+function normalizePersonName(name) {
+  return String(name || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .join(' ');
+}
+
+// "https://www.Acme.com/contact" -> "acme.com"; '' when not a domain
+function normalizeDomain(value) {
+  const host = String(value || '').trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^www\d*\./, '')
+    .split(/[/?#:]/)[0];
+  return host.includes('.') && !SHARED_DOMAINS.has(host) ? host : '';
+}
+
+function emailDomain(email) {
+  const at = email.lastIndexOf('@');
+  return at === -1 ? '' : normalizeDomain(email.slice(at + 1));
+}
+
+// ============================================
+// SIMILARITY
+// ============================================
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// 1 for identical strings, 0 for nothing in common
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 0;
+  // Lengths alone rule out a match; skip the distance computation
+  if (Math.min(a.length, b.length) / longest < SIMILARITY_THRESHOLD) return 0;
+  return 1 - levenshtein(a, b) / longest;
+}
+
+// Every word of the shorter name appears in the longer one
+function containsWords(a, b) {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const words = new Set(longer.split(' '));
+  return shorter.split(' ').every(w => words.has(w));
+}
+
+// ============================================
+// PAIR SCORING
+// ============================================
+
+// The comparable parts of a lead, computed once per scan
+function profile(lead) {
+  const emails = (lead.emails || []).flat(Infinity).filter(e => typeof e === 'string').map(normalizeEmail).filter(Boolean);
+  const websites = [lead.website].map(normalizeDomain).filter(Boolean);
+  return {
+    id: lead.id,
+    owner: lead.owner_id || null,
+    emails: new Set(emails),
+    phones: new Set((lead.phones || []).flat(Infinity).map(phoneKey).filter(k => k.length >= 7)),
+    company: normalizeCompanyName(lead.company_name),
+    contact: normalizePersonName(lead.contact_name),
+    websites: new Set(websites),
+    emailDomains: new Set(emails.map(emailDomain).filter(Boolean))
+  };
+}
+
+function intersect(a, b) {
+  return Array.from(a).filter(x => b.has(x));
+}
+
+// { confidence: 0-100, signals: [kind, ...] } for two profiles
+function scorePair(a, b) {
+  const signals = [];
+
+  intersect(a.emails, b.emails).forEach(() => signals.push('email'));
+  if (intersect(a.phones, b.phones).length > 0) signals.push('phone');
+
+  if (a.company && b.company) {
+    if (a.company === b.company) signals.push('company');
+    else if (similarity(a.company, b.company) >= SIMILARITY_THRESHOLD) signals.push('company_similar');
+    else if (containsWords(a.company, b.company)) signals.push('company_contained');
+  }
+
+  if (intersect(a.websites, b.websites).length > 0) {
+    signals.push('website');
+  } else if (intersect(a.websites, b.emailDomains).length > 0 || intersect(b.websites, a.emailDomains).length > 0
+    || intersect(a.emailDomains, b.emailDomains).length > 0) {
+    signals.push('email_domain');
+  }
+
+  if (a.contact && b.contact) {
+    if (a.contact === b.contact) signals.push('contact');
+    else if (similarity(a.contact, b.contact) >= SIMILARITY_THRESHOLD) signals.push('contact_similar');
+  }
+
+  // Independent signals combine: 1 - P(no signal is right)
+  const miss = signals.reduce((p, kind) => p * (1 - WEIGHTS[kind]), 1);
+  return { confidence: Math.round((1 - miss) * 100), signals: Array.from(new Set(signals)) };
+}
+
+// Readable reasons for a stored pair
+function pairReasons(pair) {
+  return (pair.signals || []).map(kind => SIGNAL_REASONS[kind]);
+}
+
+// Keys a lead is filed under; only leads sharing a key are compared
+function blockKeys(p) {
+  const keys = [];
+  p.emails.forEach(e => keys.push(`email:${e}`));
+  p.phones.forEach(k => keys.push(`phone:${k}`));
+  p.websites.forEach(d => keys.push(`domain:${d}`));
+  p.emailDomains.forEach(d => keys.push(`domain:${d}`));
+  if (p.company) {
+    keys.push(`company:${p.company}`);
+    keys.push(`company-word:${p.company.split(' ')[0]}`);
+    keys.push(`company-prefix:${p.company.replace(/ /g, '').slice(0, 4)}`);
+  }
+  if (p.contact) {
+    const words = p.contact.split(' ');
+    keys.push(`contact:${words[0][0]}${words[words.length - 1][0]}`);
+  }
+  return keys;
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+function clusterId(leadIds) {
+  return crypto.createHash('sha1').update(leadIds.join('|')).digest('hex').slice(0, 16);
+}
+
+// ============================================
+// SCAN
+// ============================================
+
+// Compare every plausible pair among `leads` and group matches into
+// clusters. Only leads with the same owner are compared, and dismissed
+// pairs are skipped. Yields to the event loop between batches so a large
+// database does not stall requests.
+async function scanDuplicates(leads) {
+  const dismissed = getDismissals();
+  const profiles = leads.map(profile);
+
+  const blocks = new Map();
+  profiles.forEach((p, i) => blockKeys(p).forEach(key => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(i);
+  }));
+
+  const candidates = new Set();
+  blocks.forEach(members => {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) return;
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) candidates.add(members[x] * profiles.length + members[y]);
+    }
+  });
+
+  const pairs = [];
+  let compared = 0;
+  for (const candidate of candidates) {
+    const a = profiles[Math.floor(candidate / profiles.length)];
+    const b = profiles[candidate % profiles.length];
+    if (a.owner !== b.owner || dismissed[pairKey(a.id, b.id)]) continue;
+    const { confidence, signals } = scorePair(a, b);
+    if (confidence >= MIN_CONFIDENCE) pairs.push({ lead_ids: [a.id, b.id].sort(), confidence, signals });
+    if (++compared % YIELD_EVERY === 0) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  // Connected components over the matched pairs
+  const parent = new Map();
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  pairs.forEach(({ lead_ids: [a, b] }) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  });
+
+  const groups = new Map();
+  pairs.forEach(pair => {
+    const root = find(pair.lead_ids[0]);
+    if (!groups.has(root)) groups.set(root, { ids: new Set(), pairs: [] });
+    const group = groups.get(root);
+    pair.lead_ids.forEach(id => group.ids.add(id));
+    group.pairs.push(pair);
+  });
+
+  const clusters = Array.from(groups.values()).map(group => {
+    const leadIds = Array.from(group.ids).sort();
+    const sortedPairs = group.pairs.sort((a, b) => b.confidence - a.confidence);
+    return { id: clusterId(leadIds), lead_ids: leadIds, confidence: sortedPairs[0].confidence, pairs: sortedPairs };
+  });
+
+  return { leads_scanned: leads.length, pairs_compared: compared, clusters };
+}
+
+// ============================================
+// RESULTS & DISMISSALS
+// ============================================
+// Results saved before pairs kept signal kinds carry the matched emails and
+// names in their reasons; they count as no result, so a new scan replaces
+// them
+function getScanResult() {
+  const result = storage.get('config', 'duplicate_scan');
+  if (!result || result.clusters.some(c => c.pairs.some(p => p.reasons))) return null;
+  return result;
+}
+
+function getCluster(id) {
+  const result = getScanResult();
+  return result ? result.clusters.find(c => c.id === id) || null : null;
+}
+
+function getDismissals() {
+  return (storage.get('config', 'duplicate_dismissals') || {}).pairs || {};
+}
+
+// Mark every pair in the cluster as "not a duplicate" so later scans skip
+// them, and drop the cluster from the current result
+function dismissCluster(id, dismissedBy) {
+  const result = getScanResult();
+  const cluster = result && result.clusters.find(c => c.id === id);
+  if (!cluster) return null;
+
+  const pairs = getDismissals();
+  const at = new Date().toISOString();
+  cluster.lead_ids.forEach((a, i) => cluster.lead_ids.slice(i + 1).forEach(b => {
+    pairs[pairKey(a, b)] = { dismissed_by: dismissedBy || null, dismissed_at: at };
+  }));
+  storage.put('config', 'duplicate_dismissals', { pairs, updated_at: at }, { force: true });
+
+  result.clusters = result.clusters.filter(c => c.id !== id);
+  storage.put('config', 'duplicate_scan', result, { force: true });
+  return cluster;
+}
+
+// ============================================
+// SCHEDULED SCANS
+// ============================================
+class DuplicateScanner {
+  // getLeads() returns the leads to scan; they are only read
+  constructor(getLeads) {
+    this.getLeads = getLeads;
+    this.running = null;
+    this.rerun = false;
+    this.timer = null;
+  }
+
+  isDue() {
+    const last = getScanResult();
+    if (!last) return true;
+    return Date.now() - new Date(last.finished_at).getTime() >= SCAN_INTERVAL_HOURS * 3600000;
+  }
+
+  // Start a scan, or join the one in progress. Resolves to the stored result.
+  run() {
+    if (this.running) return this.running;
+    this.running = (async () => {
+      const startedAt = new Date();
+      const scan = await scanDuplicates(this.getLeads());
+      const result = {
+        started_at: startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        duration_ms: Date.now() - startedAt.getTime(),
+        ...scan
+      };
+      storage.put('config', 'duplicate_scan', result, { force: true });
+      console.log(`[Duplicates] Scanned ${scan.leads_scanned} lead(s): ${scan.clusters.length} cluster(s) in ${result.duration_ms}ms`);
+      return result;
+    })().finally(() => {
+      this.running = null;
+      if (this.rerun) {
+        this.rerun = false;
+        this.request();
+      }
+    });
+    return this.running;
+  }
+
+  // Scan in the background now, or once more after the scan in progress
+  // (whose lead snapshot may predate the request)
+  request() {
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+    this.run().catch(err => console.error('[Duplicates] Scan failed:', err.message));
+  }
+
+  tick() {
+    if (!this.running && this.isDue()) this.request();
+  }
+
+  start(checkEveryMs = 10 * 60 * 1000) {
+    this.stop();
+    this.tick();
+    this.timer = setInterval(() => this.tick(), checkEveryMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  get isRunning() {
+    return this.running !== null;
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  MIN_CONFIDENCE,
+  normalizeCompanyName,
+  normalizeDomain,
+  emailDomain,
+  similarity,
+  scorePair,
+  pairReasons,
+  scanDuplicates,
+  getScanResult,
+  getCluster,
+  dismissCluster,
+  DuplicateScanner
+};
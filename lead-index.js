@@ -0,0 +1,229 @@
+// ============================================
+// FlowTier Lead Index v1.0
+// Process-wide in-memory copy of every lead with
+// secondary hash indexes for email, phone,
+// owner, account, stage and tag lookups.
+// ============================================
+
+// ============================================
+// KEY NORMALIZATION
+// ============================================
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Last 10 digits, so "+1 (555) 010-2030" and "5550102030" share a key
+function phoneKey(phone) {
+  return typeof phone === 'string' || typeof phone === 'number'
+    ? String(phone).replace(/\D/g, '').slice(-10)
+    : '';
+}
+
+function flatStrings(list) {
+  return (Array.isArray(list) ? list : [list]).flat(Infinity).filter(v => typeof v === 'string' && v.trim());
+}
+
+// Index name -> function returning the keys a lead is filed under
+const INDEX_KEYS = {
+  email: lead => flatStrings(lead.emails).map(normalizeEmail),
+  outreach_email: lead => (lead.outreach || [])
+    .flatMap(o => [normalizeEmail(o.from_email), normalizeEmail(o.to_email)]),
+  phone: lead => flatStrings(lead.phones).map(phoneKey),
+  owner: lead => [lead.owner_id || ''],
+  account: lead => [lead.account_id || ''],
+  pipeline: lead => [lead.pipeline_id || ''],
+  stage: lead => [lead.stage || ''],
+  tag: lead => flatStrings(lead.tags).map(t => t.trim().toLowerCase())
+};
+
+// ============================================
+// LEAD INDEX
+// ============================================
+class LeadIndex {
+  // options.prepare(lead) runs on every lead loaded from storage
+  // (e.g. schema upgrades) before it is indexed.
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.prepare = options.prepare || (() => {});
+    this.leads = new Map(); // id -> lead
+    this.indexes = {};      // index name -> Map(key -> Set(id))
+    Object.keys(INDEX_KEYS).forEach(name => { this.indexes[name] = new Map(); });
+    this.unwatch = null;
+    this.listeners = [];
+  }
+
+  // Secondary indexes kept in step with this one. A listener may define
+  // reset(), upsert(lead) and remove(id); upsert gets the stored copy,
+  // which must not be mutated.
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(event, arg) {
+    this.listeners.forEach(l => { if (l[event]) l[event](arg); });
+  }
+
+  // Load every lead from storage and rebuild all indexes
+  build() {
+    this.leads.clear();
+    Object.values(this.indexes).forEach(m => m.clear());
+    this.notify('reset');
+    this.storage.list('leads').forEach(lead => {
+      this.prepare(lead);
+      this.upsert(lead);
+    });
+    console.log(`[LeadIndex] Indexed ${this.leads.size} lead(s)`);
+    return this.leads.size;
+  }
+
+  upsert(lead) {
+    if (!lead || !lead.id) return;
+    this.unindex(lead.id);
+    const copy = structuredClone(lead);
+    this.leads.set(copy.id, copy);
+    for (const [name, keysOf] of Object.entries(INDEX_KEYS)) {
+      const map = this.indexes[name];
+      new Set(keysOf(copy)).forEach(key => {
+        if (!key) return;
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(copy.id);
+      });
+    }
+    this.notify('upsert', copy);
+  }
+
+  remove(id) {
+    if (this.unindex(id)) this.notify('remove', id);
+  }
+
+  // Drop a lead from the secondary indexes; false if it was not indexed
+  unindex(id) {
+    const existing = this.leads.get(id);
+    if (!existing) return false;
+    for (const [name, keysOf] of Object.entries(INDEX_KEYS)) {
+      const map = this.indexes[name];
+      keysOf(existing).forEach(key => {
+        const ids = map.get(key);
+        if (!ids) return;
+        ids.delete(id);
+        if (ids.size === 0) map.delete(key);
+      });
+    }
+    this.leads.delete(id);
+    return true;
+  }
+
+  // Re-read one lead from storage (used for out-of-band edits)
+  refresh(id) {
+    const lead = this.storage.get('leads', id);
+    if (lead) {
+      this.prepare(lead);
+      this.upsert(lead);
+    } else {
+      this.remove(id);
+    }
+  }
+
+  // Keep the index current when lead files are edited outside the server
+  watch() {
+    if (this.unwatch) return;
+    let pending = new Set();
+    let timer = null;
+    this.unwatch = this.storage.watch('leads', id => {
+      pending.add(id);
+      if (timer) return;
+      timer = setTimeout(() => {
+        const ids = pending;
+        pending = new Set();
+        timer = null;
+        ids.forEach(leadId => this.refresh(leadId));
+      }, 250);
+    });
+  }
+
+  stopWatching() {
+    if (this.unwatch) this.unwatch();
+    this.unwatch = null;
+  }
+
+  // ============================================
+  // QUERIES (return copies so callers can mutate freely)
+  // ============================================
+  get size() {
+    return this.leads.size;
+  }
+
+  has(id) {
+    return this.leads.has(id);
+  }
+
+  get(id) {
+    const lead = this.leads.get(id);
+    return lead ? structuredClone(lead) : null;
+  }
+
+  all() {
+    return Array.from(this.leads.values(), l => structuredClone(l));
+  }
+
+  // Read-only iteration over the live objects, for scans that never mutate
+  forEach(fn) {
+    this.leads.forEach(fn);
+  }
+
+  ids(name, key) {
+    return Array.from(this.indexes[name].get(key) || []);
+  }
+
+  lookup(name, key) {
+    return this.ids(name, key).map(id => this.get(id)).filter(Boolean);
+  }
+
+  findByEmail(email) {
+    return this.lookup('email', normalizeEmail(email));
+  }
+
+  findByOutreachEmail(email) {
+    return this.lookup('outreach_email', normalizeEmail(email));
+  }
+
+  // Matches on the last 10 digits; shorter input matches as a suffix
+  findByPhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (digits.length >= 10) return this.lookup('phone', phoneKey(digits));
+    const ids = new Set();
+    for (const [key, set] of this.indexes.phone) {
+      if (key.endsWith(digits)) set.forEach(id => ids.add(id));
+    }
+    return Array.from(ids, id => this.get(id)).filter(Boolean);
+  }
+
+  findByOwner(ownerId) {
+    return this.lookup('owner', ownerId || '');
+  }
+
+  findByAccount(accountId) {
+    return this.lookup('account', accountId || '');
+  }
+
+  findByPipeline(pipelineId) {
+    return this.lookup('pipeline', pipelineId || '');
+  }
+
+  findByStage(stage) {
+    return this.lookup('stage', stage || '');
+  }
+
+  findByTag(tag) {
+    return this.lookup('tag', String(tag || '').trim().toLowerCase());
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  LeadIndex,
+  normalizeEmail,
+  phoneKey
+};
@@ -0,0 +1,226 @@
+// ============================================
+// FlowTier Lead Merge v1.0
+// Combine duplicate leads into one survivor:
+// per-field winner policy, union of list data,
+// campaign reference rewrites and tombstones
+// that redirect merged-away IDs.
+// ============================================
+
+const { storage, withLock, updateRecord } = require('./storage');
+const { normalizeEmail, phoneKey } = require('./lead-index');
+
+class MergeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MergeError';
+  }
+}
+
+// Single-value fields resolved by the winner policy
+const MERGE_FIELDS = [
+  'company_name', 'contact_name', 'website', 'linkedin', 'address', 'industry',
+  'company_size', 'revenue_estimate', 'lead_source', 'account_id', 'pipeline_id', 'stage', 'assigned_to',
+  'deal_value', 'details', 'last_contacted', 'next_followup', 'calendar_event',
+  'proposal_url', 'lost_reason', 'won_reason', 'human_mode', 'owner_id'
+];
+
+// target: keep the survivor's value
+// non_empty: survivor's value, else the first non-empty source value (default)
+// newest / oldest: non-empty value from the most / least recently updated lead
+// <lead id>: value from that lead
+const POLICIES = ['target', 'non_empty', 'newest', 'oldest'];
+
+function isEmpty(v) {
+  return v === undefined || v === null || v === '' || (typeof v === 'number' && v === 0) ||
+    (Array.isArray(v) && v.length === 0);
+}
+
+function validatePolicy(policy, ids, where) {
+  if (POLICIES.includes(policy) || ids.includes(policy)) return;
+  throw new MergeError(`${where}: unknown policy "${policy}" (use ${POLICIES.join(', ')} or one of the merged lead IDs)`);
+}
+
+function pickValue(policy, getter, target, sources) {
+  const all = [target, ...sources];
+  if (policy === 'target') return getter(target);
+  if (policy === 'newest' || policy === 'oldest') {
+    const sorted = all
+      .filter(l => !isEmpty(getter(l)))
+      .sort((a, b) => new Date(b.updated_at || 0) - new Date(a.updated_at || 0));
+    if (sorted.length === 0) return getter(target);
+    return getter(policy === 'newest' ? sorted[0] : sorted[sorted.length - 1]);
+  }
+  if (policy !== 'non_empty') return getter(all.find(l => l.id === policy));
+  const hit = all.find(l => !isEmpty(getter(l)));
+  return hit ? getter(hit) : getter(target);
+}
+
+function uniqueBy(list, keyOf) {
+  const seen = new Set();
+  return list.filter(item => {
+    const key = keyOf(item);
+    if (!key) return true; // nothing to dedupe on
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function byTime(field) {
+  return (a, b) => new Date(a[field] || 0) - new Date(b[field] || 0);
+}
+
+// ============================================
+// MERGE
+// ============================================
+
+// Build the merged lead. `target` and `sources` are plain lead objects;
+// neither is modified. options.default_policy applies to every field
+// without an entry in options.field_policy (keys are field names or
+// custom_fields.<key>). Returns { lead, fields } where `fields` maps each
+// field to the lead ID its value came from.
+function buildMergedLead(target, sources, options = {}) {
+  const ids = [target.id, ...sources.map(s => s.id)];
+  const defaultPolicy = options.default_policy || 'non_empty';
+  const fieldPolicy = options.field_policy || {};
+  validatePolicy(defaultPolicy, ids, 'default_policy');
+  Object.entries(fieldPolicy).forEach(([field, policy]) => {
+    if (!MERGE_FIELDS.includes(field) && !field.startsWith('custom_fields.')) {
+      throw new MergeError(`field_policy.${field}: field cannot be merged by policy`);
+    }
+    validatePolicy(policy, ids, `field_policy.${field}`);
+  });
+
+  const merged = structuredClone(target);
+  const all = [target, ...sources];
+  const provenance = {};
+  const resolve = (field, getter) => {
+    const policy = fieldPolicy[field] || defaultPolicy;
+    const value = pickValue(policy, getter, target, sources);
+    const from = all.find(l => JSON.stringify(getter(l)) === JSON.stringify(value));
+    provenance[field] = from ? from.id : target.id;
+    return structuredClone(value === undefined ? null : value);
+  };
+
+  MERGE_FIELDS.forEach(field => { merged[field] = resolve(field, l => l[field]); });
+
+  // A stage only means something in its own pipeline: when the policies
+  // picked them from leads in different pipelines, the stage follows the
+  // pipeline's lead
+  const stageFrom = all.find(l => l.id === provenance.stage);
+  if (stageFrom.pipeline_id !== merged.pipeline_id) {
+    const pipelineFrom = all.find(l => l.id === provenance.pipeline_id);
+    merged.stage = pipelineFrom.stage;
+    provenance.stage = pipelineFrom.id;
+  }
+
+  // Custom fields merge key by key
+  const customKeys = new Set();
+  all.forEach(l => Object.keys(l.custom_fields || {}).forEach(k => customKeys.add(k)));
+  merged.custom_fields = {};
+  customKeys.forEach(key => {
+    const value = resolve(`custom_fields.${key}`, l => (l.custom_fields || {})[key]);
+    if (value !== null && value !== undefined) merged.custom_fields[key] = value;
+  });
+
+  // List data is unioned; the survivor's entries come first
+  merged.emails = uniqueBy(all.flatMap(l => l.emails || []), normalizeEmail);
+  merged.phones = uniqueBy(all.flatMap(l => l.phones || []), phoneKey);
+  merged.tags = uniqueBy(all.flatMap(l => l.tags || []), t => String(t).trim().toLowerCase());
+  merged.notes = uniqueBy(all.flatMap(l => l.notes || []), n => n.id).sort(byTime('created_at'));
+  merged.outreach = uniqueBy(all.flatMap(l => l.outreach || []), o => o._id).sort(byTime('timestamp'));
+  merged.attachments = uniqueBy(all.flatMap(l => l.attachments || []), a => a.id);
+  merged.activity = all.flatMap(l => l.activity || []).sort(byTime('timestamp'));
+
+  // GHL linkage: keep the survivor's contact, else adopt the first source's
+  if (!merged.ghl_contact_id) {
+    const linked = sources.find(s => s.ghl_contact_id);
+    if (linked) merged.ghl_contact_id = linked.ghl_contact_id;
+  }
+  merged.merged_from = uniqueBy([...(target.merged_from || []), ...sources.flatMap(s => [s.id, ...(s.merged_from || [])])], id => id);
+
+  return { lead: merged, fields: provenance };
+}
+
+// ============================================
+// CAMPAIGN REFERENCES
+// ============================================
+
+// Point every campaign entry for a merged-away lead at the survivor. If the
+// survivor is already enrolled, the entry with more sends is kept.
+// Each campaign is rewritten under its tick lock. Resolves to the IDs of
+// the campaigns that changed.
+async function rewriteCampaignReferences(targetId, sourceIds) {
+  const sourceSet = new Set(sourceIds);
+  const affected = storage.list('campaigns')
+    .filter(c => (c.leads || []).some(e => sourceSet.has(e.lead_id)))
+    .map(c => c.id);
+
+  for (const id of affected) {
+    await withLock('campaigns', id, () => updateRecord('campaigns', id, campaign => {
+      const entries = campaign.leads.map(e => (sourceSet.has(e.lead_id) ? { ...e, lead_id: targetId } : e));
+      const best = new Map();
+      entries.forEach(e => {
+        if (e.lead_id !== targetId) return;
+        const kept = best.get(targetId);
+        if (!kept || (e.sent_count || 0) > (kept.sent_count || 0)) best.set(targetId, e);
+      });
+      campaign.leads = entries.filter(e => e.lead_id !== targetId || e === best.get(targetId));
+      campaign.stats.total_leads = campaign.leads.length;
+      campaign.updated_at = new Date().toISOString();
+    }));
+  }
+  return affected;
+}
+
+// ============================================
+// TOMBSTONES
+// ============================================
+function writeTombstone(sourceLead, targetId, mergedBy) {
+  const tombstone = {
+    id: sourceLead.id,
+    redirect_to: targetId,
+    ghl_contact_id: sourceLead.ghl_contact_id || null,
+    merged_at: new Date().toISOString(),
+    merged_by: mergedBy || null
+  };
+  storage.put('tombstones', sourceLead.id, tombstone, { force: true });
+
+  // Earlier merges into this lead now redirect straight to the new survivor
+  storage.list('tombstones')
+    .filter(t => t.redirect_to === sourceLead.id)
+    .forEach(t => storage.put('tombstones', t.id, { ...t, redirect_to: targetId }, { force: true }));
+  return tombstone;
+}
+
+function getTombstone(id) {
+  return storage.get('tombstones', id);
+}
+
+// Follow redirects from a merged-away ID to the surviving lead ID.
+// Returns the ID unchanged when it was never merged.
+function resolveLeadId(id) {
+  let current = id;
+  const seen = new Set();
+  let tombstone = storage.get('tombstones', current);
+  while (tombstone && !seen.has(current)) {
+    seen.add(current);
+    current = tombstone.redirect_to;
+    tombstone = storage.get('tombstones', current);
+  }
+  return current;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  MergeError,
+  MERGE_FIELDS,
+  POLICIES,
+  buildMergedLead,
+  rewriteCampaignReferences,
+  writeTombstone,
+  getTombstone,
+  resolveLeadId
+};
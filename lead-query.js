@@ -0,0 +1,313 @@
+// ============================================
+// FlowTier Lead Query v1.0
+// Structured lead filters (range, equality and
+// existence conditions composed with and/or/not)
+// and saved views stored per user.
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { storage } = require('./storage');
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// ============================================
+// FIELDS & OPERATORS
+// ============================================
+const RANGE_OPS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'exists'];
+
+const FIELD_TYPES = {
+  created_at: 'date',
+  updated_at: 'date',
+  last_contacted: 'date',
+  next_followup: 'date',
+  deal_value: 'number',
+  lead_score: 'number',
+  human_mode: 'boolean',
+  owner_id: 'string',
+  account_id: 'string',
+  pipeline_id: 'string',
+  stage: 'string',
+  company_name: 'string',
+  contact_name: 'string',
+  website: 'string',
+  linkedin: 'string',
+  address: 'string',
+  industry: 'string',
+  company_size: 'string',
+  lead_source: 'string',
+  assigned_to: 'string',
+  details: 'string',
+  lost_reason: 'string',
+  won_reason: 'string',
+  emails: 'list',
+  phones: 'list',
+  tags: 'list',
+  calendar_event: 'object',
+  campaign: 'campaign'
+  // custom_fields.<key> -> 'custom'
+};
+
+const TYPE_OPS = {
+  date: RANGE_OPS,
+  number: RANGE_OPS,
+  boolean: ['eq', 'ne', 'exists'],
+  string: ['eq', 'ne', 'in', 'nin', 'contains', 'exists'],
+  list: ['contains', 'in', 'nin', 'exists'],
+  object: ['exists'],
+  campaign: ['eq', 'ne', 'in', 'nin', 'exists'],
+  custom: RANGE_OPS.concat(['in', 'nin', 'contains'])
+};
+
+const MAX_DEPTH = 8;
+const MAX_CONDITIONS = 100;
+
+function fieldType(field) {
+  if (typeof field !== 'string') return null;
+  if (field.startsWith('custom_fields.') && field.length > 'custom_fields.'.length) return 'custom';
+  return FIELD_TYPES[field] || null;
+}
+
+function isMissing(v) {
+  return v === undefined || v === null || v === '';
+}
+
+function lower(v) {
+  return String(v).toLowerCase();
+}
+
+// ============================================
+// COMPILATION
+// ============================================
+
+// Turn the comparison value into the form the lead value is compared with
+function normalizeOperand(type, value, path) {
+  if (type === 'date') {
+    const t = new Date(value).getTime();
+    if (isMissing(value) || Number.isNaN(t)) throw new QueryError(`${path}: "${value}" is not a valid date`);
+    return t;
+  }
+  if (type === 'number') {
+    const n = Number(value);
+    if (isMissing(value) || Number.isNaN(n)) throw new QueryError(`${path}: "${value}" is not a number`);
+    return n;
+  }
+  if (type === 'boolean') {
+    if (typeof value !== 'boolean') throw new QueryError(`${path}: value must be true or false`);
+    return value;
+  }
+  if (type === 'custom') return typeof value === 'number' ? value : lower(value);
+  return lower(value);
+}
+
+// Lead value in comparable form; arrays for list-like fields
+function leadValue(type, field, lead, ctx) {
+  if (type === 'campaign') return Array.from(ctx.campaignsFor(lead.id));
+  if (type === 'custom') {
+    const v = (lead.custom_fields || {})[field.slice('custom_fields.'.length)];
+    if (isMissing(v)) return null;
+    return typeof v === 'number' ? v : lower(v);
+  }
+  const v = lead[field];
+  if (type === 'list') return (v || []).map(lower);
+  if (type === 'object') return v && typeof v === 'object' && Object.keys(v).length > 0 ? true : null;
+  if (isMissing(v)) return null;
+  if (type === 'date') return new Date(v).getTime();
+  if (type === 'number') return Number(v);
+  if (type === 'boolean') return v === true;
+  return lower(v);
+}
+
+function compileCondition(node, path) {
+  const type = fieldType(node.field);
+  if (!type) throw new QueryError(`${path}.field: unknown field "${node.field}"`);
+  const op = node.op || 'eq';
+  if (!TYPE_OPS[type].includes(op)) {
+    throw new QueryError(`${path}.op: "${op}" is not supported for ${node.field} (use ${TYPE_OPS[type].join(', ')})`);
+  }
+
+  if (op === 'exists') {
+    const want = node.value !== false;
+    return (lead, ctx) => {
+      const v = leadValue(type, node.field, lead, ctx);
+      const present = Array.isArray(v) ? v.length > 0 : v !== null;
+      return present === want;
+    };
+  }
+
+  if (op === 'in' || op === 'nin') {
+    if (!Array.isArray(node.value)) throw new QueryError(`${path}.value: ${op} expects an array`);
+    const set = new Set(node.value.map((v, i) => normalizeOperand(type, v, `${path}.value[${i}]`)));
+    const negate = op === 'nin';
+    return (lead, ctx) => {
+      const v = leadValue(type, node.field, lead, ctx);
+      const hit = Array.isArray(v) ? v.some(x => set.has(x)) : v !== null && set.has(v);
+      return hit !== negate;
+    };
+  }
+
+  if (op === 'between') {
+    if (!Array.isArray(node.value) || node.value.length !== 2) {
+      throw new QueryError(`${path}.value: between expects [from, to]`);
+    }
+    const lo = normalizeOperand(type, node.value[0], `${path}.value[0]`);
+    const hi = normalizeOperand(type, node.value[1], `${path}.value[1]`);
+    return (lead, ctx) => {
+      const v = leadValue(type, node.field, lead, ctx);
+      return v !== null && v >= lo && v <= hi;
+    };
+  }
+
+  // List-like fields match when any element satisfies the comparison;
+  // `contains` on a list means it holds that exact element
+  const operand = normalizeOperand(type, node.value, `${path}.value`);
+  const test = {
+    eq: v => v === operand,
+    ne: v => v !== operand,
+    gt: v => v > operand,
+    gte: v => v >= operand,
+    lt: v => v < operand,
+    lte: v => v <= operand,
+    contains: v => String(v).includes(String(operand))
+  }[op];
+  return (lead, ctx) => {
+    const v = leadValue(type, node.field, lead, ctx);
+    if (Array.isArray(v)) {
+      if (op === 'ne') return !v.includes(operand);
+      return op === 'contains' ? v.includes(operand) : v.some(test);
+    }
+    if (v === null) return op === 'ne';
+    return test(v);
+  };
+}
+
+function compileNode(node, path, depth, counter) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new QueryError(`${path}: expected an object`);
+  }
+  if (depth > MAX_DEPTH) throw new QueryError(`${path}: filters nest at most ${MAX_DEPTH} levels deep`);
+
+  if (node.and || node.or) {
+    const key = node.and ? 'and' : 'or';
+    const list = node[key];
+    if (!Array.isArray(list) || list.length === 0) throw new QueryError(`${path}.${key}: expected a non-empty array`);
+    const parts = list.map((child, i) => compileNode(child, `${path}.${key}[${i}]`, depth + 1, counter));
+    return key === 'and'
+      ? (lead, ctx) => parts.every(p => p(lead, ctx))
+      : (lead, ctx) => parts.some(p => p(lead, ctx));
+  }
+  if (node.not) {
+    const inner = compileNode(node.not, `${path}.not`, depth + 1, counter);
+    return (lead, ctx) => !inner(lead, ctx);
+  }
+
+  if (++counter.conditions > MAX_CONDITIONS) throw new QueryError(`filter: at most ${MAX_CONDITIONS} conditions are allowed`);
+  return compileCondition(node, path);
+}
+
+// Filter tree from a JSON string (query param) or an object (request body)
+function parseFilter(raw) {
+  if (isMissing(raw)) return null;
+  if (typeof raw !== 'string') return raw;
+  try { return JSON.parse(raw); } catch (e) { throw new QueryError('filter: not valid JSON'); }
+}
+
+// Validate a filter and return a predicate (lead, ctx) => boolean, or null
+// when there is no filter. Throws QueryError.
+function compileFilter(raw) {
+  const tree = parseFilter(raw);
+  return tree === null ? null : compileNode(tree, 'filter', 0, { conditions: 0 });
+}
+
+// Apply a filter. `getCampaigns` is only called if a condition needs
+// campaign membership.
+function filterLeads(leads, raw, getCampaigns) {
+  const predicate = compileFilter(raw);
+  if (!predicate) return leads;
+  let membership = null;
+  const ctx = {
+    campaignsFor(leadId) {
+      if (!membership) {
+        membership = new Map();
+        getCampaigns().forEach(c => c.leads.forEach(e => {
+          if (!membership.has(e.lead_id)) membership.set(e.lead_id, new Set());
+          membership.get(e.lead_id).add(lower(c.id));
+        }));
+      }
+      return membership.get(leadId) || new Set();
+    }
+  };
+  return leads.filter(lead => predicate(lead, ctx));
+}
+
+// ============================================
+// SAVED VIEWS
+// ============================================
+
+// Simple list params a view may carry alongside its structured filter
+const VIEW_PARAMS = ['industry', 'stage', 'tag', 'search', 'source', 'assigned_to'];
+
+function listViews(user) {
+  return storage.list('views')
+    .filter(v => v.user === user)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// A view is only visible to the user who saved it
+function getView(id, user) {
+  const view = storage.get('views', id);
+  return view && view.user === user ? view : null;
+}
+
+// Create (no `existing`) or update a view. Validates the filter first.
+function saveView(user, data, existing) {
+  const name = String(data.name !== undefined ? data.name : (existing ? existing.name : '')).trim();
+  if (!name) throw new QueryError('name is required');
+
+  const tree = parseFilter(data.filter !== undefined ? data.filter : (existing ? existing.filter : null));
+  compileFilter(tree);
+
+  const params = {};
+  const source = data.params !== undefined ? (data.params || {}) : (existing ? existing.params : {});
+  VIEW_PARAMS.forEach(k => { if (!isMissing(source[k])) params[k] = String(source[k]); });
+
+  const now = new Date().toISOString();
+  const view = {
+    ...(existing || { id: uuidv4(), user, created_at: now }),
+    name,
+    filter: tree,
+    params,
+    sort: data.sort !== undefined ? (data.sort || null) : (existing ? existing.sort : null),
+    order: data.order !== undefined ? (data.order === 'asc' ? 'asc' : 'desc') : (existing ? existing.order : 'desc'),
+    fields: data.fields !== undefined ? (data.fields || null) : (existing ? existing.fields : null),
+    updated_at: now
+  };
+  storage.put('views', view.id, view);
+  return view;
+}
+
+function deleteView(id, user) {
+  if (!getView(id, user)) return false;
+  storage.remove('views', id);
+  return true;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  QueryError,
+  FIELD_TYPES,
+  TYPE_OPS,
+  VIEW_PARAMS,
+  compileFilter,
+  filterLeads,
+  listViews,
+  getView,
+  saveView,
+  deleteView
+};
@@ -0,0 +1,338 @@
+// ============================================
+// FlowTier Lead Scoring v1.0
+// Configurable scoring model: weighted rules on
+// lead fields, tags, custom fields and stages,
+// engagement counts that fade with age, and
+// decay since the lead was last contacted.
+// Stored scores keep a history per lead.
+// ============================================
+
+const { storage } = require('./storage');
+const { ValidationError, fieldError } = require('./lead-validation');
+const { QueryError, compileFilter } = require('./lead-query');
+const { stageScore } = require('./pipelines');
+
+const RULE_TYPES = ['condition', 'engagement', 'stage'];
+// Engagement metrics: the lead's items that count, with their timestamp
+const METRICS = {
+  notes: lead => (lead.notes || []).map(n => n.created_at),
+  outreach: lead => (lead.outreach || []).map(o => o.timestamp),
+  outreach_sent: lead => (lead.outreach || []).filter(o => o.direction === 'sent').map(o => o.timestamp),
+  outreach_received: lead => (lead.outreach || []).filter(o => o.direction === 'received').map(o => o.timestamp)
+};
+const ID_RE = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_HISTORY = 100;
+const REFRESH_INTERVAL_HOURS = 6;
+const YIELD_EVERY = 500;
+
+// The weights that used to be hard-coded
+const DEFAULT_SCORING = {
+  max_score: 100,
+  rules: [
+    { id: 'has_email', label: 'Has an email', type: 'condition', when: { field: 'emails', op: 'exists' }, points: 10 },
+    { id: 'has_phone', label: 'Has a phone', type: 'condition', when: { field: 'phones', op: 'exists' }, points: 10 },
+    { id: 'has_website', label: 'Has a website', type: 'condition', when: { field: 'website', op: 'exists' }, points: 5 },
+    { id: 'has_linkedin', label: 'Has LinkedIn', type: 'condition', when: { field: 'linkedin', op: 'exists' }, points: 5 },
+    { id: 'has_company', label: 'Has a company name', type: 'condition', when: { field: 'company_name', op: 'exists' }, points: 5 },
+    { id: 'has_contact', label: 'Has a contact name', type: 'condition', when: { field: 'contact_name', op: 'exists' }, points: 5 },
+    { id: 'has_details', label: 'Has enrichment details', type: 'condition', when: { field: 'details', op: 'exists' }, points: 10 },
+    { id: 'has_deal_value', label: 'Has a deal value', type: 'condition', when: { field: 'deal_value', op: 'gt', value: 0 }, points: 10 },
+    { id: 'has_address', label: 'Has an address', type: 'condition', when: { field: 'address', op: 'exists' }, points: 5 },
+    { id: 'has_company_size', label: 'Has a company size', type: 'condition', when: { field: 'company_size', op: 'exists' }, points: 5 },
+    { id: 'call_booked', label: 'Call booked', type: 'condition', when: { field: 'calendar_event', op: 'exists' }, points: 15 },
+    { id: 'high_priority', label: 'Tagged high-priority', type: 'condition', when: { field: 'tags', op: 'contains', value: 'high-priority' }, points: 10 },
+    { id: 'stage', label: 'Pipeline stage', type: 'stage', weight: 1 },
+    { id: 'notes', label: 'Notes', type: 'engagement', metric: 'notes', points_each: 5, max: 20 },
+    { id: 'outreach', label: 'Outreach', type: 'engagement', metric: 'outreach', points_each: 5, max: 15 }
+  ],
+  // Engagement items count fully for grace_days, then lose half their
+  // points every half_life_days. Condition and stage points fade the same
+  // way from last_contacted, down to min_factor.
+  decay: { enabled: true, grace_days: 14, half_life_days: 30, min_factor: 0.5 },
+  updated_at: null
+};
+
+// ============================================
+// CONFIGURATION
+// ============================================
+function getScoringConfig() {
+  return storage.get('config', 'scoring') || DEFAULT_SCORING;
+}
+
+// Whether a filter tree has a condition on `field`
+function usesField(node, field) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(child => usesField(child, field));
+  return node.field === field || usesField(node.and || node.or || node.not, field);
+}
+
+function validateRule(raw, index, seen, errors) {
+  const where = `rules[${index}]`;
+  const rule = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+  const fail = (field, value, code, message) => errors.push(fieldError(`${where}.${field}`, value, code, `${where}: ${message}`));
+  const number = (field, fallback, check, message) => {
+    const value = rule[field] === undefined || rule[field] === '' ? fallback : Number(rule[field]);
+    if (!Number.isFinite(value) || !check(value)) fail(field, rule[field], 'invalid_number', message);
+    return value;
+  };
+
+  const id = String(rule.id || '').trim();
+  if (!ID_RE.test(id)) fail('id', rule.id, 'invalid_id', 'id must be lowercase letters, digits or _, starting with a letter');
+  else if (seen.has(id)) fail('id', id, 'duplicate_id', `rule "${id}" appears twice`);
+  seen.add(id);
+  const out = { id, label: String(rule.label || '').trim() || id, type: rule.type };
+
+  switch (rule.type) {
+    case 'condition':
+      try {
+        if (!compileFilter(rule.when)) fail('when', rule.when, 'when_required', 'condition rules need a `when` filter');
+      } catch (err) {
+        if (!(err instanceof QueryError)) throw err;
+        fail('when', rule.when, 'invalid_filter', err.message.replace(/^filter/, 'when'));
+      }
+      if (usesField(rule.when, 'campaign')) fail('when', rule.when, 'invalid_filter', 'campaign conditions cannot be used in scoring');
+      out.when = rule.when;
+      out.points = number('points', undefined, () => true, 'points must be a number');
+      break;
+    case 'engagement':
+      if (!METRICS[rule.metric]) fail('metric', rule.metric, 'invalid_metric', `metric must be one of ${Object.keys(METRICS).join(', ')}`);
+      out.metric = rule.metric;
+      out.points_each = number('points_each', undefined, () => true, 'points_each must be a number');
+      out.max = rule.max === undefined || rule.max === null ? null : number('max', undefined, v => v >= 0, 'max must be a number, 0 or more');
+      break;
+    case 'stage':
+      out.weight = number('weight', 1, () => true, 'weight must be a number');
+      break;
+    default:
+      fail('type', rule.type, 'invalid_type', `type must be one of ${RULE_TYPES.join(', ')}`);
+  }
+  return out;
+}
+
+// Replace the scoring model; parts left out keep their current value.
+// Throws ValidationError.
+function setScoringConfig(data) {
+  const current = getScoringConfig();
+  const errors = [];
+
+  const rawRules = data.rules !== undefined ? data.rules : current.rules;
+  if (!Array.isArray(rawRules)) errors.push(fieldError('rules', rawRules, 'invalid_array', 'rules must be an array'));
+  const seen = new Set();
+  const rules = Array.isArray(rawRules) ? rawRules.map((r, i) => validateRule(r, i, seen, errors)) : [];
+
+  const maxScore = data.max_score !== undefined ? Number(data.max_score) : current.max_score;
+  if (!Number.isFinite(maxScore) || maxScore <= 0) {
+    errors.push(fieldError('max_score', data.max_score, 'invalid_number', 'max_score must be a positive number'));
+  }
+
+  const rawDecay = { ...current.decay, ...(data.decay || {}) };
+  const decay = {
+    enabled: rawDecay.enabled !== false,
+    grace_days: Number(rawDecay.grace_days),
+    half_life_days: Number(rawDecay.half_life_days),
+    min_factor: Number(rawDecay.min_factor)
+  };
+  if (!Number.isFinite(decay.grace_days) || decay.grace_days < 0) {
+    errors.push(fieldError('decay.grace_days', rawDecay.grace_days, 'invalid_number', 'decay.grace_days must be 0 or more'));
+  }
+  if (!Number.isFinite(decay.half_life_days) || decay.half_life_days <= 0) {
+    errors.push(fieldError('decay.half_life_days', rawDecay.half_life_days, 'invalid_number', 'decay.half_life_days must be more than 0'));
+  }
+  if (!Number.isFinite(decay.min_factor) || decay.min_factor < 0 || decay.min_factor > 1) {
+    errors.push(fieldError('decay.min_factor', rawDecay.min_factor, 'invalid_number', 'decay.min_factor must be between 0 and 1'));
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  const config = { max_score: maxScore, rules, decay, updated_at: new Date().toISOString() };
+  storage.put('config', 'scoring', config, { force: true });
+  return config;
+}
+
+function resetScoringConfig() {
+  storage.remove('config', 'scoring');
+  return DEFAULT_SCORING;
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+// Compiled rule filters, rebuilt when the config changes
+let compiled = { updatedAt: undefined, predicates: null };
+
+function predicatesFor(config) {
+  if (compiled.updatedAt !== config.updated_at || !compiled.predicates) {
+    compiled = {
+      updatedAt: config.updated_at,
+      predicates: new Map(config.rules.filter(r => r.type === 'condition').map(r => [r.id, compileFilter(r.when)]))
+    };
+  }
+  return compiled.predicates;
+}
+
+function ageInDays(timestamp, now) {
+  const t = new Date(timestamp).getTime();
+  return Number.isNaN(t) ? null : Math.max(0, (now - t) / 86400000);
+}
+
+// Share of points something `days` old keeps
+function decayFactor(decay, days, floor = 0) {
+  if (!decay.enabled || days === null || days <= decay.grace_days) return 1;
+  return Math.max(floor, Math.pow(0.5, (days - decay.grace_days) / decay.half_life_days));
+}
+
+const round = n => Math.round(n * 10) / 10;
+
+// Score a lead and explain it: { score, raw, max_score, rules, decay }.
+// `rules` lists every rule with the points it gave; `decay` the points
+// lost since last_contacted.
+function explainScore(lead, config = getScoringConfig(), now = Date.now()) {
+  const predicates = predicatesFor(config);
+  const ctx = { campaignsFor: () => new Set() };
+  const rules = config.rules.map(rule => {
+    if (rule.type === 'condition') {
+      const matched = predicates.get(rule.id)(lead, ctx);
+      return { id: rule.id, label: rule.label, type: rule.type, matched, points: matched ? rule.points : 0, fades: true };
+    }
+    if (rule.type === 'stage') {
+      const points = stageScore(lead) * rule.weight;
+      return { id: rule.id, label: rule.label, type: rule.type, matched: points !== 0, points, detail: lead.stage, fades: true };
+    }
+    // Engagement: each item counts with its own age
+    const items = METRICS[rule.metric](lead);
+    const weighted = items.reduce((sum, at) => sum + decayFactor(config.decay, ageInDays(at, now)), 0);
+    let points = weighted * rule.points_each;
+    if (rule.max !== null) points = Math.min(points, rule.max);
+    return {
+      id: rule.id, label: rule.label, type: rule.type, matched: items.length > 0, points: round(points),
+      detail: `${items.length} item(s), ${round(weighted)} after decay`, fades: false
+    };
+  });
+
+  const fading = rules.filter(r => r.fades && r.points > 0).reduce((sum, r) => sum + r.points, 0);
+  const days = lead.last_contacted ? ageInDays(lead.last_contacted, now) : null;
+  const factor = decayFactor(config.decay, days, config.decay.min_factor);
+  const decayPoints = round(-fading * (1 - factor));
+
+  const raw = round(rules.reduce((sum, r) => sum + r.points, 0) + decayPoints);
+  return {
+    score: Math.max(0, Math.min(config.max_score, Math.round(raw))),
+    raw,
+    max_score: config.max_score,
+    rules: rules.map(({ fades, ...r }) => r),
+    decay: {
+      enabled: config.decay.enabled,
+      days_since_contact: days === null ? null : Math.floor(days),
+      factor: round(factor * 100) / 100,
+      points: decayPoints
+    }
+  };
+}
+
+function scoreLead(lead, config, now) {
+  return explainScore(lead, config, now).score;
+}
+
+// ============================================
+// SCORE HISTORY
+// ============================================
+function getScoreHistory(leadId) {
+  const doc = storage.get('score_history', leadId);
+  return doc ? doc.entries : [];
+}
+
+// Keep the latest MAX_HISTORY changes per lead
+function recordScoreChange(leadId, previous, score, source) {
+  const doc = storage.get('score_history', leadId) || { lead_id: leadId, entries: [] };
+  doc.entries.push({ score, previous, source: source || null, at: new Date().toISOString() });
+  if (doc.entries.length > MAX_HISTORY) doc.entries = doc.entries.slice(-MAX_HISTORY);
+  storage.put('score_history', leadId, doc, { force: true });
+}
+
+// ============================================
+// BACKGROUND REFRESH
+// ============================================
+// Decay lowers scores while leads sit untouched, so stored scores are
+// recalculated every few hours and after the model changes
+class ScoreRefresher {
+  // getLeads() returns the leads to check; rescore(lead) stores a new
+  // score and returns whether it changed
+  constructor(getLeads, rescore) {
+    this.getLeads = getLeads;
+    this.rescore = rescore;
+    this.running = null;
+    this.rerun = false;
+    this.timer = null;
+  }
+
+  isDue() {
+    const last = storage.get('config', 'score_refresh');
+    if (!last) return true;
+    return Date.now() - new Date(last.finished_at).getTime() >= REFRESH_INTERVAL_HOURS * 3600000;
+  }
+
+  run() {
+    if (this.running) return this.running;
+    this.running = (async () => {
+      const startedAt = new Date();
+      const config = getScoringConfig();
+      let checked = 0;
+      let updated = 0;
+      for (const lead of this.getLeads()) {
+        if (this.rescore(lead, config)) updated++;
+        if (++checked % YIELD_EVERY === 0) await new Promise(resolve => setImmediate(resolve));
+      }
+      const result = { started_at: startedAt.toISOString(), finished_at: new Date().toISOString(), leads_checked: checked, updated };
+      storage.put('config', 'score_refresh', result, { force: true });
+      if (updated > 0) console.log(`[Scoring] Rescored ${checked} lead(s), ${updated} changed`);
+      return result;
+    })().finally(() => {
+      this.running = null;
+      if (this.rerun) {
+        this.rerun = false;
+        this.request();
+      }
+    });
+    return this.running;
+  }
+
+  request() {
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+    this.run().catch(err => console.error('[Scoring] Refresh failed:', err.message));
+  }
+
+  tick() {
+    if (!this.running && this.isDue()) this.request();
+  }
+
+  start(checkEveryMs = 10 * 60 * 1000) {
+    this.stop();
+    this.tick();
+    this.timer = setInterval(() => this.tick(), checkEveryMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  RULE_TYPES,
+  METRICS: Object.keys(METRICS),
+  DEFAULT_SCORING,
+  getScoringConfig,
+  setScoringConfig,
+  resetScoringConfig,
+  explainScore,
+  scoreLead,
+  getScoreHistory,
+  recordScoreChange,
+  ScoreRefresher
+};
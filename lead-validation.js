@@ -0,0 +1,235 @@
+// ============================================
+// FlowTier Lead Validation v1.0
+// One normalization layer for contact fields on
+// every write path: emails (flattened, lowercased,
+// deduped), phones (E.164), website and LinkedIn
+// URLs. Invalid values become field errors.
+// ============================================
+
+const { storage } = require('./storage');
+
+class ValidationError extends Error {
+  // errors: [{ field, value, code, message }]
+  constructor(errors) {
+    super(errors.map(e => e.message).join('; '));
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// ============================================
+// DEFAULT COUNTRY
+// ============================================
+
+// ISO country -> calling code, whether national numbers carry a trunk
+// prefix 0, and the national number lengths when they are fixed
+const COUNTRIES = {
+  US: { code: '1', lengths: [10] },
+  CA: { code: '1', lengths: [10] },
+  MX: { code: '52', lengths: [10] },
+  GB: { code: '44', trunk: true, lengths: [9, 10] },
+  IE: { code: '353', trunk: true, lengths: [7, 8, 9] },
+  AU: { code: '61', trunk: true, lengths: [9] },
+  NZ: { code: '64', trunk: true, lengths: [8, 9, 10] },
+  DE: { code: '49', trunk: true },
+  FR: { code: '33', trunk: true, lengths: [9] },
+  ES: { code: '34', lengths: [9] },
+  IT: { code: '39' },
+  NL: { code: '31', trunk: true, lengths: [9] },
+  BR: { code: '55', trunk: true, lengths: [10, 11] },
+  IN: { code: '91', trunk: true, lengths: [10] },
+  ZA: { code: '27', trunk: true, lengths: [9] }
+};
+
+// Phones without a +country prefix are read as numbers of this country
+function getDefaultCountry() {
+  const config = storage.get('config', 'validation') || {};
+  return config.default_country || process.env.DEFAULT_PHONE_COUNTRY || 'US';
+}
+
+function setDefaultCountry(country) {
+  const code = String(country || '').trim().toUpperCase();
+  if (!COUNTRIES[code]) {
+    throw new ValidationError([fieldError('default_country', country, 'unknown_country',
+      `Unsupported country "${country}" (use ${Object.keys(COUNTRIES).join(', ')})`)]);
+  }
+  storage.put('config', 'validation', { default_country: code, updated_at: new Date().toISOString() }, { force: true });
+  return code;
+}
+
+// ============================================
+// SINGLE VALUES
+// ============================================
+// Each returns { value } or { error: { code, message } }
+
+function fieldError(field, value, code, message) {
+  return { field, value, code, message };
+}
+
+const EMAIL_RE = /^[a-z0-9!#$%&'*+/=?^_`{|}~.-]+@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:[a-z]{2,}|xn--[a-z0-9-]+)$/;
+
+function normalizeEmailAddress(value) {
+  if (typeof value !== 'string') return { error: { code: 'invalid_email', message: 'Email must be a string' } };
+  const email = value.trim().replace(/^mailto:/i, '').toLowerCase();
+  const local = email.split('@')[0];
+  if (!EMAIL_RE.test(email) || local.startsWith('.') || local.endsWith('.') || local.includes('..')) {
+    return { error: { code: 'invalid_email', message: `"${value}" is not a valid email address` } };
+  }
+  return { value: email };
+}
+
+function normalizePhone(value, country = getDefaultCountry()) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: { code: 'invalid_phone', message: 'Phone must be a string' } };
+  }
+  // Extensions have no place in E.164 and are dropped
+  const raw = String(value).trim().replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+  if (!/^[\d\s().+\-/]+$/.test(raw) || raw.lastIndexOf('+') > 0) {
+    return { error: { code: 'invalid_phone', message: `"${value}" is not a valid phone number` } };
+  }
+
+  let digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('00')) digits = digits.slice(2);
+  if (!raw.startsWith('+') && !raw.startsWith('00')) {
+    const rules = COUNTRIES[country] || COUNTRIES.US;
+    if (rules.trunk && digits.startsWith('0')) {
+      digits = digits.slice(1);
+    } else if (rules.lengths && digits.startsWith(rules.code) && rules.lengths.includes(digits.length - rules.code.length)) {
+      digits = digits.slice(rules.code.length); // already carries the country code, e.g. 1-555-010-2030
+    }
+    if (rules.lengths && !rules.lengths.includes(digits.length)) {
+      return { error: { code: 'invalid_phone', message: `"${value}" is not a valid ${country} phone number (add +country code for other countries)` } };
+    }
+    digits = rules.code + digits;
+  }
+  if (digits.length < 8 || digits.length > 15) {
+    return { error: { code: 'invalid_phone', message: `"${value}" is not a valid phone number` } };
+  }
+  return { value: `+${digits}` };
+}
+
+// Scheme added when missing (https), host lowercased, default port,
+// fragment and trailing slash dropped. '' stays '' (field cleared).
+function normalizeUrl(value) {
+  if (typeof value !== 'string') return { error: { code: 'invalid_url', message: 'URL must be a string' } };
+  const raw = value.trim();
+  if (!raw) return { value: '' };
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw.replace(/^\/+/, '')}`);
+  } catch (e) {
+    return { error: { code: 'invalid_url', message: `"${value}" is not a valid URL` } };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: { code: 'invalid_url', message: `"${value}" must be an http or https URL` } };
+  }
+  if (!/^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:[a-z]{2,}|xn--[a-z0-9-]+)$/.test(url.hostname)) {
+    return { error: { code: 'invalid_url', message: `"${value}" has no valid domain name` } };
+  }
+  const path = url.pathname === '/' ? '' : url.pathname.replace(/\/+$/, '');
+  return { value: url.origin + path + url.search };
+}
+
+const LINKEDIN_KINDS = ['in', 'company', 'school', 'showcase'];
+
+// Any linkedin.com profile or page URL -> https://www.linkedin.com/<kind>/<slug>
+function normalizeLinkedIn(value) {
+  const result = normalizeUrl(value);
+  if (result.error || !result.value) {
+    return result.error ? { error: { code: 'invalid_linkedin', message: result.error.message } } : result;
+  }
+  const url = new URL(result.value);
+  const parts = url.pathname.split('/').filter(Boolean);
+  if (!/(^|\.)linkedin\.com$/.test(url.hostname)) {
+    return { error: { code: 'invalid_linkedin', message: `"${value}" is not a LinkedIn URL` } };
+  }
+  if (parts.length < 2 || !LINKEDIN_KINDS.includes(parts[0].toLowerCase())) {
+    return { error: { code: 'invalid_linkedin', message: `"${value}" must link to a profile or page (/in/..., /company/...)` } };
+  }
+  return { value: `https://www.linkedin.com/${parts[0].toLowerCase()}/${parts[1].toLowerCase()}` };
+}
+
+// ============================================
+// LEAD PAYLOADS
+// ============================================
+
+// Nested arrays flattened; strings split on , and ; so "a@x.com; b@x.com"
+// and "Jane <jane@x.com>" both work
+function splitList(value, splitter) {
+  return (Array.isArray(value) ? value : [value])
+    .flat(Infinity)
+    .filter(v => v !== undefined && v !== null && v !== '')
+    .flatMap(v => (typeof v === 'string' ? v.split(splitter).map(s => s.trim()).filter(Boolean) : [v]));
+}
+
+function normalizeList(field, values, normalize, errors) {
+  const seen = new Set();
+  const out = [];
+  values.forEach(v => {
+    const result = normalize(v);
+    if (result.error) return errors.push(fieldError(field, v, result.error.code, result.error.message));
+    if (!seen.has(result.value)) {
+      seen.add(result.value);
+      out.push(result.value);
+    }
+  });
+  return out;
+}
+
+// Normalize the contact fields present in `input` (emails or email,
+// phones or phone, website, linkedin); absent fields are left alone, so
+// this suits partial updates. Returns { data, errors }: `data` is a copy
+// with normalized values and every invalid one left out.
+function normalizeContactFields(input, options = {}) {
+  const country = options.country || getDefaultCountry();
+  const data = { ...input };
+  const errors = [];
+
+  if (data.emails !== undefined || data.email !== undefined) {
+    const values = splitList([data.emails, data.email], /[,;]/)
+      .flatMap(v => (typeof v === 'string' ? (v.match(/<([^>]+)>/) || [null, v])[1].split(/\s+/) : [v]));
+    data.emails = normalizeList('emails', values, normalizeEmailAddress, errors);
+    delete data.email;
+  }
+  if (data.phones !== undefined || data.phone !== undefined) {
+    const values = splitList([data.phones, data.phone], /[,;]/);
+    data.phones = normalizeList('phones', values, v => normalizePhone(v, country), errors);
+    delete data.phone;
+  }
+  [['website', normalizeUrl], ['linkedin', normalizeLinkedIn]].forEach(([field, normalize]) => {
+    if (data[field] === undefined) return;
+    const result = normalize(data[field] === null ? '' : data[field]);
+    if (result.error) {
+      errors.push(fieldError(field, data[field], result.error.code, result.error.message));
+      delete data[field];
+    } else {
+      data[field] = result.value;
+    }
+  });
+
+  return { data, errors };
+}
+
+// Like normalizeContactFields but throws ValidationError on any invalid value
+function validateContactFields(input, options = {}) {
+  const { data, errors } = normalizeContactFields(input, options);
+  if (errors.length > 0) throw new ValidationError(errors);
+  return data;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  ValidationError,
+  fieldError,
+  COUNTRIES,
+  getDefaultCountry,
+  setDefaultCountry,
+  normalizeEmailAddress,
+  normalizePhone,
+  normalizeUrl,
+  normalizeLinkedIn,
+  normalizeContactFields,
+  validateContactFields
+};
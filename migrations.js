@@ -0,0 +1,232 @@
+// ============================================
+// FlowTier Schema Migrations v1.0
+// Ordered, idempotent upgrades for lead and
+// campaign records. Each record carries a
+// `schema_version`; migrations newer than it are
+// applied in order, at boot or on demand.
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { normalizeEmailAddress, normalizePhone, normalizeUrl, normalizeLinkedIn } = require('./lead-validation');
+const { findMember } = require('./team');
+
+function flatStrings(list) {
+  return (Array.isArray(list) ? list : (list ? [list] : []))
+    .flat(Infinity)
+    .filter(v => typeof v === 'string')
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+function dedupe(list, keyOf) {
+  const seen = new Set();
+  return list.filter(v => {
+    const k = keyOf(v);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// ============================================
+// LEAD MIGRATIONS
+// ============================================
+const LEAD_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Flatten nested emails, phones and tags into flat string arrays',
+    up(lead) {
+      lead.emails = dedupe(flatStrings(lead.emails), e => e.toLowerCase());
+      lead.phones = dedupe(flatStrings(lead.phones), p => p);
+      lead.tags = typeof lead.tags === 'string'
+        ? flatStrings(lead.tags.split(','))
+        : flatStrings(lead.tags);
+    }
+  },
+  {
+    version: 2,
+    description: 'Give every outreach entry an internal _id',
+    up(lead) {
+      (Array.isArray(lead.outreach) ? lead.outreach : []).forEach(o => {
+        if (!o._id) o._id = uuidv4();
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Fill missing collections, custom_fields, owner_id and human_mode',
+    up(lead) {
+      ['notes', 'outreach', 'attachments', 'activity'].forEach(f => {
+        if (!Array.isArray(lead[f])) lead[f] = [];
+      });
+      if (!lead.custom_fields || typeof lead.custom_fields !== 'object' || Array.isArray(lead.custom_fields)) {
+        lead.custom_fields = {};
+      }
+      if (lead.owner_id === undefined || lead.owner_id === '') lead.owner_id = null;
+      lead.human_mode = lead.human_mode === true;
+      if (!lead.stage) lead.stage = 'cold';
+    }
+  },
+  {
+    version: 4,
+    description: 'Normalize emails, phones (E.164), website and LinkedIn URLs',
+    up(lead) {
+      // Values that fail validation are kept as they are
+      const valueOr = (result, original) => (result.error ? original : result.value);
+      lead.emails = dedupe(flatStrings(lead.emails).map(e => valueOr(normalizeEmailAddress(e), e)), e => e);
+      lead.phones = dedupe(flatStrings(lead.phones).map(p => valueOr(normalizePhone(p), p)), p => p);
+      if (typeof lead.website === 'string') lead.website = valueOr(normalizeUrl(lead.website), lead.website);
+      if (typeof lead.linkedin === 'string') lead.linkedin = valueOr(normalizeLinkedIn(lead.linkedin), lead.linkedin);
+    }
+  },
+  {
+    version: 5,
+    description: 'Put every lead in the default pipeline',
+    up(lead) {
+      // Leads so far all used the fixed stages the default pipeline is seeded with
+      if (!lead.pipeline_id) lead.pipeline_id = 'default';
+    }
+  },
+  {
+    version: 6,
+    description: 'Point assigned_to at a team member (names matching no member move to assigned_to_legacy)',
+    up(lead) {
+      // assigned_to was free text; usernames, emails and display names
+      // of the lead's workspace resolve to that member's user_id. Other
+      // names are kept in assigned_to_legacy so they can be reassigned
+      const name = typeof lead.assigned_to === 'string' ? lead.assigned_to.trim() : '';
+      const member = name ? findMember(name, lead.owner_id) : null;
+      lead.assigned_to = member ? member.user_id : null;
+      if (name && !member) {
+        lead.assigned_to_legacy = name;
+        if (!Array.isArray(lead.activity)) lead.activity = [];
+        lead.activity.push({
+          type: 'assignee_changed',
+          message: `Unassigned: "${name}" is not a team member (kept in assigned_to_legacy)`,
+          from: name,
+          to: null,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Add account_id (leads are linked to accounts by domain at boot)',
+    up(lead) {
+      if (lead.account_id === undefined || lead.account_id === '') lead.account_id = null;
+    }
+  }
+];
+
+// ============================================
+// CAMPAIGN MIGRATIONS
+// ============================================
+const CAMPAIGN_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill missing leads, steps and stats counters',
+    up(campaign) {
+      if (!Array.isArray(campaign.leads)) campaign.leads = [];
+      if (!Array.isArray(campaign.steps)) campaign.steps = [];
+      campaign.stats = Object.assign({
+        total_leads: 0,
+        emails_sent: 0,
+        replies_received: 0,
+        bounces: 0,
+        opted_out: 0,
+        sends_today: 0,
+        sends_today_date: new Date().toISOString().slice(0, 10)
+      }, campaign.stats || {});
+      campaign.stats.total_leads = campaign.leads.length;
+    }
+  },
+  {
+    version: 2,
+    description: 'Unwrap nested email arrays on enrolled lead entries',
+    up(campaign) {
+      campaign.leads.forEach(entry => {
+        if (Array.isArray(entry.email)) entry.email = flatStrings(entry.email)[0] || '';
+      });
+    }
+  }
+];
+
+const MIGRATIONS = {
+  leads: LEAD_MIGRATIONS,
+  campaigns: CAMPAIGN_MIGRATIONS
+};
+
+const CURRENT_LEAD_SCHEMA = LEAD_MIGRATIONS[LEAD_MIGRATIONS.length - 1].version;
+const CURRENT_CAMPAIGN_SCHEMA = CAMPAIGN_MIGRATIONS[CAMPAIGN_MIGRATIONS.length - 1].version;
+
+// ============================================
+// RUNNER
+// ============================================
+
+// Upgrade one record in place. Returns the versions that were applied.
+function upgradeRecord(collection, record) {
+  const list = MIGRATIONS[collection];
+  if (!list || !record) return [];
+  const from = record.schema_version || 0;
+  const applied = [];
+  list.forEach(m => {
+    if (m.version > from) {
+      m.up(record);
+      applied.push(m.version);
+    }
+  });
+  if (applied.length > 0) record.schema_version = list[list.length - 1].version;
+  return applied;
+}
+
+// Upgrade every lead and campaign in storage. With dryRun nothing is
+// written and the report lists what would change.
+function runMigrations(storage, options = {}) {
+  const report = { dry_run: !!options.dryRun, collections: {} };
+  Object.keys(MIGRATIONS).forEach(collection => {
+    const summary = {
+      current_version: MIGRATIONS[collection][MIGRATIONS[collection].length - 1].version,
+      scanned: 0,
+      migrated: 0,
+      by_version: {},
+      errors: []
+    };
+    storage.keys(collection).forEach(id => {
+      const record = storage.get(collection, id);
+      if (!record) return;
+      summary.scanned++;
+      try {
+        const applied = upgradeRecord(collection, record);
+        if (applied.length === 0) return;
+        applied.forEach(v => { summary.by_version[v] = (summary.by_version[v] || 0) + 1; });
+        summary.migrated++;
+        if (!options.dryRun) storage.put(collection, id, record);
+      } catch (err) {
+        summary.errors.push({ id, error: err.message });
+      }
+    });
+    report.collections[collection] = summary;
+  });
+  return report;
+}
+
+// Human-readable list of all known migrations
+function listMigrations() {
+  const out = {};
+  Object.entries(MIGRATIONS).forEach(([collection, list]) => {
+    out[collection] = list.map(m => ({ version: m.version, description: m.description }));
+  });
+  return out;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  CURRENT_LEAD_SCHEMA,
+  CURRENT_CAMPAIGN_SCHEMA,
+  upgradeRecord,
+  runMigrations,
+  listMigrations
+};
@@ -0,0 +1,103 @@
+// ============================================
+// FlowTier Notifications v1.0
+// In-app notifications for one user each (by
+// user_id), e.g. follow-up reminders. Users read
+// and dismiss their own; the oldest are dropped
+// past a cap.
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { storage } = require('./storage');
+
+const MAX_PER_USER = 200;
+
+// Newest first
+function listNotifications(user, options = {}) {
+  return storage.list('notifications')
+    .filter(n => n.user === user && (!options.unread || !n.read_at))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// data: { type, title, message, lead_id, task_id }
+function createNotification(user, data) {
+  const notification = {
+    id: uuidv4(),
+    user,
+    type: data.type,
+    title: data.title || '',
+    message: data.message || '',
+    lead_id: data.lead_id || null,
+    task_id: data.task_id || null,
+    created_at: new Date().toISOString(),
+    read_at: null
+  };
+  storage.put('notifications', notification.id, notification);
+  listNotifications(user).slice(MAX_PER_USER).forEach(n => storage.remove('notifications', n.id));
+  return notification;
+}
+
+// Returns the notification, or null when it is not the user's
+function markNotificationRead(id, user) {
+  const notification = storage.get('notifications', id);
+  if (!notification || notification.user !== user) return null;
+  if (!notification.read_at) {
+    notification.read_at = new Date().toISOString();
+    storage.put('notifications', id, notification);
+  }
+  return notification;
+}
+
+// Mark all of a user's notifications read. Returns how many were marked.
+function markAllRead(user) {
+  const now = new Date().toISOString();
+  const unread = listNotifications(user, { unread: true });
+  unread.forEach(n => storage.put('notifications', n.id, { ...n, read_at: now }));
+  return unread.length;
+}
+
+// A task that is done or snoozed no longer needs its reminders
+function markTaskNotificationsRead(taskId) {
+  const now = new Date().toISOString();
+  storage.list('notifications')
+    .filter(n => n.task_id === taskId && !n.read_at)
+    .forEach(n => storage.put('notifications', n.id, { ...n, read_at: now }));
+}
+
+// Notifications from before team members were kept by username.
+// toUserId(name) returns the member's user_id, or null to drop them.
+function convertNotificationUsers(toUserId) {
+  let changed = 0;
+  storage.list('notifications').forEach(n => {
+    const userId = toUserId(n.user);
+    if (userId === n.user) return;
+    if (userId) storage.put('notifications', n.id, { ...n, user: userId });
+    else storage.remove('notifications', n.id);
+    changed++;
+  });
+  return changed;
+}
+
+// Privacy requests: notifications name the lead
+function leadNotifications(leadIds) {
+  const ids = new Set(leadIds);
+  return storage.list('notifications').filter(n => ids.has(n.lead_id));
+}
+
+function deleteLeadNotifications(leadIds) {
+  const ids = new Set(leadIds);
+  storage.list('notifications').filter(n => ids.has(n.lead_id)).forEach(n => storage.remove('notifications', n.id));
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  listNotifications,
+  createNotification,
+  markNotificationRead,
+  markAllRead,
+  markTaskNotificationsRead,
+  leadNotifications,
+  deleteLeadNotifications,
+  convertNotificationUsers
+};
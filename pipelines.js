@@ -0,0 +1,477 @@
+// ============================================
+// FlowTier Pipelines v1.0
+// Named sales pipelines, each an ordered list of
+// stages with colors and an open/won/lost
+// outcome. Every lead belongs to one pipeline;
+// clients can be given their own. Stages can
+// require fields on entry and forbid moves, and
+// won/lost leads carry a reason from a list.
+// ============================================
+
+const { storage } = require('./storage');
+const { ValidationError, fieldError } = require('./lead-validation');
+
+const DEFAULT_PIPELINE_ID = 'default';
+const OUTCOMES = ['open', 'won', 'lost'];
+const ID_RE = /^[a-z][a-z0-9_]{0,39}$/;
+const COLOR_RE = /^#[0-9a-f]{6}$/i;
+// Lead fields a stage can require before a lead enters it (plus custom_fields.<key>)
+const REQUIRABLE_FIELDS = [
+  'company_name', 'contact_name', 'emails', 'phones', 'website', 'assigned_to', 'deal_value',
+  'next_followup', 'calendar_event', 'proposal_url', 'lost_reason', 'won_reason'
+];
+const REASON_FIELDS = { lost: 'lost_reason', won: 'won_reason' };
+const DEFAULT_REASONS = {
+  lost: ['Price', 'Timing', 'Went with a competitor', 'No response', 'Not a fit', 'Other'],
+  won: ['Price', 'Relationship', 'Product fit', 'Referral', 'Other']
+};
+
+class TransitionError extends Error {
+  // code: 'missing_fields' (see .missing) or 'forbidden_transition'
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TransitionError';
+    this.code = code;
+    this.from = details.from || null;
+    this.to = details.to || null;
+    this.missing = details.missing || [];
+  }
+}
+
+// The original fixed stages; seeded as the default pipeline
+const DEFAULT_STAGES = [
+  { id: 'cold', label: 'Cold', color: '#78909C', description: 'Never reached out', outcome: 'open', score: 0 },
+  { id: 'contacted', label: 'Contacted', color: '#64B5F6', description: 'First outreach sent', outcome: 'open', score: 10 },
+  { id: 'qualified', label: 'Qualified', color: '#FFB74D', description: 'Showed interest in automation', outcome: 'open', score: 25 },
+  { id: 'call_booked', label: 'Call Booked', color: '#CE93D8', description: 'Meeting scheduled', outcome: 'open', score: 35 },
+  { id: 'proposal_sent', label: 'Proposal Sent', color: '#4DD0E1', description: 'Proposal delivered', outcome: 'open', score: 45 },
+  { id: 'won', label: 'Won', color: '#00E676', description: 'Closed deal', outcome: 'won', score: 50, requires: ['won_reason'] },
+  { id: 'lost', label: 'Lost', color: '#FF5252', description: 'Did not convert', outcome: 'lost', score: -10, requires: ['lost_reason'] }
+];
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Every score and stats calculation looks pipelines up, so they are kept
+// in memory. Returned pipelines are shared and must not be modified.
+let cache = null;
+
+function pipelineMap() {
+  if (!cache) cache = new Map(storage.list('pipelines').map(p => [p.id, p]));
+  return cache;
+}
+
+// Call after pipeline records change outside this module (restores)
+function clearPipelineCache() {
+  cache = null;
+}
+
+// Drop the cache when pipeline files are edited outside the server.
+// Returns an unwatch function.
+function watchPipelines() {
+  return storage.watch('pipelines', clearPipelineCache);
+}
+
+// Create the default pipeline on first boot
+function ensureDefaultPipeline() {
+  const now = new Date().toISOString();
+  if (!getPipeline(DEFAULT_PIPELINE_ID)) {
+    storage.put('pipelines', DEFAULT_PIPELINE_ID, {
+      id: DEFAULT_PIPELINE_ID,
+      name: 'Sales Pipeline',
+      stages: DEFAULT_STAGES.map(normalizeStage),
+      client_ids: [],
+      position: 0,
+      created_at: now,
+      updated_at: now
+    }, { force: true });
+    clearPipelineCache();
+  }
+
+  // Once per install: a default pipeline seeded before Won and Lost
+  // required a reason gets those requirements, unless an admin has set
+  // requirements or changed the stage's outcome. The config doc
+  // 'stage_requirements' marks it done, so they can be dropped again.
+  if (storage.get('config', 'stage_requirements')) return;
+  const pipeline = getPipeline(DEFAULT_PIPELINE_ID);
+  const seeded = new Map(DEFAULT_STAGES.filter(s => s.requires).map(s => [s.id, s]));
+  let updated = 0;
+  const stages = pipeline.stages.map(stage => {
+    const original = seeded.get(stage.id);
+    if (!original || stage.outcome !== original.outcome || (stage.requires || []).length > 0) return stage;
+    updated++;
+    return { ...stage, requires: original.requires.slice() };
+  });
+  if (updated > 0) {
+    storage.put('pipelines', pipeline.id, { ...pipeline, stages, updated_at: now }, { force: true });
+    clearPipelineCache();
+  }
+  storage.put('config', 'stage_requirements', { reasons_required_at: now, stages: updated }, { force: true });
+}
+
+// Pipelines in display order. With `clientId` given, only those a lead
+// of that owner may use: shared ones plus the ones assigned to it.
+function listPipelines(clientId) {
+  return Array.from(pipelineMap().values())
+    .filter(p => clientId === undefined || isAvailable(p, clientId))
+    .sort((a, b) => (a.id === DEFAULT_PIPELINE_ID ? -1 : b.id === DEFAULT_PIPELINE_ID ? 1 : 0) ||
+      (a.position - b.position) || a.name.localeCompare(b.name));
+}
+
+function getPipeline(id) {
+  return (id && pipelineMap().get(id)) || null;
+}
+
+// Pipelines without client_ids are shared by every lead
+function isAvailable(pipeline, clientId) {
+  return pipeline.client_ids.length === 0 || pipeline.client_ids.includes(clientId);
+}
+
+// New leads of a client go into its first assigned pipeline
+function pipelineForClient(clientId) {
+  const assigned = clientId && listPipelines().find(p => p.client_ids.includes(clientId));
+  return assigned || getPipeline(DEFAULT_PIPELINE_ID);
+}
+
+function pipelineForLead(lead) {
+  return getPipeline(lead.pipeline_id) || pipelineForClient(lead.owner_id);
+}
+
+function findStage(pipeline, stageId) {
+  return pipeline.stages.find(s => s.id === stageId) || null;
+}
+
+function stageLabel(pipeline, stageId) {
+  const stage = findStage(pipeline, stageId);
+  return stage ? stage.label : stageId;
+}
+
+// 'open', 'won' or 'lost'; stages missing from the pipeline count as open
+function stageOutcome(lead) {
+  const stage = findStage(pipelineForLead(lead), lead.stage);
+  return stage ? stage.outcome : 'open';
+}
+
+// Score points for the lead's stage: the stage's own `score`, else open
+// stages spread from 0 to 45 by position, won 50 and lost -10
+function stageScore(lead) {
+  const pipeline = pipelineForLead(lead);
+  const stage = findStage(pipeline, lead.stage);
+  if (!stage) return 0;
+  if (stage.score !== null) return stage.score;
+  if (stage.outcome === 'won') return 50;
+  if (stage.outcome === 'lost') return -10;
+  const open = pipeline.stages.filter(s => s.outcome === 'open');
+  return open.length > 1 ? Math.round(45 * open.indexOf(stage) / (open.length - 1)) : 0;
+}
+
+// Win probability (0-100) of a deal in `stageId`: the stage's own
+// `probability`, else open stages spread from 10 to 90 by position.
+// Won stages are 100 and lost stages 0 whatever they say.
+function stageProbability(pipeline, stageId) {
+  const stage = findStage(pipeline, stageId);
+  if (!stage) return 0;
+  if (stage.outcome === 'won') return 100;
+  if (stage.outcome === 'lost') return 0;
+  if (stage.probability !== undefined && stage.probability !== null) return stage.probability;
+  const open = pipeline.stages.filter(s => s.outcome === 'open');
+  return open.length > 1 ? Math.round(10 + 80 * open.indexOf(stage) / (open.length - 1)) : 50;
+}
+
+// ============================================
+// SAVE & DELETE
+// ============================================
+function normalizeStage(stage, index = 0) {
+  return {
+    id: stage.id,
+    label: stage.label,
+    color: stage.color,
+    description: stage.description || '',
+    outcome: stage.outcome || 'open',
+    score: stage.score !== undefined ? stage.score : null,
+    probability: stage.probability !== undefined ? stage.probability : null,
+    requires: stage.requires || [],
+    forbidden_from: stage.forbidden_from || [],
+    position: index
+  };
+}
+
+function isRequirable(field) {
+  return REQUIRABLE_FIELDS.includes(field) || /^custom_fields\.[a-z][a-z0-9_]{0,39}$/.test(field);
+}
+
+function validateStages(input, errors) {
+  if (!Array.isArray(input) || input.length === 0) {
+    errors.push(fieldError('stages', input, 'stages_required', 'A pipeline needs at least one stage'));
+    return [];
+  }
+  const seen = new Set();
+  const stages = input.map((raw, i) => {
+    const where = `stages[${i}]`;
+    const stage = raw && typeof raw === 'object' ? raw : {};
+    const id = String(stage.id || '').trim();
+    if (!ID_RE.test(id)) {
+      errors.push(fieldError(`${where}.id`, stage.id, 'invalid_id', `${where}: id must be lowercase letters, digits or _, starting with a letter`));
+    } else if (seen.has(id)) {
+      errors.push(fieldError(`${where}.id`, id, 'duplicate_id', `${where}: stage "${id}" appears twice`));
+    }
+    seen.add(id);
+    const outcome = stage.outcome || 'open';
+    if (!OUTCOMES.includes(outcome)) {
+      errors.push(fieldError(`${where}.outcome`, outcome, 'invalid_outcome', `${where}: outcome must be one of ${OUTCOMES.join(', ')}`));
+    }
+    const color = stage.color || '#78909C';
+    if (!COLOR_RE.test(color)) {
+      errors.push(fieldError(`${where}.color`, color, 'invalid_color', `${where}: color must be a #rrggbb hex value`));
+    }
+    const requires = Array.isArray(stage.requires) ? stage.requires : [];
+    requires.filter(f => !isRequirable(f)).forEach(f => {
+      errors.push(fieldError(`${where}.requires`, f, 'invalid_field', `${where}: "${f}" cannot be required (use ${REQUIRABLE_FIELDS.join(', ')} or custom_fields.<key>)`));
+    });
+    const forbiddenFrom = Array.isArray(stage.forbidden_from) ? stage.forbidden_from : [];
+    const score = stage.score === undefined || stage.score === null || stage.score === '' ? undefined : Number(stage.score);
+    if (score !== undefined && !Number.isFinite(score)) {
+      errors.push(fieldError(`${where}.score`, stage.score, 'invalid_score', `${where}: score must be a number`));
+    }
+    const probability = stage.probability === undefined || stage.probability === null || stage.probability === '' ? undefined : Number(stage.probability);
+    if (probability !== undefined && !(Number.isFinite(probability) && probability >= 0 && probability <= 100)) {
+      errors.push(fieldError(`${where}.probability`, stage.probability, 'invalid_probability', `${where}: probability must be a number from 0 to 100`));
+    }
+    return normalizeStage({
+      id,
+      label: String(stage.label || '').trim() || id,
+      color,
+      description: String(stage.description || ''),
+      outcome,
+      score,
+      probability,
+      requires: Array.from(new Set(requires)),
+      forbidden_from: Array.from(new Set(forbiddenFrom))
+    }, i);
+  });
+  stages.forEach((stage, i) => {
+    stage.forbidden_from.filter(from => from === stage.id || !seen.has(from)).forEach(from => {
+      errors.push(fieldError(`stages[${i}].forbidden_from`, from, 'unknown_stage', `stages[${i}]: "${from}" is not another stage of this pipeline`));
+    });
+  });
+  if (stages.length > 0 && !stages.some(s => s.outcome === 'open')) {
+    errors.push(fieldError('stages', null, 'open_stage_required', 'A pipeline needs at least one open stage'));
+  }
+  return stages;
+}
+
+function slugify(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '').slice(0, 40);
+}
+
+// Create (no `existing`) or update a pipeline. The ID cannot change.
+// options.usedStages: IDs of this pipeline's stages that leads or deals
+// are in; those cannot be removed. Throws ValidationError.
+function savePipeline(data, existing, options = {}) {
+  const errors = [];
+  const pick = (field, fallback) => (data[field] !== undefined ? data[field] : (existing ? existing[field] : fallback));
+
+  const name = String(pick('name', '') || '').trim();
+  if (!name) errors.push(fieldError('name', data.name, 'name_required', 'name is required'));
+
+  const id = existing ? existing.id : String(data.id || slugify(name)).trim();
+  if (!existing) {
+    if (!ID_RE.test(id)) {
+      errors.push(fieldError('id', data.id, 'invalid_id', 'id must be lowercase letters, digits or _, starting with a letter'));
+    } else if (getPipeline(id)) {
+      errors.push(fieldError('id', id, 'duplicate_id', `Pipeline "${id}" already exists`));
+    }
+  }
+
+  const stages = validateStages(pick('stages', []), errors);
+  const kept = new Set(stages.map(s => s.id));
+  (options.usedStages || []).filter(s => !kept.has(s)).forEach(s => {
+    errors.push(fieldError('stages', s, 'stage_in_use', `Stage "${s}" still has leads or deals; move them before removing it`));
+  });
+
+  let clientIds = pick('client_ids', []);
+  if (id === DEFAULT_PIPELINE_ID) clientIds = [];
+  if (!Array.isArray(clientIds)) {
+    errors.push(fieldError('client_ids', clientIds, 'invalid_array', 'client_ids must be an array'));
+    clientIds = [];
+  }
+  const knownClients = new Set(storage.list('users').map(u => u.client_id).filter(Boolean));
+  clientIds.filter(c => !knownClients.has(c)).forEach(c => {
+    errors.push(fieldError('client_ids', c, 'unknown_client', `Client "${c}" does not exist`));
+  });
+
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  const now = new Date().toISOString();
+  const pipeline = {
+    ...(existing || { id, created_at: now }),
+    name,
+    stages,
+    client_ids: Array.from(new Set(clientIds)),
+    position: Number(pick('position', 0)) || 0,
+    updated_at: now
+  };
+  storage.put('pipelines', id, pipeline, { force: true });
+  clearPipelineCache();
+  return pipeline;
+}
+
+// The caller checks that no leads or deals are left in the pipeline
+function deletePipeline(id) {
+  if (id === DEFAULT_PIPELINE_ID || !getPipeline(id)) return false;
+  storage.remove('pipelines', id);
+  clearPipelineCache();
+  return true;
+}
+
+// ============================================
+// LEAD PLACEMENT
+// ============================================
+
+// Pipeline and stage for a lead write. `data` carries the incoming
+// pipeline_id / stage, `current` the lead's present ones (if any) and
+// `ownerId` the lead's owner. A missing stage falls back to the current
+// one when the pipeline has it, else to the pipeline's first stage.
+// Returns { pipeline, stage, errors }.
+function placeLead(data, current, ownerId) {
+  const errors = [];
+  const pipelineId = data.pipeline_id || current.pipeline_id;
+  const pipeline = pipelineId ? getPipeline(pipelineId) : pipelineForClient(ownerId);
+  if (!pipeline || !isAvailable(pipeline, ownerId)) {
+    errors.push(fieldError('pipeline_id', pipelineId, 'unknown_pipeline', `Pipeline "${pipelineId}" does not exist`));
+    return { pipeline: null, stage: null, errors };
+  }
+
+  let stage = data.stage;
+  if (!stage) {
+    stage = current.stage && findStage(pipeline, current.stage) ? current.stage : pipeline.stages[0].id;
+  } else if (!findStage(pipeline, stage)) {
+    // Imports often carry the label ("Consult Done") rather than the ID
+    const byLabel = pipeline.stages.find(s => s.label.toLowerCase() === String(stage).trim().toLowerCase());
+    if (byLabel) stage = byLabel.id;
+    else errors.push(fieldError('stage', stage, 'unknown_stage', `"${stage}" is not a stage of the ${pipeline.name} pipeline`));
+  }
+  return { pipeline, stage, errors };
+}
+
+// ============================================
+// TRANSITION GUARDS
+// ============================================
+function isBlank(v) {
+  return v === undefined || v === null || v === '' || v === 0 ||
+    (Array.isArray(v) && v.length === 0) ||
+    (typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length === 0);
+}
+
+// Required fields of `stage` that `lead` has no value for
+function missingRequirements(lead, stage) {
+  return (stage.requires || []).filter(field => {
+    const value = field.startsWith('custom_fields.')
+      ? (lead.custom_fields || {})[field.slice('custom_fields.'.length)]
+      : lead[field];
+    return isBlank(value);
+  });
+}
+
+// Check a stage change. `lead` is the lead as it will be saved (already
+// in stage `lead.stage`); `from` is the stage it leaves, null for new
+// leads. forbidden_from only applies within the same pipeline.
+// Throws TransitionError.
+function checkTransition(lead, from, options = {}) {
+  const pipeline = pipelineForLead(lead);
+  const stage = findStage(pipeline, lead.stage);
+  if (!stage) return;
+  if (from && !options.pipelineChanged && (stage.forbidden_from || []).includes(from)) {
+    throw new TransitionError('forbidden_transition',
+      `Leads cannot move from ${stageLabel(pipeline, from)} to ${stage.label}`, { from, to: stage.id });
+  }
+  const missing = missingRequirements(lead, stage);
+  if (missing.length > 0) {
+    throw new TransitionError('missing_fields',
+      `Moving to ${stage.label} requires ${missing.join(', ')}`, { from, to: stage.id, missing });
+  }
+}
+
+// ============================================
+// WON / LOST REASONS
+// ============================================
+function getStageReasons() {
+  const config = storage.get('config', 'stage_reasons');
+  return {
+    lost: config ? config.lost : DEFAULT_REASONS.lost,
+    won: config ? config.won : DEFAULT_REASONS.won
+  };
+}
+
+// Throws ValidationError
+function setStageReasons(data) {
+  const errors = [];
+  const current = getStageReasons();
+  const lists = {};
+  ['lost', 'won'].forEach(kind => {
+    const list = data[kind] !== undefined ? data[kind] : current[kind];
+    if (!Array.isArray(list)) {
+      errors.push(fieldError(kind, list, 'invalid_array', `${kind} must be an array of reasons`));
+      return;
+    }
+    lists[kind] = Array.from(new Set(list.map(r => String(r).trim()).filter(Boolean)));
+  });
+  if (errors.length > 0) throw new ValidationError(errors);
+  storage.put('config', 'stage_reasons', { ...lists, updated_at: new Date().toISOString() }, { force: true });
+  return lists;
+}
+
+// Check lost_reason / won_reason in a lead payload against the managed
+// lists (matched case-insensitively; an empty list accepts any text).
+// Fixes `data` in place and returns the field errors.
+function normalizeStageReasons(data) {
+  const errors = [];
+  const reasons = getStageReasons();
+  Object.entries(REASON_FIELDS).forEach(([kind, field]) => {
+    if (data[field] === undefined || data[field] === null) return;
+    const value = String(data[field]).trim();
+    if (!value || reasons[kind].length === 0) {
+      data[field] = value;
+      return;
+    }
+    const match = reasons[kind].find(r => r.toLowerCase() === value.toLowerCase());
+    if (match) {
+      data[field] = match;
+    } else {
+      errors.push(fieldError(field, data[field], 'unknown_reason', `"${data[field]}" is not a ${kind} reason (use ${reasons[kind].join(', ')})`));
+      delete data[field];
+    }
+  });
+  return errors;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  TransitionError,
+  DEFAULT_PIPELINE_ID,
+  OUTCOMES,
+  REQUIRABLE_FIELDS,
+  clearPipelineCache,
+  watchPipelines,
+  ensureDefaultPipeline,
+  listPipelines,
+  getPipeline,
+  isAvailable,
+  pipelineForClient,
+  pipelineForLead,
+  findStage,
+  stageLabel,
+  stageOutcome,
+  stageScore,
+  stageProbability,
+  savePipeline,
+  deletePipeline,
+  placeLead,
+  checkTransition,
+  getStageReasons,
+  setStageReasons,
+  normalizeStageReasons
+};
@@ -0,0 +1,299 @@
+// ============================================
+// FlowTier Privacy Requests v1.0
+// GDPR/CCPA data subject access (export) and
+// erasure across leads, trash, revisions,
+// tasks, deals, campaigns, blacklist, webhook
+// history and uploaded attachments.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const { storage, updateRecord } = require('./storage');
+const { normalizeEmail, phoneKey } = require('./lead-index');
+const { listTasks, deleteLeadTasks } = require('./tasks');
+const { listDeals, deleteLeadDeals } = require('./deals');
+const { leadNotifications, deleteLeadNotifications } = require('./notifications');
+const {
+  getAllCampaigns, getBlacklist, saveBlacklist,
+  addSuppression, suppressionHash
+} = require('./campaign-engine');
+
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+
+// ============================================
+// SUBJECT MATCHING
+// ============================================
+function normalizeSubject(subject) {
+  const email = normalizeEmail(subject.email);
+  const phone = phoneKey(subject.phone);
+  return { email: email.includes('@') ? email : '', phone: phone.length >= 7 ? phone : '' };
+}
+
+function leadMatches(lead, subject) {
+  if (!lead) return false;
+  const emails = leadEmails(lead);
+  const phones = (lead.phones || []).flat(Infinity).map(phoneKey);
+  return (subject.email && emails.includes(subject.email)) ||
+    (subject.phone && phones.includes(subject.phone));
+}
+
+function leadEmails(lead) {
+  return (lead.emails || []).flat(Infinity).map(normalizeEmail).filter(Boolean);
+}
+
+// `emails` is every address known for the subject (see findSubjectData)
+function outreachMatches(o, emails) {
+  return emails.has(normalizeEmail(o.from_email)) || emails.has(normalizeEmail(o.to_email));
+}
+
+function textMentions(value, subject, emails) {
+  const text = JSON.stringify(value).toLowerCase();
+  return Array.from(emails).some(e => text.includes(e)) ||
+    (!!subject.phone && text.replace(/\D/g, '').includes(subject.phone));
+}
+
+// ============================================
+// DISCOVERY
+// ============================================
+
+// Everything that references the subject, grouped by store
+function findSubjectData(rawSubject) {
+  const subject = normalizeSubject(rawSubject);
+  const allLeads = storage.list('leads');
+  const leadTrash = storage.list('trash').filter(e => e.kind === 'lead');
+
+  // Every address on the subject's leads belongs to them, so keep widening
+  // until no new address turns up. This also lets a phone-only request reach
+  // stores keyed by email.
+  const emails = new Set(subject.email ? [subject.email] : []);
+  const isSubjectLead = l => leadMatches(l, subject) || leadEmails(l).some(e => emails.has(e));
+  const candidates = allLeads.concat(leadTrash.map(e => e.record));
+  let size = -1;
+  while (size !== emails.size) {
+    size = emails.size;
+    candidates.filter(isSubjectLead).forEach(l => leadEmails(l).forEach(e => emails.add(e)));
+  }
+
+  const leads = allLeads.filter(isSubjectLead);
+  const trash = leadTrash.filter(e => isSubjectLead(e.record));
+  const leadIds = new Set(leads.map(l => l.id).concat(trash.map(e => e.record_id)));
+
+  // Outreach mentioning the subject on leads that are not theirs
+  const outreachReferences = [];
+  allLeads.forEach(l => {
+    if (leadIds.has(l.id)) return;
+    const entries = (l.outreach || []).filter(o => outreachMatches(o, emails));
+    if (entries.length > 0) outreachReferences.push({ lead_id: l.id, entries });
+  });
+
+  // Revision history: the subject's leads', that of leads merged into them
+  // (merges move it into the survivor's document; older merges left it
+  // under the merged-away ID), and merged-in history on other leads that
+  // mentions the subject
+  const tombstones = storage.list('tombstones');
+  const mergedIds = new Set(tombstones.filter(t => leadIds.has(t.redirect_to)).map(t => t.id));
+  const tombstoned = new Set(tombstones.map(t => t.id));
+  const revisions = [];
+  const mergedRevisions = [];
+  storage.list('revisions').forEach(doc => {
+    if (leadIds.has(doc.lead_id) || mergedIds.has(doc.lead_id)) {
+      revisions.push(doc);
+    } else if (tombstoned.has(doc.lead_id) && textMentions(doc, subject, emails)) {
+      mergedIds.add(doc.lead_id);
+      revisions.push(doc);
+    } else {
+      (doc.merged || []).filter(m => textMentions(m, subject, emails))
+        .forEach(m => mergedRevisions.push({ lead_id: doc.lead_id, merged_lead_id: m.lead_id, revisions: m.revisions }));
+    }
+  });
+
+  const scoreHistory = Array.from(leadIds).concat(Array.from(mergedIds))
+    .map(id => storage.get('score_history', id))
+    .filter(Boolean);
+
+  const tasks = listTasks({}, t => leadIds.has(t.lead_id));
+  const deals = listDeals({}, d => leadIds.has(d.lead_id));
+  const notifications = leadNotifications(leadIds);
+
+  const campaigns = [];
+  getAllCampaigns().forEach(c => {
+    const entries = c.leads.filter(e => leadIds.has(e.lead_id) || emails.has(normalizeEmail(e.email)));
+    if (entries.length > 0) campaigns.push({ campaign_id: c.id, campaign_name: c.name, entries });
+  });
+
+  const blacklist = getBlacklist().filter(b => emails.has(normalizeEmail(b.email)));
+
+  const webhookHistory = (storage.get('config', 'webhook_history') || [])
+    .filter(h => leadIds.has(h.lead_id) || textMentions(h, subject, emails));
+
+  const attachments = [];
+  leads.concat(trash.map(e => e.record)).forEach(l => {
+    (l.attachments || []).forEach(a => attachments.push({ lead_id: l.id, ...a }));
+  });
+
+  return {
+    subject,
+    emails: Array.from(emails),
+    lead_ids: Array.from(leadIds),
+    merged_lead_ids: Array.from(mergedIds),
+    leads,
+    trash,
+    outreach_references: outreachReferences,
+    revisions,
+    merged_revisions: mergedRevisions,
+    score_history: scoreHistory,
+    tasks,
+    deals,
+    notifications,
+    campaigns,
+    blacklist,
+    webhook_history: webhookHistory,
+    attachments
+  };
+}
+
+function countFindings(found) {
+  return {
+    leads: found.leads.length,
+    trash: found.trash.length,
+    outreach_references: found.outreach_references.reduce((n, r) => n + r.entries.length, 0),
+    revisions: found.revisions.length + found.merged_revisions.length,
+    score_history: found.score_history.length,
+    tasks: found.tasks.length,
+    deals: found.deals.length,
+    notifications: found.notifications.length,
+    campaign_entries: found.campaigns.reduce((n, c) => n + c.entries.length, 0),
+    blacklist: found.blacklist.length,
+    webhook_history: found.webhook_history.length,
+    attachments: found.attachments.length
+  };
+}
+
+// ============================================
+// EXPORT (subject access request)
+// ============================================
+
+// Single JSON archive of everything held about the subject. Attachment
+// files are embedded as base64.
+function exportSubjectData(rawSubject, options = {}) {
+  const found = findSubjectData(rawSubject);
+  const attachments = found.attachments.map(a => {
+    const file = path.join(UPLOADS_DIR, path.basename(a.stored_name || ''));
+    const present = !!a.stored_name && fs.existsSync(file);
+    return { ...a, file_present: present, data_base64: present ? fs.readFileSync(file).toString('base64') : null };
+  });
+  return {
+    export_type: 'data_subject_access',
+    generated_at: new Date().toISOString(),
+    generated_by: options.requestedBy || null,
+    subject: found.subject,
+    counts: countFindings(found),
+    leads: found.leads,
+    trash: found.trash,
+    outreach_references: found.outreach_references,
+    revisions: found.revisions,
+    merged_revisions: found.merged_revisions,
+    score_history: found.score_history,
+    tasks: found.tasks,
+    deals: found.deals,
+    notifications: found.notifications,
+    campaigns: found.campaigns,
+    blacklist: found.blacklist,
+    webhook_history: found.webhook_history,
+    attachments
+  };
+}
+
+// ============================================
+// ERASURE (right to be forgotten)
+// ============================================
+
+// Remove the subject from every store, leave a hashed suppression record,
+// then re-scan to verify nothing is left. Lead writes and deletes go through
+// the injected hooks so the server's index and revision log stay in sync.
+function eraseSubjectData(rawSubject, hooks, options = {}) {
+  const found = findSubjectData(rawSubject);
+  const subject = found.subject;
+  const leadIds = new Set(found.lead_ids);
+  const emails = new Set(found.emails);
+
+  // Attachment files first, while we still know their names
+  let filesDeleted = 0;
+  found.attachments.forEach(a => {
+    const file = path.join(UPLOADS_DIR, path.basename(a.stored_name || ''));
+    if (a.stored_name && fs.existsSync(file)) { fs.unlinkSync(file); filesDeleted++; }
+  });
+
+  found.leads.forEach(l => hooks.deleteLead(l.id));
+  found.trash.forEach(e => storage.remove('trash', e.trash_id));
+  leadIds.forEach(id => storage.remove('revisions', id));
+  leadIds.forEach(id => storage.remove('score_history', id));
+  found.merged_lead_ids.forEach(id => {
+    storage.remove('revisions', id);
+    storage.remove('score_history', id);
+  });
+  found.merged_revisions.forEach(ref => updateRecord('revisions', ref.lead_id, doc => {
+    doc.merged = doc.merged.filter(m => m.lead_id !== ref.merged_lead_id);
+  }));
+  leadIds.forEach(id => deleteLeadTasks(id));
+  leadIds.forEach(id => deleteLeadDeals(id));
+  deleteLeadNotifications(leadIds);
+
+  found.outreach_references.forEach(ref => {
+    const lead = hooks.readLead(ref.lead_id);
+    if (!lead) return;
+    lead.outreach = lead.outreach.filter(o => !outreachMatches(o, emails));
+    lead.updated_at = new Date().toISOString();
+    hooks.writeLead(lead, { actor: options.erasedBy || 'system', source: 'privacy_erasure' });
+  });
+
+  found.campaigns.forEach(({ campaign_id }) => {
+    updateRecord('campaigns', campaign_id, campaign => {
+      campaign.leads = campaign.leads.filter(e => !leadIds.has(e.lead_id) && !emails.has(normalizeEmail(e.email)));
+      campaign.stats.total_leads = campaign.leads.length;
+      campaign.updated_at = new Date().toISOString();
+    });
+  });
+
+  if (found.blacklist.length > 0) {
+    saveBlacklist(getBlacklist().filter(b => !emails.has(normalizeEmail(b.email))));
+  }
+
+  if (found.webhook_history.length > 0) {
+    const history = storage.get('config', 'webhook_history') || [];
+    storage.put('config', 'webhook_history', history.filter(h => !leadIds.has(h.lead_id) && !textMentions(h, subject, emails)));
+  }
+
+  // Hashed suppression so campaigns never re-enroll the subject
+  emails.forEach(e => addSuppression(e, 'erasure'));
+
+  // Re-scan by every address too, since the erased leads no longer link
+  // a phone to its emails
+  const remaining = countFindings(findSubjectData(subject));
+  emails.forEach(email => {
+    const byEmail = countFindings(findSubjectData({ email }));
+    Object.keys(remaining).forEach(k => { remaining[k] += byEmail[k]; });
+  });
+  const verified = Object.values(remaining).every(n => n === 0);
+
+  return {
+    erased_at: new Date().toISOString(),
+    erased_by: options.erasedBy || null,
+    subject_hash: suppressionHash(subject.email || subject.phone),
+    erased: { ...countFindings(found), attachment_files: filesDeleted },
+    suppressed_emails: emails.size,
+    verified,
+    remaining,
+    notes: ['Existing backup snapshots are not rewritten; they age out through the backup retention policy.']
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  normalizeSubject,
+  findSubjectData,
+  exportSubjectData,
+  eraseSubjectData
+};
@@ -0,0 +1,16 @@
+// Shared by the pages that load whole lists from the paged API endpoints
+// (see DOCUMENTATION 5.4).
+
+// Follow next_cursor until every page of a list endpoint is loaded
+async function fetchAllPages(url, key) {
+  const items = [];
+  let cursor = null;
+  do {
+    const sep = url.includes('?') ? '&' : '?';
+    const res = await fetch(url + sep + 'limit=1000' + (cursor ? '&cursor=' + encodeURIComponent(cursor) : ''));
+    const data = await res.json();
+    items.push(...(data[key] || []));
+    cursor = data.next_cursor;
+  } while (cursor);
+  return items;
+}
@@ -0,0 +1,167 @@
+// ============================================
+// FlowTier Follow-up Reminders v1.0
+// Fires a followup_due event when an open task
+// comes due: a webhook and an in-app notification
+// for the assignee. Reminder state is kept on the
+// task, so reminders survive restarts and each
+// due time fires once.
+// ============================================
+
+const { storage } = require('./storage');
+const { ValidationError, fieldError } = require('./lead-validation');
+const { dueReminders, markReminded, reminderTime } = require('./tasks');
+const { createNotification } = require('./notifications');
+
+const CHECK_EVERY_MS = 30 * 1000;
+
+// webhook_url: where followup_due goes (null = the main webhook URL).
+// Reminders more than max_late_hours late (server downtime, tasks created
+// long past due) are marked fired without being sent.
+const DEFAULT_REMINDER_CONFIG = { enabled: true, webhook_url: null, notify_assignee: true, max_late_hours: 24 };
+
+// ============================================
+// CONFIGURATION
+// ============================================
+function getReminderConfig() {
+  return { ...DEFAULT_REMINDER_CONFIG, ...(storage.get('config', 'reminders') || {}) };
+}
+
+// Parts left out keep their current value. Throws ValidationError.
+function setReminderConfig(data) {
+  const config = { ...getReminderConfig(), ...data };
+  const errors = [];
+  ['enabled', 'notify_assignee'].forEach(field => {
+    if (typeof config[field] !== 'boolean') errors.push(fieldError(field, config[field], 'invalid_boolean', `${field} must be true or false`));
+  });
+  const hours = Number(config.max_late_hours);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    errors.push(fieldError('max_late_hours', config.max_late_hours, 'invalid_number', 'max_late_hours must be a positive number'));
+  }
+  let webhookUrl = null;
+  if (config.webhook_url) {
+    let url = null;
+    try { url = new URL(String(config.webhook_url).trim()); } catch (e) { /* invalid */ }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      errors.push(fieldError('webhook_url', config.webhook_url, 'invalid_url', 'webhook_url must be an http or https URL'));
+    } else {
+      webhookUrl = url.href;
+    }
+  }
+  if (errors.length > 0) throw new ValidationError(errors);
+
+  const saved = {
+    enabled: config.enabled,
+    webhook_url: webhookUrl,
+    notify_assignee: config.notify_assignee,
+    max_late_hours: hours,
+    updated_at: new Date().toISOString()
+  };
+  storage.put('config', 'reminders', saved, { force: true });
+  return saved;
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+class ReminderScheduler {
+  // readLead(id) returns the task's lead, or null while it is trashed;
+  // sendWebhook(event, payload, url) delivers the event
+  constructor(readLead, sendWebhook) {
+    this.readLead = readLead;
+    this.sendWebhook = sendWebhook;
+    this.timer = null;
+    this.lastCheck = null;
+  }
+
+  // Fire every reminder that has come due. Each task is marked before its
+  // event goes out, so a crash or overlapping check cannot send it twice.
+  check(now = new Date()) {
+    this.lastCheck = now.toISOString();
+    const config = getReminderConfig();
+    if (!config.enabled) return { fired: 0, dropped: 0 };
+
+    let fired = 0;
+    let dropped = 0;
+    dueReminders(now).forEach(task => {
+      const lead = this.readLead(task.lead_id);
+      if (!lead) return; // fires once the lead is restored
+      markReminded(task.id, now.toISOString());
+      if (now - new Date(reminderTime(task)) > config.max_late_hours * 3600000) {
+        dropped++;
+        return;
+      }
+      this.fire(task, lead, config);
+      fired++;
+    });
+    if (fired > 0 || dropped > 0) {
+      console.log(`[Reminders] ${fired} follow-up reminder(s) sent${dropped > 0 ? `, ${dropped} too late and dropped` : ''}`);
+    }
+    return { fired, dropped };
+  }
+
+  fire(task, lead, config) {
+    const payload = {
+      task: {
+        id: task.id,
+        type: task.type,
+        title: task.title,
+        notes: task.notes,
+        priority: task.priority,
+        due_at: task.due_at,
+        assigned_to: task.assigned_to,
+        snoozed: !!task.remind_at
+      },
+      lead: {
+        id: lead.id,
+        company_name: lead.company_name,
+        contact_name: lead.contact_name,
+        emails: lead.emails,
+        phones: lead.phones,
+        stage: lead.stage,
+        assigned_to: lead.assigned_to
+      }
+    };
+    Promise.resolve(this.sendWebhook('followup_due', payload, config.webhook_url || undefined))
+      .catch(err => console.error('[Reminders] Webhook failed:', err.message));
+
+    if (config.notify_assignee && task.assigned_to) {
+      createNotification(task.assigned_to, {
+        type: 'followup_due',
+        title: `${task.title} due`,
+        message: lead.company_name || lead.contact_name || '',
+        lead_id: lead.id,
+        task_id: task.id
+      });
+    }
+  }
+
+  // Checks right away, then every `checkEveryMs`; a failing check is
+  // logged and does not stop the scheduler (or the boot that starts it)
+  start(checkEveryMs = CHECK_EVERY_MS) {
+    this.stop();
+    const safeCheck = () => {
+      try {
+        this.check();
+      } catch (err) {
+        console.error('[Reminders] Check failed:', err.message);
+      }
+    };
+    safeCheck();
+    this.timer = setInterval(safeCheck, checkEveryMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  DEFAULT_REMINDER_CONFIG,
+  getReminderConfig,
+  setReminderConfig,
+  ReminderScheduler
+};
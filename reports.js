@@ -0,0 +1,288 @@
+// ============================================
+// FlowTier Reports v1.0
+// Pipeline reports rebuilt from the stage_change
+// entries in each lead's activity: time spent in
+// each stage, stage-to-stage conversion, monthly
+// cohorts by created_at, plus a revenue forecast
+// from open deals weighted by their probability.
+// ============================================
+
+const { findStage } = require('./pipelines');
+
+const DAY_MS = 86400000;
+const MAX_FORECAST_MONTHS = 24;
+
+// ============================================
+// HELPERS
+// ============================================
+
+function days(from, to) {
+  return (new Date(to) - new Date(from)) / DAY_MS;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function money(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+  return values.length > 0 ? round1(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return round1(sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : 0;
+}
+
+// "2026-10" -> "2027-01" for k = 3
+function addMonths(month, k) {
+  const [y, m] = month.split('-').map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + k, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+// range: { from, to } ISO timestamps, both inclusive
+function inRange(timestamp, range) {
+  return !!timestamp && timestamp >= range.from && timestamp <= range.to;
+}
+
+// ============================================
+// STAGE HISTORY
+// ============================================
+
+// The stages a lead has been in, oldest first: [{ stage, entered_at,
+// left_at }] with left_at null for the stage it is in now. The first stage
+// is entered at created_at. A stage change that was never logged (the lead
+// is in another stage than its last logged move) is dated to updated_at.
+function stageHistory(lead) {
+  if (!lead.created_at) return [];
+  const changes = (lead.activity || [])
+    .filter(a => a.type === 'stage_change' && a.to && a.timestamp)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const segments = [];
+  let current = { stage: changes.length > 0 ? changes[0].from || null : lead.stage, entered_at: lead.created_at, left_at: null };
+  const move = (stage, at) => {
+    current.left_at = at;
+    if (current.stage) segments.push(current);
+    current = { stage, entered_at: at, left_at: null };
+  };
+  changes.forEach(c => move(c.to, c.timestamp));
+  if (current.stage !== lead.stage && lead.updated_at >= current.entered_at) move(lead.stage, lead.updated_at);
+  segments.push(current);
+  return segments;
+}
+
+// Position of each stage of `pipeline` in the funnel order. Lost stages
+// are off the funnel (-1).
+function funnelPositions(pipeline) {
+  const positions = {};
+  pipeline.stages.forEach((s, i) => { positions[s.id] = s.outcome === 'lost' ? -1 : i; });
+  return positions;
+}
+
+// ============================================
+// REPORTS
+// ============================================
+
+// Average and median days spent in each stage of `pipeline`, over stays
+// that ended within `range`, plus the leads in each stage now and how
+// long they have been there. sales_cycle covers leads that entered a won
+// stage within the range: days from created_at to winning.
+function stageTimes(leads, pipeline, range, now = new Date().toISOString()) {
+  const rows = pipeline.stages.map(s => ({ stage: s.id, label: s.label, outcome: s.outcome, durations: [], ages: [] }));
+  const rowOf = Object.fromEntries(rows.map(r => [r.stage, r]));
+  const cycles = [];
+  leads.forEach(lead => {
+    const history = stageHistory(lead);
+    history.forEach(seg => {
+      const row = rowOf[seg.stage];
+      if (!row) return;
+      if (seg.left_at) {
+        if (inRange(seg.left_at, range)) row.durations.push(days(seg.entered_at, seg.left_at));
+      } else {
+        row.ages.push(days(seg.entered_at, now));
+      }
+    });
+    const won = history.find(seg => rowOf[seg.stage] && rowOf[seg.stage].outcome === 'won');
+    if (won && inRange(won.entered_at, range)) cycles.push(days(lead.created_at, won.entered_at));
+  });
+  return {
+    stages: rows.map(r => ({
+      stage: r.stage,
+      label: r.label,
+      outcome: r.outcome,
+      exits: r.durations.length,
+      avg_days: average(r.durations),
+      median_days: median(r.durations),
+      current: r.ages.length,
+      current_avg_days: average(r.ages)
+    })),
+    sales_cycle: { won: cycles.length, avg_days: average(cycles), median_days: median(cycles) }
+  };
+}
+
+// Where leads went after entering each stage within `range`: on to a
+// later stage or a won stage (advanced), to a lost stage, back to an
+// earlier stage, out of the pipeline, or nowhere yet. `next` counts the
+// stages they moved to. `overall` follows the leads created in the range.
+function stageFunnel(leads, pipeline, range) {
+  const positions = funnelPositions(pipeline);
+  const rows = pipeline.stages.map(s => ({
+    stage: s.id, label: s.label, outcome: s.outcome,
+    entered: 0, advanced: 0, lost: 0, moved_back: 0, left_pipeline: 0, still_in: 0, next: {}
+  }));
+  const rowOf = Object.fromEntries(rows.map(r => [r.stage, r]));
+  const overall = { created: 0, won: 0, lost: 0 };
+
+  leads.forEach(lead => {
+    const history = stageHistory(lead);
+    history.forEach((seg, i) => {
+      const row = rowOf[seg.stage];
+      if (!row || !inRange(seg.entered_at, range)) return;
+      row.entered++;
+      const next = history[i + 1];
+      if (!next) {
+        row.still_in++;
+        return;
+      }
+      const target = findStage(pipeline, next.stage);
+      row.next[next.stage] = (row.next[next.stage] || 0) + 1;
+      if (!target) row.left_pipeline++;
+      else if (target.outcome === 'lost') row.lost++;
+      else if (target.outcome === 'won' || positions[next.stage] > positions[seg.stage]) row.advanced++;
+      else row.moved_back++;
+    });
+    if (inRange(lead.created_at, range)) {
+      overall.created++;
+      const stage = findStage(pipeline, lead.stage);
+      if (stage && stage.outcome !== 'open') overall[stage.outcome]++;
+    }
+  });
+
+  return {
+    stages: rows.map(r => ({ ...r, conversion_rate: rate(r.advanced, r.entered) })),
+    overall: { ...overall, conversion_rate: rate(overall.won, overall.created) }
+  };
+}
+
+// Leads grouped by the month (UTC) they were created in, from `fromMonth`
+// to `toMonth` ("YYYY-MM"): how many are open, won or lost now, and how
+// many reached each stage. Reaching a stage counts skipped ones, so a
+// lead that went from Cold straight to Won reached every open stage.
+function cohortConversion(leads, pipeline, fromMonth, toMonth) {
+  const positions = funnelPositions(pipeline);
+  const cohorts = {};
+  for (let month = fromMonth; month <= toMonth; month = addMonths(month, 1)) {
+    const reached = Object.fromEntries(pipeline.stages.map(s => [s.id, 0]));
+    cohorts[month] = { month, leads: 0, open: 0, won: 0, lost: 0, reached, days_to_win: [] };
+  }
+
+  leads.forEach(lead => {
+    const cohort = lead.created_at ? cohorts[lead.created_at.slice(0, 7)] : null;
+    if (!cohort) return;
+    cohort.leads++;
+    const stage = findStage(pipeline, lead.stage);
+    cohort[stage ? stage.outcome : 'open']++;
+
+    const history = stageHistory(lead).filter(seg => findStage(pipeline, seg.stage));
+    const entered = new Set(history.map(seg => seg.stage));
+    const furthest = Math.max(-1, ...history.map(seg => positions[seg.stage]));
+    pipeline.stages.forEach(s => {
+      const reached = s.outcome === 'open' ? positions[s.id] <= furthest : entered.has(s.id);
+      if (reached) cohort.reached[s.id]++;
+    });
+    const won = history.find(seg => findStage(pipeline, seg.stage).outcome === 'won');
+    if (won) cohort.days_to_win.push(days(lead.created_at, won.entered_at));
+  });
+
+  return Object.values(cohorts).map(({ days_to_win: daysToWin, ...c }) => ({
+    ...c,
+    conversion_rate: rate(c.won, c.leads),
+    avg_days_to_win: average(daysToWin)
+  }));
+}
+
+// Open deals by expected close month, from `fromMonth` for `months`
+// months, with their amount and their amount weighted by probability.
+// Deals due before `fromMonth` go in `overdue`, later ones in `later` and
+// undated ones in `unscheduled`. `closed_won` is what was won in each
+// month. Only deals in `currency` are added up; others are counted in
+// `other_currencies`. groupOf(deal) -> key splits every bucket further.
+function revenueForecast(deals, options) {
+  const { currency, fromMonth, months, groupOf } = options;
+  const bucket = month => ({ month, count: 0, amount: 0, weighted: 0, closed_won: 0, ...(groupOf ? { groups: {} } : {}) });
+  const monthly = {};
+  for (let i = 0; i < months; i++) monthly[addMonths(fromMonth, i)] = bucket(addMonths(fromMonth, i));
+  const lastMonth = addMonths(fromMonth, months - 1);
+  const extra = { overdue: bucket(null), later: bucket(null), unscheduled: bucket(null) };
+  const totals = bucket(null);
+  const otherCurrencies = {};
+
+  const add = (target, key, field, value) => {
+    target[field] += value;
+    if (!groupOf) return;
+    if (!target.groups[key]) target.groups[key] = { count: 0, amount: 0, weighted: 0, closed_won: 0 };
+    target.groups[key][field] += value;
+  };
+
+  deals.forEach(deal => {
+    if (deal.currency !== currency) {
+      otherCurrencies[deal.currency] = (otherCurrencies[deal.currency] || 0) + 1;
+      return;
+    }
+    const key = groupOf ? groupOf(deal) : null;
+    if (deal.status === 'won' && deal.won_at && monthly[deal.won_at.slice(0, 7)]) {
+      add(monthly[deal.won_at.slice(0, 7)], key, 'closed_won', deal.amount);
+      add(totals, key, 'closed_won', deal.amount);
+    }
+    if (deal.status !== 'open') return;
+    const month = deal.expected_close_date ? deal.expected_close_date.slice(0, 7) : null;
+    let target = monthly[month];
+    if (!month) target = extra.unscheduled;
+    else if (month < fromMonth) target = extra.overdue;
+    else if (month > lastMonth) target = extra.later;
+    [target, totals].forEach(t => {
+      add(t, key, 'count', 1);
+      add(t, key, 'amount', deal.amount);
+      add(t, key, 'weighted', deal.amount * deal.probability / 100);
+    });
+  });
+
+  const finish = b => {
+    ['amount', 'weighted', 'closed_won'].forEach(f => { b[f] = money(b[f]); });
+    if (b.groups) Object.values(b.groups).forEach(finish);
+    return b;
+  };
+  const strip = ({ month, ...rest }) => finish(rest);
+  return {
+    currency,
+    months: Object.values(monthly).map(finish),
+    overdue: strip(extra.overdue),
+    later: strip(extra.later),
+    unscheduled: strip(extra.unscheduled),
+    totals: strip(totals),
+    other_currencies: otherCurrencies
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  MAX_FORECAST_MONTHS,
+  addMonths,
+  stageHistory,
+  stageTimes,
+  stageFunnel,
+  cohortConversion,
+  revenueForecast
+};
@@ -0,0 +1,140 @@
+// ============================================
+// FlowTier Lead Revisions v1.0
+// Field-level change history for leads. Every
+// write records which tracked fields changed,
+// old and new values, who made the change and
+// through which path.
+// ============================================
+
+const { storage } = require('./storage');
+
+// Lead fields under revision control. Notes, outreach, attachments and
+// activity keep their own history; computed fields are left out.
+const TRACKED_FIELDS = [
+  'company_name', 'contact_name', 'emails', 'phones', 'website', 'linkedin',
+  'address', 'industry', 'company_size', 'revenue_estimate', 'lead_source', 'tags',
+  'account_id', 'pipeline_id', 'stage', 'assigned_to', 'deal_value', 'details', 'next_followup', 'calendar_event',
+  'proposal_url', 'lost_reason', 'won_reason', 'custom_fields', 'human_mode', 'owner_id', 'ghl_contact_id'
+];
+
+function clone(value) {
+  return value === undefined ? null : structuredClone(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// Changed tracked fields between two lead states (either may be null)
+function diffLead(before, after) {
+  const changes = [];
+  TRACKED_FIELDS.forEach(field => {
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+    if (!sameValue(oldValue, newValue)) {
+      changes.push({ field, old: clone(oldValue), new: clone(newValue) });
+    }
+  });
+  return changes;
+}
+
+// ============================================
+// HISTORY STORAGE
+// ============================================
+function getRevisions(leadId) {
+  const doc = storage.get('revisions', leadId);
+  return doc ? doc.revisions : [];
+}
+
+// Record a revision for a lead write. `before` is the previous saved state
+// (null on create). Returns the new revision, or null if nothing tracked changed.
+function recordRevision(before, after, context = {}) {
+  const changes = diffLead(before, after);
+  if (changes.length === 0) return null;
+
+  const doc = storage.get('revisions', after.id) || { lead_id: after.id, revisions: [] };
+  const now = new Date().toISOString();
+
+  // Leads that predate revision tracking get a baseline of their prior state
+  // so every later revision can be reconstructed.
+  if (doc.revisions.length === 0 && before) {
+    doc.revisions.push({
+      rev: 1,
+      timestamp: before.updated_at || now,
+      actor: null,
+      source: 'baseline',
+      changes: diffLead(null, before)
+    });
+  }
+
+  const revision = {
+    rev: doc.revisions.length + 1,
+    timestamp: now,
+    actor: context.actor || 'system',
+    role: context.role || null,
+    source: context.source || 'system',
+    changes
+  };
+  if (context.reverted_to) revision.reverted_to = context.reverted_to;
+  doc.revisions.push(revision);
+  storage.put('revisions', after.id, doc);
+  return revision;
+}
+
+// On merge the merged-away lead's history moves into the survivor's
+// document, under `merged`, so it is kept (and erased) with the survivor
+function mergeRevisions(targetId, sourceId) {
+  const source = storage.get('revisions', sourceId);
+  if (!source) return;
+  const doc = storage.get('revisions', targetId) || { lead_id: targetId, revisions: [] };
+  doc.merged = (doc.merged || []).concat(
+    { lead_id: sourceId, merged_at: new Date().toISOString(), revisions: source.revisions },
+    source.merged || []
+  );
+  storage.put('revisions', targetId, doc);
+  storage.remove('revisions', sourceId);
+}
+
+// Tracked-field state of a lead as of revision `rev`
+function stateAt(leadId, rev) {
+  const revisions = getRevisions(leadId);
+  if (!revisions.some(r => r.rev === rev)) return null;
+  const state = {};
+  revisions.filter(r => r.rev <= rev).forEach(r => {
+    r.changes.forEach(c => { state[c.field] = clone(c.new); });
+  });
+  TRACKED_FIELDS.forEach(f => { if (!(f in state)) state[f] = null; });
+  return state;
+}
+
+function diffRevisions(leadId, fromRev, toRev) {
+  const from = stateAt(leadId, fromRev);
+  const to = stateAt(leadId, toRev);
+  if (!from || !to) return null;
+  return diffLead(from, to).map(c => ({ field: c.field, from: c.old, to: c.new }));
+}
+
+// Build context for recordRevision from an Express request
+function revisionContext(req, source) {
+  const s = req && req.userSession;
+  return {
+    actor: s ? s.user : 'system',
+    user_id: s ? s.user_id || null : null,
+    role: s ? s.role : null,
+    source
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  TRACKED_FIELDS,
+  diffLead,
+  getRevisions,
+  recordRevision,
+  mergeRevisions,
+  stateAt,
+  diffRevisions,
+  revisionContext
+};
@@ -0,0 +1,285 @@
+// ============================================
+// FlowTier Search Index v1.0
+// In-memory inverted index over lead text:
+// company, contact, emails, details, notes,
+// outreach and custom fields. Ranked results,
+// phrase and prefix queries, match snippets.
+// ============================================
+
+// Segment field -> ranking weight
+const FIELD_WEIGHTS = {
+  company_name: 3,
+  contact_name: 3,
+  email: 2,
+  tag: 2,
+  custom_field: 1.5,
+  outreach_subject: 1.5,
+  details: 1,
+  address: 1,
+  note: 1,
+  outreach_body: 1
+};
+
+const MIN_PREFIX = 2;
+const SNIPPET_CHARS = 160;
+const MAX_SNIPPETS = 3;
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+// ============================================
+// TEXT HELPERS
+// ============================================
+const TOKEN_RE = /[\p{L}\p{N}]+/gu;
+
+// Tokens with their character offsets
+function tokenize(text) {
+  const tokens = [];
+  for (const m of String(text || '').matchAll(TOKEN_RE)) {
+    tokens.push({ term: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+const ENTITIES = { '&nbsp;': ' ', '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+function stripHtml(html) {
+  return String(html || '')
+    .replace(/<(br|\/p|\/div|\/li)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;|&amp;|&lt;|&gt;|&quot;|&#39;/g, e => ENTITIES[e])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Searchable text of a lead as [{ field, ref, text }]
+function leadSegments(lead) {
+  const segments = [];
+  const add = (field, text, ref) => {
+    if (typeof text === 'string' && text.trim()) segments.push({ field, ref: ref || null, text: text.trim() });
+  };
+  add('company_name', lead.company_name);
+  add('contact_name', lead.contact_name);
+  (lead.emails || []).forEach(e => add('email', e));
+  (lead.tags || []).forEach(t => add('tag', t));
+  add('details', lead.details);
+  add('address', lead.address);
+  (lead.notes || []).forEach(n => add('note', stripHtml(n.content), n.id));
+  (lead.outreach || []).forEach(o => {
+    add('outreach_subject', o.subject, o._id);
+    add('outreach_body', stripHtml(o.body), o._id);
+  });
+  Object.entries(lead.custom_fields || {}).forEach(([key, value]) => {
+    if (Array.isArray(value)) add('custom_field', value.join(', '), key); // multi-select
+    else if (value !== null && typeof value !== 'object') add('custom_field', String(value), key);
+  });
+  return segments;
+}
+
+// ============================================
+// QUERY PARSING
+// ============================================
+
+// `"exact phrase"`, `prefix*` and plain terms; every clause must match.
+// A plain word that splits into several tokens (e.g. acme.com) is a phrase.
+// options.prefixTerms treats plain words as prefixes (search-as-you-type).
+function parseQuery(q, options = {}) {
+  const clauses = [];
+  for (const m of String(q || '').matchAll(/"([^"]*)"|(\S+)/g)) {
+    if (m[1] !== undefined) {
+      const terms = tokenize(m[1]).map(t => t.term);
+      if (terms.length > 0) clauses.push({ type: terms.length > 1 ? 'phrase' : 'term', terms });
+      continue;
+    }
+    const word = m[2];
+    const star = word.endsWith('*');
+    const terms = tokenize(star ? word.slice(0, -1) : word).map(t => t.term);
+    if (terms.length === 0) continue;
+    if ((star || options.prefixTerms) && terms.length === 1 && terms[0].length >= MIN_PREFIX) clauses.push({ type: 'prefix', terms });
+    else clauses.push({ type: terms.length > 1 ? 'phrase' : 'term', terms });
+  }
+  return clauses;
+}
+
+// ============================================
+// SEARCH INDEX
+// ============================================
+class SearchIndex {
+  constructor() {
+    this.docs = new Map();     // lead id -> { segments, length }
+    this.postings = new Map(); // term -> Map(lead id -> [[segment, position], ...])
+    this.totalLength = 0;
+    this.sortedTerms = null;   // lazily rebuilt for prefix lookups
+  }
+
+  // LeadIndex listener interface
+  reset() {
+    this.docs.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    this.sortedTerms = null;
+  }
+
+  upsert(lead) {
+    this.remove(lead.id);
+    const segments = leadSegments(lead);
+    let length = 0;
+    segments.forEach((seg, s) => {
+      tokenize(seg.text).forEach((tok, pos) => {
+        if (!this.postings.has(tok.term)) {
+          this.postings.set(tok.term, new Map());
+          this.sortedTerms = null;
+        }
+        const byLead = this.postings.get(tok.term);
+        if (!byLead.has(lead.id)) byLead.set(lead.id, []);
+        byLead.get(lead.id).push([s, pos]);
+        length += FIELD_WEIGHTS[seg.field];
+      });
+    });
+    this.docs.set(lead.id, { segments, length });
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return;
+    doc.segments.forEach(seg => {
+      tokenize(seg.text).forEach(tok => {
+        const byLead = this.postings.get(tok.term);
+        if (!byLead) return;
+        byLead.delete(id);
+        if (byLead.size === 0) {
+          this.postings.delete(tok.term);
+          this.sortedTerms = null;
+        }
+      });
+    });
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+  }
+
+  termsWithPrefix(prefix) {
+    if (!this.sortedTerms) this.sortedTerms = Array.from(this.postings.keys()).sort();
+    const terms = this.sortedTerms;
+    let lo = 0;
+    let hi = terms.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (terms[mid] < prefix) lo = mid + 1; else hi = mid;
+    }
+    const out = [];
+    for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) out.push(terms[i]);
+    return out;
+  }
+
+  // Lead id -> hits ([segment, position, token count]) for one clause
+  matchClause(clause) {
+    const result = new Map();
+    const addHits = (byLead, len) => {
+      if (!byLead) return;
+      byLead.forEach((occ, id) => {
+        if (!result.has(id)) result.set(id, []);
+        occ.forEach(([s, p]) => result.get(id).push([s, p, len]));
+      });
+    };
+
+    if (clause.type === 'term') addHits(this.postings.get(clause.terms[0]), 1);
+    if (clause.type === 'prefix') this.termsWithPrefix(clause.terms[0]).forEach(t => addHits(this.postings.get(t), 1));
+    if (clause.type === 'phrase') {
+      const lists = clause.terms.map(t => this.postings.get(t));
+      if (lists.some(l => !l)) return result;
+      lists[0].forEach((occ, id) => {
+        const rest = lists.slice(1).map(l => l.get(id));
+        if (rest.some(r => !r)) return;
+        const sets = rest.map(r => new Set(r.map(([s, p]) => `${s}:${p}`)));
+        const hits = occ
+          .filter(([s, p]) => sets.every((set, i) => set.has(`${s}:${p + i + 1}`)))
+          .map(([s, p]) => [s, p, clause.terms.length]);
+        if (hits.length > 0) result.set(id, hits);
+      });
+    }
+    return result;
+  }
+
+  // Ranked matches: [{ id, score, hits }], best first; pass hits to
+  // snippets(). `options.filter(id)` drops leads the caller may not see;
+  // `options.prefixTerms` is passed to parseQuery.
+  search(q, options = {}) {
+    const clauses = parseQuery(q, options);
+    if (clauses.length === 0) return [];
+
+    const perClause = clauses.map(c => this.matchClause(c));
+    let ids = Array.from(perClause[0].keys());
+    perClause.slice(1).forEach(m => { ids = ids.filter(id => m.has(id)); });
+    if (options.filter) ids = ids.filter(options.filter);
+
+    const n = this.docs.size;
+    const avgLength = n > 0 ? this.totalLength / n : 1;
+    return ids.map(id => {
+      const doc = this.docs.get(id);
+      let score = 0;
+      perClause.forEach(m => {
+        const df = m.size;
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        const tf = m.get(id).reduce((sum, [s]) => sum + FIELD_WEIGHTS[doc.segments[s].field], 0);
+        score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+      });
+      const hits = [];
+      perClause.forEach(m => hits.push(...m.get(id)));
+      return { id, score: Math.round(score * 1000) / 1000, hits };
+    })
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+  }
+
+  // Up to MAX_SNIPPETS snippets for one result: { field, ref, text,
+  // highlights: [[start, end], ...] } with offsets into `text`
+  snippets(id, hits) {
+    const doc = this.docs.get(id);
+    if (!doc) return [];
+    const bySegment = new Map();
+    hits.forEach(([s, p, len]) => {
+      if (!bySegment.has(s)) bySegment.set(s, []);
+      bySegment.get(s).push([p, len]);
+    });
+
+    return Array.from(bySegment.entries())
+      .sort((a, b) => FIELD_WEIGHTS[doc.segments[b[0]].field] - FIELD_WEIGHTS[doc.segments[a[0]].field] || b[1].length - a[1].length)
+      .slice(0, MAX_SNIPPETS)
+      .map(([s, positions]) => {
+        const seg = doc.segments[s];
+        const tokens = tokenize(seg.text);
+        const spans = positions
+          .map(([p, len]) => [tokens[p].start, tokens[p + len - 1].end])
+          .sort((a, b) => a[0] - b[0]);
+
+        // Window around the first match, widened to word boundaries
+        let from = Math.max(0, spans[0][0] - Math.floor(SNIPPET_CHARS / 3));
+        let to = Math.min(seg.text.length, from + SNIPPET_CHARS);
+        while (from > 0 && /\S/.test(seg.text[from - 1])) from--;
+        while (to < seg.text.length && /\S/.test(seg.text[to])) to++;
+
+        const ellipsis = from > 0 ? '…' : '';
+        const text = ellipsis + seg.text.slice(from, to) + (to < seg.text.length ? '…' : '');
+        const highlights = spans
+          .filter(([a, b]) => a >= from && b <= to)
+          .map(([a, b]) => [a - from + ellipsis.length, b - from + ellipsis.length]);
+        return { field: seg.field, ref: seg.ref, text, highlights };
+      });
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  SearchIndex,
+  FIELD_WEIGHTS,
+  parseQuery,
+  tokenize,
+  stripHtml
+};
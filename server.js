@@ -12,10 +12,68 @@ const { v4: uuidv4 } = require('uuid');
 const multer = require('multer');
 const bcrypt = require('bcryptjs');
 const {
-  readCampaign, writeCampaign, deleteCampaignFile, getAllCampaigns,
-  createCampaignObject, getBlacklist, saveBlacklist, isBlacklisted,
-  addToBlacklist, removeFromBlacklist, CampaignScheduler
+  readCampaign, writeCampaign, getAllCampaigns,
+  createCampaignObject, enrollLead, unenrollLead, getBlacklist, saveBlacklist,
+  addToBlacklist, removeFromBlacklist, isSuppressed, getSuppressionList, CampaignScheduler
 } = require('./campaign-engine');
+const { storage, ConflictError } = require('./storage');
+const { LeadIndex, normalizeEmail, phoneKey } = require('./lead-index');
+const { SearchIndex } = require('./search-index');
+const { MergeError, buildMergedLead, rewriteCampaignReferences, writeTombstone, resolveLeadId } = require('./lead-merge');
+const { MIN_CONFIDENCE, pairReasons, getScanResult, getCluster, dismissCluster, DuplicateScanner } = require('./duplicate-scan');
+const { ValidationError, fieldError, COUNTRIES, getDefaultCountry, setDefaultCountry, normalizeContactFields, normalizeUrl } = require('./lead-validation');
+const { listFieldDefinitions, getFieldDefinition, saveFieldDefinition, deleteFieldDefinition, normalizeCustomFields, formatCustomValue } = require('./custom-fields');
+const {
+  TransitionError, DEFAULT_PIPELINE_ID, clearPipelineCache, watchPipelines, ensureDefaultPipeline, listPipelines, getPipeline, isAvailable, pipelineForClient,
+  pipelineForLead, findStage, stageLabel, stageOutcome, savePipeline, deletePipeline,
+  placeLead, checkTransition, getStageReasons, setStageReasons, normalizeStageReasons
+} = require('./pipelines');
+const {
+  TRIGGERS, ACTION_TYPES, clearAutomationCache, watchAutomations, listAutomations, getAutomation, saveAutomation,
+  deleteAutomation, ensureDefaultAutomations, snapshotLead, changeEvents, runDeferredActions, AutomationEngine
+} = require('./automations');
+const {
+  RULE_TYPES, METRICS, getScoringConfig, setScoringConfig, resetScoringConfig, explainScore, scoreLead,
+  getScoreHistory, recordScoreChange, ScoreRefresher
+} = require('./lead-scoring');
+const {
+  TASK_TYPES, PRIORITIES, STATUSES, QUEUES, clearTaskCache, watchTasks, getTask, listTasks, taskQueues,
+  createTask, updateTask, deleteTask, reassignLeadTasks, syncLeadTasks, ensureFollowupTasks, convertTaskUsers, snoozeTask
+} = require('./tasks');
+const {
+  listNotifications, markNotificationRead, markAllRead, markTaskNotificationsRead, convertNotificationUsers
+} = require('./notifications');
+const { getReminderConfig, setReminderConfig, ReminderScheduler } = require('./reminders');
+const {
+  ADMIN_USER_ID, setAdminUsername, toMember, ensureUserIds, listMembers, getMember, findMember, resolveAssignee, memberName
+} = require('./team');
+const {
+  STRATEGIES, clearAssignmentCache, watchAssignmentRules, listAssignmentRules, getAssignmentRule, saveAssignmentRule,
+  deleteAssignmentRule, removeMemberFromRules, assignLead
+} = require('./assignment');
+const {
+  TIMELINE_KINDS, clearAccountCache, watchAccounts, getAccount, listAccounts, saveAccount, deleteAccount,
+  resolveAccount, linkAccount, companyFields, accountTimeline
+} = require('./accounts');
+const {
+  DEAL_STATUSES, getDealSettings, setDealSettings, clearDealCache, watchDeals, getDeal, listDeals, dealStageCounts,
+  createDeal, updateDeal, deleteDeal, reassignLeadDeals, releaseAccountDeals, dealValueError, syncLeadDeals, ensureLeadDeals
+} = require('./deals');
+const {
+  MAX_FORECAST_MONTHS, addMonths, stageTimes, stageFunnel, cohortConversion, revenueForecast
+} = require('./reports');
+const { upgradeRecord, runMigrations, listMigrations, CURRENT_LEAD_SCHEMA } = require('./migrations');
+const {
+  createSnapshot, listSnapshots, getSnapshot, deleteSnapshot, restoreSnapshot, archivePath,
+  getBackupSchedule, setBackupSchedule, pruneScheduledSnapshots, BackupScheduler
+} = require('./backup');
+const {
+  moveToTrash, getTrashEntry, isInTrash, restoreFromTrash, purgeTrashEntry, listTrash,
+  purgeExpiredTrash, getTrashPolicy, setTrashPolicy, TRASH_KINDS
+} = require('./trash');
+const { getRevisions, recordRevision, mergeRevisions, stateAt, diffRevisions, revisionContext, TRACKED_FIELDS } = require('./revisions');
+const { normalizeSubject, exportSubjectData, eraseSubjectData } = require('./privacy');
+const { QueryError, filterLeads, listViews, getView, saveView, deleteView } = require('./lead-query');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -130,19 +188,6 @@ function mapGhlContactToLead(c) {
   };
 }
 
-// ============================================
-// LEAD STAGES
-// ============================================
-const STAGES = [
-  { id: 'cold', label: 'Cold', color: '#78909C', description: 'Never reached out' },
-  { id: 'contacted', label: 'Contacted', color: '#64B5F6', description: 'First outreach sent' },
-  { id: 'qualified', label: 'Qualified', color: '#FFB74D', description: 'Showed interest in automation' },
-  { id: 'call_booked', label: 'Call Booked', color: '#CE93D8', description: 'Meeting scheduled' },
-  { id: 'proposal_sent', label: 'Proposal Sent', color: '#4DD0E1', description: 'Proposal delivered' },
-  { id: 'won', label: 'Won', color: '#00E676', description: 'Closed deal' },
-  { id: 'lost', label: 'Lost', color: '#FF5252', description: 'Did not convert' }
-];
-
 // ============================================
 // DEFAULT INDUSTRIES & SOURCES
 // ============================================
@@ -157,44 +202,26 @@ const DEFAULT_SOURCES = ['Website', 'Scraper', 'Instagram', 'Referral', 'Make.co
 // ============================================
 // PERSISTENT CONFIG HELPERS
 // ============================================
-const WEBHOOK_CONFIG_FILE = path.join(CONFIG_DIR, 'webhook.json');
-const INDUSTRIES_FILE = path.join(CONFIG_DIR, 'industries.json');
-const WEBHOOK_HISTORY_FILE = path.join(CONFIG_DIR, 'webhook_history.json');
-const EMAIL_TEMPLATES_FILE = path.join(CONFIG_DIR, 'email_templates.json');
-
 function getWebhookUrl() {
-  try {
-    if (fs.existsSync(WEBHOOK_CONFIG_FILE)) {
-      return JSON.parse(fs.readFileSync(WEBHOOK_CONFIG_FILE, 'utf8')).url || '';
-    }
-  } catch (e) {}
-  return '';
+  const doc = storage.get('config', 'webhook');
+  return (doc && doc.url) || '';
 }
 
 function setWebhookUrl(url) {
-  fs.writeFileSync(WEBHOOK_CONFIG_FILE, JSON.stringify({ url, updated_at: new Date().toISOString() }, null, 2), 'utf8');
+  storage.put('config', 'webhook', { url, updated_at: new Date().toISOString() });
 }
 
 function getIndustries() {
-  try {
-    if (fs.existsSync(INDUSTRIES_FILE)) {
-      return JSON.parse(fs.readFileSync(INDUSTRIES_FILE, 'utf8')).industries || DEFAULT_INDUSTRIES;
-    }
-  } catch (e) {}
-  return DEFAULT_INDUSTRIES;
+  const doc = storage.get('config', 'industries');
+  return (doc && doc.industries) || DEFAULT_INDUSTRIES;
 }
 
 function setIndustries(list) {
-  fs.writeFileSync(INDUSTRIES_FILE, JSON.stringify({ industries: list, updated_at: new Date().toISOString() }, null, 2), 'utf8');
+  storage.put('config', 'industries', { industries: list, updated_at: new Date().toISOString() });
 }
 
 function getWebhookHistory() {
-  try {
-    if (fs.existsSync(WEBHOOK_HISTORY_FILE)) {
-      return JSON.parse(fs.readFileSync(WEBHOOK_HISTORY_FILE, 'utf8'));
-    }
-  } catch (e) {}
-  return [];
+  return storage.get('config', 'webhook_history') || [];
 }
 
 function addWebhookHistory(entry) {
@@ -202,51 +229,38 @@ function addWebhookHistory(entry) {
   history.unshift(entry);
   // Keep last 100 entries
   const trimmed = history.slice(0, 100);
-  fs.writeFileSync(WEBHOOK_HISTORY_FILE, JSON.stringify(trimmed, null, 2), 'utf8');
+  storage.put('config', 'webhook_history', trimmed);
 }
 
 function getEmailTemplates() {
-  try {
-    if (fs.existsSync(EMAIL_TEMPLATES_FILE)) {
-      return JSON.parse(fs.readFileSync(EMAIL_TEMPLATES_FILE, 'utf8'));
-    }
-  } catch (e) {}
-  return [];
+  return storage.get('config', 'email_templates') || [];
 }
 
 function saveEmailTemplates(templates) {
-  fs.writeFileSync(EMAIL_TEMPLATES_FILE, JSON.stringify(templates, null, 2), 'utf8');
+  storage.put('config', 'email_templates', templates);
 }
 
 // ============================================
 // CLIENT/USER MANAGEMENT HELPERS
 // ============================================
-function getUserPath(username) {
-  return path.join(USERS_DIR, `${username.toLowerCase().replace(/[^a-z0-9_-]/g, '_')}.json`);
+function getUserKey(username) {
+  return username.toLowerCase().replace(/[^a-z0-9_-]/g, '_');
 }
 
 function readUser(username) {
-  const p = getUserPath(username);
-  if (!fs.existsSync(p)) return null;
-  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch (e) { return null; }
+  return storage.get('users', getUserKey(username));
 }
 
 function writeUser(user) {
-  fs.writeFileSync(getUserPath(user.username), JSON.stringify(user, null, 2), 'utf8');
+  storage.put('users', getUserKey(user.username), user);
 }
 
 function deleteUser(username) {
-  const p = getUserPath(username);
-  if (fs.existsSync(p)) fs.unlinkSync(p);
+  storage.remove('users', getUserKey(username));
 }
 
 function getAllUsers() {
-  if (!fs.existsSync(USERS_DIR)) return [];
-  const files = fs.readdirSync(USERS_DIR).filter(f => f.endsWith('.json'));
-  return files.map(f => {
-    try { return JSON.parse(fs.readFileSync(path.join(USERS_DIR, f), 'utf8')); }
-    catch (e) { return null; }
-  }).filter(Boolean);
+  return storage.list('users');
 }
 
 function findUserByApiKey(apiKey) {
@@ -255,16 +269,24 @@ function findUserByApiKey(apiKey) {
   return users.find(u => u.api_key === apiKey) || null;
 }
 
+// Client accounts only; their team members share the client_id
+function getAllClients() {
+  return getAllUsers().filter(u => u.role === 'client');
+}
+
 function findUserByClientId(clientId) {
   if (!clientId) return null;
-  const users = getAllUsers();
-  return users.find(u => u.client_id === clientId) || null;
+  return getAllClients().find(u => u.client_id === clientId) || null;
 }
 
+// data.role 'member' creates a team member of data.client_id's workspace
+// (null = the admin workspace) instead of a client account
 function createUserObject(data) {
   const now = new Date().toISOString();
+  const isMember = data.role === 'member';
   return {
-    client_id: data.client_id || uuidv4(),
+    user_id: uuidv4(),
+    client_id: isMember ? data.client_id || null : data.client_id || uuidv4(),
     username: data.username.toLowerCase().trim(),
     password_hash: data.password_hash || '',
     display_name: data.display_name || data.username,
@@ -272,94 +294,231 @@ function createUserObject(data) {
     company_name: data.company_name || '',
     phone: data.phone || '',
     api_key: data.api_key || 'ftk_' + crypto.randomBytes(24).toString('hex'),
-    role: 'client',
+    role: isMember ? 'member' : 'client',
     active: data.active !== false,
     created_at: data.created_at || now,
     updated_at: now
   };
 }
 
+// Session of a stored login. Team members work with their workspace's
+// access: a client's members as that client, the admin workspace's as a
+// client of the admin pool (client_id null). Only the admin login is admin.
+function sessionForUser(user) {
+  return {
+    user: user.username,
+    user_id: user.user_id,
+    role: 'client',
+    team_role: user.role === 'member' ? 'member' : 'owner',
+    client_id: user.client_id || null,
+    display_name: user.display_name,
+    created: Date.now()
+  };
+}
+
+// The admin login is a team member too, and assignees are converted to
+// user IDs below, so every stored login needs one first
+setAdminUsername(ADMIN_USER);
+ensureUserIds();
+
 // ============================================
 // LEAD DATA HELPERS
 // ============================================
-function getLeadPath(id) {
-  return path.join(DATA_DIR, `${id}.json`);
+// Leads need a pipeline; the default one is seeded with the original stages
+ensureDefaultPipeline();
+// The original auto-stage moves become editable automation rules
+ensureDefaultAutomations();
+
+// Bring stored leads and campaigns up to the current schema before anything
+// reads them. Set SKIP_BOOT_MIGRATIONS=1 to run them by hand instead.
+if (process.env.SKIP_BOOT_MIGRATIONS !== '1') {
+  const report = runMigrations(storage);
+  Object.entries(report.collections).forEach(([collection, r]) => {
+    if (r.migrated > 0 || r.errors.length > 0) {
+      console.log(`[Migrations] ${collection}: ${r.migrated}/${r.scanned} upgraded to v${r.current_version}, ${r.errors.length} error(s)`);
+    }
+  });
+}
+
+// Process-wide lead index: lookups and list views read from memory,
+// every write below keeps it current.
+const leadIndex = new LeadIndex(storage, { prepare: lead => upgradeRecord('leads', lead) });
+// Full-text index over lead text, kept current through the lead index
+const searchIndex = new SearchIndex();
+leadIndex.addListener(searchIndex);
+leadIndex.build();
+// Deal values and proposals from before deals existed become deals.
+// This runs before any boot-time lead write, which would reset
+// deal_value from the (still missing) deals.
+ensureLeadDeals(fn => leadIndex.forEach(fn));
+// Follow-up dates from before tasks existed become tasks
+ensureFollowupTasks(fn => leadIndex.forEach(fn));
+
+// Once per install: tasks and notifications named people by username
+// before team members existed (leads are converted by schema migration 6).
+// The config doc 'team' marks it done.
+if (!storage.get('config', 'team')) {
+  const toUserId = (name, workspace) => {
+    const member = findMember(name, workspace);
+    return member ? member.user_id : null;
+  };
+  const tasks = convertTaskUsers(toUserId);
+  const notifications = convertNotificationUsers(name => toUserId(name));
+  storage.put('config', 'team', { user_ids_converted_at: new Date().toISOString(), tasks, notifications }, { force: true });
+  if (tasks + notifications > 0) console.log(`[Team] Converted ${tasks} task(s) and ${notifications} notification(s) to user IDs`);
+}
+
+// Once per install: leads from before accounts existed are linked to an
+// account by domain (see accounts.js). The config doc 'accounts' marks it done.
+if (!storage.get('config', 'accounts')) {
+  const ids = [];
+  leadIndex.forEach(lead => { if (!lead.account_id) ids.push(lead.id); });
+  let linked = 0;
+  ids.forEach(id => {
+    const lead = readLead(id);
+    if (!lead || !linkAccount(lead, null)) return;
+    writeLead(lead, { actor: 'system', role: null, source: 'account_link' });
+    linked++;
+  });
+  storage.put('config', 'accounts', { leads_linked_at: new Date().toISOString(), linked }, { force: true });
+  if (linked > 0) console.log(`[Accounts] Linked ${linked} lead(s) to ${listAccounts().length} account(s) by domain`);
 }
 
+// Leads edited outside the server are upgraded in memory on read,
+// so handlers only ever see the current schema. IDs of leads merged
+// into another resolve to the surviving lead.
 function readLead(id) {
-  const p = getLeadPath(id);
-  if (!fs.existsSync(p)) return null;
-  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch (e) { return null; }
+  let lead = storage.get('leads', id);
+  if (!lead) {
+    const survivorId = resolveLeadId(id);
+    if (survivorId !== id) lead = storage.get('leads', survivorId);
+  }
+  if (lead) upgradeRecord('leads', lead);
+  return lead;
+}
+
+// `context` ({ actor, user_id, role, source }) is stamped on the revision
+// recorded for any tracked-field change; see revisionContext(). The lead
+// score is recalculated on every write and changes go to the score
+// history, next_followup is kept in step with the lead's tasks and
+// deal_value / proposal_url with its deals, new leads and changed
+// domains are linked to their account, and a new
+// assignee or account is logged in the activity (context.assignment_rule
+// names the rule that picked the assignee). context.onStored(lead) runs the
+// caller's own side effects once the version check has passed, before the
+// tasks and deals are synced.
+function writeLead(lead, context = {}) {
+  const before = leadIndex.get(lead.id);
+  logAssigneeChange(lead, before, context.assignment_rule);
+  // Accounts, tasks and deals are only touched once the version check has
+  // passed; the lead is then stored again (same version) if that changed it
+  storage.put('leads', lead.id, lead);
+  const written = JSON.stringify(lead);
+  if (context.onStored) context.onStored(lead);
+  linkAccount(lead, before);
+  logAccountChange(lead, before);
+  syncLeadTasks(lead, before, context.user_id);
+  syncLeadDeals(lead, before, context.user_id);
+  lead.lead_score = scoreLead(lead);
+  if (JSON.stringify(lead) !== written) storage.put('leads', lead.id, lead, { force: true });
+  recordRevision(before, lead, context);
+  if (!before || before.lead_score !== lead.lead_score) {
+    recordScoreChange(lead.id, before ? before.lead_score : null, lead.lead_score, context.source);
+  }
+  leadIndex.upsert(lead);
+  runDeferredActions(lead);
+}
+
+function logAssigneeChange(lead, before, ruleName) {
+  const from = (before && before.assigned_to) || null;
+  const to = lead.assigned_to || null;
+  if (from === to) return;
+  const byRule = ruleName ? ` by rule "${ruleName}"` : '';
+  let message = `Unassigned from ${memberName(from)}`;
+  if (to) message = from ? `Reassigned from ${memberName(from)} to ${memberName(to)}${byRule}` : `Assigned to ${memberName(to)}${byRule}`;
+  lead.activity.push({ type: 'assignee_changed', message, from, to, timestamp: new Date().toISOString() });
 }
 
-function writeLead(lead) {
-  fs.writeFileSync(getLeadPath(lead.id), JSON.stringify(lead, null, 2), 'utf8');
+function logAccountChange(lead, before) {
+  const from = (before && before.account_id) || null;
+  const to = lead.account_id || null;
+  if (from === to) return;
+  const nameOf = id => {
+    const account = getAccount(id);
+    return account ? `"${account.name}"` : 'a deleted account';
+  };
+  let message = `Unlinked from account ${nameOf(from)}`;
+  if (to) message = from ? `Moved from account ${nameOf(from)} to ${nameOf(to)}` : `Linked to account ${nameOf(to)}`;
+  lead.activity.push({ type: 'account_changed', message, from, to, timestamp: new Date().toISOString() });
 }
 
+// Permanent delete — user-facing deletes go through trashLead instead
 function deleteLead(id) {
-  const p = getLeadPath(id);
-  if (fs.existsSync(p)) fs.unlinkSync(p);
+  storage.remove('leads', id);
+  leadIndex.remove(id);
+}
+
+// Soft delete: move the lead to the trash so it can be restored
+function trashLead(lead, deletedBy) {
+  const entry = moveToTrash('lead', lead, deletedBy);
+  leadIndex.remove(lead.id);
+  return entry;
 }
 
 function getAllLeads() {
-  const files = fs.readdirSync(DATA_DIR).filter(f => f.endsWith('.json'));
-  return files.map(f => {
-    try { return JSON.parse(fs.readFileSync(path.join(DATA_DIR, f), 'utf8')); }
-    catch (e) { return null; }
-  }).filter(Boolean);
+  return leadIndex.all();
 }
 
 // ============================================
 // LEAD SCORING
 // ============================================
-function calculateLeadScore(lead) {
-  let score = 0;
-  if (lead.emails && lead.emails.length > 0) score += 10;
-  if (lead.phones && lead.phones.length > 0) score += 10;
-  if (lead.website) score += 5;
-  if (lead.linkedin) score += 5;
-  if (lead.company_name) score += 5;
-  if (lead.contact_name) score += 5;
-  if (lead.details && lead.details.length > 50) score += 10;
-  if (lead.deal_value > 0) score += 10;
-  if (lead.address) score += 5;
-  if (lead.company_size) score += 5;
-
-  // Stage-based scoring
-  const stageScores = { cold: 0, contacted: 10, qualified: 25, call_booked: 35, proposal_sent: 45, won: 50, lost: -10 };
-  score += stageScores[lead.stage] || 0;
-
-  // Engagement scoring
-  if (lead.notes && lead.notes.length > 0) score += Math.min(lead.notes.length * 5, 20);
-  if (lead.outreach && lead.outreach.length > 0) score += Math.min(lead.outreach.length * 5, 15);
-  if (lead.calendar_event) score += 15;
-
-  // Tags bonus
-  if (lead.tags && lead.tags.some(t => t.toLowerCase().includes('high-priority'))) score += 10;
-
-  return Math.min(score, 100);
-}
+// The model lives in lead-scoring.js and writeLead stores the score.
+// Decay lowers the scores of leads nobody touches, so stored scores are
+// also refreshed in the background; only changed ones are rewritten.
+const scoreRefresher = new ScoreRefresher(() => {
+  const leads = [];
+  leadIndex.forEach(lead => leads.push(lead));
+  return leads;
+}, (lead, config) => {
+  if (scoreLead(lead, config) === lead.lead_score) return false;
+  const fresh = readLead(lead.id);
+  if (!fresh) return false;
+  writeLead(fresh, { actor: 'system', role: null, source: 'score_refresh' });
+  return true;
+});
 
 // ============================================
 // DUPLICATE DETECTION
 // ============================================
 function findDuplicates(data) {
-  const allLeads = getAllLeads();
   const duplicates = [];
+  const dataEmails = (data.emails || []).flat(Infinity).filter(e => typeof e === 'string');
+  const dataPhones = (data.phones || []).flat(Infinity).filter(p => typeof p === 'string');
+
+  // Email and phone candidates come straight from the index
+  const emailHits = new Map();
+  dataEmails.forEach(e => leadIndex.ids('email', normalizeEmail(e)).forEach(id => {
+    if (!emailHits.has(id)) emailHits.set(id, []);
+    emailHits.get(id).push(e);
+  }));
+  const phoneHits = new Set();
+  dataPhones.forEach(p => leadIndex.ids('phone', phoneKey(p)).forEach(id => phoneHits.add(id)));
 
-  allLeads.forEach(existing => {
+  const companyName = (data.company_name || '').toLowerCase().trim();
+
+  leadIndex.forEach(existing => {
     let matchScore = 0;
     let matchReasons = [];
 
     // Email match (strongest signal)
-    if (data.emails && data.emails.length > 0 && existing.emails && existing.emails.length > 0) {
-      const overlap = data.emails.filter(e => existing.emails.some(ex => ex.toLowerCase() === e.toLowerCase()));
-      if (overlap.length > 0) { matchScore += 80; matchReasons.push('Email match: ' + overlap.join(', ')); }
+    if (emailHits.has(existing.id)) {
+      matchScore += 80; matchReasons.push('Email match: ' + emailHits.get(existing.id).join(', '));
     }
 
     // Company name match
-    if (data.company_name && existing.company_name) {
-      if (data.company_name.toLowerCase().trim() === existing.company_name.toLowerCase().trim()) {
+    if (companyName && existing.company_name) {
+      const existingName = existing.company_name.toLowerCase().trim();
+      if (companyName === existingName) {
         matchScore += 60; matchReasons.push('Exact company name match');
       } else if (data.company_name.toLowerCase().includes(existing.company_name.toLowerCase()) ||
                  existing.company_name.toLowerCase().includes(data.company_name.toLowerCase())) {
@@ -368,10 +527,8 @@ function findDuplicates(data) {
     }
 
     // Phone match
-    if (data.phones && data.phones.length > 0 && existing.phones && existing.phones.length > 0) {
-      const normalizePhone = p => p.replace(/\D/g, '').slice(-10);
-      const overlap = data.phones.filter(p => existing.phones.some(ep => normalizePhone(p) === normalizePhone(ep)));
-      if (overlap.length > 0) { matchScore += 70; matchReasons.push('Phone match'); }
+    if (phoneHits.has(existing.id)) {
+      matchScore += 70; matchReasons.push('Phone match');
     }
 
     if (matchScore >= 50) {
@@ -395,8 +552,10 @@ function createLeadObject(data) {
   const now = new Date().toISOString();
   // If a GHL contact ID is provided, use it as the lead ID directly
   const leadId = data.ghl_contact_id || data.id || uuidv4();
+  const pipeline = getPipeline(data.pipeline_id) || pipelineForClient(data.owner_id);
   return {
     id: leadId,
+    schema_version: CURRENT_LEAD_SCHEMA,
     company_name: data.company_name || '',
     contact_name: data.contact_name || '',
     emails: Array.isArray(data.emails) ? data.emails : (data.email ? [data.email] : []),
@@ -409,9 +568,13 @@ function createLeadObject(data) {
     revenue_estimate: data.revenue_estimate || '',
     lead_source: data.lead_source || '',
     tags: Array.isArray(data.tags) ? data.tags : (data.tags ? data.tags.split(',').map(t => t.trim()).filter(Boolean) : []),
-    stage: data.stage || 'cold',
-    assigned_to: data.assigned_to || '',
+    account_id: data.account_id || null,
+    pipeline_id: pipeline.id,
+    stage: data.stage || pipeline.stages[0].id,
+    assigned_to: data.assigned_to || null,
     deal_value: data.deal_value || 0,
+    lost_reason: data.lost_reason || '',
+    won_reason: data.won_reason || '',
     details: data.details || '',
     last_contacted: data.last_contacted || null,
     next_followup: data.next_followup || null,
@@ -433,11 +596,92 @@ function createLeadObject(data) {
   };
 }
 
+// ============================================
+// LEAD PAYLOAD VALIDATION
+// ============================================
+// Contact fields, proposal_url, registry-defined custom fields, the pipeline stage, the
+// assignee and the account of an incoming lead. `ownerId` selects the
+// client-scoped custom fields and pipelines, the team assigned_to must be
+// on and the workspace account_id must belong to. Set options.checkRequired when the write replaces
+// custom_fields as a whole. options.current holds the stored pipeline_id
+// and stage of an update; options.partial only checks the stage when the
+// write moves the lead. Returns { data, errors }; `data` holds only the
+// valid values.
+function checkLeadPayload(body, ownerId, options = {}) {
+  const { data, errors } = normalizeContactFields(body);
+  errors.push(...normalizeStageReasons(data));
+  // Goes onto one of the lead's deals, which only take http(s) links
+  if (data.proposal_url !== undefined && data.proposal_url !== null) {
+    const url = normalizeUrl(String(data.proposal_url));
+    if (url.error) {
+      errors.push(fieldError('proposal_url', data.proposal_url, url.error.code, url.error.message));
+      delete data.proposal_url;
+    } else {
+      data.proposal_url = url.value;
+    }
+  }
+  if (data.custom_fields !== undefined || options.checkRequired) {
+    const custom = normalizeCustomFields(data.custom_fields, ownerId, options);
+    data.custom_fields = custom.values;
+    errors.push(...custom.errors);
+  }
+  if (!options.partial || data.stage !== undefined || data.pipeline_id !== undefined) {
+    const placed = placeLead(data, options.current || {}, ownerId);
+    if (placed.errors.length > 0) {
+      errors.push(...placed.errors);
+      delete data.stage;
+      delete data.pipeline_id;
+    } else {
+      data.pipeline_id = placed.pipeline.id;
+      data.stage = placed.stage;
+    }
+  }
+  if (data.assigned_to !== undefined) {
+    const assignee = resolveAssignee(data.assigned_to, ownerId);
+    if (assignee.error) {
+      errors.push(assignee.error);
+      delete data.assigned_to;
+    } else {
+      data.assigned_to = assignee.value;
+    }
+  }
+  if (data.account_id !== undefined) {
+    const account = resolveAccount(data.account_id, ownerId);
+    if (account.error) {
+      errors.push(account.error);
+      delete data.account_id;
+    } else {
+      data.account_id = account.value;
+    }
+  }
+  return { data, errors };
+}
+
+// Like checkLeadPayload but throws ValidationError on any invalid value
+function validateLeadPayload(body, ownerId, options = {}) {
+  const { data, errors } = checkLeadPayload(body, ownerId, options);
+  if (errors.length > 0) throw new ValidationError(errors);
+  return data;
+}
+
+// Unmet entry requirements of a new lead's stage as field errors, for
+// imports that report problems per row
+function stageEntryErrors(lead) {
+  try {
+    checkTransition(lead, null);
+    return [];
+  } catch (err) {
+    if (!(err instanceof TransitionError)) throw err;
+    return err.missing.map(field => fieldError(field, null, 'required_for_stage', err.message));
+  }
+}
+
 // ============================================
 // WEBHOOK NOTIFICATION HELPER
 // ============================================
-async function sendWebhookNotification(eventType, payload) {
-  const webhookUrl = getWebhookUrl();
+// `url` overrides the configured webhook URL (automation rules)
+async function sendWebhookNotification(eventType, payload, url) {
+  const webhookUrl = url || getWebhookUrl();
   if (!webhookUrl) {
     console.log(`[Webhook] No URL configured. Skipping ${eventType}.`);
     return null;
@@ -483,37 +727,28 @@ async function sendWebhookNotification(eventType, payload) {
 }
 
 // ============================================
-// AUTO-STAGE RULES
+// AUTOMATIONS
 // ============================================
-function checkAutoStageRules(lead, trigger) {
-  const oldStage = lead.stage;
-  let changed = false;
-
-  if (trigger === 'outreach_sent' && lead.stage === 'cold') {
-    lead.stage = 'contacted';
-    changed = true;
-  }
-
-  if (trigger === 'calendar_event_added' && ['cold', 'contacted', 'qualified'].includes(lead.stage)) {
-    lead.stage = 'call_booked';
-    changed = true;
-  }
-
-  if (changed) {
-    const newStageLabel = STAGES.find(s => s.id === lead.stage)?.label || lead.stage;
-    const oldStageLabel = STAGES.find(s => s.id === oldStage)?.label || oldStage;
-    lead.activity.push({
-      type: 'stage_change',
-      message: `Stage auto-changed from ${oldStageLabel} to ${newStageLabel}`,
-      from: oldStage,
-      to: lead.stage,
-      timestamp: new Date().toISOString()
-    });
+// Admin-defined rules (see automations.js), e.g. outreach sent -> Contacted.
+// Call sites run them on a lead right before writing it; actions change
+// the lead in place and log themselves in its activity.
+const automationEngine = new AutomationEngine(sendWebhookNotification);
 
-    // Global webhook disabled — auto-stage webhook removed.
-  }
+function runAutomations(lead, ...events) {
+  return automationEngine.run(lead, events.flat());
+}
 
-  return changed;
+// ============================================
+// ASSIGNMENT RULES
+// ============================================
+// New leads nobody was assigned to go to the first matching rule of their
+// workspace (see assignment.js). Runs before the lead_created automations,
+// which may still reassign; `context` is the lead's write context.
+function autoAssign(lead, context) {
+  if (lead.assigned_to) return null;
+  const result = assignLead(lead);
+  if (result) context.assignment_rule = result.rule.name;
+  return result;
 }
 
 // ============================================
@@ -526,6 +761,7 @@ app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Source, X-API-Key, X-Event-Type');
+  res.header('Access-Control-Expose-Headers', 'X-Total-Count, X-Next-Cursor');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
@@ -596,19 +832,19 @@ function attachSession(req) {
   if (providedKey) {
     // Check admin API key first
     if (API_KEY && providedKey === API_KEY) {
-      req.userSession = { user: ADMIN_USER, role: 'admin', client_id: null, created: Date.now() };
+      req.userSession = { user: ADMIN_USER, user_id: ADMIN_USER_ID, role: 'admin', team_role: 'owner', client_id: null, created: Date.now() };
       return true;
     }
-    // Check client API keys
-    const clientUser = findUserByApiKey(providedKey);
-    if (clientUser && clientUser.active) {
-      req.userSession = { user: clientUser.username, role: 'client', client_id: clientUser.client_id, created: Date.now() };
+    // Check client and team member API keys
+    const keyUser = findUserByApiKey(providedKey);
+    if (keyUser && keyUser.active) {
+      req.userSession = sessionForUser(keyUser);
       return true;
     }
   }
   // Fallback: if no API_KEY is set, allow open API access as admin
   if (!API_KEY && req.path.startsWith('/api/')) {
-    req.userSession = { user: 'anonymous', role: 'admin', client_id: null, created: Date.now() };
+    req.userSession = { user: 'anonymous', user_id: ADMIN_USER_ID, role: 'admin', team_role: 'owner', client_id: null, created: Date.now() };
     return true;
   }
   return false;
@@ -624,7 +860,7 @@ function requireAuth(req, res, next) {
 }
 
 function requireAdmin(req, res, next) {
-  if (attachSession(req) && req.userSession.role === 'admin') return next();
+  if (attachSession(req) && req.userSession.role === 'admin' && req.userSession.team_role !== 'member') return next();
   if (req.path.startsWith('/api/')) return res.status(403).json({ error: 'Admin access required' });
   return res.redirect('/login');
 }
@@ -636,17 +872,119 @@ function requireApiOrSession(req, res, next) {
 
 // Helper: get leads filtered by ownership
 function getLeadsForSession(req) {
-  const allLeads = getAllLeads();
-  if (!req.userSession || req.userSession.role === 'admin') return allLeads;
-  const clientId = req.userSession.client_id;
-  return allLeads.filter(l => l.owner_id === clientId);
+  if (!req.userSession || req.userSession.role === 'admin') return getAllLeads();
+  // Admin-workspace members see the admin pool, which has no owner key
+  if (!req.userSession.client_id) return getAllLeads().filter(l => !l.owner_id);
+  return leadIndex.findByOwner(req.userSession.client_id);
 }
 
 // Helper: check if session can access a specific lead
 function canAccessLead(req, lead) {
   if (!lead) return false;
   if (!req.userSession || req.userSession.role === 'admin') return true;
-  return lead.owner_id === req.userSession.client_id;
+  return (lead.owner_id || null) === (req.userSession.client_id || null);
+}
+
+// Helper: answer optimistic-lock conflicts with 409. Returns false for other errors.
+function respondConflict(res, err) {
+  if (!(err instanceof ConflictError)) return false;
+  res.status(409).json({ error: err.message, current_version: err.currentVersion });
+  return true;
+}
+
+// Helper: answer invalid contact fields with 400 and one entry per
+// rejected value. Returns false for other errors.
+function respondValidation(res, err) {
+  if (!(err instanceof ValidationError)) return false;
+  res.status(400).json({ error: err.message, fields: err.errors });
+  return true;
+}
+
+// Helper: refuse a deal_value the lead's deals would overwrite (see
+// dealValueError) with 422. Returns false when it can be written.
+function respondDealValue(res, lead, value) {
+  const error = value !== undefined ? dealValueError(lead, value) : null;
+  if (!error) return false;
+  res.status(422).json({ error: error.message, code: 'validation_failed', fields: [error] });
+  return true;
+}
+
+// Helper: answer stage changes blocked by the stage's guards with 422.
+// `missing` lists the fields the target stage requires.
+function respondTransition(res, err) {
+  if (!(err instanceof TransitionError)) return false;
+  res.status(422).json({ error: err.message, code: err.code, from: err.from, to: err.to, missing: err.missing });
+  return true;
+}
+
+// ============================================
+// PAGINATION & FIELD PROJECTION
+// ============================================
+// List endpoints share one contract: ?limit= (capped at MAX_PAGE_LIMIT) and
+// ?cursor= (the next_cursor of the previous page). The total match count
+// goes out in X-Total-Count and the next cursor in X-Next-Cursor.
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_PAGE_LIMIT = 1000;
+
+function compareSortValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a === undefined || a === null ? '' : a).localeCompare(String(b === undefined || b === null ? '' : b));
+}
+
+// Parse ?limit and ?cursor. `sort` names the ordering so a cursor from one
+// sort order is not replayed against another. Returns { error } on bad input.
+// With `optional`, a request that gives neither gets every item in one page
+// (page.paged false), as lists did before paging.
+function parsePageParams(req, sort, { optional = false } = {}) {
+  const paged = !optional || req.query.limit !== undefined || !!req.query.cursor;
+  const page = { limit: paged ? DEFAULT_PAGE_LIMIT : Infinity, after: null, sort, paged };
+  if (req.query.limit !== undefined) {
+    const limit = parseInt(req.query.limit, 10);
+    if (!(limit > 0)) return { error: 'limit must be a positive integer' };
+    page.limit = Math.min(limit, MAX_PAGE_LIMIT);
+  }
+  if (req.query.cursor) {
+    let cursor = null;
+    try { cursor = JSON.parse(Buffer.from(String(req.query.cursor), 'base64url').toString('utf8')); } catch (e) { /* invalid */ }
+    if (!cursor || !Array.isArray(cursor.k)) return { error: 'Invalid cursor' };
+    if (cursor.s !== sort) return { error: 'Cursor belongs to a different sort order; restart from the first page' };
+    page.after = cursor.k;
+  }
+  return page;
+}
+
+// Sort `items` by keyOf(item) -> [value, unique tiebreaker], cut the page
+// after the cursor and set the count headers. `order` is 1 (asc) or -1 (desc).
+function paginate(res, items, page, keyOf, order) {
+  const compareKeys = (a, b) => (compareSortValues(a[0], b[0]) || compareSortValues(a[1], b[1])) * order;
+  const keyed = items.map(item => ({ item, key: keyOf(item) }));
+  keyed.sort((a, b) => compareKeys(a.key, b.key));
+
+  const start = page.after ? keyed.findIndex(k => compareKeys(k.key, page.after) > 0) : 0;
+  const slice = start === -1 ? [] : keyed.slice(start, start + page.limit);
+  const hasMore = start !== -1 && start + page.limit < keyed.length;
+  const nextCursor = hasMore
+    ? Buffer.from(JSON.stringify({ s: page.sort, k: slice[slice.length - 1].key })).toString('base64url')
+    : null;
+
+  res.setHeader('X-Total-Count', String(items.length));
+  if (nextCursor) res.setHeader('X-Next-Cursor', nextCursor);
+  return { items: slice.map(k => k.item), total: items.length, limit: page.limit, next_cursor: nextCursor };
+}
+
+// ?fields=id,company_name,stage keeps only the listed top-level fields
+// (id is always kept). Returns null when no projection was asked for.
+function parseFields(value) {
+  if (!value) return null;
+  const fields = String(value).split(',').map(f => f.trim()).filter(Boolean);
+  return fields.length > 0 ? new Set(['id', ...fields]) : null;
+}
+
+function projectFields(record, fields) {
+  if (!fields) return record;
+  const out = {};
+  fields.forEach(f => { if (f in record) out[f] = record[f]; });
+  return out;
 }
 
 // ============================================
@@ -663,19 +1001,19 @@ app.post('/login', async (req, res) => {
   // Check admin credentials first
   if (username === ADMIN_USER && password === ADMIN_PASS) {
     const token = generateToken();
-    activeSessions.set(token, { user: username, role: 'admin', client_id: null, created: Date.now() });
+    activeSessions.set(token, { user: username, user_id: ADMIN_USER_ID, role: 'admin', team_role: 'owner', client_id: null, created: Date.now() });
     res.setHeader('Set-Cookie', `lead_token=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=86400`);
     return res.redirect('/');
   }
   
-  // Check client credentials
+  // Check client and team member credentials
   const clientUser = readUser(username);
   if (clientUser && clientUser.active) {
     try {
       const passwordMatch = await bcrypt.compare(password, clientUser.password_hash);
       if (passwordMatch) {
         const token = generateToken();
-        activeSessions.set(token, { user: clientUser.username, role: 'client', client_id: clientUser.client_id, display_name: clientUser.display_name, created: Date.now() });
+        activeSessions.set(token, sessionForUser(clientUser));
         res.setHeader('Set-Cookie', `lead_token=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=86400`);
         return res.redirect('/');
       }
@@ -700,7 +1038,9 @@ app.get('/api/me', (req, res) => {
   const s = req.userSession;
   return res.json({
     user: s.user,
+    user_id: s.user_id || null,
     role: s.role,
+    team_role: s.team_role || 'owner',
     client_id: s.client_id || null,
     display_name: s.display_name || s.user
   });
@@ -745,8 +1085,14 @@ app.get('/admin/clients', requireAdmin, (req, res) => {
 // ============================================
 // API: STAGES, INDUSTRIES, SOURCES (config)
 // ============================================
+// Stages of ?pipeline_id=, else of the caller's default pipeline (a
+// client's own pipeline when it has one)
 app.get('/api/stages', (req, res) => {
-  res.json({ stages: STAGES });
+  attachSession(req);
+  const clientId = req.userSession && req.userSession.role === 'client' ? req.userSession.client_id : undefined;
+  const pipeline = req.query.pipeline_id ? getPipeline(req.query.pipeline_id) : pipelineForClient(clientId);
+  if (!pipeline || (clientId && !isAvailable(pipeline, clientId))) return res.status(404).json({ error: 'Pipeline not found' });
+  res.json({ stages: pipeline.stages, pipeline: { id: pipeline.id, name: pipeline.name } });
 });
 
 app.get('/api/industries', (req, res) => {
@@ -764,6 +1110,21 @@ app.get('/api/sources', (req, res) => {
   res.json({ sources: DEFAULT_SOURCES });
 });
 
+// Phones entered without +country code are read as this country's numbers
+app.get('/api/validation-config', requireAuth, (req, res) => {
+  res.json({ default_country: getDefaultCountry(), countries: Object.keys(COUNTRIES) });
+});
+
+app.put('/api/validation-config', requireAdmin, (req, res) => {
+  try {
+    const country = setDefaultCountry((req.body || {}).default_country);
+    return res.json({ success: true, default_country: country });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
 // ============================================
 // API: LEADS CRUD
 // ============================================
@@ -782,11 +1143,7 @@ app.get('/api/leads/lookup', (req, res) => {
   }
 
   try {
-    const leads = getAllLeads();
-    const match = leads.find(l => {
-      const emails = (l.emails || []).flat(Infinity).map(e => typeof e === 'string' ? e.toLowerCase() : '');
-      return emails.includes(email);
-    });
+    const match = leadIndex.findByEmail(email)[0];
 
     if (match) {
       return res.json({
@@ -813,18 +1170,12 @@ app.get('/api/leads/by-email', requireApiOrSession, (req, res) => {
   }
 
   try {
-    const leads = getLeadsForSession(req);
-    const match = leads.find(l => {
-      const emails = (l.emails || []).flat(Infinity)
-        .map(e => typeof e === 'string' ? e.trim().toLowerCase() : '');
-      return emails.includes(email);
-    });
+    const match = leadIndex.findByEmail(email).find(l => canAccessLead(req, l));
 
     if (!match) {
       return res.json({ found: false, lead: null });
     }
 
-    match.lead_score = calculateLeadScore(match);
     match.outreach = groupOutreachByThread(match.outreach);
     return res.json({ found: true, lead: match });
   } catch (err) {
@@ -842,17 +1193,12 @@ app.get('/api/leads/by-phone', requireApiOrSession, (req, res) => {
   }
 
   try {
-    const leads = getLeadsForSession(req);
-    const match = leads.find(l => {
-      const normalizedPhones = (l.phones || []).map(p => p.replace(/\D/g, ''));
-      return normalizedPhones.some(p => p.endsWith(phone.slice(-10)) || phone.endsWith(p.slice(-10)));
-    });
+    const match = leadIndex.findByPhone(phone).find(l => canAccessLead(req, l));
 
     if (!match) {
       return res.json({ found: false, lead: null });
     }
 
-    match.lead_score = calculateLeadScore(match);
     match.outreach = groupOutreachByThread(match.outreach);
     return res.json({ found: true, lead: match });
   } catch (err) {
@@ -875,7 +1221,7 @@ app.get('/api/leads/search', (req, res) => {
     const matches = allLeads.filter(l =>
       (l.company_name || '').toLowerCase().includes(q) ||
       (l.contact_name || '').toLowerCase().includes(q) ||
-      (l.emails || []).flat(Infinity).some(e => typeof e === 'string' && e.toLowerCase().includes(q))
+      l.emails.some(e => e.toLowerCase().includes(q))
     ).slice(0, 20); // Limit to 20 results
 
     return res.json({
@@ -883,8 +1229,8 @@ app.get('/api/leads/search', (req, res) => {
         lead_id: l.id,
         contact_name: l.contact_name || '',
         company_name: l.company_name || '',
-        email: (l.emails || []).flat(Infinity).find(e => typeof e === 'string' && e.includes('@')) || '',
-        phone: (l.phones || []).flat(Infinity).find(p => typeof p === 'string') || '',
+        email: l.emails.find(e => e.includes('@')) || '',
+        phone: l.phones[0] || '',
         stage: l.stage || 'cold',
         industry: l.industry || '',
         human_mode: l.human_mode === true
@@ -899,8 +1245,18 @@ app.get('/api/leads/search', (req, res) => {
 // List leads
 app.get('/api/leads', requireApiOrSession, (req, res) => {
   try {
+    // ?view=<id> applies a saved view; explicit query params override it
+    let view = null;
+    if (req.query.view) {
+      view = getView(req.query.view, req.userSession.user);
+      if (!view) return res.status(404).json({ error: 'View not found' });
+    }
+    const query = view
+      ? { ...view.params, sort: view.sort || undefined, order: view.order, fields: view.fields || undefined, ...req.query }
+      : req.query;
+
     let leads = getLeadsForSession(req);
-    const { industry, stage, tag, search, source, sort, order } = req.query;
+    const { industry, pipeline_id, stage, tag, search, source, assigned_to, account_id, sort, order } = query;
 
     if (industry) {
       if (industry.toLowerCase() === 'other') {
@@ -911,36 +1267,44 @@ app.get('/api/leads', requireApiOrSession, (req, res) => {
         leads = leads.filter(l => l.industry && l.industry.toLowerCase() === industry.toLowerCase());
       }
     }
+    if (pipeline_id) leads = leads.filter(l => l.pipeline_id === pipeline_id);
     if (stage) leads = leads.filter(l => l.stage === stage);
     if (tag) leads = leads.filter(l => l.tags && l.tags.some(t => t.toLowerCase() === tag.toLowerCase()));
     if (source) leads = leads.filter(l => l.lead_source && l.lead_source.toLowerCase().includes(source.toLowerCase()));
+    // ?assigned_to=<user_id>, =me for the caller, =none for unassigned leads
+    if (assigned_to) {
+      const assignee = assigned_to === 'me' ? req.userSession.user_id : (assigned_to === 'none' ? null : assigned_to);
+      leads = leads.filter(l => (l.assigned_to || null) === (assignee || null));
+    }
+    // ?account_id=<id> for an account's contacts, =none for unlinked leads
+    if (account_id) leads = leads.filter(l => (l.account_id || null) === (account_id === 'none' ? null : account_id));
+    // Full-text search; plain words match as prefixes while typing
+    let relevance = null;
     if (search) {
-      const q = search.toLowerCase();
-      leads = leads.filter(l =>
-        (l.company_name || '').toLowerCase().includes(q) ||
-        (l.contact_name || '').toLowerCase().includes(q) ||
-        (l.emails || []).some(e => e.toLowerCase().includes(q)) ||
-        (l.tags || []).some(t => t.toLowerCase().includes(q)) ||
-        (l.details || '').toLowerCase().includes(q) ||
-        (l.address || '').toLowerCase().includes(q)
-      );
+      relevance = new Map(searchIndex.search(search, { prefixTerms: true }).map(r => [r.id, r.score]));
+      leads = leads.filter(l => relevance.has(l.id));
     }
 
-    // Recalculate scores
-    leads.forEach(l => { l.lead_score = calculateLeadScore(l); });
+    // Structured filter (?filter=<JSON>), ANDed with the view's own
+    if (view && view.filter) leads = filterLeads(leads, view.filter, getAllCampaigns);
+    if (req.query.filter) leads = filterLeads(leads, req.query.filter, getAllCampaigns);
 
-    // Sort
-    const sortField = sort || 'updated_at';
+    // Sort + page. Searches rank by relevance unless a sort is given.
+    const sortField = sort || (relevance ? 'relevance' : 'updated_at');
     const sortOrder = order === 'asc' ? 1 : -1;
-    leads.sort((a, b) => {
-      const av = a[sortField] || '';
-      const bv = b[sortField] || '';
-      if (typeof av === 'number' && typeof bv === 'number') return (av - bv) * sortOrder;
-      return String(av).localeCompare(String(bv)) * sortOrder;
-    });
-
-    return res.json({ leads, total: leads.length });
+    const pageParams = parsePageParams(req, `${sortField}:${sortOrder}`, { optional: true });
+    if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+    const keyOf = sortField === 'relevance' && relevance
+      ? l => [relevance.get(l.id), l.id]
+      : l => [l[sortField], l.id];
+    const page = paginate(res, leads, pageParams, keyOf, sortOrder);
+
+    const fields = parseFields(query.fields);
+    const items = page.items.map(l => projectFields(l, fields));
+    if (!pageParams.paged) return res.json({ leads: items, total: page.total });
+    return res.json({ leads: items, total: page.total, limit: page.limit, next_cursor: page.next_cursor });
   } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
     console.error('Error listing leads:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -955,42 +1319,31 @@ app.post('/api/leads/check-duplicates', requireApiOrSession, (req, res) => {
 // Check duplicate (GET - simple check for lead form) — MUST be before /:id route
 app.get('/api/leads/check-duplicate', requireApiOrSession, (req, res) => {
   const { company_name, email, exclude_id } = req.query;
-  const allLeads = getAllLeads();
-  
-  for (const existing of allLeads) {
-    if (exclude_id && existing.id === exclude_id) continue;
-    
-    // Check email match
-    if (email && existing.emails && existing.emails.length > 0) {
-      if (existing.emails.some(e => e.toLowerCase() === email.toLowerCase())) {
-        return res.json({ duplicate: true, match_type: 'email', existing: { id: existing.id, company_name: existing.company_name, contact_name: existing.contact_name } });
-      }
+
+  // Check email match
+  if (email) {
+    const existing = leadIndex.findByEmail(email).find(l => l.id !== exclude_id);
+    if (existing) {
+      return res.json({ duplicate: true, match_type: 'email', existing: { id: existing.id, company_name: existing.company_name, contact_name: existing.contact_name } });
     }
-    
-    // Check company name match
-    if (company_name && existing.company_name) {
-      if (company_name.toLowerCase().trim() === existing.company_name.toLowerCase().trim()) {
-        return res.json({ duplicate: true, match_type: 'company_name', existing: { id: existing.id, company_name: existing.company_name, contact_name: existing.contact_name } });
-      }
+  }
+
+  // Check company name match
+  if (company_name) {
+    const name = company_name.toLowerCase().trim();
+    let existing = null;
+    leadIndex.forEach(l => {
+      if (!existing && l.id !== exclude_id && l.company_name && l.company_name.toLowerCase().trim() === name) existing = l;
+    });
+    if (existing) {
+      return res.json({ duplicate: true, match_type: 'company_name', existing: { id: existing.id, company_name: existing.company_name, contact_name: existing.contact_name } });
     }
   }
-  
+
   return res.json({ duplicate: false });
 });
 
 // Helper: clean and group outreach by email thread
-function backfillOutreachIds(lead) {
-  // Persist _id on entries that don't have one, so delete works
-  let changed = false;
-  (lead.outreach || []).forEach(o => {
-    if (!o._id) {
-      o._id = uuidv4();
-      changed = true;
-    }
-  });
-  if (changed) writeLead(lead);
-}
-
 function groupOutreachByThread(rawOutreach) {
   const cleaned = (rawOutreach || []).map(o => {
     const { id, template_name, ...rest } = o;
@@ -1020,9 +1373,7 @@ app.get('/api/leads/:id', requireApiOrSession, (req, res) => {
   const lead = readLead(req.params.id);
   if (!lead) return res.status(404).json({ error: 'Lead not found' });
   if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
-  lead.lead_score = calculateLeadScore(lead);
-  // Backfill _id on old entries and persist
-  backfillOutreachIds(lead);
+  if (lead.id !== req.params.id) res.set('Content-Location', `/api/leads/${lead.id}`); // merged-away ID
   // Restructure outreach into email threads
   lead.outreach = groupOutreachByThread(lead.outreach);
   return res.json(lead);
@@ -1031,7 +1382,8 @@ app.get('/api/leads/:id', requireApiOrSession, (req, res) => {
 // Create lead
 app.post('/api/leads', requireApiOrSession, (req, res) => {
   try {
-    const data = req.body;
+    const isClient = req.userSession && req.userSession.role === 'client';
+    const data = validateLeadPayload(req.body, req.body.owner_id || (isClient ? req.userSession.client_id : null), { checkRequired: true });
     data._source = data._source || req.headers['x-source'] || 'api';
     
     // Auto-assign owner_id based on session (client leads belong to client)
@@ -1040,14 +1392,17 @@ app.post('/api/leads', requireApiOrSession, (req, res) => {
     }
 
     const lead = createLeadObject(data);
+    checkTransition(lead, null);
     lead.activity.push({
       type: 'created',
       message: `Lead created from ${lead._source}`,
       timestamp: lead.created_at
     });
-    lead.lead_score = calculateLeadScore(lead);
+    const context = revisionContext(req, 'create');
+    autoAssign(lead, context);
+    runAutomations(lead, { type: 'lead_created' });
 
-    writeLead(lead);
+    writeLead(lead, context);
     console.log(`[${new Date().toISOString()}] Lead created: ${lead.id} (${lead.company_name})`);
 
     // Global webhook disabled — Dev Console webhook is test-only.
@@ -1055,6 +1410,7 @@ app.post('/api/leads', requireApiOrSession, (req, res) => {
 
     return res.json({ success: true, lead });
   } catch (err) {
+    if (respondValidation(res, err) || respondTransition(res, err)) return;
     console.error('Error creating lead:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -1067,10 +1423,18 @@ app.put('/api/leads/:id', requireApiOrSession, (req, res) => {
   if (!canAccessLead(req, existing)) return res.status(403).json({ error: 'Access denied' });
 
   try {
-    const data = req.body;
+    // A full replace keeps the pipeline unless a new one is sent, but not the stage
+    const data = validateLeadPayload(req.body, req.body.owner_id || null, {
+      checkRequired: true,
+      current: { pipeline_id: existing.pipeline_id }
+    });
+    if (respondDealValue(res, existing, data.deal_value)) return;
     const oldStage = existing.stage;
+    const oldPipeline = existing.pipeline_id;
+    const before = snapshotLead(existing);
 
-    // Preserve internal fields
+    // Preserve internal fields; the account link too unless one is sent
+    const accountId = data.account_id !== undefined ? data.account_id : existing.account_id;
     const notes = existing.notes || [];
     const activity = existing.activity || [];
     const outreach = existing.outreach || [];
@@ -1078,28 +1442,36 @@ app.put('/api/leads/:id', requireApiOrSession, (req, res) => {
     const createdAt = existing.created_at;
 
     Object.assign(existing, createLeadObject(data));
+    // Clients may send the _version they last read to detect concurrent edits
+    if (data._version !== undefined) existing._version = data._version;
     existing.id = req.params.id;
+    existing.account_id = accountId;
     existing.notes = notes;
     existing.activity = activity;
     existing.outreach = outreach;
     existing.attachments = attachments;
     existing.created_at = createdAt;
     existing.updated_at = new Date().toISOString();
-    existing.lead_score = calculateLeadScore(existing);
 
+    if (existing.stage !== oldStage || existing.pipeline_id !== oldPipeline) {
+      checkTransition(existing, oldStage, { pipelineChanged: existing.pipeline_id !== oldPipeline });
+    }
     if (data.stage && data.stage !== oldStage) {
+      const pipeline = pipelineForLead(existing);
       existing.activity.push({
         type: 'stage_change',
-        message: `Stage changed from ${STAGES.find(s => s.id === oldStage)?.label || oldStage} to ${STAGES.find(s => s.id === data.stage)?.label || data.stage}`,
+        message: `Stage changed from ${stageLabel(pipeline, oldStage)} to ${stageLabel(pipeline, data.stage)}`,
         from: oldStage,
         to: data.stage,
         timestamp: existing.updated_at
       });
     }
 
-    writeLead(existing);
+    runAutomations(existing, changeEvents(before, existing));
+    writeLead(existing, revisionContext(req, 'put'));
     return res.json({ success: true, lead: existing });
   } catch (err) {
+    if (respondConflict(res, err) || respondValidation(res, err) || respondTransition(res, err)) return;
     console.error('Error updating lead:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -1112,25 +1484,37 @@ app.patch('/api/leads/:id', requireApiOrSession, (req, res) => {
   if (!canAccessLead(req, existing)) return res.status(403).json({ error: 'Access denied' });
 
   try {
-    const data = req.body;
+    const data = validateLeadPayload(req.body, existing.owner_id, {
+      checkRequired: req.body.custom_fields !== undefined,
+      current: existing,
+      partial: true
+    });
+    if (respondDealValue(res, existing, data.deal_value)) return;
     const oldStage = existing.stage;
+    const before = snapshotLead(existing);
 
     // Merge fields
     const fields = ['company_name', 'contact_name', 'emails', 'phones', 'website', 'linkedin',
-      'address', 'industry', 'company_size', 'revenue_estimate', 'lead_source', 'tags',
-      'stage', 'assigned_to', 'deal_value', 'details', 'next_followup', 'proposal_url', 'custom_fields', 'human_mode'];
+      'address', 'industry', 'company_size', 'revenue_estimate', 'lead_source', 'tags', 'account_id',
+      'pipeline_id', 'stage', 'assigned_to', 'deal_value', 'lost_reason', 'won_reason', 'details', 'next_followup',
+      'proposal_url', 'custom_fields', 'human_mode'];
 
+    const oldPipeline = existing.pipeline_id;
     fields.forEach(f => {
       if (data[f] !== undefined) existing[f] = data[f];
     });
+    if (data._version !== undefined) existing._version = data._version;
+    if (existing.stage !== oldStage || existing.pipeline_id !== oldPipeline) {
+      checkTransition(existing, oldStage, { pipelineChanged: existing.pipeline_id !== oldPipeline });
+    }
 
     existing.updated_at = new Date().toISOString();
 
     if (data.stage && data.stage !== oldStage) {
-      if (!existing.activity) existing.activity = [];
+      const pipeline = pipelineForLead(existing);
       existing.activity.push({
         type: 'stage_change',
-        message: `Stage changed from ${STAGES.find(s => s.id === oldStage)?.label || oldStage} to ${STAGES.find(s => s.id === data.stage)?.label || data.stage}`,
+        message: `Stage changed from ${stageLabel(pipeline, oldStage)} to ${stageLabel(pipeline, data.stage)}`,
         from: oldStage,
         to: data.stage,
         timestamp: existing.updated_at
@@ -1139,10 +1523,11 @@ app.patch('/api/leads/:id', requireApiOrSession, (req, res) => {
       // Global webhook disabled — stage change webhook removed.
     }
 
-    existing.lead_score = calculateLeadScore(existing);
-    writeLead(existing);
+    runAutomations(existing, changeEvents(before, existing));
+    writeLead(existing, revisionContext(req, 'patch'));
     return res.json({ success: true, lead: existing });
   } catch (err) {
+    if (respondConflict(res, err) || respondValidation(res, err) || respondTransition(res, err)) return;
     console.error('Error patching lead:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -1153,96 +1538,850 @@ app.delete('/api/leads/:id', requireApiOrSession, (req, res) => {
   const lead = readLead(req.params.id);
   if (!lead) return res.status(404).json({ error: 'Lead not found' });
   if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
-  deleteLead(req.params.id);
-  console.log(`[${new Date().toISOString()}] Lead deleted: ${req.params.id}`);
-  return res.json({ success: true, message: `Lead ${req.params.id} deleted` });
+  const entry = trashLead(lead, req.userSession.user);
+  console.log(`[${new Date().toISOString()}] Lead moved to trash: ${req.params.id}`);
+  return res.json({ success: true, message: `Lead ${req.params.id} moved to trash`, trash_id: entry.trash_id });
 });
 
 // ============================================
-// API: BULK ACTIONS
+// API: ACCOUNTS
 // ============================================
-app.post('/api/leads/bulk/stage', requireAuth, (req, res) => {
-  const { ids, stage } = req.body;
-  if (!Array.isArray(ids) || !stage) return res.status(400).json({ error: 'ids (array) and stage required' });
-  if (!STAGES.find(s => s.id === stage)) return res.status(400).json({ error: 'Invalid stage' });
+// Companies with their leads as contacts (see accounts.js). Clients see
+// the accounts of their own workspace, admins see every account.
+function canAccessAccount(req, account) {
+  if (!account) return false;
+  if (!req.userSession || req.userSession.role === 'admin') return true;
+  return account.owner_id === req.userSession.client_id;
+}
 
-  let updated = 0;
-  ids.forEach(id => {
-    const lead = readLead(id);
-    if (lead && lead.stage !== stage) {
-      const oldStage = lead.stage;
-      lead.stage = stage;
-      lead.updated_at = new Date().toISOString();
-      if (!lead.activity) lead.activity = [];
-      lead.activity.push({
-        type: 'stage_change',
-        message: `Stage changed to ${STAGES.find(s => s.id === stage).label} (bulk)`,
-        from: oldStage,
-        to: stage,
-        timestamp: lead.updated_at
+function accountWithCount(account) {
+  return { ...account, contact_count: leadIndex.ids('account', account.id).length };
+}
+
+// Contacts go out with enough of the lead to be listed on the account
+function accountContact(lead) {
+  return {
+    id: lead.id,
+    contact_name: lead.contact_name,
+    emails: lead.emails,
+    phones: lead.phones,
+    pipeline_id: lead.pipeline_id,
+    stage: lead.stage,
+    assigned_to: lead.assigned_to,
+    deal_value: lead.deal_value,
+    lead_score: lead.lead_score,
+    last_contacted: lead.last_contacted
+  };
+}
+
+// ?company_fields=account reads a lead's company fields from its account
+// wherever the account has a value; =lead (the default) keeps the lead's
+// own. Returns lead => fields, or null for an unknown value.
+function companyFieldsReader(req) {
+  const source = req.query.company_fields || 'lead';
+  if (source === 'lead') return lead => lead;
+  if (source === 'account') return lead => companyFields(lead, getAccount(lead.account_id));
+  return null;
+}
+
+// ?search= matches name and domain, ?industry= the account's industry
+app.get('/api/accounts', requireApiOrSession, (req, res) => {
+  const isClient = req.userSession && req.userSession.role === 'client';
+  let accounts = listAccounts(isClient ? req.userSession.client_id : undefined);
+  const search = String(req.query.search || '').trim().toLowerCase();
+  if (search) accounts = accounts.filter(a => a.name.toLowerCase().includes(search) || a.domain.includes(search));
+  if (req.query.industry) accounts = accounts.filter(a => a.industry.toLowerCase() === String(req.query.industry).toLowerCase());
+
+  const pageParams = parsePageParams(req, 'name:1');
+  if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+  const page = paginate(res, accounts, pageParams, a => [a.name.toLowerCase(), a.id], 1);
+  return res.json({ accounts: page.items.map(accountWithCount), total: page.total, limit: page.limit, next_cursor: page.next_cursor });
+});
+
+app.get('/api/accounts/:id', requireApiOrSession, (req, res) => {
+  const account = getAccount(req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  if (!canAccessAccount(req, account)) return res.status(403).json({ error: 'Access denied' });
+  const contacts = leadIndex.findByAccount(account.id).map(accountContact);
+  return res.json({ ...account, contact_count: contacts.length, contacts });
+});
+
+// Body: { name, domain, industry, company_size, address, revenue_estimate,
+// owner_id (admins) }. Leads with the domain are linked as they are written.
+app.post('/api/accounts', requireApiOrSession, (req, res) => {
+  try {
+    const isClient = req.userSession && req.userSession.role === 'client';
+    const account = saveAccount({ ...req.body, owner_id: isClient ? req.userSession.client_id : (req.body.owner_id || null) });
+    console.log(`[${new Date().toISOString()}] Account created: ${account.id} (${account.name})`);
+    return res.json({ success: true, account: accountWithCount(account) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    return res.status(500).json({ error: err.message });
+  }
+});
+
+// Fields left out keep their value. { sync_contacts: true } also copies
+// the account's company fields onto every contact.
+app.patch('/api/accounts/:id', requireApiOrSession, (req, res) => {
+  const existing = getAccount(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Account not found' });
+  if (!canAccessAccount(req, existing)) return res.status(403).json({ error: 'Access denied' });
+  try {
+    const account = saveAccount(req.body, existing);
+    let contactsUpdated = 0;
+    if (req.body.sync_contacts === true) {
+      leadIndex.ids('account', account.id).forEach(id => {
+        const lead = readLead(id);
+        if (!lead) return;
+        const company = companyFields(lead, account);
+        const changed = Object.keys(company).filter(f => f !== 'website' && company[f] !== (lead[f] || ''));
+        if (changed.length === 0) return;
+        changed.forEach(f => { lead[f] = company[f]; });
+        lead.updated_at = new Date().toISOString();
+        writeLead(lead, revisionContext(req, 'account_sync'));
+        contactsUpdated++;
       });
-      lead.lead_score = calculateLeadScore(lead);
-      writeLead(lead);
-      updated++;
     }
-  });
-
-  return res.json({ success: true, updated });
+    return res.json({ success: true, account: accountWithCount(account), contacts_updated: contactsUpdated });
+  } catch (err) {
+    if (respondConflict(res, err) || respondValidation(res, err)) return;
+    return res.status(500).json({ error: err.message });
+  }
 });
 
-app.post('/api/leads/bulk/delete', requireAuth, (req, res) => {
-  const { ids } = req.body;
-  if (!Array.isArray(ids)) return res.status(400).json({ error: 'ids (array) required' });
-  let deleted = 0;
-  ids.forEach(id => { if (readLead(id)) { deleteLead(id); deleted++; } });
-  return res.json({ success: true, deleted });
+// The contacts stay, unlinked, and keep their deals; the account's own deals go
+app.delete('/api/accounts/:id', requireApiOrSession, (req, res) => {
+  const account = getAccount(req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  if (!canAccessAccount(req, account)) return res.status(403).json({ error: 'Access denied' });
+  let unlinked = 0;
+  leadIndex.ids('account', account.id).forEach(id => {
+    const lead = readLead(id);
+    if (!lead) return;
+    lead.account_id = null;
+    lead.updated_at = new Date().toISOString();
+    writeLead(lead, revisionContext(req, 'account_delete'));
+    unlinked++;
+  });
+  const dealsDeleted = releaseAccountDeals(account.id);
+  deleteAccount(account.id);
+  console.log(`[${new Date().toISOString()}] Account deleted: ${account.id} (${account.name})`);
+  return res.json({ success: true, unlinked, deals_deleted: dealsDeleted });
 });
 
-app.post('/api/leads/bulk/tag', requireAuth, (req, res) => {
-  const { ids, tag, action } = req.body;
-  if (!Array.isArray(ids) || !tag) return res.status(400).json({ error: 'ids (array) and tag required' });
-  let updated = 0;
-  ids.forEach(id => {
+// Body: { lead_ids }. Leads of another workspace are skipped.
+app.post('/api/accounts/:id/contacts', requireApiOrSession, (req, res) => {
+  const account = getAccount(req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  if (!canAccessAccount(req, account)) return res.status(403).json({ error: 'Access denied' });
+  const { lead_ids } = req.body;
+  if (!Array.isArray(lead_ids)) return res.status(400).json({ error: 'lead_ids array required' });
+
+  let linked = 0;
+  const skipped = [];
+  lead_ids.forEach(id => {
     const lead = readLead(id);
-    if (lead) {
-      if (!lead.tags) lead.tags = [];
-      if (action === 'remove') {
-        lead.tags = lead.tags.filter(t => t.toLowerCase() !== tag.toLowerCase());
-      } else {
-        if (!lead.tags.some(t => t.toLowerCase() === tag.toLowerCase())) lead.tags.push(tag);
-      }
-      lead.updated_at = new Date().toISOString();
-      writeLead(lead);
-      updated++;
-    }
+    if (!lead || !canAccessLead(req, lead)) return skipped.push({ id, error: 'Lead not found' });
+    if ((lead.owner_id || null) !== account.owner_id) return skipped.push({ id, error: 'Lead belongs to another workspace' });
+    if (lead.account_id === account.id) return;
+    lead.account_id = account.id;
+    lead.updated_at = new Date().toISOString();
+    writeLead(lead, revisionContext(req, 'account_link'));
+    linked++;
   });
-  return res.json({ success: true, updated });
+  return res.json({ success: true, linked, skipped });
+});
+
+// The lead stays unlinked until its domains change
+app.delete('/api/accounts/:id/contacts/:leadId', requireApiOrSession, (req, res) => {
+  const account = getAccount(req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  if (!canAccessAccount(req, account)) return res.status(403).json({ error: 'Access denied' });
+  const lead = readLead(req.params.leadId);
+  if (!lead || lead.account_id !== account.id) return res.status(404).json({ error: 'Contact not found' });
+  lead.account_id = null;
+  lead.updated_at = new Date().toISOString();
+  writeLead(lead, revisionContext(req, 'account_unlink'));
+  return res.json({ success: true });
+});
+
+// Notes and outreach of every contact, newest first.
+// ?types=note,outreach,activity picks what is included.
+app.get('/api/accounts/:id/timeline', requireApiOrSession, (req, res) => {
+  const account = getAccount(req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  if (!canAccessAccount(req, account)) return res.status(403).json({ error: 'Access denied' });
+  const kinds = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : ['note', 'outreach'];
+  const unknown = kinds.filter(k => !TIMELINE_KINDS.includes(k));
+  if (unknown.length > 0) return res.status(400).json({ error: `Unknown timeline type ${unknown[0]} (use ${TIMELINE_KINDS.join(', ')})` });
+
+  const items = accountTimeline(leadIndex.findByAccount(account.id), kinds);
+  const pageParams = parsePageParams(req, `timeline:${kinds.join(',')}`);
+  if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+  const page = paginate(res, items, pageParams, item => [item.timestamp, item.key], -1);
+  return res.json({ timeline: page.items, total: page.total, limit: page.limit, next_cursor: page.next_cursor });
 });
 
 // ============================================
-// API: NOTES (Rich text with HTML content)
+// API: LEAD REVISIONS (field-level history)
 // ============================================
-app.post('/api/leads/:id/notes', requireApiOrSession, (req, res) => {
+app.get('/api/leads/:id/revisions', requireApiOrSession, (req, res) => {
   const lead = readLead(req.params.id);
   if (!lead) return res.status(404).json({ error: 'Lead not found' });
   if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+  const revisions = getRevisions(lead.id);
+  const { field } = req.query;
+  const filtered = field ? revisions.filter(r => r.changes.some(c => c.field === field)) : revisions;
+  return res.json({ lead_id: lead.id, revisions: filtered.slice().reverse(), total: filtered.length });
+});
 
-  const { content, type, title } = req.body;
-  if (!content) return res.status(400).json({ error: 'Content required' });
+// Compare two revisions: ?from=2&to=5 (to defaults to the latest)
+app.get('/api/leads/:id/revisions/diff', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+  const revisions = getRevisions(lead.id);
+  if (revisions.length === 0) return res.status(404).json({ error: 'Lead has no revisions yet' });
+  const from = parseInt(req.query.from, 10);
+  const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : revisions[revisions.length - 1].rev;
+  if (!Number.isInteger(from)) return res.status(400).json({ error: 'from (revision number) required' });
+  const changes = diffRevisions(lead.id, from, to);
+  if (!changes) return res.status(404).json({ error: 'Revision not found' });
+  return res.json({ lead_id: lead.id, from, to, changes });
+});
 
-  const note = {
-    id: uuidv4(),
-    title: title || '',
-    content: content,  // Can be HTML from rich text editor
-    type: type || 'note',
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
-  };
+// Tracked-field state of the lead as of one revision
+app.get('/api/leads/:id/revisions/:rev', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+  const rev = parseInt(req.params.rev, 10);
+  const revision = getRevisions(lead.id).find(r => r.rev === rev);
+  if (!revision) return res.status(404).json({ error: 'Revision not found' });
+  return res.json({ lead_id: lead.id, revision, state: stateAt(lead.id, rev) });
+});
+
+// Restore every tracked field to its value as of a revision
+app.post('/api/leads/:id/revisions/:rev/revert', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+  const rev = parseInt(req.params.rev, 10);
+  const state = stateAt(lead.id, rev);
+  if (!state) return res.status(404).json({ error: 'Revision not found' });
+
+  // Clients cannot hand a lead to someone else by reverting ownership
+  if (req.userSession.role === 'client') state.owner_id = lead.owner_id;
+
+  try {
+    const oldStage = lead.stage;
+    TRACKED_FIELDS.forEach(f => { lead[f] = state[f]; });
+    // Revisions from before pipelines, or of a pipeline deleted since
+    if (!getPipeline(lead.pipeline_id)) lead.pipeline_id = pipelineForClient(lead.owner_id).id;
+    // Assignee names from before team members, or members removed since
+    const assignee = findMember(lead.assigned_to, lead.owner_id);
+    lead.assigned_to = assignee ? assignee.user_id : null;
+    lead.updated_at = new Date().toISOString();
+    lead.activity.push({
+      type: 'reverted',
+      message: `Lead reverted to revision ${rev}`,
+      revision: rev,
+      timestamp: lead.updated_at
+    });
+    if (lead.stage !== oldStage) {
+      lead.activity.push({
+        type: 'stage_change',
+        message: `Stage changed from ${stageLabel(pipelineForLead(lead), oldStage)} to ${stageLabel(pipelineForLead(lead), lead.stage)} (revert)`,
+        from: oldStage,
+        to: lead.stage,
+        timestamp: lead.updated_at
+      });
+    }
+    writeLead(lead, { ...revisionContext(req, 'revert'), reverted_to: rev });
+    return res.json({ success: true, lead });
+  } catch (err) {
+    if (respondConflict(res, err)) return;
+    console.error('Error reverting lead:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// API: LEAD MERGE
+// ============================================
+// Merge duplicates into :id, which survives. Body:
+//   { source_ids: [...], default_policy: 'non_empty', field_policy: { stage: 'newest', ... } }
+// Merged-away IDs are tombstoned and keep resolving to the survivor.
+app.post('/api/leads/:id/merge', requireApiOrSession, async (req, res) => {
+  const target = readLead(req.params.id);
+  if (!target) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, target)) return res.status(403).json({ error: 'Access denied' });
+
+  const body = req.body || {};
+  if (!Array.isArray(body.source_ids) || body.source_ids.length === 0) {
+    return res.status(400).json({ error: 'source_ids array required' });
+  }
+
+  const sources = [];
+  for (const id of new Set(body.source_ids)) {
+    const source = readLead(id);
+    if (!source) return res.status(404).json({ error: `Source lead not found: ${id}` });
+    if (source.id === target.id) {
+      return res.status(400).json({ error: id === target.id ? 'A lead cannot be merged into itself' : `${id} was already merged into this lead` });
+    }
+    if (source.id !== id) return res.status(400).json({ error: `${id} was already merged into ${source.id}` });
+    if (!canAccessLead(req, source)) return res.status(403).json({ error: 'Access denied' });
+    sources.push(source);
+  }
+
+  let result;
+  try {
+    result = buildMergedLead(target, sources, body);
+  } catch (err) {
+    if (err instanceof MergeError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+
+  const lead = result.lead;
+  if (body._version !== undefined) lead._version = body._version;
+  lead.updated_at = new Date().toISOString();
+  lead.activity.push({
+    type: 'merged',
+    message: `Merged ${sources.map(s => s.company_name || s.contact_name || s.id).join(', ')} into this lead`,
+    timestamp: lead.updated_at
+  });
+  // The sources' tasks and deals only move if the merge is not refused (409)
+  writeLead(lead, {
+    ...revisionContext(req, 'merge'),
+    onStored: merged => {
+      reassignLeadTasks(sources.map(s => s.id), merged);
+      reassignLeadDeals(sources.map(s => s.id), merged);
+    }
+  });
+
+  // Tombstone before deleting so the old IDs never stop resolving
+  sources.forEach(source => {
+    writeTombstone(source, lead.id, req.userSession.user);
+    mergeRevisions(lead.id, source.id);
+    deleteLead(source.id);
+  });
+  const campaignsUpdated = await rewriteCampaignReferences(lead.id, sources.map(s => s.id));
+
+  console.log(`[${new Date().toISOString()}] Merged ${sources.length} lead(s) into ${lead.id}`);
+  return res.json({
+    success: true,
+    lead,
+    merged_ids: sources.map(s => s.id),
+    field_sources: result.fields,
+    campaigns_updated: campaignsUpdated
+  });
+});
+
+// ============================================
+// API: DUPLICATE REVIEW
+// ============================================
+// Clusters come from the last background scan. Leads deleted or merged
+// since then drop out when the cluster is read.
+const duplicateScanner = new DuplicateScanner(() => {
+  const leads = [];
+  leadIndex.forEach(lead => leads.push(lead));
+  return leads;
+});
+
+const DUPLICATE_LEAD_FIELDS = new Set(['id', 'company_name', 'contact_name', 'emails', 'phones', 'website', 'stage', 'owner_id', 'created_at', 'updated_at']);
+
+// The cluster with its live leads, or null if fewer than two remain or
+// the session cannot see all of them
+function presentCluster(req, cluster) {
+  const leads = cluster.lead_ids.map(id => leadIndex.get(id)).filter(Boolean);
+  if (leads.length < 2 || !leads.every(l => canAccessLead(req, l))) return null;
+  const live = new Set(leads.map(l => l.id));
+  const pairs = cluster.pairs
+    .filter(p => p.lead_ids.every(id => live.has(id)))
+    .map(p => ({ ...p, reasons: pairReasons(p) }));
+  if (pairs.length === 0) return null;
+  return {
+    id: cluster.id,
+    confidence: Math.max(...pairs.map(p => p.confidence)),
+    lead_ids: leads.map(l => l.id),
+    leads: leads.map(l => projectFields(l, DUPLICATE_LEAD_FIELDS)),
+    pairs
+  };
+}
+
+function scanStatus() {
+  const result = getScanResult();
+  return {
+    running: duplicateScanner.isRunning,
+    started_at: result ? result.started_at : null,
+    finished_at: result ? result.finished_at : null,
+    leads_scanned: result ? result.leads_scanned : 0
+  };
+}
+
+app.get('/api/duplicates', requireApiOrSession, (req, res) => {
+  const minConfidence = req.query.min_confidence !== undefined ? Number(req.query.min_confidence) : MIN_CONFIDENCE;
+  if (Number.isNaN(minConfidence)) return res.status(400).json({ error: 'min_confidence must be a number' });
+  const pageParams = parsePageParams(req, 'confidence:-1');
+  if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+
+  const result = getScanResult();
+  const clusters = (result ? result.clusters : [])
+    .map(c => presentCluster(req, c))
+    .filter(c => c && c.confidence >= minConfidence);
+  const page = paginate(res, clusters, pageParams, c => [c.confidence, c.id], -1);
+  return res.json({ clusters: page.items, total: page.total, limit: page.limit, next_cursor: page.next_cursor, scan: scanStatus() });
+});
+
+app.post('/api/duplicates/scan', requireAdmin, (req, res) => {
+  duplicateScanner.request();
+  return res.status(202).json({ success: true, scan: scanStatus() });
+});
+
+app.get('/api/duplicates/:id', requireApiOrSession, (req, res) => {
+  const cluster = getCluster(req.params.id);
+  const presented = cluster && presentCluster(req, cluster);
+  if (!presented) return res.status(404).json({ error: 'Duplicate cluster not found' });
+  return res.json(presented);
+});
+
+// Not duplicates: later scans skip every pair in the cluster
+app.post('/api/duplicates/:id/dismiss', requireApiOrSession, (req, res) => {
+  const cluster = getCluster(req.params.id);
+  if (!cluster || !presentCluster(req, cluster)) return res.status(404).json({ error: 'Duplicate cluster not found' });
+  dismissCluster(cluster.id, req.userSession.user);
+  return res.json({ success: true });
+});
+
+// ============================================
+// API: FULL-TEXT SEARCH
+// ============================================
+// GET /api/search?q=quickbooks — ranked leads with highlighted snippets.
+// Supports "exact phrases", prefix* terms and the shared pagination contract.
+const SEARCH_RESULT_FIELDS = 'company_name,contact_name,emails,stage,industry,owner_id';
+
+app.get('/api/search', requireApiOrSession, (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'q is required' });
+
+  const pageParams = parsePageParams(req, 'relevance:-1');
+  if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+
+  const session = req.userSession;
+  const visible = session && session.role !== 'admin'
+    ? new Set(session.client_id ? leadIndex.ids('owner', session.client_id) : getLeadsForSession(req).map(l => l.id))
+    : null;
+  const results = searchIndex.search(q, { filter: visible ? id => visible.has(id) : null });
+  const page = paginate(res, results, pageParams, r => [r.score, r.id], -1);
+
+  const fields = parseFields(req.query.fields || SEARCH_RESULT_FIELDS);
+  return res.json({
+    results: page.items.map(r => ({
+      lead: projectFields(leadIndex.get(r.id), fields),
+      score: r.score,
+      snippets: searchIndex.snippets(r.id, r.hits)
+    })),
+    total: page.total,
+    limit: page.limit,
+    next_cursor: page.next_cursor
+  });
+});
+
+// ============================================
+// API: CUSTOM FIELD DEFINITIONS
+// ============================================
+// Clients see the global definitions plus their own; admins see all, or
+// those that apply to one owner's leads with ?owner_id=.
+app.get('/api/custom-fields', requireApiOrSession, (req, res) => {
+  let ownerId;
+  if (req.userSession.role === 'client') ownerId = req.userSession.client_id;
+  else if (req.query.owner_id !== undefined) ownerId = req.query.owner_id || null;
+  return res.json({ fields: listFieldDefinitions(ownerId) });
+});
+
+app.get('/api/custom-fields/:key', requireApiOrSession, (req, res) => {
+  const def = getFieldDefinition(req.params.key);
+  const visible = def && (req.userSession.role !== 'client' || !def.client_id || def.client_id === req.userSession.client_id);
+  if (!visible) return res.status(404).json({ error: 'Custom field not found' });
+  return res.json({ field: def });
+});
+
+app.post('/api/custom-fields', requireAdmin, (req, res) => {
+  try {
+    return res.json({ success: true, field: saveFieldDefinition(req.body || {}) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+app.put('/api/custom-fields/:key', requireAdmin, (req, res) => {
+  const existing = getFieldDefinition(req.params.key);
+  if (!existing) return res.status(404).json({ error: 'Custom field not found' });
+  try {
+    return res.json({ success: true, field: saveFieldDefinition(req.body || {}, existing) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+// Stored values stay on the leads as untyped custom fields
+app.delete('/api/custom-fields/:key', requireAdmin, (req, res) => {
+  if (!deleteFieldDefinition(req.params.key)) return res.status(404).json({ error: 'Custom field not found' });
+  return res.json({ success: true });
+});
+
+// ============================================
+// API: LEAD SCORING
+// ============================================
+app.get('/api/scoring', requireApiOrSession, (req, res) => {
+  return res.json({
+    config: getScoringConfig(),
+    rule_types: RULE_TYPES,
+    metrics: METRICS,
+    last_refresh: storage.get('config', 'score_refresh')
+  });
+});
+
+// Stored scores follow the new model once the background refresh is done
+app.put('/api/scoring', requireAdmin, (req, res) => {
+  try {
+    const config = setScoringConfig(req.body || {});
+    scoreRefresher.request();
+    return res.json({ success: true, config });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+app.post('/api/scoring/reset', requireAdmin, (req, res) => {
+  const config = resetScoringConfig();
+  scoreRefresher.request();
+  return res.json({ success: true, config });
+});
+
+// Why a lead scores what it does: points per rule, decay and history
+app.get('/api/leads/:id/score', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+  return res.json({
+    lead_id: lead.id,
+    stored_score: lead.lead_score,
+    ...explainScore(lead),
+    history: getScoreHistory(lead.id).slice().reverse()
+  });
+});
+
+// ============================================
+// API: PIPELINES
+// ============================================
+// Number of the pipeline's leads in each stage
+function pipelineStageCounts(pipelineId) {
+  const counts = {};
+  leadIndex.forEach(l => {
+    if (l.pipeline_id === pipelineId) counts[l.stage] = (counts[l.stage] || 0) + 1;
+  });
+  return counts;
+}
+
+// Clients see the shared pipelines plus their own; admins see all
+app.get('/api/pipelines', requireApiOrSession, (req, res) => {
+  const clientId = req.userSession.role === 'client' ? req.userSession.client_id : undefined;
+  const counts = {};
+  getLeadsForSession(req).forEach(l => { counts[l.pipeline_id] = (counts[l.pipeline_id] || 0) + 1; });
+  return res.json({
+    pipelines: listPipelines(clientId).map(p => ({ ...p, lead_count: counts[p.id] || 0 })),
+    default_pipeline_id: pipelineForClient(clientId).id
+  });
+});
+
+app.get('/api/pipelines/:id', requireApiOrSession, (req, res) => {
+  const pipeline = getPipeline(req.params.id);
+  const clientId = req.userSession.role === 'client' ? req.userSession.client_id : undefined;
+  if (!pipeline || (clientId && !isAvailable(pipeline, clientId))) return res.status(404).json({ error: 'Pipeline not found' });
+  const counts = {};
+  getLeadsForSession(req).forEach(l => {
+    if (l.pipeline_id === pipeline.id) counts[l.stage] = (counts[l.stage] || 0) + 1;
+  });
+  return res.json({ pipeline, stage_counts: counts });
+});
+
+app.post('/api/pipelines', requireAdmin, (req, res) => {
+  try {
+    return res.json({ success: true, pipeline: savePipeline(req.body || {}) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+// Stages that still have leads or deals cannot be removed
+app.put('/api/pipelines/:id', requireAdmin, (req, res) => {
+  const existing = getPipeline(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Pipeline not found' });
+  try {
+    const usedStages = Object.keys({ ...pipelineStageCounts(existing.id), ...dealStageCounts(existing.id) });
+    return res.json({ success: true, pipeline: savePipeline(req.body || {}, existing, { usedStages }) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+app.delete('/api/pipelines/:id', requireAdmin, (req, res) => {
+  if (!getPipeline(req.params.id)) return res.status(404).json({ error: 'Pipeline not found' });
+  if (req.params.id === DEFAULT_PIPELINE_ID) return res.status(400).json({ error: 'The default pipeline cannot be deleted' });
+  const count = leadIndex.ids('pipeline', req.params.id).length;
+  if (count > 0) return res.status(400).json({ error: `${count} lead(s) are still in this pipeline; move them first` });
+  const deals = listDeals({ pipeline_id: req.params.id }).length;
+  if (deals > 0) return res.status(400).json({ error: `${deals} deal(s) are still in this pipeline; move them first` });
+  deletePipeline(req.params.id);
+  return res.json({ success: true });
+});
+
+// Managed lists for lost_reason / won_reason (an empty list allows free text)
+app.get('/api/stage-reasons', requireApiOrSession, (req, res) => {
+  return res.json(getStageReasons());
+});
+
+app.put('/api/stage-reasons', requireAdmin, (req, res) => {
+  try {
+    return res.json({ success: true, ...setStageReasons(req.body || {}) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+// ============================================
+// API: AUTOMATIONS
+// ============================================
+// Rules apply to every lead, so only admins see and manage them
+app.get('/api/automations', requireAdmin, (req, res) => {
+  return res.json({ automations: listAutomations(), triggers: TRIGGERS, actions: ACTION_TYPES });
+});
+
+app.get('/api/automations/:id', requireAdmin, (req, res) => {
+  const rule = getAutomation(req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Automation not found' });
+  return res.json({ automation: rule });
+});
+
+app.post('/api/automations', requireAdmin, (req, res) => {
+  try {
+    return res.json({ success: true, automation: saveAutomation(req.body || {}) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+app.put('/api/automations/:id', requireAdmin, (req, res) => {
+  const existing = getAutomation(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'Automation not found' });
+  try {
+    return res.json({ success: true, automation: saveAutomation(req.body || {}, existing) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+app.delete('/api/automations/:id', requireAdmin, (req, res) => {
+  if (!deleteAutomation(req.params.id)) return res.status(404).json({ error: 'Automation not found' });
+  return res.json({ success: true });
+});
+
+// ============================================
+// API: SAVED VIEWS (per user)
+// ============================================
+// A view stores list params, a structured filter, sort and fields.
+// Load one with GET /api/leads?view=<id>.
+app.get('/api/views', requireApiOrSession, (req, res) => {
+  const views = listViews(req.userSession.user);
+  return res.json({ views, total: views.length });
+});
+
+app.get('/api/views/:id', requireApiOrSession, (req, res) => {
+  const view = getView(req.params.id, req.userSession.user);
+  if (!view) return res.status(404).json({ error: 'View not found' });
+  return res.json({ view });
+});
+
+app.post('/api/views', requireApiOrSession, (req, res) => {
+  try {
+    const view = saveView(req.userSession.user, req.body || {});
+    return res.json({ success: true, view });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+});
+
+app.put('/api/views/:id', requireApiOrSession, (req, res) => {
+  const existing = getView(req.params.id, req.userSession.user);
+  if (!existing) return res.status(404).json({ error: 'View not found' });
+  try {
+    const view = saveView(req.userSession.user, req.body || {}, existing);
+    return res.json({ success: true, view });
+  } catch (err) {
+    if (err instanceof QueryError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+});
+
+app.delete('/api/views/:id', requireApiOrSession, (req, res) => {
+  if (!deleteView(req.params.id, req.userSession.user)) return res.status(404).json({ error: 'View not found' });
+  return res.json({ success: true });
+});
+
+// ============================================
+// API: BULK ACTIONS
+// ============================================
+// The stage is looked up in each lead's own pipeline; with pipeline_id
+// the leads are moved into that pipeline. lost_reason / won_reason are
+// set on every lead. Leads whose pipeline has no such stage, or that
+// miss the stage's required fields, are reported in `skipped`.
+app.post('/api/leads/bulk/stage', requireAuth, (req, res) => {
+  const { ids, stage, pipeline_id } = req.body;
+  if (!Array.isArray(ids) || !stage) return res.status(400).json({ error: 'ids (array) and stage required' });
+  if (pipeline_id && !getPipeline(pipeline_id)) return res.status(400).json({ error: 'Invalid pipeline' });
+  const reasons = { lost_reason: req.body.lost_reason, won_reason: req.body.won_reason };
+  const reasonErrors = normalizeStageReasons(reasons);
+  if (reasonErrors.length > 0) return respondValidation(res, new ValidationError(reasonErrors));
+
+  let updated = 0;
+  const skipped = [];
+  ids.forEach(id => {
+    const lead = readLead(id);
+    if (!lead || !canAccessLead(req, lead)) return;
+    const placed = placeLead({ stage, pipeline_id }, lead, lead.owner_id);
+    if (placed.errors.length > 0) return skipped.push({ id: lead.id, error: placed.errors[0].message });
+    if (lead.stage === placed.stage && lead.pipeline_id === placed.pipeline.id) return;
+
+    const oldStage = lead.stage;
+    const before = snapshotLead(lead);
+    const pipelineChanged = lead.pipeline_id !== placed.pipeline.id;
+    lead.pipeline_id = placed.pipeline.id;
+    lead.stage = placed.stage;
+    Object.entries(reasons).forEach(([field, value]) => { if (value) lead[field] = value; });
+    try {
+      checkTransition(lead, oldStage, { pipelineChanged });
+    } catch (err) {
+      if (!(err instanceof TransitionError)) throw err;
+      return skipped.push({ id: lead.id, error: err.message, missing: err.missing });
+    }
+    lead.updated_at = new Date().toISOString();
+    if (lead.stage !== oldStage) {
+      lead.activity.push({
+        type: 'stage_change',
+        message: `Stage changed to ${stageLabel(placed.pipeline, lead.stage)} (bulk)`,
+        from: oldStage,
+        to: lead.stage,
+        timestamp: lead.updated_at
+      });
+    }
+    runAutomations(lead, changeEvents(before, lead));
+    writeLead(lead, revisionContext(req, 'bulk_stage'));
+    updated++;
+  });
+
+  return res.json({ success: true, updated, skipped });
+});
+
+app.post('/api/leads/bulk/delete', requireAuth, (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids)) return res.status(400).json({ error: 'ids (array) required' });
+  let deleted = 0;
+  ids.forEach(id => {
+    const lead = readLead(id);
+    if (lead && canAccessLead(req, lead)) { trashLead(lead, req.userSession.user); deleted++; }
+  });
+  return res.json({ success: true, deleted });
+});
+
+app.post('/api/leads/bulk/tag', requireAuth, (req, res) => {
+  const { ids, tag, action } = req.body;
+  if (!Array.isArray(ids) || !tag) return res.status(400).json({ error: 'ids (array) and tag required' });
+  let updated = 0;
+  ids.forEach(id => {
+    const lead = readLead(id);
+    if (lead) {
+      const before = snapshotLead(lead);
+      if (action === 'remove') {
+        lead.tags = lead.tags.filter(t => t.toLowerCase() !== tag.toLowerCase());
+      } else {
+        if (!lead.tags.some(t => t.toLowerCase() === tag.toLowerCase())) lead.tags.push(tag);
+      }
+      lead.updated_at = new Date().toISOString();
+      runAutomations(lead, changeEvents(before, lead));
+      writeLead(lead, revisionContext(req, 'bulk_tag'));
+      updated++;
+    }
+  });
+  return res.json({ success: true, updated });
+});
+
+// Body: { ids, assigned_to } hands the leads to one member (user_id,
+// username or email; null unassigns), or { ids, use_rules: true } runs
+// each lead's assignment rules, also on leads someone already has. Leads
+// whose team the member is not on, or that no rule matches, are reported
+// in `skipped`.
+app.post('/api/leads/bulk/assign', requireAuth, (req, res) => {
+  const { ids, assigned_to, use_rules } = req.body;
+  if (!Array.isArray(ids) || (assigned_to === undefined && use_rules !== true)) {
+    return res.status(400).json({ error: 'ids (array) and assigned_to or use_rules required' });
+  }
+  let updated = 0;
+  const skipped = [];
+  ids.forEach(id => {
+    const lead = readLead(id);
+    if (!lead || !canAccessLead(req, lead)) return;
+    const before = snapshotLead(lead);
+    const context = revisionContext(req, 'bulk_assign');
+    if (use_rules === true) {
+      const result = assignLead(lead);
+      if (!result) return skipped.push({ id: lead.id, error: 'No assignment rule matched' });
+      context.assignment_rule = result.rule.name;
+    } else {
+      const assignee = resolveAssignee(assigned_to, lead.owner_id);
+      if (assignee.error) return skipped.push({ id: lead.id, error: assignee.error.message });
+      lead.assigned_to = assignee.value;
+    }
+    if ((lead.assigned_to || null) === (before.assigned_to || null)) return;
+    lead.updated_at = new Date().toISOString();
+    runAutomations(lead, changeEvents(before, lead));
+    writeLead(lead, context);
+    updated++;
+  });
+  return res.json({ success: true, updated, skipped });
+});
+
+// ============================================
+// API: NOTES (Rich text with HTML content)
+// ============================================
+app.post('/api/leads/:id/notes', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+
+  const { content, type, title } = req.body;
+  if (!content) return res.status(400).json({ error: 'Content required' });
+
+  const note = {
+    id: uuidv4(),
+    title: title || '',
+    content: content,  // Can be HTML from rich text editor
+    type: type || 'note',
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
 
-  if (!lead.notes) lead.notes = [];
   lead.notes.unshift(note);
 
-  if (!lead.activity) lead.activity = [];
   const plainText = content.replace(/<[^>]*>/g, '');
   lead.activity.push({
     type: 'note_added',
@@ -1251,41 +2390,432 @@ app.post('/api/leads/:id/notes', requireApiOrSession, (req, res) => {
     timestamp: note.created_at
   });
 
-  lead.last_contacted = note.created_at;
-  lead.updated_at = note.created_at;
-  lead.lead_score = calculateLeadScore(lead);
-  writeLead(lead);
+  lead.last_contacted = note.created_at;
+  lead.updated_at = note.created_at;
+  runAutomations(lead, { type: 'note_added', note_type: note.type });
+  writeLead(lead, revisionContext(req, 'note'));
+
+  return res.json({ success: true, note });
+});
+
+// Update note
+app.put('/api/leads/:id/notes/:noteId', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+
+  const note = (lead.notes || []).find(n => n.id === req.params.noteId);
+  if (!note) return res.status(404).json({ error: 'Note not found' });
+
+  if (req.body.content !== undefined) note.content = req.body.content;
+  if (req.body.title !== undefined) note.title = req.body.title;
+  if (req.body.type !== undefined) note.type = req.body.type;
+  note.updated_at = new Date().toISOString();
+
+  lead.updated_at = new Date().toISOString();
+  writeLead(lead, revisionContext(req, 'note'));
+
+  return res.json({ success: true, note });
+});
+
+app.delete('/api/leads/:id/notes/:noteId', requireAuth, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!lead.notes) return res.status(404).json({ error: 'Note not found' });
+  lead.notes = lead.notes.filter(n => n.id !== req.params.noteId);
+  lead.updated_at = new Date().toISOString();
+  writeLead(lead, revisionContext(req, 'note'));
+  return res.json({ success: true });
+});
+
+// ============================================
+// API: TASKS
+// ============================================
+// Tasks are visible to whoever can see their lead; tasks of trashed
+// leads are hidden until the lead is restored.
+function canAccessTask(req, task) {
+  if (!leadIndex.has(task.lead_id)) return false;
+  if (!req.userSession || req.userSession.role === 'admin') return true;
+  return (task.owner_id || null) === (req.userSession.client_id || null);
+}
+
+// Tasks go out with enough of their lead to be listed on their own
+function taskWithLead(task) {
+  const lead = leadIndex.get(task.lead_id);
+  return {
+    ...task,
+    lead: lead ? { id: lead.id, company_name: lead.company_name, contact_name: lead.contact_name, stage: lead.stage } : null
+  };
+}
+
+// ?assigned_to=me is the caller, ?assigned_to=none the unassigned tasks
+function assigneeParam(req, value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === 'me') return req.userSession.user_id;
+  if (value === 'none') return null;
+  return String(value);
+}
+
+// Task changes show on the lead: next_followup follows its open tasks
+// (see writeLead) and status changes are logged to the activity.
+// Completed calls, emails and LinkedIn messages count as contact.
+function recordTaskOnLead(req, task, previous) {
+  const lead = readLead(task.lead_id);
+  if (!lead) return;
+  const now = new Date().toISOString();
+  const due = new Date(task.due_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  let entry = null;
+  if (!previous) {
+    entry = { type: 'task_created', message: `Task added: ${task.title} (due ${due})` };
+  } else if (task.status !== previous.status && task.status === 'done') {
+    const notes = task.completion_notes ? ' — ' + task.completion_notes.substring(0, 120) : '';
+    entry = { type: 'task_completed', message: `Task completed: ${task.title}${notes}` };
+    if (task.type !== 'custom') lead.last_contacted = task.completed_at;
+  } else if (task.status !== previous.status && task.status === 'cancelled') {
+    entry = { type: 'task_cancelled', message: `Task cancelled: ${task.title}` };
+  } else if (task.status !== previous.status) {
+    entry = { type: 'task_reopened', message: `Task reopened: ${task.title} (due ${due})` };
+  }
+
+  if (entry) lead.activity.push({ ...entry, task_id: task.id, timestamp: now });
+  lead.updated_at = now;
+  writeLead(lead, revisionContext(req, 'task'));
+}
+
+app.get('/api/tasks', requireApiOrSession, (req, res) => {
+  const q = req.query;
+  const enums = { status: STATUSES, type: TASK_TYPES, priority: PRIORITIES, queue: QUEUES };
+  for (const [param, allowed] of Object.entries(enums)) {
+    if (q[param] !== undefined && !allowed.includes(q[param])) {
+      return res.status(400).json({ error: `${param} must be one of ${allowed.join(', ')}` });
+    }
+  }
+  const pageParams = parsePageParams(req, 'due_at:1');
+  if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+
+  const tasks = listTasks({
+    lead_id: q.lead_id || undefined,
+    assigned_to: assigneeParam(req, q.assigned_to),
+    status: q.status,
+    type: q.type,
+    priority: q.priority,
+    queue: q.queue
+  }, t => canAccessTask(req, t));
+  const page = paginate(res, tasks, pageParams, t => [t.due_at, t.id], 1);
+  return res.json({ tasks: page.items.map(taskWithLead), total: page.total, limit: page.limit, next_cursor: page.next_cursor });
+});
+
+// Overdue, due today and upcoming open tasks. Defaults to the caller's
+// own tasks; ?assigned_to=all shows everyone's.
+app.get('/api/tasks/queue', requireApiOrSession, (req, res) => {
+  const assignee = req.query.assigned_to === 'all' ? undefined : assigneeParam(req, req.query.assigned_to || 'me');
+  const queues = taskQueues(listTasks({ assigned_to: assignee, status: 'open' }, t => canAccessTask(req, t)));
+  return res.json({
+    assigned_to: assignee === undefined ? 'all' : assignee,
+    overdue: queues.overdue.map(taskWithLead),
+    today: queues.today.map(taskWithLead),
+    upcoming: queues.upcoming.map(taskWithLead),
+    counts: { overdue: queues.overdue.length, today: queues.today.length, upcoming: queues.upcoming.length }
+  });
+});
+
+app.get('/api/tasks/:id', requireApiOrSession, (req, res) => {
+  const task = getTask(req.params.id);
+  if (!task || !canAccessTask(req, task)) return res.status(404).json({ error: 'Task not found' });
+  return res.json({ task: taskWithLead(task) });
+});
+
+app.patch('/api/tasks/:id', requireApiOrSession, (req, res) => {
+  const existing = getTask(req.params.id);
+  if (!existing || !canAccessTask(req, existing)) return res.status(404).json({ error: 'Task not found' });
+  try {
+    const { task, previous } = updateTask(existing.id, req.body || {}, req.userSession.user_id);
+    if (task.status !== 'open') markTaskNotificationsRead(task.id);
+    recordTaskOnLead(req, task, previous);
+    return res.json({ success: true, task: taskWithLead(task) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+// Body: { completion_notes }
+app.post('/api/tasks/:id/complete', requireApiOrSession, (req, res) => {
+  const existing = getTask(req.params.id);
+  if (!existing || !canAccessTask(req, existing)) return res.status(404).json({ error: 'Task not found' });
+  if (existing.status === 'done') return res.status(400).json({ error: 'Task is already completed' });
+  const body = req.body || {};
+  const { task, previous } = updateTask(existing.id, { status: 'done', completion_notes: body.completion_notes }, req.userSession.user_id);
+  markTaskNotificationsRead(task.id);
+  recordTaskOnLead(req, task, previous);
+  return res.json({ success: true, task: taskWithLead(task) });
+});
+
+// Remind again later. Body: { minutes } (default 60) or { until }
+app.post('/api/tasks/:id/snooze', requireApiOrSession, (req, res) => {
+  const existing = getTask(req.params.id);
+  if (!existing || !canAccessTask(req, existing)) return res.status(404).json({ error: 'Task not found' });
+  const body = req.body || {};
+  const until = body.until || new Date(Date.now() + (Number(body.minutes) || 60) * 60000).toISOString();
+  try {
+    const task = snoozeTask(existing.id, until);
+    markTaskNotificationsRead(task.id);
+    return res.json({ success: true, task: taskWithLead(task) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+app.delete('/api/tasks/:id', requireApiOrSession, (req, res) => {
+  const task = getTask(req.params.id);
+  if (!task || !canAccessTask(req, task)) return res.status(404).json({ error: 'Task not found' });
+  deleteTask(task.id);
+  markTaskNotificationsRead(task.id);
+  const lead = readLead(task.lead_id);
+  if (lead) writeLead(lead, revisionContext(req, 'task'));
+  return res.json({ success: true });
+});
+
+app.get('/api/leads/:id/tasks', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+  const tasks = listTasks({ lead_id: lead.id });
+  return res.json({ tasks, total: tasks.length });
+});
+
+// Body: { type, title, notes, due_at, assigned_to, priority }
+app.post('/api/leads/:id/tasks', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+  try {
+    const task = createTask(lead, { ...(req.body || {}), status: 'open' }, req.userSession.user_id);
+    recordTaskOnLead(req, task, null);
+    return res.json({ success: true, task });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+// ============================================
+// API: DEALS
+// ============================================
+// Deals belong to a lead or to an account (see deals.js) and are visible
+// to whoever can see it; deals of trashed leads are hidden until the
+// lead is restored.
+function canAccessDeal(req, deal) {
+  if (deal.lead_id && !leadIndex.has(deal.lead_id)) return false;
+  if (!req.userSession || req.userSession.role === 'admin') return true;
+  return (deal.owner_id || null) === (req.userSession.client_id || null);
+}
+
+// Deals go out with enough of their lead and account to be listed on their own
+function dealWithParties(deal) {
+  const lead = deal.lead_id ? leadIndex.get(deal.lead_id) : null;
+  const account = deal.account_id ? getAccount(deal.account_id) : null;
+  return {
+    ...deal,
+    lead: lead ? { id: lead.id, company_name: lead.company_name, contact_name: lead.contact_name, stage: lead.stage } : null,
+    account: account ? { id: account.id, name: account.name, domain: account.domain } : null
+  };
+}
+
+function formatDealAmount(deal) {
+  return `${deal.currency} ${deal.amount.toLocaleString('en-US')}`;
+}
+
+// Deal changes show on the lead: deal_value and proposal_url follow its
+// deals (see writeLead) and new, moved and closed deals are logged to
+// the activity
+function recordDealOnLead(req, deal, previous) {
+  const lead = deal.lead_id ? readLead(deal.lead_id) : null;
+  if (!lead) return;
+  const now = new Date().toISOString();
+  const pipeline = getPipeline(deal.pipeline_id);
+  const stageName = id => (pipeline ? stageLabel(pipeline, id) : id);
+  let entry = null;
+  if (!previous) {
+    entry = { type: 'deal_created', message: `Deal added: ${deal.name} (${formatDealAmount(deal)})` };
+  } else if (deal.status !== previous.status && deal.status === 'won') {
+    const reason = deal.won_reason ? ' — ' + deal.won_reason : '';
+    entry = { type: 'deal_won', message: `Deal won: ${deal.name} (${formatDealAmount(deal)})${reason}` };
+  } else if (deal.status !== previous.status && deal.status === 'lost') {
+    const reason = deal.lost_reason ? ' — ' + deal.lost_reason : '';
+    entry = { type: 'deal_lost', message: `Deal lost: ${deal.name}${reason}` };
+  } else if (deal.status !== previous.status) {
+    entry = { type: 'deal_reopened', message: `Deal reopened: ${deal.name} (${stageName(deal.stage)})` };
+  } else if (deal.stage !== previous.stage || deal.pipeline_id !== previous.pipeline_id) {
+    entry = { type: 'deal_stage_changed', message: `Deal ${deal.name} moved to ${stageName(deal.stage)}` };
+  }
+
+  if (entry) lead.activity.push({ ...entry, deal_id: deal.id, timestamp: now });
+  lead.updated_at = now;
+  writeLead(lead, revisionContext(req, 'deal'));
+}
+
+function dealFilterParams(q) {
+  const errors = [];
+  if (q.status !== undefined && !DEAL_STATUSES.includes(q.status)) errors.push(`status must be one of ${DEAL_STATUSES.join(', ')}`);
+  ['close_from', 'close_to'].forEach(param => {
+    if (q[param] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(q[param])) errors.push(`${param} must be a YYYY-MM-DD date`);
+  });
+  if (errors.length > 0) return { error: errors.join('; ') };
+  return {
+    filter: {
+      lead_id: q.lead_id || undefined,
+      account_id: q.account_id || undefined,
+      status: q.status,
+      pipeline_id: q.pipeline_id || undefined,
+      stage: q.stage || undefined,
+      currency: q.currency ? String(q.currency).toUpperCase() : undefined,
+      close_from: q.close_from,
+      close_to: q.close_to
+    }
+  };
+}
+
+// Soonest expected close first; deals without a date last
+function listDealsPage(req, res, filter) {
+  const pageParams = parsePageParams(req, 'expected_close_date:1');
+  if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+  const deals = listDeals(filter, d => canAccessDeal(req, d));
+  const page = paginate(res, deals, pageParams, d => [d.expected_close_date || '9999-12-31', d.id], 1);
+  return res.json({ deals: page.items.map(dealWithParties), total: page.total, limit: page.limit, next_cursor: page.next_cursor });
+}
+
+app.get('/api/deals', requireApiOrSession, (req, res) => {
+  const params = dealFilterParams(req.query);
+  if (params.error) return res.status(400).json({ error: params.error });
+  return listDealsPage(req, res, params.filter);
+});
+
+app.get('/api/deals/:id', requireApiOrSession, (req, res) => {
+  const deal = getDeal(req.params.id);
+  if (!deal || !canAccessDeal(req, deal)) return res.status(404).json({ error: 'Deal not found' });
+  return res.json({ deal: dealWithParties(deal) });
+});
+
+// Body: any of { name, amount, currency, line_items, pipeline_id, stage,
+// probability, expected_close_date, proposal_url, lost_reason, won_reason }
+app.patch('/api/deals/:id', requireApiOrSession, (req, res) => {
+  const existing = getDeal(req.params.id);
+  if (!existing || !canAccessDeal(req, existing)) return res.status(404).json({ error: 'Deal not found' });
+  try {
+    const { deal, previous } = updateDeal(existing.id, req.body || {});
+    recordDealOnLead(req, deal, previous);
+    return res.json({ success: true, deal: dealWithParties(deal) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+app.delete('/api/deals/:id', requireApiOrSession, (req, res) => {
+  const deal = getDeal(req.params.id);
+  if (!deal || !canAccessDeal(req, deal)) return res.status(404).json({ error: 'Deal not found' });
+  deleteDeal(deal.id);
+  const lead = deal.lead_id ? readLead(deal.lead_id) : null;
+  if (lead) writeLead(lead, revisionContext(req, 'deal'));
+  return res.json({ success: true });
+});
+
+app.get('/api/leads/:id/deals', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+  const deals = listDeals({ lead_id: lead.id });
+  return res.json({ deals, total: deals.length });
+});
+
+app.post('/api/leads/:id/deals', requireApiOrSession, (req, res) => {
+  const lead = readLead(req.params.id);
+  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+  if (!canAccessLead(req, lead)) return res.status(403).json({ error: 'Access denied' });
+  try {
+    const deal = createDeal({ lead }, req.body || {}, req.userSession.user_id);
+    recordDealOnLead(req, deal, null);
+    return res.json({ success: true, deal });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+// The account's own deals and those of its contacts
+app.get('/api/accounts/:id/deals', requireApiOrSession, (req, res) => {
+  const account = getAccount(req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  if (!canAccessAccount(req, account)) return res.status(403).json({ error: 'Access denied' });
+  const params = dealFilterParams({ ...req.query, account_id: account.id });
+  if (params.error) return res.status(400).json({ error: params.error });
+  return listDealsPage(req, res, params.filter);
+});
+
+// A deal with no particular contact; pipeline and stage default to the
+// workspace's default pipeline
+app.post('/api/accounts/:id/deals', requireApiOrSession, (req, res) => {
+  const account = getAccount(req.params.id);
+  if (!account) return res.status(404).json({ error: 'Account not found' });
+  if (!canAccessAccount(req, account)) return res.status(403).json({ error: 'Access denied' });
+  try {
+    const deal = createDeal({ account }, req.body || {}, req.userSession.user_id);
+    return res.json({ success: true, deal });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
 
-  return res.json({ success: true, note });
+// Base currency for deal_value and the stats
+app.get('/api/deal-settings', requireApiOrSession, (req, res) => {
+  return res.json(getDealSettings());
 });
 
-// Update note
-app.put('/api/leads/:id/notes/:noteId', requireApiOrSession, (req, res) => {
-  const lead = readLead(req.params.id);
-  if (!lead) return res.status(404).json({ error: 'Lead not found' });
+app.put('/api/deal-settings', requireAdmin, (req, res) => {
+  try {
+    return res.json({ success: true, ...setDealSettings(req.body || {}) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
 
-  const note = (lead.notes || []).find(n => n.id === req.params.noteId);
-  if (!note) return res.status(404).json({ error: 'Note not found' });
+// ============================================
+// API: REMINDERS & NOTIFICATIONS
+// ============================================
+// Open tasks fire a followup_due event when they come due (see reminders.js)
+const reminderScheduler = new ReminderScheduler(id => leadIndex.get(id), sendWebhookNotification);
 
-  if (req.body.content !== undefined) note.content = req.body.content;
-  if (req.body.title !== undefined) note.title = req.body.title;
-  if (req.body.type !== undefined) note.type = req.body.type;
-  note.updated_at = new Date().toISOString();
+app.get('/api/reminders/config', requireAuth, (req, res) => {
+  return res.json({ config: getReminderConfig(), last_check: reminderScheduler.lastCheck });
+});
 
-  lead.updated_at = new Date().toISOString();
-  writeLead(lead);
+app.put('/api/reminders/config', requireAdmin, (req, res) => {
+  try {
+    return res.json({ success: true, config: setReminderConfig(req.body || {}) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
 
-  return res.json({ success: true, note });
+// The caller's notifications, newest first. ?unread=1 keeps unread ones.
+app.get('/api/notifications', requireApiOrSession, (req, res) => {
+  const notifications = listNotifications(req.userSession.user_id, { unread: req.query.unread === '1' || req.query.unread === 'true' });
+  const unread = notifications.filter(n => !n.read_at).length;
+  return res.json({ notifications, total: notifications.length, unread });
 });
 
-app.delete('/api/leads/:id/notes/:noteId', requireAuth, (req, res) => {
-  const lead = readLead(req.params.id);
-  if (!lead) return res.status(404).json({ error: 'Lead not found' });
-  if (!lead.notes) return res.status(404).json({ error: 'Note not found' });
-  lead.notes = lead.notes.filter(n => n.id !== req.params.noteId);
-  lead.updated_at = new Date().toISOString();
-  writeLead(lead);
-  return res.json({ success: true });
+app.post('/api/notifications/read-all', requireApiOrSession, (req, res) => {
+  return res.json({ success: true, marked: markAllRead(req.userSession.user_id) });
+});
+
+app.post('/api/notifications/:id/read', requireApiOrSession, (req, res) => {
+  const notification = markNotificationRead(req.params.id, req.userSession.user_id);
+  if (!notification) return res.status(404).json({ error: 'Notification not found' });
+  return res.json({ success: true, notification });
 });
 
 // ============================================
@@ -1298,10 +2828,9 @@ app.get('/api/outreach/by-email', requireApiOrSession, (req, res) => {
   }
 
   try {
-    const allLeads = getAllLeads();
     const results = [];
 
-    allLeads.forEach(lead => {
+    leadIndex.findByOutreachEmail(email).forEach(lead => {
       const rawOutreach = lead.outreach || [];
       // Find all messages where from_email or to_email matches exactly
       const matching = rawOutreach.filter(o => {
@@ -1372,10 +2901,8 @@ app.post('/api/leads/:id/outreach', requireApiOrSession, (req, res) => {
     timestamp: new Date().toISOString()
   };
 
-  if (!lead.outreach) lead.outreach = [];
   lead.outreach.unshift(entry);
 
-  if (!lead.activity) lead.activity = [];
   lead.activity.push({
     type: 'outreach',
     message: `${direction === 'sent' ? 'Email sent' : 'Email received'}: ${subject || '(no subject)'}`,
@@ -1386,13 +2913,10 @@ app.post('/api/leads/:id/outreach', requireApiOrSession, (req, res) => {
   lead.last_contacted = entry.timestamp;
   lead.updated_at = entry.timestamp;
 
-  // Auto-stage rule: if outreach sent and stage is cold, move to contacted
-  if (direction === 'sent') {
-    checkAutoStageRules(lead, 'outreach_sent');
-  }
+  // e.g. Cold -> Contacted once outreach is sent
+  runAutomations(lead, { type: direction === 'sent' ? 'outreach_sent' : 'outreach_received', channel: entry.channel });
 
-  lead.lead_score = calculateLeadScore(lead);
-  writeLead(lead);
+  writeLead(lead, revisionContext(req, 'outreach'));
 
   // Strip internal _id from response
   const { _id, ...cleanEntry } = entry;
@@ -1405,7 +2929,7 @@ app.delete('/api/leads/:id/outreach/:outreachId', requireAuth, (req, res) => {
   if (!lead.outreach) return res.status(404).json({ error: 'Outreach not found' });
   lead.outreach = lead.outreach.filter(o => (o._id || o.id) !== req.params.outreachId);
   lead.updated_at = new Date().toISOString();
-  writeLead(lead);
+  writeLead(lead, revisionContext(req, 'outreach'));
   return res.json({ success: true });
 });
 
@@ -1427,10 +2951,8 @@ app.post('/api/leads/:id/attachments', requireAuth, fileUpload.single('file'), (
     uploaded_at: new Date().toISOString()
   };
 
-  if (!lead.attachments) lead.attachments = [];
   lead.attachments.push(attachment);
 
-  if (!lead.activity) lead.activity = [];
   lead.activity.push({
     type: 'attachment',
     message: `File attached: ${req.file.originalname}`,
@@ -1439,7 +2961,7 @@ app.post('/api/leads/:id/attachments', requireAuth, fileUpload.single('file'), (
   });
 
   lead.updated_at = attachment.uploaded_at;
-  writeLead(lead);
+  writeLead(lead, revisionContext(req, 'attachment'));
 
   return res.json({ success: true, attachment });
 });
@@ -1457,7 +2979,7 @@ app.delete('/api/leads/:id/attachments/:attachmentId', requireAuth, (req, res) =
 
   lead.attachments = lead.attachments.filter(a => a.id !== req.params.attachmentId);
   lead.updated_at = new Date().toISOString();
-  writeLead(lead);
+  writeLead(lead, revisionContext(req, 'attachment'));
 
   return res.json({ success: true });
 });
@@ -1490,7 +3012,6 @@ app.post('/api/leads/:id/calendar', requireApiOrSession, (req, res) => {
     updated_at: new Date().toISOString()
   };
 
-  if (!lead.activity) lead.activity = [];
   lead.activity.push({
     type: 'call_booked',
     message: `Call booked: ${lead.calendar_event.title} on ${event_date || start_time || 'TBD'}`,
@@ -1499,11 +3020,9 @@ app.post('/api/leads/:id/calendar', requireApiOrSession, (req, res) => {
 
   lead.updated_at = new Date().toISOString();
 
-  // Auto-stage rule
-  checkAutoStageRules(lead, 'calendar_event_added');
+  runAutomations(lead, { type: 'calendar_event_added' });
 
-  lead.lead_score = calculateLeadScore(lead);
-  writeLead(lead);
+  writeLead(lead, revisionContext(req, 'calendar'));
 
   // Global webhook disabled — call booked webhook removed.
 
@@ -1556,7 +3075,7 @@ app.delete('/api/email-templates/:id', requireAuth, (req, res) => {
 app.get('/api/export/csv', requireAuth, (req, res) => {
   try {
     const leads = getAllLeads();
-    const { industry, stage } = req.query;
+    const { industry, stage, pipeline_id } = req.query;
 
     let filtered = leads;
     if (industry) {
@@ -1567,6 +3086,7 @@ app.get('/api/export/csv', requireAuth, (req, res) => {
         filtered = filtered.filter(l => l.industry && l.industry.toLowerCase() === industry.toLowerCase());
       }
     }
+    if (pipeline_id) filtered = filtered.filter(l => l.pipeline_id === pipeline_id);
     if (stage) filtered = filtered.filter(l => l.stage === stage);
 
     const headers = [
@@ -1575,6 +3095,8 @@ app.get('/api/export/csv', requireAuth, (req, res) => {
       'Stage', 'Assigned To', 'Deal Value', 'Details', 'Last Contacted', 'Next Follow-up',
       'Proposal URL', 'Lead Score', 'Created At', 'Updated At'
     ];
+    const customDefs = listFieldDefinitions();
+    customDefs.forEach(def => headers.push(csvEscape(def.label)));
 
     const rows = filtered.map(l => [
       l.id, csvEscape(l.company_name), csvEscape(l.contact_name),
@@ -1584,7 +3106,8 @@ app.get('/api/export/csv', requireAuth, (req, res) => {
       csvEscape(l.lead_source), csvEscape((l.tags || []).join('; ')),
       l.stage, csvEscape(l.assigned_to), l.deal_value || 0,
       csvEscape(l.details), l.last_contacted || '', l.next_followup || '',
-      csvEscape(l.proposal_url), calculateLeadScore(l), l.created_at, l.updated_at
+      csvEscape(l.proposal_url), l.lead_score, l.created_at, l.updated_at,
+      ...customDefs.map(def => csvEscape(formatCustomValue((l.custom_fields || {})[def.key])))
     ]);
 
     const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
@@ -1635,7 +3158,9 @@ app.post('/api/import/csv/preview', requireAuth, csvUpload.single('file'), (req,
       file_path: req.file.path,
       headers,
       preview,
-      total_rows: lines.length - 1
+      total_rows: lines.length - 1,
+      // Extra mapping targets, as custom_fields.<key>
+      custom_fields: listFieldDefinitions(null)
     });
   } catch (err) {
     if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
@@ -1645,7 +3170,7 @@ app.post('/api/import/csv/preview', requireAuth, csvUpload.single('file'), (req,
 
 // Step 2: Import with column mapping
 app.post('/api/import/csv/execute', requireAuth, (req, res) => {
-  const { file_path, mapping, default_industry, custom_industry, default_stage, default_source } = req.body;
+  const { file_path, mapping, default_industry, custom_industry, default_pipeline, default_stage, default_source } = req.body;
 
   if (!file_path || !mapping) return res.status(400).json({ error: 'file_path and mapping required' });
   if (!fs.existsSync(file_path)) return res.status(400).json({ error: 'File not found. Please re-upload.' });
@@ -1658,6 +3183,7 @@ app.post('/api/import/csv/execute', requireAuth, (req, res) => {
     const headers = parseCSVLine(lines[0]).map(h => h.trim());
     const imported = [];
     const skipped = [];
+    const invalid = [];
 
     for (let i = 1; i < lines.length; i++) {
       const values = parseCSVLine(lines[i]);
@@ -1666,10 +3192,14 @@ app.post('/api/import/csv/execute', requireAuth, (req, res) => {
 
       const data = {};
 
-      // Apply mapping
+      // Apply mapping; custom_fields.<key> targets a registry field
       Object.keys(mapping).forEach(field => {
         const csvCol = mapping[field];
-        if (csvCol && row[csvCol] !== undefined) {
+        if (!csvCol || row[csvCol] === undefined) return;
+        if (field.startsWith('custom_fields.')) {
+          data.custom_fields = data.custom_fields || {};
+          data.custom_fields[field.slice('custom_fields.'.length)] = row[csvCol];
+        } else {
           data[field] = row[csvCol];
         }
       });
@@ -1681,39 +3211,48 @@ app.post('/api/import/csv/execute', requireAuth, (req, res) => {
         data.industry = default_industry;
       }
 
-      // Handle arrays
-      if (data.emails && typeof data.emails === 'string') {
-        data.emails = data.emails.split(/[;,]/).map(e => e.trim()).filter(Boolean);
-      }
-      if (data.phones && typeof data.phones === 'string') {
-        data.phones = data.phones.split(/[;,]/).map(p => p.trim()).filter(Boolean);
-      }
+      // Handle arrays (emails and phones are split during normalization)
       if (data.tags && typeof data.tags === 'string') {
         data.tags = data.tags.split(/[;,]/).map(t => t.trim()).filter(Boolean);
       }
 
-      data.stage = default_stage || 'cold';
+      // Stages are checked against the pipeline; none -> its first stage
+      if (default_pipeline) data.pipeline_id = default_pipeline;
+      if (default_stage) data.stage = default_stage;
       data.lead_source = default_source || 'CSV Import';
       data._source = 'csv_import';
       data.deal_value = parseFloat(data.deal_value) || 0;
 
       if (data.company_name || data.contact_name) {
-        const lead = createLeadObject(data);
+        const { data: clean, errors } = checkLeadPayload(data, null, { checkRequired: true });
+        if (errors.length > 0) {
+          invalid.push({ row: i, fields: errors });
+          continue;
+        }
+        const lead = createLeadObject(clean);
+        const stageErrors = stageEntryErrors(lead);
+        if (stageErrors.length > 0) {
+          invalid.push({ row: i, fields: stageErrors });
+          continue;
+        }
         lead.activity.push({
           type: 'created',
           message: 'Imported from CSV',
           timestamp: lead.created_at
         });
-        lead.lead_score = calculateLeadScore(lead);
-        writeLead(lead);
+        const context = revisionContext(req, 'csv_import');
+        autoAssign(lead, context);
+        runAutomations(lead, { type: 'lead_created' });
+        writeLead(lead, context);
         imported.push(lead.id);
       } else {
         skipped.push(i);
       }
     }
 
-    console.log(`[${new Date().toISOString()}] CSV import: ${imported.length} leads, ${skipped.length} skipped`);
-    return res.json({ success: true, imported: imported.length, skipped: skipped.length, ids: imported });
+    console.log(`[${new Date().toISOString()}] CSV import: ${imported.length} leads, ${skipped.length} skipped, ${invalid.length} invalid`);
+    if (imported.length > 0) duplicateScanner.request();
+    return res.json({ success: true, imported: imported.length, skipped: skipped.length, ids: imported, invalid });
   } catch (err) {
     console.error('CSV import error:', err);
     return res.status(500).json({ error: 'Import failed: ' + err.message });
@@ -1732,7 +3271,9 @@ app.post('/api/import/csv', requireAuth, csvUpload.single('file'), (req, res) =>
     if (lines.length < 2) return res.status(400).json({ error: 'CSV must have header + at least 1 row' });
 
     const headers = parseCSVLine(lines[0]).map(h => h.trim().toLowerCase());
+    const customDefs = listFieldDefinitions(null);
     const imported = [];
+    const invalid = [];
 
     for (let i = 1; i < lines.length; i++) {
       const values = parseCSVLine(lines[i]);
@@ -1742,8 +3283,8 @@ app.post('/api/import/csv', requireAuth, csvUpload.single('file'), (req, res) =>
       const data = {
         company_name: row['company name'] || row['company_name'] || row['company'] || '',
         contact_name: row['contact name'] || row['contact_name'] || row['name'] || row['contact'] || '',
-        emails: (row['emails'] || row['email'] || '').split(';').map(e => e.trim()).filter(Boolean),
-        phones: (row['phones'] || row['phone'] || '').split(';').map(p => p.trim()).filter(Boolean),
+        emails: row['emails'] || row['email'] || '',
+        phones: row['phones'] || row['phone'] || '',
         website: row['website'] || row['url'] || '',
         linkedin: row['linkedin'] || row['linkedin url'] || '',
         address: row['address'] || '',
@@ -1752,23 +3293,43 @@ app.post('/api/import/csv', requireAuth, csvUpload.single('file'), (req, res) =>
         revenue_estimate: row['revenue estimate'] || row['revenue_estimate'] || row['revenue'] || '',
         lead_source: row['lead source'] || row['lead_source'] || row['source'] || 'CSV Import',
         tags: (row['tags'] || '').split(';').map(t => t.trim()).filter(Boolean),
-        stage: row['stage'] || 'cold',
+        pipeline_id: row['pipeline'] || row['pipeline_id'] || '',
+        stage: row['stage'] || '',
         assigned_to: row['assigned to'] || row['assigned_to'] || '',
         deal_value: parseFloat(row['deal value'] || row['deal_value'] || 0) || 0,
         details: row['details'] || row['enrichment'] || '',
+        custom_fields: {},
         _source: 'csv_import'
       };
+      // Columns named after a custom field's key or label
+      customDefs.forEach(def => {
+        const value = row[def.key] !== undefined ? row[def.key] : row[def.label.toLowerCase()];
+        if (value !== undefined) data.custom_fields[def.key] = value;
+      });
 
       if (data.company_name || data.contact_name) {
-        const lead = createLeadObject(data);
+        const { data: clean, errors } = checkLeadPayload(data, null, { checkRequired: true });
+        if (errors.length > 0) {
+          invalid.push({ row: i, fields: errors });
+          continue;
+        }
+        const lead = createLeadObject(clean);
+        const stageErrors = stageEntryErrors(lead);
+        if (stageErrors.length > 0) {
+          invalid.push({ row: i, fields: stageErrors });
+          continue;
+        }
         lead.activity.push({ type: 'created', message: 'Imported from CSV', timestamp: lead.created_at });
-        lead.lead_score = calculateLeadScore(lead);
-        writeLead(lead);
+        const context = revisionContext(req, 'csv_import');
+        autoAssign(lead, context);
+        runAutomations(lead, { type: 'lead_created' });
+        writeLead(lead, context);
         imported.push(lead.id);
       }
     }
 
-    return res.json({ success: true, imported: imported.length, ids: imported });
+    if (imported.length > 0) duplicateScanner.request();
+    return res.json({ success: true, imported: imported.length, ids: imported, invalid });
   } catch (err) {
     console.error('CSV import error:', err);
     return res.status(500).json({ error: 'Import failed: ' + err.message });
@@ -1782,16 +3343,24 @@ app.post('/api/import/json', requireApiOrSession, (req, res) => {
     if (!Array.isArray(leads)) leads = [leads];
 
     const imported = [];
-    leads.forEach(data => {
+    const invalid = [];
+    leads.forEach((raw, index) => {
+      const { data, errors } = checkLeadPayload(raw, raw.owner_id || null, { checkRequired: true });
+      if (errors.length > 0) return invalid.push({ index, fields: errors });
       data._source = data._source || req.headers['x-source'] || 'json_import';
       const lead = createLeadObject(data);
+      const stageErrors = stageEntryErrors(lead);
+      if (stageErrors.length > 0) return invalid.push({ index, fields: stageErrors });
       lead.activity.push({ type: 'created', message: `Imported from ${lead._source}`, timestamp: lead.created_at });
-      lead.lead_score = calculateLeadScore(lead);
-      writeLead(lead);
+      const context = revisionContext(req, 'json_import');
+      autoAssign(lead, context);
+      runAutomations(lead, { type: 'lead_created' });
+      writeLead(lead, context);
       imported.push(lead.id);
     });
 
-    return res.json({ success: true, imported: imported.length, ids: imported });
+    if (imported.length > 0) duplicateScanner.request();
+    return res.json({ success: true, imported: imported.length, ids: imported, invalid });
   } catch (err) {
     console.error('JSON import error:', err);
     return res.status(500).json({ error: 'Import failed' });
@@ -1828,51 +3397,113 @@ app.get('/api/stats', requireApiOrSession, (req, res) => {
     const leads = getLeadsForSession(req);
     const now = new Date();
 
+    // by_stage covers one pipeline (?pipeline_id=, else the caller's
+    // default); won/lost totals use each lead's own pipeline
+    const clientId = req.userSession.role === 'client' ? req.userSession.client_id : undefined;
+    const pipeline = req.query.pipeline_id ? getPipeline(req.query.pipeline_id) : pipelineForClient(clientId);
+    if (!pipeline || (clientId && !isAvailable(pipeline, clientId))) return res.status(404).json({ error: 'Pipeline not found' });
+    // by_industry from the leads' own industry, or ?company_fields=account
+    const companyOf = companyFieldsReader(req);
+    if (!companyOf) return res.status(400).json({ error: 'company_fields must be lead or account' });
+
     const byStage = {};
+    const byPipeline = {};
     const byIndustry = {};
     const bySource = {};
-    let totalDealValue = 0;
+    const lostReasons = {};
+    const wonReasons = {};
     let overdueFollowups = 0;
     let leadsThisWeek = 0;
     let leadsThisMonth = 0;
     let wonCount = 0;
     let totalLeadsExLost = 0;
 
-    STAGES.forEach(s => { byStage[s.id] = { count: 0, deal_value: 0 }; });
+    pipeline.stages.forEach(s => { byStage[s.id] = { count: 0, deal_count: 0, deal_value: 0 }; });
 
     const weekAgo = new Date(now - 7 * 86400000).toISOString();
     const monthAgo = new Date(now - 30 * 86400000).toISOString();
     const statsDefaultIndSet = new Set(getIndustries().map(i => i.toLowerCase()));
 
     leads.forEach(l => {
-      if (byStage[l.stage]) {
+      const outcome = stageOutcome(l);
+      if (l.pipeline_id === pipeline.id && byStage[l.stage]) {
         byStage[l.stage].count++;
-        byStage[l.stage].deal_value += (l.deal_value || 0);
       }
-      const ind = (l.industry && statsDefaultIndSet.has(l.industry.toLowerCase())) ? l.industry : (l.industry || 'Other');
+      if (!byPipeline[l.pipeline_id]) byPipeline[l.pipeline_id] = { count: 0, deal_value: 0, won: 0, lost: 0 };
+      byPipeline[l.pipeline_id].count++;
+      if (outcome !== 'open') byPipeline[l.pipeline_id][outcome]++;
+      const industry = companyOf(l).industry;
+      const ind = (industry && statsDefaultIndSet.has(industry.toLowerCase())) ? industry : (industry || 'Other');
       if (!byIndustry[ind]) byIndustry[ind] = 0;
       byIndustry[ind]++;
 
       const src = l.lead_source || 'Unknown';
       if (!bySource[src]) bySource[src] = { count: 0, won: 0 };
       bySource[src].count++;
-      if (l.stage === 'won') bySource[src].won++;
-
-      totalDealValue += (l.deal_value || 0);
+      if (outcome === 'won') bySource[src].won++;
+
+      if (outcome === 'lost') {
+        const reason = l.lost_reason || 'Unspecified';
+        lostReasons[reason] = (lostReasons[reason] || 0) + 1;
+      } else if (outcome === 'won') {
+        const reason = l.won_reason || 'Unspecified';
+        if (!wonReasons[reason]) wonReasons[reason] = { count: 0, deal_value: 0 };
+        wonReasons[reason].count++;
+      }
 
-      if (l.next_followup && new Date(l.next_followup) < now && l.stage !== 'won' && l.stage !== 'lost') {
+      if (l.next_followup && new Date(l.next_followup) < now && outcome === 'open') {
         overdueFollowups++;
       }
 
       if (l.created_at >= weekAgo) leadsThisWeek++;
       if (l.created_at >= monthAgo) leadsThisMonth++;
 
-      if (l.stage === 'won') wonCount++;
-      if (l.stage !== 'lost') totalLeadsExLost++;
+      if (outcome === 'won') wonCount++;
+      if (outcome !== 'lost') totalLeadsExLost++;
+    });
+
+    // Money comes from deals: open pipeline (also weighted by each deal's
+    // probability) and closed revenue. Amounts only add up within a
+    // currency; the headline figures are in the base currency.
+    const currency = getDealSettings().currency;
+    const byCurrency = {};
+    const dealCounts = { open: 0, won: 0, lost: 0 };
+    let countedDeals = 0;
+    listDeals({}, d => canAccessDeal(req, d)).forEach(d => {
+      dealCounts[d.status]++;
+      if (!byCurrency[d.currency]) byCurrency[d.currency] = { open_pipeline: 0, weighted_pipeline: 0, closed_revenue: 0 };
+      const totals = byCurrency[d.currency];
+      if (d.status === 'open') {
+        totals.open_pipeline += d.amount;
+        totals.weighted_pipeline += d.amount * d.probability / 100;
+      } else if (d.status === 'won') {
+        totals.closed_revenue += d.amount;
+      }
+      if (d.currency !== currency || d.status === 'lost') return;
+      countedDeals++;
+      if (d.pipeline_id === pipeline.id && byStage[d.stage]) {
+        byStage[d.stage].deal_count++;
+        byStage[d.stage].deal_value += d.amount;
+      }
+      if (!byPipeline[d.pipeline_id]) byPipeline[d.pipeline_id] = { count: 0, deal_value: 0, won: 0, lost: 0 };
+      byPipeline[d.pipeline_id].deal_value += d.amount;
+      if (d.status === 'won') {
+        const reason = d.won_reason || 'Unspecified';
+        if (!wonReasons[reason]) wonReasons[reason] = { count: 0, deal_value: 0 };
+        wonReasons[reason].deal_value += d.amount;
+      }
+    });
+    Object.values(byCurrency).forEach(totals => {
+      Object.keys(totals).forEach(k => { totals[k] = Math.round(totals[k] * 100) / 100; });
     });
+    const base = byCurrency[currency] || { open_pipeline: 0, weighted_pipeline: 0, closed_revenue: 0 };
+    delete byCurrency[currency];
+    const totalDealValue = Math.round((base.open_pipeline + base.closed_revenue) * 100) / 100;
+
+    const taskQueue = taskQueues(listTasks({ status: 'open' }, t => canAccessTask(req, t)));
 
     const conversionRate = totalLeadsExLost > 0 ? Math.round((wonCount / totalLeadsExLost) * 100) : 0;
-    const avgDealValue = leads.length > 0 ? Math.round(totalDealValue / leads.length) : 0;
+    const avgDealValue = countedDeals > 0 ? Math.round(totalDealValue / countedDeals) : 0;
 
     // Recent activity across all leads
     const recentActivity = [];
@@ -1890,23 +3521,164 @@ app.get('/api/stats', requireApiOrSession, (req, res) => {
 
     return res.json({
       total_leads: leads.length,
+      total_accounts: listAccounts(clientId).length,
+      currency,
+      open_pipeline: base.open_pipeline,
+      weighted_pipeline: base.weighted_pipeline,
+      closed_revenue: base.closed_revenue,
+      other_currencies: byCurrency,
+      deals: dealCounts,
       total_deal_value: totalDealValue,
       avg_deal_value: avgDealValue,
       conversion_rate: conversionRate,
       overdue_followups: overdueFollowups,
+      tasks: { overdue: taskQueue.overdue.length, due_today: taskQueue.today.length, upcoming: taskQueue.upcoming.length },
       leads_this_week: leadsThisWeek,
       leads_this_month: leadsThisMonth,
       by_stage: byStage,
+      by_pipeline: byPipeline,
       by_industry: byIndustry,
       by_source: bySource,
+      lost_reasons: lostReasons,
+      won_reasons: wonReasons,
       recent_activity: recentActivity.slice(0, 20),
-      stages: STAGES
+      pipeline: { id: pipeline.id, name: pipeline.name },
+      stages: pipeline.stages
     });
   } catch (err) {
     return res.status(500).json({ error: 'Error fetching stats' });
   }
 });
 
+// ============================================
+// API: REPORTS
+// ============================================
+// Rebuilt from the stage_change entries in lead activity (see reports.js).
+// Stage reports cover one pipeline (?pipeline_id=, else the caller's
+// default) and the caller's leads that are in it now.
+const REPORT_DAYS = 90;
+const COHORT_MONTHS = 12;
+const MAX_COHORT_MONTHS = 36;
+const FORECAST_MONTHS = 6;
+const FORECAST_GROUPS = ['industry', 'source', 'client'];
+
+function reportPipeline(req) {
+  const clientId = req.userSession.role === 'client' ? req.userSession.client_id : undefined;
+  const pipeline = req.query.pipeline_id ? getPipeline(req.query.pipeline_id) : pipelineForClient(clientId);
+  if (!pipeline || (clientId && !isAvailable(pipeline, clientId))) return null;
+  return pipeline;
+}
+
+// ?from=&to= (YYYY-MM-DD, UTC, both inclusive); the last 90 days by default
+function reportRange(q) {
+  const isDate = v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(new Date(v));
+  const errors = [];
+  ['from', 'to'].forEach(param => {
+    if (q[param] !== undefined && !isDate(q[param])) errors.push(`${param} must be a YYYY-MM-DD date`);
+  });
+  if (errors.length > 0) return { error: errors.join('; ') };
+  const to = q.to || new Date().toISOString().slice(0, 10);
+  const from = q.from || new Date(new Date(to) - (REPORT_DAYS - 1) * 86400000).toISOString().slice(0, 10);
+  if (from > to) return { error: 'from must not be after to' };
+  return { from, to, range: { from: `${from}T00:00:00.000Z`, to: `${to}T23:59:59.999Z` } };
+}
+
+function reportLeads(req, pipeline) {
+  return getLeadsForSession(req).filter(l => l.pipeline_id === pipeline.id);
+}
+
+function stageReportRoute(report) {
+  return (req, res) => {
+    const pipeline = reportPipeline(req);
+    if (!pipeline) return res.status(404).json({ error: 'Pipeline not found' });
+    const params = reportRange(req.query);
+    if (params.error) return res.status(400).json({ error: params.error });
+    return res.json({
+      pipeline: { id: pipeline.id, name: pipeline.name },
+      from: params.from,
+      to: params.to,
+      ...report(reportLeads(req, pipeline), pipeline, params.range)
+    });
+  };
+}
+
+// Days in each stage, over stays that ended in the range, and the sales cycle
+app.get('/api/reports/stage-times', requireApiOrSession, stageReportRoute(stageTimes));
+
+// What happened to leads after entering each stage in the range
+app.get('/api/reports/funnel', requireApiOrSession, stageReportRoute(stageFunnel));
+
+// Leads by created_at month: ?from=&to= (YYYY-MM), the last 12 months by default
+app.get('/api/reports/cohorts', requireApiOrSession, (req, res) => {
+  const pipeline = reportPipeline(req);
+  if (!pipeline) return res.status(404).json({ error: 'Pipeline not found' });
+  const isMonth = v => /^\d{4}-(0[1-9]|1[0-2])$/.test(v);
+  const errors = [];
+  ['from', 'to'].forEach(param => {
+    if (req.query[param] !== undefined && !isMonth(req.query[param])) errors.push(`${param} must be a YYYY-MM month`);
+  });
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+  const to = req.query.to || new Date().toISOString().slice(0, 7);
+  const from = req.query.from || addMonths(to, 1 - COHORT_MONTHS);
+  if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+  if (addMonths(from, MAX_COHORT_MONTHS) <= to) return res.status(400).json({ error: `At most ${MAX_COHORT_MONTHS} months at a time` });
+  return res.json({
+    pipeline: { id: pipeline.id, name: pipeline.name },
+    from,
+    to,
+    stages: pipeline.stages.map(s => ({ id: s.id, label: s.label, outcome: s.outcome })),
+    cohorts: cohortConversion(reportLeads(req, pipeline), pipeline, from, to)
+  });
+});
+
+// Open deals by expected close month, weighted by probability. ?from=
+// (YYYY-MM, this month by default), ?months= (1-24, default 6),
+// ?pipeline_id= to cover one pipeline only, ?group_by=industry|source|client
+// (industry per ?company_fields=lead|account).
+app.get('/api/reports/forecast', requireApiOrSession, (req, res) => {
+  const q = req.query;
+  const errors = [];
+  if (q.from !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(q.from)) errors.push('from must be a YYYY-MM month');
+  const months = q.months === undefined ? FORECAST_MONTHS : Number(q.months);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_FORECAST_MONTHS) errors.push(`months must be a whole number from 1 to ${MAX_FORECAST_MONTHS}`);
+  if (q.group_by !== undefined && !FORECAST_GROUPS.includes(q.group_by)) errors.push(`group_by must be one of ${FORECAST_GROUPS.join(', ')}`);
+  const companyOf = companyFieldsReader(req);
+  if (!companyOf) errors.push('company_fields must be lead or account');
+  if (errors.length > 0) return res.status(400).json({ error: errors.join('; ') });
+
+  let pipeline = null;
+  if (q.pipeline_id) {
+    pipeline = reportPipeline(req);
+    if (!pipeline) return res.status(404).json({ error: 'Pipeline not found' });
+  }
+
+  const groupOf = {
+    industry: deal => {
+      const lead = deal.lead_id ? leadIndex.get(deal.lead_id) : null;
+      const account = deal.account_id ? getAccount(deal.account_id) : null;
+      const industry = lead ? companyOf(lead).industry : (account ? account.industry : '');
+      return industry || 'Other';
+    },
+    source: deal => {
+      const lead = deal.lead_id ? leadIndex.get(deal.lead_id) : null;
+      return (lead && lead.lead_source) || 'Unknown';
+    },
+    client: deal => deal.owner_id || 'admin'
+  }[q.group_by];
+
+  const deals = listDeals(pipeline ? { pipeline_id: pipeline.id } : {}, d => canAccessDeal(req, d));
+  return res.json({
+    pipeline: pipeline ? { id: pipeline.id, name: pipeline.name } : null,
+    group_by: q.group_by || null,
+    ...revenueForecast(deals, {
+      currency: getDealSettings().currency,
+      fromMonth: q.from || new Date().toISOString().slice(0, 7),
+      months,
+      groupOf
+    })
+  });
+});
+
 // ============================================
 // API: WEBHOOK CONFIG & HISTORY
 // ============================================
@@ -1921,7 +3693,11 @@ app.post('/api/webhook-config', requireAuth, (req, res) => {
 });
 
 app.get('/api/webhook-history', requireAuth, (req, res) => {
-  return res.json({ history: getWebhookHistory() });
+  const pageParams = parsePageParams(req, 'timestamp:-1', { optional: true });
+  if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+  if (!pageParams.paged) return res.json({ history: getWebhookHistory() });
+  const page = paginate(res, getWebhookHistory(), pageParams, h => [h.timestamp, h.id], -1);
+  return res.json({ history: page.items, total: page.total, limit: page.limit, next_cursor: page.next_cursor });
 });
 
 // ============================================
@@ -1993,8 +3769,13 @@ app.get('/campaigns/:id', requireAuth, (req, res) => {
 
 // List all campaigns
 app.get('/api/campaigns', requireApiOrSession, (req, res) => {
-  const campaigns = getAllCampaigns();
-  return res.json({ campaigns, total: campaigns.length });
+  const pageParams = parsePageParams(req, 'created_at:-1', { optional: true });
+  if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+  const page = paginate(res, getAllCampaigns(), pageParams, c => [c.created_at, c.id], -1);
+  const fields = parseFields(req.query.fields);
+  const items = page.items.map(c => projectFields(c, fields));
+  if (!pageParams.paged) return res.json({ campaigns: items, total: page.total });
+  return res.json({ campaigns: items, total: page.total, limit: page.limit, next_cursor: page.next_cursor });
 });
 
 // Get single campaign
@@ -2015,6 +3796,9 @@ app.get('/api/campaigns/:id', requireApiOrSession, (req, res) => {
   });
   if (needsSave) writeCampaign(campaign);
 
+  // Trashed leads stay enrolled (so a restore resumes them) but are hidden
+  campaign.leads = campaign.leads.filter(entry => !isInTrash('lead', entry.lead_id));
+
   return res.json(campaign);
 });
 
@@ -2041,6 +3825,7 @@ app.patch('/api/campaigns/:id', requireApiOrSession, (req, res) => {
   fields.forEach(f => {
     if (req.body[f] !== undefined) campaign[f] = req.body[f];
   });
+  if (req.body._version !== undefined) campaign._version = req.body._version;
   campaign.updated_at = new Date().toISOString();
   writeCampaign(campaign);
 
@@ -2058,8 +3843,8 @@ app.delete('/api/campaigns/:id', requireApiOrSession, (req, res) => {
   const campaign = readCampaign(req.params.id);
   if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
   campaignScheduler.stopCampaign(req.params.id);
-  deleteCampaignFile(req.params.id);
-  return res.json({ success: true });
+  const entry = moveToTrash('campaign', campaign, req.userSession.user);
+  return res.json({ success: true, trash_id: entry.trash_id });
 });
 
 // ============================================
@@ -2074,39 +3859,14 @@ app.post('/api/campaigns/:id/leads', requireApiOrSession, (req, res) => {
   const { lead_ids } = req.body;
   if (!Array.isArray(lead_ids)) return res.status(400).json({ error: 'lead_ids array required' });
 
-  const existingIds = new Set(campaign.leads.map(l => l.lead_id));
   let added = 0;
 
+  // Duplicates, leads without email, blacklisted and erased addresses are skipped
   lead_ids.forEach(id => {
-    if (existingIds.has(id)) return; // skip duplicates
     const lead = readLead(id);
-    if (!lead) return;
-
-    let primaryEmail = (lead.emails || [])[0];
-    // Handle nested arrays (e.g., [['email@example.com']])
-    if (Array.isArray(primaryEmail)) primaryEmail = primaryEmail[0];
-    if (!primaryEmail || typeof primaryEmail !== 'string') return; // skip leads without email
-
-    // Check blacklist
-    if (isBlacklisted(primaryEmail)) return;
-
-    campaign.leads.push({
-      lead_id: id,
-      email: primaryEmail,
-      contact_name: lead.contact_name || '',
-      company_name: lead.company_name || '',
-      status: 'pending', // pending, sent, waiting, completed, replied, bounced, opted_out, blacklisted, error
-      current_step: 1,
-      last_sent_at: null,
-      sent_count: 0,
-      last_step_sent: 0,
-      paused: false,
-      added_at: new Date().toISOString()
-    });
-    added++;
+    if (lead && enrollLead(campaign, lead)) added++;
   });
 
-  campaign.stats.total_leads = campaign.leads.length;
   campaign.updated_at = new Date().toISOString();
   writeCampaign(campaign);
 
@@ -2118,9 +3878,7 @@ app.delete('/api/campaigns/:id/leads/:leadId', requireApiOrSession, (req, res) =
   const campaign = readCampaign(req.params.id);
   if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
 
-  campaign.leads = campaign.leads.filter(l => l.lead_id !== req.params.leadId);
-  campaign.stats.total_leads = campaign.leads.length;
-  campaign.updated_at = new Date().toISOString();
+  unenrollLead(campaign, req.params.leadId);
   writeCampaign(campaign);
 
   return res.json({ success: true });
@@ -2225,7 +3983,6 @@ app.post('/api/campaigns/:id/log-send', requireApiOrSession, (req, res) => {
   // Log on the lead
   const lead = readLead(lead_id);
   if (lead) {
-    if (!lead.outreach) lead.outreach = [];
     lead.outreach.unshift({
       _id: uuidv4(),
       direction: 'sent',
@@ -2239,7 +3996,6 @@ app.post('/api/campaigns/:id/log-send', requireApiOrSession, (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    if (!lead.activity) lead.activity = [];
     lead.activity.push({
       type: 'outreach',
       message: `Campaign "${campaign.name}" email confirmed sent: ${subject || '(no subject)'}`,
@@ -2250,12 +4006,10 @@ app.post('/api/campaigns/:id/log-send', requireApiOrSession, (req, res) => {
     lead.last_contacted = new Date().toISOString();
     lead.updated_at = new Date().toISOString();
 
-    // Auto-stage: cold -> contacted
-    if (lead.stage === 'cold') {
-      checkAutoStageRules(lead, 'outreach_sent');
-    }
+    // e.g. Cold -> Contacted
+    runAutomations(lead, { type: 'outreach_sent', channel: 'email' });
 
-    writeLead(lead);
+    writeLead(lead, revisionContext(req, 'campaign_log_send'));
   }
 
   return res.json({ success: true });
@@ -2291,7 +4045,6 @@ app.post('/api/campaigns/:id/reply', requireApiOrSession, (req, res) => {
   // Log on the lead
   const lead = readLead(entry.lead_id);
   if (lead) {
-    if (!lead.outreach) lead.outreach = [];
     lead.outreach.unshift({
       _id: uuidv4(),
       direction: 'received',
@@ -2304,7 +4057,6 @@ app.post('/api/campaigns/:id/reply', requireApiOrSession, (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    if (!lead.activity) lead.activity = [];
     lead.activity.push({
       type: 'outreach',
       message: `Reply received from ${entry.email}: ${subject || '(no subject)'}`,
@@ -2315,20 +4067,10 @@ app.post('/api/campaigns/:id/reply', requireApiOrSession, (req, res) => {
     lead.last_contacted = new Date().toISOString();
     lead.updated_at = new Date().toISOString();
 
-    // Auto-stage: move to qualified if contacted
-    if (lead.stage === 'contacted') {
-      const oldStage = lead.stage;
-      lead.stage = 'qualified';
-      lead.activity.push({
-        type: 'stage_change',
-        message: 'Stage auto-changed from Contacted to Qualified (reply received)',
-        from: oldStage,
-        to: 'qualified',
-        timestamp: new Date().toISOString()
-      });
-    }
+    // e.g. Contacted -> Qualified
+    runAutomations(lead, { type: 'outreach_received', channel: 'email' });
 
-    writeLead(lead);
+    writeLead(lead, revisionContext(req, 'campaign_reply'));
   }
 
   return res.json({ success: true, message: 'Reply logged. Lead paused in campaign.' });
@@ -2358,7 +4100,6 @@ app.post('/api/campaigns/:id/bounce', requireApiOrSession, (req, res) => {
   // Log on lead
   const lead = readLead(entry.lead_id);
   if (lead) {
-    if (!lead.activity) lead.activity = [];
     lead.activity.push({
       type: 'bounce',
       message: `Email bounced: ${entry.email} — ${reason || 'Unknown reason'}`,
@@ -2366,7 +4107,7 @@ app.post('/api/campaigns/:id/bounce', requireApiOrSession, (req, res) => {
       timestamp: new Date().toISOString()
     });
     lead.updated_at = new Date().toISOString();
-    writeLead(lead);
+    writeLead(lead, revisionContext(req, 'campaign_bounce'));
   }
 
   return res.json({ success: true, message: 'Bounce logged. Email blacklisted.' });
@@ -2485,7 +4226,11 @@ app.get('/api/leads/:id/conversations', requireApiOrSession, (req, res) => {
 // API: BLACKLIST
 // ============================================
 app.get('/api/blacklist', requireAuth, (req, res) => {
-  return res.json({ blacklist: getBlacklist() });
+  const pageParams = parsePageParams(req, 'email:1', { optional: true });
+  if (pageParams.error) return res.status(400).json({ error: pageParams.error });
+  if (!pageParams.paged) return res.json({ blacklist: getBlacklist() });
+  const page = paginate(res, getBlacklist(), pageParams, b => [b.email, b.email], 1);
+  return res.json({ blacklist: page.items, total: page.total, limit: page.limit, next_cursor: page.next_cursor });
 });
 
 app.post('/api/blacklist', requireApiOrSession, (req, res) => {
@@ -2562,11 +4307,10 @@ app.post('/api/campaigns/:id/test-send', requireAuth, async (req, res) => {
 
 // List all clients
 app.get('/api/clients', requireAdmin, (req, res) => {
-  const users = getAllUsers();
-  // Count leads per client
-  const allLeads = getAllLeads();
+  const users = getAllClients();
   const clients = users.map(u => {
-    const leadCount = allLeads.filter(l => l.owner_id === u.client_id).length;
+    // Count leads per client
+    const leadCount = leadIndex.ids('owner', u.client_id).length;
     return {
       client_id: u.client_id,
       username: u.username,
@@ -2586,11 +4330,10 @@ app.get('/api/clients', requireAdmin, (req, res) => {
 
 // Get single client
 app.get('/api/clients/:clientId', requireAdmin, (req, res) => {
-  const users = getAllUsers();
+  const users = getAllClients();
   const user = users.find(u => u.client_id === req.params.clientId);
   if (!user) return res.status(404).json({ error: 'Client not found' });
-  const allLeads = getAllLeads();
-  const leadCount = allLeads.filter(l => l.owner_id === user.client_id).length;
+  const leadCount = leadIndex.ids('owner', user.client_id).length;
   return res.json({
     client_id: user.client_id,
     username: user.username,
@@ -2623,7 +4366,7 @@ app.post('/api/clients', requireAdmin, async (req, res) => {
 
 // Update client
 app.patch('/api/clients/:clientId', requireAdmin, async (req, res) => {
-  const users = getAllUsers();
+  const users = getAllClients();
   const user = users.find(u => u.client_id === req.params.clientId);
   if (!user) return res.status(404).json({ error: 'Client not found' });
 
@@ -2643,7 +4386,7 @@ app.patch('/api/clients/:clientId', requireAdmin, async (req, res) => {
 
 // Regenerate client API key
 app.post('/api/clients/:clientId/regenerate-key', requireAdmin, (req, res) => {
-  const users = getAllUsers();
+  const users = getAllClients();
   const user = users.find(u => u.client_id === req.params.clientId);
   if (!user) return res.status(404).json({ error: 'Client not found' });
   user.api_key = 'ftk_' + crypto.randomBytes(24).toString('hex');
@@ -2654,19 +4397,33 @@ app.post('/api/clients/:clientId/regenerate-key', requireAdmin, (req, res) => {
 
 // Delete client
 app.delete('/api/clients/:clientId', requireAdmin, (req, res) => {
-  const users = getAllUsers();
+  const users = getAllClients();
   const user = users.find(u => u.client_id === req.params.clientId);
   if (!user) return res.status(404).json({ error: 'Client not found' });
+  // The client's team and rules go with it; its leads stay, unassigned
+  getAllUsers().filter(u => u.role === 'member' && u.client_id === user.client_id).forEach(member => {
+    unassignMember(req, member.user_id);
+    deleteUser(member.username);
+  });
+  unassignMember(req, user.user_id);
+  listAssignmentRules(user.client_id).forEach(rule => deleteAssignmentRule(rule.id));
   deleteUser(user.username);
   console.log(`[${new Date().toISOString()}] Client deleted: ${user.username}`);
   return res.json({ success: true });
 });
 
+// A lead moved to another workspace keeps its assignee only if they are on
+// that team; otherwise the workspace's assignment rules pick someone
+function moveAssignee(lead, context) {
+  if (lead.assigned_to && !findMember(lead.assigned_to, lead.owner_id)) lead.assigned_to = null;
+  autoAssign(lead, context);
+}
+
 // Assign leads to a client (admin only)
 app.post('/api/clients/:clientId/assign-leads', requireAdmin, (req, res) => {
   const { lead_ids } = req.body;
   if (!Array.isArray(lead_ids)) return res.status(400).json({ error: 'lead_ids array required' });
-  const users = getAllUsers();
+  const users = getAllClients();
   const user = users.find(u => u.client_id === req.params.clientId);
   if (!user) return res.status(404).json({ error: 'Client not found' });
 
@@ -2676,13 +4433,14 @@ app.post('/api/clients/:clientId/assign-leads', requireAdmin, (req, res) => {
     if (lead) {
       lead.owner_id = user.client_id;
       lead.updated_at = new Date().toISOString();
-      if (!lead.activity) lead.activity = [];
       lead.activity.push({
         type: 'assigned',
         message: `Lead assigned to client: ${user.display_name}`,
         timestamp: lead.updated_at
       });
-      writeLead(lead);
+      const context = revisionContext(req, 'client_assign');
+      moveAssignee(lead, context);
+      writeLead(lead, context);
       assigned++;
     }
   });
@@ -2700,19 +4458,392 @@ app.post('/api/clients/:clientId/unassign-leads', requireAdmin, (req, res) => {
     if (lead && lead.owner_id === req.params.clientId) {
       lead.owner_id = null;
       lead.updated_at = new Date().toISOString();
-      if (!lead.activity) lead.activity = [];
       lead.activity.push({
         type: 'unassigned',
         message: 'Lead returned to admin pool',
         timestamp: lead.updated_at
       });
-      writeLead(lead);
+      const context = revisionContext(req, 'client_unassign');
+      moveAssignee(lead, context);
+      writeLead(lead, context);
       unassigned++;
     }
   });
   return res.json({ success: true, unassigned });
 });
 
+// ============================================
+// API: TEAM MEMBERS
+// ============================================
+// A workspace's team is its client login (the admin login for the admin
+// workspace) plus the members added under it. Clients see their own team;
+// admins pick one with ?client_id= (none = the admin workspace). Only
+// workspace owners and admins manage teams, members cannot.
+
+// The workspace a request is about, or undefined for an unknown client
+function teamWorkspace(req, clientId) {
+  if (req.userSession.role === 'client') return req.userSession.client_id;
+  if (!clientId) return null;
+  return findUserByClientId(clientId) ? clientId : undefined;
+}
+
+function canManageTeam(req) {
+  return req.userSession.team_role !== 'member';
+}
+
+// A stored team member (not an owner login) the caller can see
+function findTeamMember(req, userId) {
+  const user = getAllUsers().find(u => u.role === 'member' && u.user_id === userId);
+  if (!user) return null;
+  if (req.userSession.role === 'client' && user.client_id !== req.userSession.client_id) return null;
+  return user;
+}
+
+// Leads and open tasks of a member who is removed go back to nobody
+function unassignMember(req, userId) {
+  getAllLeads().filter(l => l.assigned_to === userId).forEach(lead => {
+    lead.assigned_to = null;
+    lead.updated_at = new Date().toISOString();
+    writeLead(lead, revisionContext(req, 'team'));
+  });
+  listTasks({ assigned_to: userId, status: 'open' }).forEach(task => updateTask(task.id, { assigned_to: null }, req.userSession.user_id));
+  removeMemberFromRules(userId);
+}
+
+app.get('/api/team', requireApiOrSession, (req, res) => {
+  const workspace = teamWorkspace(req, req.query.client_id);
+  if (workspace === undefined) return res.status(404).json({ error: 'Client not found' });
+  const members = listMembers(workspace, { includeInactive: req.query.include_inactive === '1' || req.query.include_inactive === 'true' });
+  return res.json({ client_id: workspace, members, total: members.length });
+});
+
+// Body: { username, password, display_name, email, client_id (admins) }
+app.post('/api/team', requireApiOrSession, async (req, res) => {
+  if (!canManageTeam(req)) return res.status(403).json({ error: 'Only workspace owners manage the team' });
+  const { username, password, display_name, email } = req.body || {};
+  const workspace = teamWorkspace(req, (req.body || {}).client_id);
+  if (workspace === undefined) return res.status(404).json({ error: 'Client not found' });
+  if (!username || !password) return res.status(400).json({ error: 'username and password required' });
+  if (username.toLowerCase() === ADMIN_USER.toLowerCase()) return res.status(400).json({ error: 'Username conflicts with admin' });
+  if (readUser(username)) return res.status(400).json({ error: 'Username already exists' });
+  if (password.length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+
+  const password_hash = await bcrypt.hash(password, 10);
+  const user = createUserObject({ username, password_hash, display_name, email, role: 'member', client_id: workspace });
+  writeUser(user);
+  console.log(`[${new Date().toISOString()}] Team member created: ${user.username} (${workspace || 'admin workspace'})`);
+  return res.json({ success: true, member: toMember(user), api_key: user.api_key });
+});
+
+// Body: { display_name, email, password, active }
+app.patch('/api/team/:userId', requireApiOrSession, async (req, res) => {
+  if (!canManageTeam(req)) return res.status(403).json({ error: 'Only workspace owners manage the team' });
+  const user = findTeamMember(req, req.params.userId);
+  if (!user) return res.status(404).json({ error: 'Team member not found' });
+
+  const { display_name, email, password, active } = req.body || {};
+  if (display_name !== undefined) user.display_name = display_name;
+  if (email !== undefined) user.email = email;
+  if (active !== undefined) user.active = active === true;
+  if (password) {
+    if (password.length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    user.password_hash = await bcrypt.hash(password, 10);
+  }
+  user.updated_at = new Date().toISOString();
+  writeUser(user);
+  return res.json({ success: true, member: toMember(user) });
+});
+
+// Their leads and open tasks become unassigned and they leave every rule
+app.delete('/api/team/:userId', requireApiOrSession, (req, res) => {
+  if (!canManageTeam(req)) return res.status(403).json({ error: 'Only workspace owners manage the team' });
+  const user = findTeamMember(req, req.params.userId);
+  if (!user) return res.status(404).json({ error: 'Team member not found' });
+  unassignMember(req, user.user_id);
+  deleteUser(user.username);
+  console.log(`[${new Date().toISOString()}] Team member deleted: ${user.username}`);
+  return res.json({ success: true });
+});
+
+// ============================================
+// API: ASSIGNMENT RULES
+// ============================================
+// Rules of one workspace pick assignees for its new and imported leads
+// (see assignment.js). Clients manage their own; admins see every rule,
+// or one workspace's with ?client_id= (client_id=admin for their own).
+
+function ruleWithNames(rule) {
+  return { ...rule, members: rule.members.map(m => ({ ...m, display_name: memberName(m.user_id) })) };
+}
+
+function canAccessRule(req, rule) {
+  return req.userSession.role === 'admin' || rule.workspace === req.userSession.client_id;
+}
+
+app.get('/api/assignment-rules', requireApiOrSession, (req, res) => {
+  let workspace;
+  if (req.userSession.role === 'client') workspace = req.userSession.client_id;
+  else if (req.query.client_id) workspace = req.query.client_id === 'admin' ? null : req.query.client_id;
+  const rules = listAssignmentRules(workspace).map(ruleWithNames);
+  return res.json({ rules, total: rules.length, strategies: STRATEGIES });
+});
+
+app.get('/api/assignment-rules/:id', requireApiOrSession, (req, res) => {
+  const rule = getAssignmentRule(req.params.id);
+  if (!rule || !canAccessRule(req, rule)) return res.status(404).json({ error: 'Rule not found' });
+  return res.json({ rule: ruleWithNames(rule) });
+});
+
+// Body: { name, strategy, conditions, members: [{ user_id, weight }],
+// enabled, position, client_id (admins; none = the admin workspace) }
+app.post('/api/assignment-rules', requireApiOrSession, (req, res) => {
+  if (!canManageTeam(req)) return res.status(403).json({ error: 'Only workspace owners manage assignment rules' });
+  const body = req.body || {};
+  const workspace = teamWorkspace(req, body.client_id);
+  if (workspace === undefined) return res.status(404).json({ error: 'Client not found' });
+  try {
+    const rule = saveAssignmentRule({ ...body, workspace });
+    return res.json({ success: true, rule: ruleWithNames(rule) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+// A rule stays in its workspace; everything else can change
+app.put('/api/assignment-rules/:id', requireApiOrSession, (req, res) => {
+  if (!canManageTeam(req)) return res.status(403).json({ error: 'Only workspace owners manage assignment rules' });
+  const existing = getAssignmentRule(req.params.id);
+  if (!existing || !canAccessRule(req, existing)) return res.status(404).json({ error: 'Rule not found' });
+  try {
+    const rule = saveAssignmentRule(req.body || {}, existing);
+    return res.json({ success: true, rule: ruleWithNames(rule) });
+  } catch (err) {
+    if (respondValidation(res, err)) return;
+    throw err;
+  }
+});
+
+app.delete('/api/assignment-rules/:id', requireApiOrSession, (req, res) => {
+  if (!canManageTeam(req)) return res.status(403).json({ error: 'Only workspace owners manage assignment rules' });
+  const rule = getAssignmentRule(req.params.id);
+  if (!rule || !canAccessRule(req, rule)) return res.status(404).json({ error: 'Rule not found' });
+  deleteAssignmentRule(rule.id);
+  return res.json({ success: true });
+});
+
+// ============================================
+// API: TRASH (soft-deleted leads & campaigns)
+// ============================================
+
+// Helper: clients only see and restore their own leads
+function canAccessTrashEntry(req, entry) {
+  if (entry.kind === 'lead') return canAccessLead(req, entry.record);
+  return true;
+}
+
+app.get('/api/trash', requireApiOrSession, (req, res) => {
+  const { kind } = req.query;
+  if (kind && !TRASH_KINDS[kind]) return res.status(400).json({ error: 'kind must be lead or campaign' });
+  const items = listTrash(kind)
+    .filter(e => canAccessTrashEntry(req, e))
+    .map(({ record, ...summary }) => summary);
+  return res.json({ items, total: items.length, policy: getTrashPolicy() });
+});
+
+app.get('/api/trash/policy', requireAdmin, (req, res) => {
+  return res.json({ policy: getTrashPolicy() });
+});
+
+app.put('/api/trash/policy', requireAdmin, (req, res) => {
+  const policy = setTrashPolicy(req.body || {});
+  return res.json({ success: true, policy });
+});
+
+// Purge expired entries now; { all: true } empties the trash
+app.post('/api/trash/purge', requireAdmin, (req, res) => {
+  const purged = purgeExpiredTrash({ all: !!(req.body && req.body.all), kind: req.body && req.body.kind });
+  return res.json({ success: true, purged: purged.length, ids: purged });
+});
+
+app.get('/api/trash/:trashId', requireApiOrSession, (req, res) => {
+  const entry = getTrashEntry(req.params.trashId);
+  if (!entry) return res.status(404).json({ error: 'Trash entry not found' });
+  if (!canAccessTrashEntry(req, entry)) return res.status(403).json({ error: 'Access denied' });
+  return res.json(entry);
+});
+
+app.post('/api/trash/:trashId/restore', requireApiOrSession, (req, res) => {
+  const entry = getTrashEntry(req.params.trashId);
+  if (!entry) return res.status(404).json({ error: 'Trash entry not found' });
+  if (!canAccessTrashEntry(req, entry)) return res.status(403).json({ error: 'Access denied' });
+  if (storage.get(TRASH_KINDS[entry.kind], entry.record_id)) {
+    return res.status(409).json({ error: `A ${entry.kind} with id ${entry.record_id} already exists` });
+  }
+
+  const record = restoreFromTrash(entry.trash_id);
+  const now = new Date().toISOString();
+  if (entry.kind === 'lead') {
+    upgradeRecord('leads', record);
+    record.activity.push({
+      type: 'restored',
+      message: `Lead restored from trash by ${req.userSession.user}`,
+      timestamp: now
+    });
+    record.updated_at = now;
+    writeLead(record, revisionContext(req, 'trash_restore'));
+  } else {
+    // Timers were stopped on delete, so an active campaign comes back paused
+    if (record.status === 'active') record.status = 'paused';
+    record.updated_at = now;
+    writeCampaign(record);
+  }
+  console.log(`[${now}] ${entry.kind} restored from trash: ${entry.record_id}`);
+  return res.json({ success: true, kind: entry.kind, [entry.kind]: record });
+});
+
+app.delete('/api/trash/:trashId', requireAdmin, (req, res) => {
+  if (!purgeTrashEntry(req.params.trashId)) return res.status(404).json({ error: 'Trash entry not found' });
+  return res.json({ success: true });
+});
+
+// ============================================
+// API: SCHEMA MIGRATIONS (Admin only)
+// ============================================
+
+// Known migrations plus a dry-run report of what is still pending
+app.get('/api/admin/migrations', requireAdmin, (req, res) => {
+  return res.json({
+    migrations: listMigrations(),
+    pending: runMigrations(storage, { dryRun: true })
+  });
+});
+
+// Run pending migrations now. Body: { dry_run: true } to only report.
+app.post('/api/admin/migrations/run', requireAdmin, (req, res) => {
+  const dryRun = !!(req.body && req.body.dry_run);
+  const report = runMigrations(storage, { dryRun });
+  if (!dryRun) leadIndex.build();
+  return res.json({ success: true, report });
+});
+
+// ============================================
+// API: BACKUPS & RESTORE (Admin only)
+// ============================================
+const backupScheduler = new BackupScheduler();
+
+app.get('/api/admin/backups', requireAdmin, (req, res) => {
+  const snapshots = listSnapshots();
+  return res.json({ snapshots, total: snapshots.length, schedule: getBackupSchedule() });
+});
+
+app.post('/api/admin/backups', requireAdmin, (req, res) => {
+  try {
+    const snapshot = createSnapshot({
+      label: (req.body && req.body.label) || '',
+      createdBy: req.userSession.user
+    });
+    return res.json({ success: true, snapshot });
+  } catch (err) {
+    console.error('[Backup] Snapshot failed:', err);
+    return res.status(500).json({ error: 'Snapshot failed: ' + err.message });
+  }
+});
+
+app.get('/api/admin/backups/schedule', requireAdmin, (req, res) => {
+  return res.json({ schedule: getBackupSchedule() });
+});
+
+app.put('/api/admin/backups/schedule', requireAdmin, (req, res) => {
+  const schedule = setBackupSchedule(req.body || {});
+  const pruned = pruneScheduledSnapshots(schedule.retention);
+  return res.json({ success: true, schedule, pruned });
+});
+
+app.get('/api/admin/backups/:id/download', requireAdmin, (req, res) => {
+  const snapshot = getSnapshot(req.params.id);
+  if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+  return res.download(archivePath(snapshot.id));
+});
+
+app.post('/api/admin/backups/:id/restore', requireAdmin, (req, res) => {
+  if (!getSnapshot(req.params.id)) return res.status(404).json({ error: 'Snapshot not found' });
+  try {
+    // Pause campaigns so no tick writes while records are swapped
+    campaignScheduler.stopAll();
+    const report = restoreSnapshot(req.params.id, { restoredBy: req.userSession.user });
+    clearPipelineCache();
+    clearAutomationCache();
+    clearAssignmentCache();
+    clearTaskCache();
+    clearAccountCache();
+    clearDealCache();
+    leadIndex.build();
+    scoreRefresher.request();
+    campaignScheduler.resumeActiveCampaigns();
+    console.log(`[${new Date().toISOString()}] Snapshot restored: ${req.params.id} by ${req.userSession.user}`);
+    return res.json({ success: true, report });
+  } catch (err) {
+    console.error('[Backup] Restore failed:', err);
+    campaignScheduler.resumeActiveCampaigns();
+    return res.status(500).json({ error: 'Restore failed: ' + err.message });
+  }
+});
+
+app.delete('/api/admin/backups/:id', requireAdmin, (req, res) => {
+  if (!deleteSnapshot(req.params.id)) return res.status(404).json({ error: 'Snapshot not found' });
+  return res.json({ success: true });
+});
+
+// ============================================
+// API: PRIVACY REQUESTS (Admin only)
+// ============================================
+
+// Resolve { email, phone } from the body; null when neither is usable
+function privacySubject(body) {
+  const subject = normalizeSubject(body || {});
+  return subject.email || subject.phone ? subject : null;
+}
+
+// Data subject access: one JSON archive of everything held about a person
+app.post('/api/admin/privacy/export', requireAdmin, (req, res) => {
+  const subject = privacySubject(req.body);
+  if (!subject) return res.status(400).json({ error: 'A valid email or phone is required' });
+
+  const archive = exportSubjectData(subject, { requestedBy: req.userSession.user });
+  console.log(`[${new Date().toISOString()}] Privacy export (${archive.counts.leads} lead(s)) by ${req.userSession.user}`);
+  res.setHeader('Content-Disposition', `attachment; filename="privacy-export-${Date.now()}.json"`);
+  return res.json(archive);
+});
+
+// Erasure. The body must repeat the identifier in `confirm` so a typo
+// cannot erase the wrong person.
+app.post('/api/admin/privacy/erase', requireAdmin, (req, res) => {
+  const subject = privacySubject(req.body);
+  if (!subject) return res.status(400).json({ error: 'A valid email or phone is required' });
+
+  const confirm = String((req.body && req.body.confirm) || '');
+  const confirmed = subject.email
+    ? normalizeEmail(confirm) === subject.email
+    : phoneKey(confirm) === subject.phone;
+  if (!confirmed) {
+    return res.status(400).json({ error: 'confirm must repeat the ' + (subject.email ? 'email' : 'phone') + ' being erased' });
+  }
+
+  const report = eraseSubjectData(subject, { readLead, writeLead, deleteLead }, { erasedBy: req.userSession.user });
+  console.log(`[${new Date().toISOString()}] Privacy erasure ${report.subject_hash.slice(0, 12)} by ${req.userSession.user} (verified: ${report.verified})`);
+  return res.status(report.verified ? 200 : 500).json({ success: report.verified, report });
+});
+
+// Is an email on the erasure suppression list?
+app.get('/api/admin/privacy/suppression', requireAdmin, (req, res) => {
+  const email = req.query.email;
+  return res.json({
+    total: getSuppressionList().length,
+    suppressed: email ? isSuppressed(email) : undefined
+  });
+});
+
 // ============================================
 // API: GHL INTEGRATION
 // ============================================
@@ -2745,20 +4876,20 @@ app.post('/api/ghl/pull', requireAdmin, async (req, res) => {
 
     // Check if we already have this lead locally
     const existing = readLead(contact.id);
-    const mappedFields = mapGhlContactToLead(contact);
+    // Invalid GHL values are not stored; they come back as field_errors
+    const { data: mappedFields, errors: fieldErrors } = normalizeContactFields(mapGhlContactToLead(contact));
 
     if (existing) {
       // Update existing lead with fresh GHL data
       Object.assign(existing, mappedFields);
       existing.updated_at = new Date().toISOString();
-      if (!existing.activity) existing.activity = [];
       existing.activity.push({
         type: 'ghl_synced',
         message: 'Lead data refreshed from GHL',
         timestamp: existing.updated_at
       });
-      writeLead(existing);
-      return res.json({ found: true, created: false, lead: existing });
+      writeLead(existing, revisionContext(req, 'ghl_pull'));
+      return res.json({ found: true, created: false, lead: existing, field_errors: fieldErrors });
     } else {
       // Create new lead from GHL data
       const lead = createLeadObject({ ...mappedFields, _source: 'ghl_pull' });
@@ -2767,11 +4898,14 @@ app.post('/api/ghl/pull', requireAdmin, async (req, res) => {
         message: 'Lead pulled from GHL',
         timestamp: lead.created_at
       });
-      lead.lead_score = calculateLeadScore(lead);
-      writeLead(lead);
-      return res.json({ found: true, created: true, lead });
+      const context = revisionContext(req, 'ghl_pull');
+      autoAssign(lead, context);
+      runAutomations(lead, { type: 'lead_created' });
+      writeLead(lead, context);
+      return res.json({ found: true, created: true, lead, field_errors: fieldErrors });
     }
   } catch (err) {
+    if (respondConflict(res, err)) return;
     return res.status(500).json({ error: err.message });
   }
 });
@@ -2781,39 +4915,47 @@ app.post('/api/ghl/create', requireAdmin, async (req, res) => {
   const fields = req.body;
   if (!fields.email) return res.status(400).json({ error: 'email required' });
   try {
-    const contact = await ghlCreateContact(fields);
-    const mappedFields = mapGhlContactToLead(contact);
-    const lead = createLeadObject({ ...mappedFields, ...fields, _source: 'ghl_create' });
+    const clean = validateLeadPayload(fields, null, { checkRequired: true });
+    const contact = await ghlCreateContact({ ...fields, email: clean.emails[0], phone: (clean.phones || [])[0], website: clean.website });
+    const { data: mappedFields } = normalizeContactFields(mapGhlContactToLead(contact));
+    const lead = createLeadObject({ ...mappedFields, ...clean, _source: 'ghl_create' });
     lead.activity.push({
       type: 'created',
       message: 'Contact created in GHL and Lead Manager simultaneously',
       timestamp: lead.created_at
     });
-    lead.lead_score = calculateLeadScore(lead);
-    writeLead(lead);
+    const context = revisionContext(req, 'ghl_create');
+    autoAssign(lead, context);
+    runAutomations(lead, { type: 'lead_created' });
+    writeLead(lead, context);
     return res.json({ success: true, lead, ghl_contact_id: contact.id });
   } catch (err) {
+    if (respondConflict(res, err) || respondValidation(res, err)) return;
     return res.status(500).json({ error: err.message });
   }
 });
 
-// PATCH /api/ghl/sync/:id — re-sync a specific local lead back to GHL
+// PATCH /api/ghl/sync/:id — re-sync a specific local lead back to GHL.
+// ?company_fields=account sends the company fields of the lead's account.
 app.patch('/api/ghl/sync/:id', requireAdmin, async (req, res) => {
   const lead = readLead(req.params.id);
   if (!lead) return res.status(404).json({ error: 'Lead not found' });
   if (!GHL_API_KEY) return res.status(400).json({ error: 'GHL_API_KEY not configured' });
+  const companyOf = companyFieldsReader(req);
+  if (!companyOf) return res.status(400).json({ error: 'company_fields must be lead or account' });
   try {
+    const company = companyOf(lead);
     const nameParts = (lead.contact_name || '').trim().split(' ');
     const body = {
       firstName: nameParts[0] || '',
       lastName: nameParts.slice(1).join(' ') || '',
       email: (lead.emails || [])[0] || '',
       phone: (lead.phones || [])[0] || '',
-      companyName: lead.company_name || '',
-      website: lead.website || '',
+      companyName: company.company_name || '',
+      website: company.website || '',
       tags: lead.tags || [],
       customFields: [
-        { id: 'R2zxcmOGhQvgA4YBHFw4', value: lead.industry || '' }
+        { id: 'R2zxcmOGhQvgA4YBHFw4', value: company.industry || '' }
       ].filter(f => f.value)
     };
     const r = await fetch(`${GHL_BASE}/contacts/${lead.id}`, {
@@ -2831,15 +4973,24 @@ app.patch('/api/ghl/sync/:id', requireAdmin, async (req, res) => {
     }
     lead.ghl_synced_at = new Date().toISOString();
     lead.updated_at = lead.ghl_synced_at;
-    if (!lead.activity) lead.activity = [];
     lead.activity.push({ type: 'ghl_synced', message: 'Lead synced to GHL', timestamp: lead.ghl_synced_at });
-    writeLead(lead);
+    writeLead(lead, revisionContext(req, 'ghl_sync'));
     return res.json({ success: true, ghl_contact_id: lead.id });
   } catch (err) {
+    if (respondConflict(res, err)) return;
     return res.status(500).json({ error: err.message });
   }
 });
 
+// ============================================
+// ERROR HANDLING
+// ============================================
+// Any handler that writes from a stale read surfaces here as a 409
+app.use((err, req, res, next) => {
+  if (respondConflict(res, err)) return;
+  next(err);
+});
+
 // ============================================
 // START SERVER
 // ============================================
@@ -2858,6 +5009,31 @@ app.listen(PORT, '0.0.0.0', () => {
   └─────────────────────────────────────────┘
   `);
 
+  // Pick up lead, pipeline, automation, task and deal files edited outside the server
+  leadIndex.watch();
+  watchPipelines();
+  watchAutomations();
+  watchAssignmentRules();
+  watchTasks();
+  watchAccounts();
+  watchDeals();
+
   // Resume active campaigns
   campaignScheduler.resumeActiveCampaigns();
+
+  // Follow-up reminders for tasks as they come due
+  reminderScheduler.start();
+
+  // Scheduled snapshots (no-op until enabled via /api/admin/backups/schedule)
+  backupScheduler.start();
+
+  // Whole-database duplicate scan, every few hours
+  duplicateScanner.start();
+
+  // Rescore leads as decay sets in
+  scoreRefresher.start();
+
+  // Purge trash entries past the retention policy, now and hourly
+  purgeExpiredTrash();
+  setInterval(() => purgeExpiredTrash(), 60 * 60 * 1000);
 });
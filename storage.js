@@ -0,0 +1,295 @@
+// ============================================
+// FlowTier Storage Layer v1.0
+// Pluggable record storage for leads, campaigns,
+// users and config documents. Ships with the
+// original JSON-file adapter and an embedded
+// SQLite adapter.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const CONFIG_DIR = path.join(__dirname, 'config');
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'leadmanager.db');
+
+// Collection name -> directory used by the file adapter.
+// Unknown collections fall back to data/<collection>/.
+const COLLECTION_DIRS = {
+  leads: DATA_DIR,
+  campaigns: path.join(DATA_DIR, 'campaigns'),
+  users: path.join(CONFIG_DIR, 'users'),
+  config: CONFIG_DIR,
+  trash: path.join(DATA_DIR, 'trash'),
+  revisions: path.join(DATA_DIR, 'revisions'),
+  views: path.join(CONFIG_DIR, 'views'),
+  tombstones: path.join(DATA_DIR, 'tombstones'),
+  custom_fields: path.join(CONFIG_DIR, 'custom-fields'),
+  pipelines: path.join(CONFIG_DIR, 'pipelines'),
+  automations: path.join(CONFIG_DIR, 'automations'),
+  assignment_rules: path.join(CONFIG_DIR, 'assignment-rules'),
+  score_history: path.join(DATA_DIR, 'score-history'),
+  tasks: path.join(DATA_DIR, 'tasks'),
+  notifications: path.join(DATA_DIR, 'notifications'),
+  accounts: path.join(DATA_DIR, 'accounts'),
+  deals: path.join(DATA_DIR, 'deals')
+};
+
+const COLLECTIONS = Object.keys(COLLECTION_DIRS);
+
+// ============================================
+// CONFLICTS & VERSIONING
+// ============================================
+// Object records carry a `_version` counter that every write bumps.
+// A write whose `_version` no longer matches the stored copy was based
+// on a stale read and is rejected instead of silently overwriting.
+class ConflictError extends Error {
+  constructor(collection, id, expected, current) {
+    super(current === null
+      ? `${collection} record ${id} was deleted by another writer`
+      : `${collection} record ${id} was modified by another writer (version ${expected}, current ${current})`);
+    this.name = 'ConflictError';
+    this.status = 409;
+    this.collection = collection;
+    this.id = id;
+    this.expectedVersion = expected;
+    this.currentVersion = current;
+  }
+}
+
+function isVersioned(record) {
+  return record !== null && typeof record === 'object' && !Array.isArray(record);
+}
+
+// Validate `record` against what is stored and stamp its next version.
+// `stored` is the current persisted copy (or null).
+function stampVersion(collection, id, record, stored, options) {
+  if (!isVersioned(record)) return;
+  if (options.force) {
+    if (record._version === undefined) record._version = 1;
+    return;
+  }
+  const storedVersion = stored && isVersioned(stored) ? (stored._version || 0) : null;
+  if (record._version !== undefined) {
+    const expected = Number(record._version) || 0;
+    if (storedVersion === null || storedVersion !== expected) {
+      throw new ConflictError(collection, id, expected, storedVersion);
+    }
+  }
+  record._version = (storedVersion || 0) + 1;
+}
+
+// ============================================
+// FILE ADAPTER (one JSON file per record)
+// ============================================
+class FileAdapter {
+  constructor() {
+    this.name = 'file';
+  }
+
+  dirFor(collection) {
+    const dir = COLLECTION_DIRS[collection] || path.join(DATA_DIR, collection);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  pathFor(collection, id) {
+    return path.join(this.dirFor(collection), `${id}.json`);
+  }
+
+  get(collection, id) {
+    const p = this.pathFor(collection, id);
+    if (!fs.existsSync(p)) return null;
+    try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch (e) { return null; }
+  }
+
+  put(collection, id, record, options = {}) {
+    stampVersion(collection, id, record, this.get(collection, id), options);
+    // Write to a temp file in the same directory, then rename over the
+    // original so a crash mid-write never leaves a truncated record.
+    const p = this.pathFor(collection, id);
+    const tmp = `${p}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(record, null, 2), 'utf8');
+      fs.renameSync(tmp, p);
+    } catch (err) {
+      if (fs.existsSync(tmp)) fs.unlinkSync(tmp);
+      throw err;
+    }
+  }
+
+  remove(collection, id) {
+    const p = this.pathFor(collection, id);
+    if (fs.existsSync(p)) fs.unlinkSync(p);
+  }
+
+  keys(collection) {
+    const dir = this.dirFor(collection);
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(d => d.isFile() && d.name.endsWith('.json'))
+      .map(d => d.name.slice(0, -5));
+  }
+
+  list(collection) {
+    return this.keys(collection).map(id => this.get(collection, id)).filter(Boolean);
+  }
+
+  // Call onChange(id) whenever a record file is added, changed or removed,
+  // including edits made outside the server. Returns an unwatch function.
+  watch(collection, onChange) {
+    const watcher = fs.watch(this.dirFor(collection), (event, filename) => {
+      if (filename && filename.endsWith('.json')) onChange(filename.slice(0, -5));
+    });
+    watcher.on('error', err => console.error(`[Storage] Watch error on ${collection}:`, err.message));
+    return () => watcher.close();
+  }
+
+  close() {}
+}
+
+// ============================================
+// SQLITE ADAPTER (single embedded database)
+// ============================================
+class SqliteAdapter {
+  constructor(dbPath) {
+    // Loaded lazily so file-only installs never touch the native module
+    const Database = require('better-sqlite3');
+    this.name = 'sqlite';
+    this.dbPath = dbPath || SQLITE_PATH;
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+    this.stmts = {
+      get: this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?'),
+      put: this.db.prepare(`
+        INSERT INTO records (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `),
+      remove: this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+      keys: this.db.prepare('SELECT id FROM records WHERE collection = ?'),
+      list: this.db.prepare('SELECT data FROM records WHERE collection = ?')
+    };
+  }
+
+  get(collection, id) {
+    const row = this.stmts.get.get(collection, String(id));
+    if (!row) return null;
+    try { return JSON.parse(row.data); } catch (e) { return null; }
+  }
+
+  put(collection, id, record, options = {}) {
+    // Version check and write happen in one transaction
+    this.db.transaction(() => {
+      stampVersion(collection, id, record, this.get(collection, id), options);
+      this.stmts.put.run(collection, String(id), JSON.stringify(record), new Date().toISOString());
+    })();
+  }
+
+  remove(collection, id) {
+    this.stmts.remove.run(collection, String(id));
+  }
+
+  keys(collection) {
+    return this.stmts.keys.all(collection).map(r => r.id);
+  }
+
+  list(collection) {
+    return this.stmts.list.all(collection).map(r => {
+      try { return JSON.parse(r.data); } catch (e) { return null; }
+    }).filter(Boolean);
+  }
+
+  // The database is only written through this process, so there is
+  // nothing external to watch.
+  watch() {
+    return () => {};
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// ============================================
+// FACTORY & MIGRATION
+// ============================================
+function createAdapter(name, options = {}) {
+  switch ((name || 'file').toLowerCase()) {
+    case 'file': return new FileAdapter();
+    case 'sqlite': return new SqliteAdapter(options.sqlitePath);
+    default: throw new Error(`Unknown storage adapter "${name}" (expected "file" or "sqlite")`);
+  }
+}
+
+// Copy every record of every collection from one adapter into another.
+// Existing records in the target with the same id are overwritten.
+function migrateStorage(from, to, options = {}) {
+  const collections = options.collections || COLLECTIONS;
+  const report = {};
+  collections.forEach(collection => {
+    let copied = 0;
+    from.keys(collection).forEach(id => {
+      const record = from.get(collection, id);
+      if (!record) return;
+      if (!options.dryRun) to.put(collection, id, record, { force: true });
+      copied++;
+    });
+    report[collection] = copied;
+  });
+  return report;
+}
+
+// Process-wide storage instance, selected with STORAGE_ADAPTER=file|sqlite
+const storage = createAdapter(process.env.STORAGE_ADAPTER || 'file');
+
+// ============================================
+// PER-RECORD LOCKS
+// ============================================
+// Synchronous read-modify-write is already atomic inside one Node process.
+// Async work that spans an await (webhook calls, GHL requests) queues on a
+// per-record lock so two such sections never interleave on the same record.
+const locks = new Map();
+
+function withLock(collection, id, fn) {
+  const key = `${collection}:${id}`;
+  const prev = locks.get(key) || Promise.resolve();
+  const run = prev.then(() => fn());
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return run;
+}
+
+// Re-read a record, apply `mutator` to the fresh copy and write it back.
+// Returns the saved record, or null when it does not exist.
+function updateRecord(collection, id, mutator) {
+  const record = storage.get(collection, id);
+  if (!record) return null;
+  mutator(record);
+  storage.put(collection, id, record);
+  return record;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  storage,
+  createAdapter,
+  migrateStorage,
+  withLock,
+  updateRecord,
+  ConflictError,
+  FileAdapter,
+  SqliteAdapter,
+  COLLECTIONS
+};
@@ -0,0 +1,396 @@
+// ============================================
+// FlowTier Tasks v1.0
+// Follow-up work as records of its own: calls,
+// emails, LinkedIn touches and custom to-dos on a
+// lead, each with a due time, assignee, priority
+// and status. A lead's next_followup is the due
+// time of its earliest open task.
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { storage } = require('./storage');
+const { ValidationError, fieldError } = require('./lead-validation');
+const { findMember, resolveAssignee } = require('./team');
+
+const TASK_TYPES = ['call', 'email', 'linkedin', 'custom'];
+const TYPE_LABELS = { call: 'Call', email: 'Email', linkedin: 'LinkedIn message', custom: 'Follow up' };
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const STATUSES = ['open', 'done', 'cancelled'];
+const QUEUES = ['overdue', 'today', 'upcoming'];
+const UPCOMING_DAYS = 7;
+const MAX_TITLE = 200;
+const MAX_TEXT = 5000;
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Every lead write looks up the lead's open tasks, so all tasks are kept
+// in memory. Returned tasks are shared and must not be modified.
+let cache = null; // id -> task
+
+function taskMap() {
+  if (!cache) cache = new Map(storage.list('tasks').map(t => [t.id, t]));
+  return cache;
+}
+
+// Call after task records change outside this module (restores)
+function clearTaskCache() {
+  cache = null;
+}
+
+// Drop the cache when task files are edited outside the server.
+// Returns an unwatch function.
+function watchTasks() {
+  return storage.watch('tasks', clearTaskCache);
+}
+
+function getTask(id) {
+  const task = taskMap().get(id);
+  return task ? structuredClone(task) : null;
+}
+
+function storeTask(task) {
+  storage.put('tasks', task.id, task);
+  taskMap().set(task.id, task);
+  return task;
+}
+
+function deleteTask(id) {
+  if (!taskMap().has(id)) return false;
+  storage.remove('tasks', id);
+  taskMap().delete(id);
+  return true;
+}
+
+// Soonest due first; ties go to the higher priority
+function compareTasks(a, b) {
+  return a.due_at.localeCompare(b.due_at) || PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority);
+}
+
+function tasksForLead(leadId) {
+  return Array.from(taskMap().values()).filter(t => t.lead_id === leadId).sort(compareTasks);
+}
+
+// ============================================
+// QUEUES
+// ============================================
+
+// Day boundaries follow the server's local time. `today` is what is
+// still due today, `upcoming` the next UPCOMING_DAYS days after that.
+function queueBounds(now = new Date()) {
+  const endOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  const endOfUpcoming = new Date(endOfToday.getTime() + UPCOMING_DAYS * 86400000);
+  return { now: now.toISOString(), endOfToday: endOfToday.toISOString(), endOfUpcoming: endOfUpcoming.toISOString() };
+}
+
+// 'overdue', 'today', 'upcoming' or null for open tasks further out and
+// for closed ones
+function queueOf(task, bounds) {
+  if (task.status !== 'open') return null;
+  if (task.due_at < bounds.now) return 'overdue';
+  if (task.due_at < bounds.endOfToday) return 'today';
+  if (task.due_at < bounds.endOfUpcoming) return 'upcoming';
+  return null;
+}
+
+// filter: { lead_id, assigned_to, status, type, priority, queue }.
+// `assigned_to: null` keeps unassigned tasks. `include(task)` narrows the
+// list further (access checks).
+function listTasks(filter = {}, include = () => true) {
+  const bounds = queueBounds();
+  return Array.from(taskMap().values())
+    .filter(t => (filter.lead_id === undefined || t.lead_id === filter.lead_id)
+      && (filter.assigned_to === undefined || t.assigned_to === filter.assigned_to)
+      && (filter.status === undefined || t.status === filter.status)
+      && (filter.type === undefined || t.type === filter.type)
+      && (filter.priority === undefined || t.priority === filter.priority)
+      && (filter.queue === undefined || queueOf(t, bounds) === filter.queue)
+      && include(t))
+    .sort(compareTasks);
+}
+
+// Open tasks split into { overdue, today, upcoming }
+function taskQueues(tasks) {
+  const bounds = queueBounds();
+  const queues = { overdue: [], today: [], upcoming: [] };
+  tasks.forEach(t => {
+    const queue = queueOf(t, bounds);
+    if (queue) queues[queue].push(t);
+  });
+  Object.values(queues).forEach(list => list.sort(compareTasks));
+  return queues;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+function text(value, max) {
+  return value === undefined || value === null ? '' : String(value).trim().slice(0, max);
+}
+
+// Build a task from `data` over `existing` (or defaults for a new task).
+// An assignee must be a team member of `workspace`, the lead's.
+// Throws ValidationError.
+function normalizeTask(data, existing, workspace, defaults = {}) {
+  const base = existing || {
+    type: 'custom', title: '', notes: '', due_at: null, assigned_to: defaults.assigned_to || null,
+    priority: 'normal', status: 'open', completion_notes: ''
+  };
+  const pick = field => (data[field] !== undefined ? data[field] : base[field]);
+  const errors = [];
+
+  const type = pick('type');
+  if (!TASK_TYPES.includes(type)) {
+    errors.push(fieldError('type', type, 'invalid_type', `type must be one of ${TASK_TYPES.join(', ')}`));
+  }
+  const priority = pick('priority');
+  if (!PRIORITIES.includes(priority)) {
+    errors.push(fieldError('priority', priority, 'invalid_priority', `priority must be one of ${PRIORITIES.join(', ')}`));
+  }
+  const status = pick('status');
+  if (!STATUSES.includes(status)) {
+    errors.push(fieldError('status', status, 'invalid_status', `status must be one of ${STATUSES.join(', ')}`));
+  }
+
+  let dueAt = pick('due_at');
+  const due = dueAt ? new Date(dueAt) : null;
+  if (!due || isNaN(due)) {
+    errors.push(fieldError('due_at', dueAt, dueAt ? 'invalid_date' : 'required', dueAt ? `"${dueAt}" is not a valid date` : 'due_at is required'));
+  } else {
+    dueAt = due.toISOString();
+  }
+
+  let assignedTo = base.assigned_to;
+  if (data.assigned_to !== undefined) {
+    const assignee = resolveAssignee(data.assigned_to, workspace);
+    if (assignee.error) errors.push(assignee.error);
+    assignedTo = assignee.value;
+  }
+
+  if (errors.length > 0) throw new ValidationError(errors);
+  return {
+    type,
+    title: text(pick('title'), MAX_TITLE) || TYPE_LABELS[type],
+    notes: text(pick('notes'), MAX_TEXT),
+    due_at: dueAt,
+    assigned_to: assignedTo,
+    priority,
+    status,
+    completion_notes: text(pick('completion_notes'), MAX_TEXT)
+  };
+}
+
+// ============================================
+// WRITES
+// ============================================
+
+// New task on `lead`. `actor` is the user_id creating it (null for the
+// system); the assignee defaults to the lead's assignee, then the actor if
+// they are on the lead's team. `followup` marks the task that stands for
+// the lead's own next_followup (see syncLeadTasks). Throws ValidationError.
+function createTask(lead, data, actor, { followup = false } = {}) {
+  const now = new Date().toISOString();
+  const workspace = lead.owner_id || null;
+  const fallback = actor && findMember(actor, workspace) ? actor : null;
+  const fields = normalizeTask(data, null, workspace, { assigned_to: lead.assigned_to || fallback });
+  const task = {
+    id: uuidv4(),
+    lead_id: lead.id,
+    owner_id: lead.owner_id || null,
+    ...fields,
+    followup,
+    created_by: actor || null,
+    created_at: now,
+    updated_at: now,
+    completed_at: null,
+    completed_by: null,
+    remind_at: null,
+    reminded_at: null
+  };
+  stampCompletion(task, null, actor, now);
+  return storeTask(task);
+}
+
+// Apply `data` to a task. Returns { task, previous } or null when the task
+// does not exist. Throws ValidationError.
+function updateTask(id, data, actor) {
+  const previous = getTask(id);
+  if (!previous) return null;
+  const now = new Date().toISOString();
+  const task = { ...previous, ...normalizeTask(data, previous, previous.owner_id), updated_at: now };
+  stampCompletion(task, previous, actor, now);
+  // A new due time, or reopening, arms the reminder again
+  if (task.due_at !== previous.due_at || (task.status === 'open' && previous.status !== 'open')) {
+    task.remind_at = null;
+    task.reminded_at = null;
+  }
+  return { task: storeTask(task), previous };
+}
+
+// Completion stamps follow the status: set when a task is done, cleared
+// when it is reopened
+function stampCompletion(task, previous, actor, now) {
+  if (task.status === 'done' && (!previous || previous.status !== 'done')) {
+    task.completed_at = now;
+    task.completed_by = actor || null;
+  } else if (task.status !== 'done') {
+    task.completed_at = null;
+    task.completed_by = null;
+  }
+}
+
+// Move the tasks of merged-away leads onto the surviving lead
+function reassignLeadTasks(fromIds, lead) {
+  const from = new Set(fromIds);
+  let moved = 0;
+  Array.from(taskMap().values()).filter(t => from.has(t.lead_id)).forEach(t => {
+    storeTask({ ...t, lead_id: lead.id, owner_id: lead.owner_id || null });
+    moved++;
+  });
+  return moved;
+}
+
+// ============================================
+// REMINDERS
+// ============================================
+// A task's reminder fires at remind_at (set by snoozing) or else at its
+// due time. reminded_at records that it fired, so it fires once.
+
+function reminderTime(task) {
+  return task.remind_at || task.due_at;
+}
+
+// Open tasks whose reminder is due and has not fired
+function dueReminders(now = new Date()) {
+  const at = now.toISOString();
+  return Array.from(taskMap().values())
+    .filter(t => t.status === 'open' && !t.reminded_at && reminderTime(t) <= at)
+    .sort((a, b) => reminderTime(a).localeCompare(reminderTime(b)));
+}
+
+function markReminded(id, at = new Date().toISOString()) {
+  const task = getTask(id);
+  if (!task) return null;
+  return storeTask({ ...task, reminded_at: at });
+}
+
+// Remind again at `until`. Returns null for unknown tasks and throws
+// ValidationError for closed tasks or a bad time.
+function snoozeTask(id, until) {
+  const task = getTask(id);
+  if (!task) return null;
+  const at = until ? new Date(until) : null;
+  const errors = [];
+  if (task.status !== 'open') errors.push(fieldError('status', task.status, 'not_open', 'Only open tasks can be snoozed'));
+  if (!at || isNaN(at) || at <= new Date()) errors.push(fieldError('until', until, 'invalid_date', 'Snooze until a time in the future'));
+  if (errors.length > 0) throw new ValidationError(errors);
+  return storeTask({ ...task, remind_at: at.toISOString(), reminded_at: null, updated_at: new Date().toISOString() });
+}
+
+function deleteLeadTasks(leadId) {
+  tasksForLead(leadId).forEach(t => deleteTask(t.id));
+}
+
+// ============================================
+// NEXT FOLLOW-UP
+// ============================================
+
+// Keep a lead and its tasks in step once the lead is stored. A
+// next_followup changed on the lead itself (forms, API, automations,
+// imports) moves its follow-up task, or adds one; clearing it cancels that
+// task. next_followup is then reset to the earliest open task's due time.
+// Tasks also take over a changed owner_id, and lose assignees who are not
+// on the new workspace's team.
+function syncLeadTasks(lead, previous, actor) {
+  let tasks = tasksForLead(lead.id);
+  const requested = lead.next_followup || null;
+  if (requested !== ((previous && previous.next_followup) || null)) {
+    const due = requested ? new Date(requested) : null;
+    const dueAt = due && !isNaN(due) ? due.toISOString() : null;
+    const followup = tasks.find(t => t.status === 'open' && t.followup);
+    if (!requested && followup) {
+      updateTask(followup.id, { status: 'cancelled' }, actor);
+    } else if (dueAt && followup) {
+      updateTask(followup.id, { due_at: dueAt }, actor);
+    } else if (dueAt && !tasks.some(t => t.status === 'open' && t.due_at === dueAt)) {
+      createTask(lead, { type: 'custom', due_at: dueAt }, actor, { followup: true });
+    }
+    tasks = tasksForLead(lead.id);
+  }
+  const ownerId = lead.owner_id || null;
+  tasks.forEach((t, i) => {
+    if (t.owner_id === ownerId) return;
+    const assignedTo = t.assigned_to && findMember(t.assigned_to, ownerId) ? t.assigned_to : null;
+    tasks[i] = storeTask({ ...t, owner_id: ownerId, assigned_to: assignedTo });
+  });
+
+  const open = tasks.filter(t => t.status === 'open').sort(compareTasks);
+  lead.next_followup = open.length > 0 ? open[0].due_at : null;
+}
+
+// Once per install: leads that had a next_followup before tasks existed
+// get it as a follow-up task. The config doc 'tasks' marks it done.
+function ensureFollowupTasks(forEachLead) {
+  if (storage.get('config', 'tasks')) return 0;
+  const withTasks = new Set(Array.from(taskMap().values(), t => t.lead_id));
+  let created = 0;
+  forEachLead(lead => {
+    if (!lead.next_followup || withTasks.has(lead.id) || isNaN(new Date(lead.next_followup))) return;
+    createTask(lead, { type: 'custom', due_at: lead.next_followup }, null, { followup: true });
+    created++;
+  });
+  storage.put('config', 'tasks', { followups_converted_at: new Date().toISOString(), converted: created }, { force: true });
+  if (created > 0) console.log(`[Tasks] Converted ${created} follow-up date(s) into tasks`);
+  return created;
+}
+
+// Tasks from before team members named people by username.
+// toUserId(name, workspace) returns the member's user_id or null.
+// Returns how many tasks changed.
+function convertTaskUsers(toUserId) {
+  let changed = 0;
+  Array.from(taskMap().values()).forEach(t => {
+    const task = {
+      ...t,
+      assigned_to: t.assigned_to ? toUserId(t.assigned_to, t.owner_id) : null,
+      created_by: t.created_by ? toUserId(t.created_by) : null,
+      completed_by: t.completed_by ? toUserId(t.completed_by) : null
+    };
+    if (task.assigned_to === t.assigned_to && task.created_by === t.created_by && task.completed_by === t.completed_by) return;
+    storeTask(task);
+    changed++;
+  });
+  return changed;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  TASK_TYPES,
+  PRIORITIES,
+  STATUSES,
+  QUEUES,
+  UPCOMING_DAYS,
+  clearTaskCache,
+  watchTasks,
+  getTask,
+  listTasks,
+  tasksForLead,
+  taskQueues,
+  queueBounds,
+  createTask,
+  updateTask,
+  deleteTask,
+  reassignLeadTasks,
+  deleteLeadTasks,
+  syncLeadTasks,
+  ensureFollowupTasks,
+  convertTaskUsers,
+  reminderTime,
+  dueReminders,
+  markReminded,
+  snoozeTask
+};
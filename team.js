@@ -0,0 +1,123 @@
+// ============================================
+// FlowTier Team v1.0
+// The people leads are assigned to. A workspace
+// is a client account (its client_id) or the
+// admin workspace (null); its members are the
+// client login itself plus team members added
+// under it. assigned_to holds a member's user_id.
+// ============================================
+
+const { v4: uuidv4 } = require('uuid');
+const { storage } = require('./storage');
+const { fieldError } = require('./lead-validation');
+
+// The admin login comes from the environment and has no stored record
+const ADMIN_USER_ID = 'admin';
+let adminUsername = 'admin';
+
+// Called once at boot with the configured admin username
+function setAdminUsername(username) {
+  adminUsername = username;
+}
+
+// ============================================
+// MEMBERS
+// ============================================
+function adminMember() {
+  return { user_id: ADMIN_USER_ID, username: adminUsername, display_name: adminUsername, email: '', workspace: null, role: 'admin', active: true };
+}
+
+// Public shape of a stored login: no password hash or API key
+function toMember(user) {
+  return {
+    user_id: user.user_id,
+    username: user.username,
+    display_name: user.display_name || user.username,
+    email: user.email || '',
+    workspace: user.client_id || null,
+    role: user.role,
+    active: user.active !== false
+  };
+}
+
+// Logins stored before team members existed get a user_id. Returns how many.
+function ensureUserIds() {
+  let added = 0;
+  storage.keys('users').forEach(key => {
+    const user = storage.get('users', key);
+    if (!user || user.user_id) return;
+    user.user_id = uuidv4();
+    storage.put('users', key, user, { force: true });
+    added++;
+  });
+  return added;
+}
+
+function allMembers() {
+  return [adminMember(), ...storage.list('users').filter(u => u.user_id).map(toMember)];
+}
+
+// Members of a workspace (a client_id, or null for the admin workspace).
+// Deactivated members only with options.includeInactive.
+function listMembers(workspace, options = {}) {
+  return allMembers().filter(m => m.workspace === (workspace || null) && (options.includeInactive || m.active));
+}
+
+function getMember(userId) {
+  if (!userId) return null;
+  return allMembers().find(m => m.user_id === userId) || null;
+}
+
+// A member by user_id, username, email or display name (case-insensitive),
+// so imports and API callers can name people the way they know them.
+// `workspace` narrows the search unless undefined.
+function findMember(ref, workspace) {
+  const value = String(ref === undefined || ref === null ? '' : ref).trim();
+  if (!value) return null;
+  const lower = value.toLowerCase();
+  const members = allMembers().filter(m => workspace === undefined || m.workspace === (workspace || null));
+  return members.find(m => m.user_id === value)
+    || members.find(m => m.username.toLowerCase() === lower)
+    || members.find(m => m.email && m.email.toLowerCase() === lower)
+    || members.find(m => m.display_name.toLowerCase() === lower)
+    || null;
+}
+
+// The stored assigned_to for `ref` on a lead of `workspace`: an active
+// member's user_id, or null for nobody. Returns { value } or { error }
+// with a field error.
+function resolveAssignee(ref, workspace, field = 'assigned_to') {
+  if (ref === undefined || ref === null || (typeof ref === 'string' && !ref.trim())) return { value: null };
+  if (typeof ref !== 'string') {
+    return { error: fieldError(field, ref, 'invalid_assignee', `${field} must be a team member's user_id or username`) };
+  }
+  const member = findMember(ref, workspace);
+  if (!member) {
+    return { error: fieldError(field, ref, 'unknown_member', `"${ref.trim()}" is not a team member of the lead's workspace`) };
+  }
+  if (!member.active) {
+    return { error: fieldError(field, ref, 'inactive_member', `${member.display_name} is deactivated`) };
+  }
+  return { value: member.user_id };
+}
+
+// For activity messages; IDs of deleted members are shown as they are
+function memberName(userId) {
+  const member = getMember(userId);
+  return member ? member.display_name : userId;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  ADMIN_USER_ID,
+  setAdminUsername,
+  toMember,
+  ensureUserIds,
+  listMembers,
+  getMember,
+  findMember,
+  resolveAssignee,
+  memberName
+};
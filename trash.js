@@ -0,0 +1,122 @@
+// ============================================
+// FlowTier Trash v1.0
+// Soft delete for leads and campaigns. Deleted
+// records move into the `trash` collection with
+// who/when metadata until restored or purged.
+// ============================================
+
+const { storage } = require('./storage');
+
+// Trash kind -> collection the record lives in while not deleted
+const TRASH_KINDS = {
+  lead: 'leads',
+  campaign: 'campaigns'
+};
+
+const POLICY_DEFAULTS = { retention_days: 30 };
+
+function trashId(kind, recordId) {
+  return `${kind}_${recordId}`;
+}
+
+// ============================================
+// POLICY
+// ============================================
+function getTrashPolicy() {
+  return Object.assign({}, POLICY_DEFAULTS, storage.get('config', 'trash_policy') || {});
+}
+
+function setTrashPolicy(settings) {
+  const current = getTrashPolicy();
+  const policy = {
+    retention_days: Math.max(1, parseInt(settings.retention_days, 10) || current.retention_days),
+    updated_at: new Date().toISOString()
+  };
+  storage.put('config', 'trash_policy', policy);
+  return policy;
+}
+
+function purgeAt(entry, policy) {
+  return new Date(new Date(entry.deleted_at).getTime() + policy.retention_days * 86400000).toISOString();
+}
+
+// ============================================
+// TRASH OPERATIONS
+// ============================================
+
+// Move a record out of its collection into the trash
+function moveToTrash(kind, record, deletedBy) {
+  const entry = {
+    trash_id: trashId(kind, record.id),
+    kind,
+    record_id: record.id,
+    label: record.company_name || record.contact_name || record.name || record.id,
+    owner_id: record.owner_id || null,
+    deleted_at: new Date().toISOString(),
+    deleted_by: deletedBy || null,
+    record
+  };
+  storage.put('trash', entry.trash_id, entry, { force: true });
+  storage.remove(TRASH_KINDS[kind], record.id);
+  return entry;
+}
+
+function getTrashEntry(id) {
+  return storage.get('trash', id);
+}
+
+function isInTrash(kind, recordId) {
+  return storage.get('trash', trashId(kind, recordId)) !== null;
+}
+
+// Put a trashed record back. Returns the record, or null if the entry is gone.
+// Callers must check the id is free first; the restore overwrites.
+function restoreFromTrash(id) {
+  const entry = storage.get('trash', id);
+  if (!entry) return null;
+  storage.put(TRASH_KINDS[entry.kind], entry.record_id, entry.record, { force: true });
+  storage.remove('trash', id);
+  return entry.record;
+}
+
+function purgeTrashEntry(id) {
+  if (!storage.get('trash', id)) return false;
+  storage.remove('trash', id);
+  return true;
+}
+
+// Trash entries newest first, each with its scheduled purge time
+function listTrash(kind) {
+  const policy = getTrashPolicy();
+  return storage.list('trash')
+    .filter(e => !kind || e.kind === kind)
+    .map(e => ({ ...e, purge_after: purgeAt(e, policy) }))
+    .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+}
+
+// Permanently remove entries older than the retention policy (or all of them)
+function purgeExpiredTrash(options = {}) {
+  const now = new Date().toISOString();
+  const purged = listTrash(options.kind)
+    .filter(e => options.all || e.purge_after <= now)
+    .map(e => { storage.remove('trash', e.trash_id); return e.trash_id; });
+  if (purged.length > 0) console.log(`[Trash] Purged ${purged.length} entr${purged.length === 1 ? 'y' : 'ies'}`);
+  return purged;
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+module.exports = {
+  TRASH_KINDS,
+  trashId,
+  getTrashPolicy,
+  setTrashPolicy,
+  moveToTrash,
+  getTrashEntry,
+  isInTrash,
+  restoreFromTrash,
+  purgeTrashEntry,
+  listTrash,
+  purgeExpiredTrash
+};